@@ -1,5 +1,11 @@
-import { MiningCoordinator } from './src/services/MiningCoordinator.js';
+#!/usr/bin/env node
+import { runCli } from './src/cli/cli.js';
+import { logger } from './src/utils/logger.js';
 
-// Start the mining coordinator
-const coordinator = new MiningCoordinator();
-coordinator.start();
\ No newline at end of file
+runCli(process.argv.slice(2)).then(async code => {
+    // Long-running commands (start) return null and exit through the shutdown handler
+    if (code !== null) {
+        await logger.flush();
+        process.exit(code);
+    }
+});
\ No newline at end of file
@@ -0,0 +1,118 @@
+// src/cli/checkCommand.js
+import chalk from 'chalk';
+import { MiningCoordinator } from '../services/MiningCoordinator.js';
+import { formatTable } from '../ui/table.js';
+import { printPlan } from './startCommand.js';
+import { getProxyHost, mapWithConcurrency, setupAxiosWithProxy } from '../utils/utils.js';
+import { KaleidoApiClient, NotRegisteredError } from '../services/KaleidoApiClient.js';
+import { retry, createRetryPolicy } from '../utils/retry.js';
+import { logger } from '../utils/logger.js';
+import { EXIT_CODES } from '../config/constants.js';
+
+// Registration checks sent at the same time
+const CHECK_CONCURRENCY = 5;
+
+/**
+ * Asks the API whether a wallet is registered, with the wallet's proxy, profile
+ * and retry policy. Only the API client is needed, not a bot with its session
+ * store, so a check never writes anything.
+ * @param {MiningCoordinator} coordinator - Supplies the shared request scheduler
+ * @param {Object} plan - Result of MiningCoordinator.planBots()
+ * @returns {Promise<Object>} - See KaleidoApiClient.checkRegistration()
+ */
+function checkRegistration(coordinator, plan) {
+    const log = logger.child({ wallet: plan.wallet.toLowerCase(), botIndex: plan.botIndex });
+    const http = coordinator.createHttpClient
+        ? coordinator.createHttpClient(plan.proxy, plan.config)
+        : setupAxiosWithProxy({
+            baseURL: plan.config.api.baseUrl,
+            headers: plan.config.api.headers,
+            timeout: plan.config.api.timeout
+        }, plan.proxy, log.child({ operation: 'http' }));
+    const client = new KaleidoApiClient(http, { logger: log });
+    return retry(() => coordinator.scheduler.run(() => client.checkRegistration(plan.wallet.toLowerCase())), {
+        policy: createRetryPolicy(plan.config.mining)
+    });
+}
+
+/**
+ * Runs /check-registration for every wallet and prints the result as a table
+ * @param {Object} options - Command options
+ * @param {Array<number|string>} options.selectors - Wallet indexes or addresses to check
+ * @param {boolean} options.dryRun - Only print the wallets that would be checked
+ * @param {boolean} options.json - Print JSON instead of a table
+ * @param {Object} config - Resolved configuration
+ * @returns {Promise<number>} - Process exit code
+ */
+export async function checkCommand({ selectors = [], dryRun = false, json = false }, config) {
+    const coordinator = new MiningCoordinator({ config });
+    // Disabled wallets are still worth checking, only invalid keys are skipped
+    const plans = coordinator.planBots(await coordinator.loadWallets(), selectors)
+        .map(plan => plan.wallet && !plan.config ? { ...plan, config, skipReason: null } : plan);
+
+    if (plans.length === 0) {
+        console.error(chalk.red('No wallets matched'));
+        return EXIT_CODES.FAILURE;
+    }
+
+    if (dryRun) {
+        printPlan(plans);
+        return EXIT_CODES.SUCCESS;
+    }
+
+    const results = await mapWithConcurrency(plans, CHECK_CONCURRENCY, async plan => {
+        const result = {
+            botIndex: plan.botIndex,
+            wallet: plan.wallet,
+            proxy: getProxyHost(plan.proxy),
+            profile: plan.config?.profile ?? null,
+            registered: null,
+            balance: null,
+            referralBonus: null,
+            error: plan.skipReason
+        };
+        if (plan.skipReason) {
+            return result;
+        }
+
+        try {
+            const registration = await checkRegistration(coordinator, plan);
+            return {
+                ...result,
+                registered: true,
+                balance: registration.balance,
+                referralBonus: registration.referralBonus
+            };
+        } catch (error) {
+            if (error instanceof NotRegisteredError) {
+                return { ...result, registered: false };
+            }
+            return { ...result, error: error.response ? `HTTP ${error.response.status}` : error.message };
+        }
+    });
+
+    if (json) {
+        console.log(JSON.stringify(results, null, 2));
+    } else {
+        console.log(formatTable([
+            { key: 'botIndex', title: '#', align: 'right' },
+            { key: 'wallet', title: 'Wallet' },
+            { key: 'registered', title: 'Registered' },
+            { key: 'balance', title: 'Balance (KLDO)', align: 'right' },
+            { key: 'referralBonus', title: 'Referral', align: 'right' },
+            { key: 'proxy', title: 'Proxy' },
+            { key: 'profile', title: 'Profile' },
+            { key: 'error', title: 'Error' }
+        ], results.map(result => ({
+            ...result,
+            wallet: result.wallet || '-',
+            profile: result.profile ?? '-',
+            registered: result.registered === null ? '-' : (result.registered ? chalk.green('yes') : chalk.red('no')),
+            balance: typeof result.balance === 'number' ? result.balance.toFixed(8) : '-',
+            referralBonus: typeof result.referralBonus === 'number' ? `+${(result.referralBonus * 100).toFixed(1)}%` : '-',
+            error: result.error ? chalk.red(result.error) : ''
+        }))));
+    }
+
+    return results.every(result => result.registered) ? EXIT_CODES.SUCCESS : EXIT_CODES.PARTIAL;
+}
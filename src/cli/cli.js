@@ -0,0 +1,236 @@
+// src/cli/cli.js
+import { parseArgs } from 'util';
+import chalk from 'chalk';
+import { loadConfig, setPath, coerceValue, ConfigError } from '../config/configLoader.js';
+import { EXIT_CODES } from '../config/constants.js';
+import { configureLogger } from '../utils/logger.js';
+import { startCommand } from './startCommand.js';
+import { checkCommand } from './checkCommand.js';
+import { statusCommand } from './statusCommand.js';
+import { summaryCommand } from './summaryCommand.js';
+import { reportCommand, REPORT_FORMATS } from './reportCommand.js';
+import { healthCommand } from './healthCommand.js';
+import { importKeys, exportKeys } from './keystoreCommands.js';
+import { mockServerCommand } from './mockServerCommand.js';
+
+export const USAGE = `
+Usage: kaleido-miner [command] [options]
+
+Commands:
+  start                 Start mining (default)
+  check                 Run /check-registration for every wallet and print a table
+  status                Show the saved session of every wallet (offline; --wallets and
+                        --group filter by address, label or group)
+  summary               Total the earnings from the saved sessions (offline)
+  report                Earnings per wallet and day from the recorded updates (offline;
+                        --from, --to, --format table|csv|json, --out)
+  health                Check a running miner through lifecycle.healthFile (--ready)
+  import                Encrypt pk.txt into keystores (--input, --keystore-dir)
+  export                Decrypt keystores into pk.txt format (--out, --keystore-dir)
+  mock-server           Run a local mock of the Kaleido API (--port, --fault, --unregistered)
+
+Options:
+  -c, --config <file>   Config file (JSON or YAML)
+  -w, --wallets <list>  Limit start/check to wallets, e.g. "1,3-5,0xabc...,rig-1"
+  -g, --group <list>    Limit start/check/status to wallet groups, e.g. "team-a,qa"
+  -p, --profile <name>  API profile, e.g. testnet or local (same as --set profile=<name>)
+      --set <path=val>  Override a config setting, e.g. mining.updateInterval=60000
+  -v, --verbose         Enable debug logging (same as --set logging.level=debug)
+  -n, --dry-run         Show what would be done without contacting the API
+  -d, --dashboard       Show a live full-screen dashboard instead of log lines (start)
+      --json            Print machine-readable output (check, status, summary, report, health)
+  -h, --help            Show this help
+
+Exit codes: 0 success, 1 failure, 2 invalid usage or config, 3 some wallets failed
+(for start: some final balance updates failed)
+`;
+
+const OPTIONS = {
+    config: { type: 'string', short: 'c' },
+    wallets: { type: 'string', short: 'w' },
+    group: { type: 'string', short: 'g' },
+    profile: { type: 'string', short: 'p' },
+    set: { type: 'string', multiple: true },
+    verbose: { type: 'boolean', short: 'v' },
+    'dry-run': { type: 'boolean', short: 'n' },
+    dashboard: { type: 'boolean', short: 'd' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+    input: { type: 'string' },
+    out: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    format: { type: 'string' },
+    ready: { type: 'boolean' },
+    'keystore-dir': { type: 'string' },
+    port: { type: 'string' },
+    fault: { type: 'string', multiple: true },
+    unregistered: { type: 'string' }
+};
+
+/**
+ * Parses a wallet selection such as "1,3-5,0xabc,rig-1" into indexes, addresses and labels
+ * @param {string|undefined} value - Raw --wallets value
+ * @param {string|undefined} groups - Raw --group value, e.g. "team-a,qa"; added as "group:<name>"
+ * @returns {Array<number|string>} - 1-based indexes, addresses, labels and "group:<name>" selectors
+ */
+export function parseWalletSelectors(value, groups) {
+    if (!value) {
+        return [];
+    }
+
+    const selectors = [];
+    for (const part of value.split(',').map(item => item.trim()).filter(Boolean)) {
+        const range = part.match(/^(\d+)-(\d+)$/);
+        if (range) {
+            for (let i = Number(range[1]); i <= Number(range[2]); i++) {
+                selectors.push(i);
+            }
+        } else if (/^\d+$/.test(part)) {
+            selectors.push(Number(part));
+        } else if (/^0x[0-9a-fA-F]{40}$/.test(part) || /^[a-z][a-z0-9_-]*$/i.test(part)) {
+            selectors.push(part);
+        } else {
+            throw new UsageError(`Invalid wallet selector "${part}"`);
+        }
+    }
+    for (const group of (groups || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        if (!/^[a-z][a-z0-9_-]*$/i.test(group)) {
+            throw new UsageError(`Invalid group "${group}"`);
+        }
+        selectors.push(`group:${group}`);
+    }
+    return selectors;
+}
+
+/**
+ * Parses a --from or --to value. A date alone means midnight UTC; for --to the
+ * whole day is included.
+ * @param {string|undefined} value - Raw value, e.g. "2024-05-01" or "2024-05-01T12:00:00Z"
+ * @param {string} flag - Flag name, for messages
+ * @param {boolean} endOfDay - Whether a date alone includes that day (--to)
+ * @returns {string|null} - ISO timestamp, or null if not given
+ */
+export function parseReportDate(value, flag, endOfDay = false) {
+    if (!value) {
+        return null;
+    }
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const time = Date.parse(dateOnly ? `${value}T00:00:00Z` : value);
+    if (Number.isNaN(time) || !/^\d{4}-\d{2}-\d{2}/.test(value)) {
+        throw new UsageError(`Invalid --${flag} "${value}", expected YYYY-MM-DD or an ISO timestamp`);
+    }
+    return new Date(dateOnly && endOfDay ? time + 86400000 : time).toISOString();
+}
+
+/**
+ * Error raised for invalid command-line usage
+ */
+export class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Builds config overrides from --set key=value, --profile and --verbose flags
+ * @param {Object} flags - Parsed flags
+ * @returns {Object} - Partial config
+ */
+export function overridesFromFlags(flags) {
+    const overrides = {};
+    for (const assignment of flags.set || []) {
+        const [dottedPath, ...rest] = assignment.split('=');
+        if (!dottedPath || rest.length === 0) {
+            throw new UsageError(`Invalid --set "${assignment}", expected <path>=<value>`);
+        }
+        setPath(overrides, dottedPath, coerceValue(dottedPath, rest.join('=')));
+    }
+    if (flags.profile) {
+        overrides.profile = flags.profile;
+    }
+    if (flags.verbose) {
+        setPath(overrides, 'logging.level', 'debug');
+    }
+    return overrides;
+}
+
+/**
+ * Runs the command line interface
+ * @param {string[]} argv - Arguments without the node and script path
+ * @returns {Promise<number|null>} - Exit code, or null if the command keeps running
+ */
+export async function runCli(argv) {
+    let flags;
+    let command;
+    let config;
+
+    try {
+        const parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+        flags = parsed.values;
+        command = parsed.positionals[0] || 'start';
+
+        if (flags.help) {
+            console.log(USAGE);
+            return EXIT_CODES.SUCCESS;
+        }
+
+        flags.selectors = parseWalletSelectors(flags.wallets, flags.group);
+        flags.from = parseReportDate(flags.from, 'from');
+        flags.to = parseReportDate(flags.to, 'to', true);
+        if (flags.from && flags.to && flags.from >= flags.to) {
+            throw new UsageError('--from must be before --to');
+        }
+        flags.format = flags.json ? 'json' : (flags.format || 'table');
+        if (!REPORT_FORMATS.includes(flags.format)) {
+            throw new UsageError(`Invalid --format "${flags.format}", expected ${REPORT_FORMATS.join(', ')}`);
+        }
+        config = await loadConfig({ configPath: flags.config, overrides: overridesFromFlags(flags) });
+        configureLogger(config.logging);
+    } catch (error) {
+        const isUsage = error instanceof UsageError || error instanceof ConfigError || error.code?.startsWith('ERR_PARSE_ARGS');
+        console.error(chalk.red(error.message));
+        if (isUsage && !(error instanceof ConfigError)) {
+            console.error(USAGE);
+        }
+        return isUsage ? EXIT_CODES.USAGE : EXIT_CODES.FAILURE;
+    }
+
+    const options = {
+        selectors: flags.selectors,
+        dryRun: Boolean(flags['dry-run']),
+        dashboard: Boolean(flags.dashboard),
+        json: Boolean(flags.json)
+    };
+
+    try {
+        switch (command) {
+            case 'start':
+                return await startCommand(options, config);
+            case 'check':
+                return await checkCommand(options, config);
+            case 'status':
+                return await statusCommand(options, config);
+            case 'summary':
+                return await summaryCommand(options, config);
+            case 'report':
+                return await reportCommand({ from: flags.from, to: flags.to, format: flags.format, output: flags.out }, config);
+            case 'health':
+                return await healthCommand({ ready: Boolean(flags.ready), json: options.json }, config);
+            case 'import':
+                return await importKeys({ input: flags.input, keystoreDir: flags['keystore-dir'] }, config);
+            case 'export':
+                return await exportKeys({ output: flags.out, keystoreDir: flags['keystore-dir'] }, config);
+            case 'mock-server':
+                return await mockServerCommand({ port: flags.port, faults: flags.fault, unregistered: flags.unregistered });
+            default:
+                console.error(chalk.red(`Unknown command "${command}"`));
+                console.error(USAGE);
+                return EXIT_CODES.USAGE;
+        }
+    } catch (error) {
+        console.error(chalk.red(error.message));
+        return EXIT_CODES.FAILURE;
+    }
+}
@@ -0,0 +1,34 @@
+// src/cli/healthCommand.js
+import chalk from 'chalk';
+import { readHealthFile } from '../services/HealthFile.js';
+import { EXIT_CODES } from '../config/constants.js';
+
+/**
+ * Checks a running miner through its health file, for container and service
+ * health checks. Exits 0 when the miner is live (and ready, with --ready).
+ * @param {Object} options - Command options
+ * @param {boolean} options.ready - Require readiness, not just liveness
+ * @param {boolean} options.json - Print JSON instead of text
+ * @param {Object} config - Resolved configuration
+ * @returns {Promise<number>} - Process exit code
+ */
+export async function healthCommand({ ready = false, json = false } = {}, config) {
+    const { healthFile } = config.lifecycle;
+    if (!healthFile) {
+        console.error(chalk.red('lifecycle.healthFile is not set; set it (or KALEIDO_HEALTH_FILE) for both the miner and this check'));
+        return EXIT_CODES.USAGE;
+    }
+
+    const result = await readHealthFile(healthFile);
+    const healthy = ready ? result.ready : result.live;
+
+    if (json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else if (healthy) {
+        const { status } = result;
+        console.log(chalk.green(`OK: ${status.state}, ${status.mining} of ${status.wallets} wallets mining (PID ${status.pid})`));
+    } else {
+        console.error(chalk.red(`${ready ? 'Not ready' : 'Not live'}: ${result.reason}`));
+    }
+    return healthy ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
@@ -0,0 +1,103 @@
+// src/cli/keystoreCommands.js
+import chalk from 'chalk';
+import * as fs from 'fs/promises';
+import path from 'path';
+import { parseListFile } from '../utils/utils.js';
+import { encryptPrivateKeysToKeystores, decryptKeystores, listKeystoreFiles, resolvePassphrase } from '../utils/keystore.js';
+import { EXIT_CODES } from '../config/constants.js';
+
+/**
+ * Converts pk.txt into encrypted keystore files
+ * @param {Object} options - Command options
+ * @param {string} options.input - Plaintext key file (defaults to pk.txt)
+ * @param {string} options.keystoreDir - Output directory (defaults to keystores/)
+ * @param {Object} config - Resolved configuration
+ * @returns {Promise<number>} - Process exit code
+ */
+export async function importKeys({ input, keystoreDir }, config) {
+    const inputPath = input ? path.resolve(input) : config.files.privateKeys;
+    const outputDir = keystoreDir ? path.resolve(keystoreDir) : config.files.keystoreDir;
+
+    let privateKeys;
+    try {
+        privateKeys = parseListFile(await fs.readFile(inputPath, 'utf8'));
+    } catch (error) {
+        console.error(chalk.red(`Cannot read ${inputPath}: ${error.message}`));
+        return EXIT_CODES.FAILURE;
+    }
+
+    if (privateKeys.length === 0) {
+        console.error(chalk.red(`No private keys found in ${inputPath}`));
+        return EXIT_CODES.FAILURE;
+    }
+
+    const passphrase = await resolvePassphrase({ confirm: true });
+    console.log(chalk.blue(`Encrypting ${privateKeys.length} keys into ${outputDir} ...`));
+
+    const results = await encryptPrivateKeysToKeystores(privateKeys, outputDir, passphrase);
+    let failed = 0;
+    for (const result of results) {
+        if (result.existing) {
+            console.log(chalk.yellow(`[${result.index}] ${result.wallet} already has ${path.basename(result.file)}, skipped`));
+        } else if (result.wallet) {
+            console.log(chalk.green(`[${result.index}] ${result.wallet} -> ${path.basename(result.file)}`));
+        } else {
+            failed++;
+            console.log(chalk.red(`[${result.index}] Invalid private key, skipped`));
+        }
+    }
+
+    console.log(chalk.yellow(`\nKeystores written. Delete ${inputPath} once you have verified them.`));
+    return exitCodeOf(failed, results.length);
+}
+
+/**
+ * Decrypts keystores back into pk.txt format
+ * @param {Object} options - Command options
+ * @param {string} options.output - Output file; keys are written to stdout when omitted
+ * @param {string} options.keystoreDir - Keystore directory (defaults to keystores/)
+ * @param {Object} config - Resolved configuration
+ * @returns {Promise<number>} - Process exit code
+ */
+export async function exportKeys({ output, keystoreDir }, config) {
+    const sourceDir = keystoreDir ? path.resolve(keystoreDir) : config.files.keystoreDir;
+
+    if ((await listKeystoreFiles(sourceDir)).length === 0) {
+        console.error(chalk.red(`No keystores found in ${sourceDir}`));
+        return EXIT_CODES.FAILURE;
+    }
+
+    const passphrase = await resolvePassphrase();
+    const results = await decryptKeystores(sourceDir, passphrase);
+    const failed = results.filter(result => !result.privateKey);
+
+    for (const result of failed) {
+        console.error(chalk.red(`Could not decrypt ${path.basename(result.file)}`));
+    }
+
+    const lines = results
+        .filter(result => result.privateKey)
+        .map(result => `# ${result.wallet}\n${result.privateKey}`);
+    const content = lines.length > 0 ? `${lines.join('\n')}\n` : '';
+
+    if (output) {
+        // mode only applies to a new file; an existing one may be readable by others
+        await fs.writeFile(path.resolve(output), content, { mode: 0o600 });
+        await fs.chmod(path.resolve(output), 0o600);
+        console.error(chalk.yellow(`Wrote ${lines.length} plaintext keys to ${output}`));
+    } else {
+        process.stdout.write(content);
+    }
+
+    return exitCodeOf(failed.length, results.length);
+}
+
+/**
+ * 0 when every key made it, 3 when only some did, 1 when none did
+ */
+function exitCodeOf(failed, total) {
+    if (failed === 0) {
+        return EXIT_CODES.SUCCESS;
+    }
+    return failed < total ? EXIT_CODES.PARTIAL : EXIT_CODES.FAILURE;
+}
@@ -0,0 +1,41 @@
+// src/cli/mockServerCommand.js
+import chalk from 'chalk';
+import { MockKaleidoServer, parseFaultSpec } from '../mock/MockKaleidoServer.js';
+import { EXIT_CODES } from '../config/constants.js';
+
+// Port used when --port is not given
+const DEFAULT_PORT = 8787;
+
+/**
+ * Runs the bundled mock Kaleido API until the process is interrupted
+ * @param {Object} options - Command options
+ * @param {string} options.port - Port to listen on
+ * @param {string[]} options.faults - Fault specs, e.g. "503" or "update-balance:timeout"
+ * @param {string} options.unregistered - Comma separated wallets to report as not registered
+ * @returns {Promise<number|null>} - Exit code on failure, null while the server runs
+ */
+export async function mockServerCommand({ port, faults = [], unregistered }) {
+    const server = new MockKaleidoServer({
+        onHook: (hookPath, body) => console.log(chalk.magenta(`Notification received on ${hookPath}: ${JSON.stringify(body)}`))
+    });
+
+    try {
+        faults.map(parseFaultSpec).forEach(fault => server.addFault(fault));
+    } catch (error) {
+        console.error(chalk.red(error.message));
+        return EXIT_CODES.USAGE;
+    }
+
+    for (const wallet of (unregistered || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        server.unregisterWallet(wallet);
+    }
+
+    const url = await server.start(port !== undefined ? Number(port) : DEFAULT_PORT);
+    console.log(chalk.green(`Mock Kaleido API listening on ${url}`));
+    console.log(chalk.blue(`Point the miner at it with KALEIDO_API_BASE_URL=${url}`));
+    console.log(chalk.blue(`Notification sinks can post to ${new URL('/hooks/test', url)}`));
+    if (server.faults.length > 0) {
+        console.log(chalk.yellow(`Active faults: ${faults.join(', ')}`));
+    }
+    return null;
+}
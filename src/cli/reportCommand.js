@@ -0,0 +1,212 @@
+// src/cli/reportCommand.js
+import * as fs from 'fs/promises';
+import chalk from 'chalk';
+import { createSessionStore } from '../storage/index.js';
+import { describeSessionStore, formatDuration } from './sessionFiles.js';
+import { formatTable, formatCsv } from '../ui/table.js';
+import { EXIT_CODES } from '../config/constants.js';
+
+/**
+ * Output formats of the report command
+ */
+export const REPORT_FORMATS = ['table', 'csv', 'json'];
+
+const HOUR = 3600000;
+
+/**
+ * Totals the recorded balance updates per wallet, per day (UTC) and for the fleet
+ * @param {Array<Object>} updates - listUpdates() of a session store, sorted by wallet and time
+ * @param {Object} range - Range the updates were read for, copied into the report
+ * @param {string|null} range.from - First time included (ISO timestamp)
+ * @param {string|null} range.to - First time excluded (ISO timestamp)
+ * @returns {{from: string|null, to: string|null, fleet: Object, daily: Array<Object>, wallets: Array<Object>}}
+ */
+export function buildEarningsReport(updates, { from = null, to = null } = {}) {
+    const fleet = createTotals();
+    const fleetDays = new Map();
+    const wallets = new Map();
+
+    for (const update of updates) {
+        const date = update.time.slice(0, 10);
+        if (!wallets.has(update.wallet)) {
+            wallets.set(update.wallet, { wallet: update.wallet, totals: createTotals(), days: new Map(), balance: null, referralBonus: null });
+        }
+        const wallet = wallets.get(update.wallet);
+        if (!wallet.days.has(date)) {
+            wallet.days.set(date, createTotals());
+        }
+        if (!fleetDays.has(date)) {
+            fleetDays.set(date, { totals: createTotals(), wallets: new Set() });
+        }
+
+        for (const totals of [fleet, wallet.totals, wallet.days.get(date), fleetDays.get(date).totals]) {
+            addUpdate(totals, update);
+        }
+        fleetDays.get(date).wallets.add(update.wallet);
+        wallet.balance = update.balance;
+        wallet.referralBonus = update.referralBonus ?? wallet.referralBonus;
+        wallet.days.get(date).balance = update.balance;
+    }
+
+    return {
+        from,
+        to,
+        fleet: { wallets: wallets.size, ...finishTotals(fleet) },
+        daily: [...fleetDays]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([date, day]) => ({ date, wallets: day.wallets.size, ...finishTotals(day.totals) })),
+        wallets: [...wallets.values()].map(wallet => ({
+            wallet: wallet.wallet,
+            ...finishTotals(wallet.totals),
+            balance: wallet.balance,
+            referralBonus: wallet.referralBonus,
+            daily: [...wallet.days]
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([date, totals]) => ({ date, ...finishTotals(totals), balance: totals.balance }))
+        }))
+    };
+}
+
+function createTotals() {
+    return { updates: 0, earned: 0, bonusEarned: 0, miningTime: 0, timedEarned: 0, firstUpdate: null, lastUpdate: null };
+}
+
+function addUpdate(totals, { time, earned, elapsed, referralBonus }) {
+    totals.updates++;
+    totals.earned += earned;
+    // Earnings are sent with the bonus applied: earned = base * (1 + referralBonus)
+    if (referralBonus > 0) {
+        totals.bonusEarned += earned - earned / (1 + referralBonus);
+    }
+    // Updates recorded before mining time was stored can't count towards the hourly rate
+    if (typeof elapsed === 'number') {
+        totals.miningTime += elapsed;
+        totals.timedEarned += earned;
+    }
+    totals.firstUpdate ??= time;
+    totals.lastUpdate = time;
+}
+
+function finishTotals({ updates, earned, bonusEarned, miningTime, timedEarned, firstUpdate, lastUpdate }) {
+    const uptimeHours = miningTime / HOUR;
+    return {
+        updates,
+        earned,
+        baseEarned: earned - bonusEarned,
+        bonusEarned,
+        uptimeHours,
+        perHour: uptimeHours > 0 ? timedEarned / uptimeHours : null,
+        firstUpdate,
+        lastUpdate
+    };
+}
+
+/**
+ * Prints the earnings recorded in the session store over a date range
+ * @param {Object} options - Command options
+ * @param {string|null} options.from - First time included (ISO timestamp)
+ * @param {string|null} options.to - First time excluded (ISO timestamp)
+ * @param {string} options.format - 'table', 'csv' or 'json'
+ * @param {string|null} options.output - File to write instead of stdout
+ * @param {Object} config - Resolved configuration
+ * @returns {Promise<number>} - Process exit code
+ */
+export async function reportCommand({ from = null, to = null, format = 'table', output = null } = {}, config) {
+    const store = createSessionStore(config);
+    let updates;
+    try {
+        updates = await store.listUpdates({ from, to });
+    } finally {
+        await store.close();
+    }
+
+    if (updates.length === 0) {
+        console.error(chalk.yellow(`No balance updates${describeRange({ from, to })} found in ${describeSessionStore(config)}`));
+        return EXIT_CODES.FAILURE;
+    }
+
+    const report = buildEarningsReport(updates, { from, to });
+    const text = format === 'json'
+        ? JSON.stringify(report, null, 2)
+        : format === 'csv' ? formatReportCsv(report) : formatReportTable(report);
+
+    if (output) {
+        await fs.writeFile(output, `${text}\n`);
+        console.error(chalk.green(`Report of ${report.fleet.updates} updates written to ${output}`));
+    } else {
+        console.log(text);
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Wallet value of the fleet rows in the CSV report, and date value of its total row
+ */
+const CSV_FLEET = '*';
+
+/**
+ * One row per wallet and day, for spreadsheets. Each day ends with a fleet
+ * row (wallet "*"), and a last row (date and wallet "*") totals the range.
+ */
+function formatReportCsv(report) {
+    const walletDays = report.wallets.flatMap(wallet => wallet.daily.map(day => ({ ...day, wallet: wallet.wallet })));
+    const fleetDays = report.daily.map(day => ({ ...day, wallet: CSV_FLEET, balance: null }));
+    const fleetBalance = report.wallets.reduce((sum, wallet) => sum + (wallet.balance ?? 0), 0);
+    return formatCsv([
+        'date', 'wallet', 'updates', 'earned', 'baseEarned', 'bonusEarned', 'uptimeHours', 'perHour', 'balance'
+    ], [
+        ...[...walletDays, ...fleetDays].sort((a, b) => a.date.localeCompare(b.date)
+            || (a.wallet === CSV_FLEET) - (b.wallet === CSV_FLEET)
+            || a.wallet.localeCompare(b.wallet)),
+        { ...report.fleet, date: CSV_FLEET, wallet: CSV_FLEET, balance: fleetBalance }
+    ]);
+}
+
+function formatReportTable(report) {
+    const kldo = value => (typeof value === 'number' ? value.toFixed(8) : '-');
+    const columns = [
+        { key: 'updates', title: 'Updates', align: 'right' },
+        { key: 'earned', title: 'Earned (KLDO)', align: 'right' },
+        { key: 'bonusEarned', title: 'Referral bonus', align: 'right' },
+        { key: 'uptime', title: 'Uptime', align: 'right' },
+        { key: 'perHour', title: 'KLDO/h', align: 'right' }
+    ];
+    const format = totals => ({
+        ...totals,
+        earned: kldo(totals.earned),
+        bonusEarned: kldo(totals.bonusEarned),
+        uptime: formatDuration(totals.uptimeHours * HOUR),
+        perHour: kldo(totals.perHour)
+    });
+    const { fleet } = report;
+
+    return [
+        chalk.green(`=== Earnings ${describeRange(report) || `from ${fleet.firstUpdate} to ${fleet.lastUpdate}`} ===`),
+        '',
+        formatTable([
+            { key: 'wallet', title: 'Wallet' },
+            ...columns,
+            { key: 'referralBonus', title: 'Referral', align: 'right' },
+            { key: 'balance', title: 'Balance (KLDO)', align: 'right' }
+        ], report.wallets.map(wallet => ({
+            ...format(wallet),
+            referralBonus: typeof wallet.referralBonus === 'number' ? `+${(wallet.referralBonus * 100).toFixed(1)}%` : '-',
+            balance: kldo(wallet.balance)
+        }))),
+        '',
+        formatTable([
+            { key: 'date', title: 'Day (UTC)' },
+            { key: 'wallets', title: 'Wallets', align: 'right' },
+            ...columns
+        ], report.daily.map(format)),
+        '',
+        `Wallets: ${fleet.wallets} | Earned: ${chalk.cyan(kldo(fleet.earned))} KLDO, ${kldo(fleet.bonusEarned)} of it from referral bonuses | Uptime: ${formatDuration(fleet.uptimeHours * HOUR)} | ${kldo(fleet.perHour)} KLDO/h`
+    ].join('\n');
+}
+
+function describeRange({ from, to }) {
+    if (from && to) return ` from ${from} to ${to}`;
+    if (from) return ` since ${from}`;
+    if (to) return ` before ${to}`;
+    return '';
+}
@@ -0,0 +1,67 @@
+// src/cli/sessionFiles.js
+import path from 'path';
+import { createSessionStore } from '../storage/index.js';
+import { applyProfile } from '../config/configLoader.js';
+
+/**
+ * Reads every saved session from the configured store without contacting the API.
+ * Older session formats are migrated in memory; nothing is written.
+ * @param {Object} config - Resolved configuration
+ * @returns {Promise<Array<{wallet: string, session: Object|null, modified: Date|null, error: string|null}>>}
+ */
+export async function readSessions(config) {
+    const store = createSessionStore(config);
+    try {
+        return await store.list();
+    } finally {
+        await store.close();
+    }
+}
+
+/**
+ * Reads the saved sessions of every profile, each tagged with its profile name.
+ * Falls back to the configured store for a config without resolved profiles.
+ * @param {Object} config - Resolved configuration
+ * @returns {Promise<Array<{profile: string|null, wallet: string, session: Object|null, modified: Date|null, error: string|null}>>}
+ */
+export async function readAllSessions(config) {
+    const names = Object.keys(config.profiles ?? {}).filter(name => config.profiles[name].storageDir);
+    if (names.length === 0) {
+        return (await readSessions(config)).map(entry => ({ profile: config.profile ?? null, ...entry }));
+    }
+
+    const results = [];
+    for (const name of names) {
+        const sessions = await readSessions(applyProfile(config, name));
+        results.push(...sessions.map(entry => ({ profile: name, ...entry })));
+    }
+    return results;
+}
+
+/**
+ * Describes where sessions are stored, for messages
+ * @param {Object} config - Resolved configuration
+ * @returns {string} - Session directory or database file
+ */
+export function describeSessionStore(config) {
+    const { backend, dir, sqliteFile } = config.storage;
+    return backend === 'sqlite' ? path.resolve(dir, sqliteFile) : dir;
+}
+
+/**
+ * Formats a duration in milliseconds as e.g. "2d 3h 4m"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Human readable duration
+ */
+export function formatDuration(ms) {
+    if (!Number.isFinite(ms) || ms < 0) {
+        return '-';
+    }
+    const totalMinutes = Math.floor(ms / 60000);
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+    if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m`;
+}
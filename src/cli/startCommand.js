@@ -0,0 +1,127 @@
+// src/cli/startCommand.js
+import chalk from 'chalk';
+import { MiningCoordinator } from '../services/MiningCoordinator.js';
+import { formatTable } from '../ui/table.js';
+import { Dashboard } from '../ui/dashboard.js';
+import { ControlServer } from '../control/ControlServer.js';
+import { FleetMetrics } from '../services/FleetMetrics.js';
+import { HealthFile } from '../services/HealthFile.js';
+import { Notifier } from '../notifications/Notifier.js';
+import { displayBanner } from '../ui/banner.js';
+import { COORDINATOR_EVENTS } from '../services/events.js';
+import { logger } from '../utils/logger.js';
+import { getProxyHost } from '../utils/utils.js';
+import { EXIT_CODES } from '../config/constants.js';
+
+/**
+ * Prints the wallets a run would use, without contacting the API
+ * @param {Array} plans - Result of MiningCoordinator.planBots()
+ */
+export function printPlan(plans) {
+    console.log(formatTable([
+        { key: 'botIndex', title: '#', align: 'right' },
+        { key: 'wallet', title: 'Wallet' },
+        { key: 'label', title: 'Label' },
+        { key: 'group', title: 'Group' },
+        { key: 'proxy', title: 'Proxy' },
+        { key: 'profile', title: 'Profile' },
+        { key: 'worker', title: 'Worker' },
+        { key: 'pool', title: 'Pool' },
+        { key: 'interval', title: 'Interval', align: 'right' },
+        { key: 'status', title: 'Status' }
+    ], plans.map(plan => ({
+        botIndex: plan.botIndex,
+        wallet: plan.wallet || '-',
+        label: plan.config?.label ?? '',
+        group: plan.config?.group ?? '',
+        proxy: getProxyHost(plan.proxy),
+        profile: plan.config?.profile ?? '',
+        worker: plan.config?.mining.worker ?? '',
+        pool: plan.config?.mining.pool ?? '',
+        interval: plan.config ? `${plan.config.mining.updateInterval / 1000}s` : '',
+        status: plan.skipReason ? chalk.yellow(plan.skipReason) : chalk.green('ready')
+    }))));
+}
+
+/**
+ * Starts mining for all or a subset of wallets
+ * @param {Object} options - Command options
+ * @param {Array<number|string>} options.selectors - Wallet indexes or addresses to start
+ * @param {boolean} options.dryRun - Only print the wallets that would be started
+ * @param {boolean} options.dashboard - Show the full-screen dashboard instead of log lines
+ * @param {Object} config - Resolved configuration
+ * @returns {Promise<number|null>} - Exit code, or null while the miners keep running
+ */
+export async function startCommand({ selectors = [], dryRun = false, dashboard = false }, config) {
+    const coordinator = new MiningCoordinator({ config });
+
+    if (dryRun) {
+        const plans = coordinator.planBots(await coordinator.loadWallets(), selectors);
+        if (plans.length === 0) {
+            console.error(chalk.red('No wallets matched'));
+            return EXIT_CODES.FAILURE;
+        }
+        printPlan(plans);
+        console.log(chalk.blue(`\nDry run: ${plans.filter(plan => !plan.skipReason).length} of ${plans.length} wallets would be started`));
+        return EXIT_CODES.SUCCESS;
+    }
+
+    displayBanner();
+    if (config.notifications.sinks.length > 0) {
+        // Listen before starting so failed initializations are reported; the final summary is sent before exiting
+        const notifier = new Notifier(coordinator, config.notifications);
+        coordinator.addShutdownTask(() => notifier.flush());
+    }
+    await coordinator.start({ selectors });
+    try {
+        // Only after start(), so a run refused by the PID lock doesn't touch the running miner's file
+        if (config.lifecycle.healthFile) {
+            const healthFile = new HealthFile(coordinator, { file: config.lifecycle.healthFile, interval: config.lifecycle.healthInterval });
+            coordinator.addShutdownTask(() => healthFile.stop());
+            await healthFile.start();
+        }
+
+        if (config.control.enabled || config.metrics.enabled) {
+            // POST /shutdown takes the same path as Ctrl+C
+            const control = new ControlServer(coordinator, {
+                ...config.control,
+                onShutdown: () => coordinator.shutdownAndExit(),
+                controlEnabled: config.control.enabled,
+                metrics: config.metrics.enabled ? new FleetMetrics(coordinator) : null,
+                metricsRequireToken: config.metrics.requireToken
+            });
+            await control.start();
+            coordinator.once(COORDINATOR_EVENTS.SHUTTING_DOWN, () => control.stop());
+        }
+    } catch (error) {
+        // e.g. the control port is taken: stop the miners with their final updates and release the lock before failing
+        logger.error(`Start-up failed: ${error.message}`, { operation: 'start' });
+        await coordinator.stop();
+        await coordinator.runShutdownTasks();
+        throw error;
+    }
+
+    // Ctrl+C and SIGTERM stop the miners and end the process; SIGUSR2 logs a health report; SIGHUP reloads the wallet list
+    coordinator.setupShutdownHandler();
+    coordinator.setupHealthReportHandler();
+    coordinator.setupReloadHandler();
+    if (config.reload.watch) {
+        coordinator.watchWalletFiles();
+    }
+
+    if (dashboard) {
+        if (!process.stdout.isTTY) {
+            logger.warn('--dashboard needs a terminal, falling back to log output');
+            return null;
+        }
+        // The dashboard owns the terminal until shutdown; log files keep receiving records
+        const view = new Dashboard(coordinator);
+        logger.configure({ console: false });
+        coordinator.once(COORDINATOR_EVENTS.SHUTTING_DOWN, () => {
+            view.stop();
+            logger.configure({ console: true });
+        });
+        view.start();
+    }
+    return null;
+}
@@ -0,0 +1,89 @@
+// src/cli/statusCommand.js
+import chalk from 'chalk';
+import { readAllSessions, describeSessionStore, formatDuration } from './sessionFiles.js';
+import { formatTable } from '../ui/table.js';
+import { EXIT_CODES } from '../config/constants.js';
+
+/**
+ * Prints the state of every wallet from the saved sessions of every profile, without contacting the API
+ * @param {Object} options - Command options
+ * @param {Array<number|string>} options.selectors - Addresses, labels or "group:<name>" to limit the output to;
+ *   labels and groups come from the `wallets` entries that name an address
+ * @param {boolean} options.json - Print JSON instead of a table
+ * @param {Object} config - Resolved configuration
+ * @returns {Promise<number>} - Process exit code
+ */
+export async function statusCommand({ selectors = [], json = false } = {}, config) {
+    const names = new Map((config.wallets || [])
+        .filter(entry => entry.address)
+        .map(entry => [entry.address.toLowerCase(), { label: entry.label ?? null, group: entry.group ?? null }]));
+    const wanted = selectors.map(selector => String(selector).toLowerCase());
+    const sessions = (await readAllSessions(config))
+        .map(entry => ({ ...entry, label: null, group: null, ...names.get(entry.wallet) }))
+        .filter(({ wallet, label, group }) => wanted.length === 0
+            || wanted.includes(wallet)
+            || (label && wanted.includes(label.toLowerCase()))
+            || (group && wanted.includes(`group:${group.toLowerCase()}`)));
+
+    if (sessions.length === 0) {
+        console.error(chalk.yellow(`No sessions${wanted.length > 0 ? ' of the selected wallets' : ''} found in ${config.storage.root ? `any profile under ${config.storage.root}` : describeSessionStore(config)}`));
+        return EXIT_CODES.FAILURE;
+    }
+
+    const now = Date.now();
+    const rows = sessions.map(({ profile, wallet, label, group, session, modified, error }) => ({
+        profile,
+        wallet,
+        label,
+        group,
+        startTime: session?.startTime ? new Date(session.startTime).toISOString() : null,
+        runningFor: session?.startTime ? formatDuration(now - session.startTime) : null,
+        balance: session?.earnings?.total ?? null,
+        referralBonus: session?.referralBonus ?? null,
+        lastUpdate: session?.lastUpdate ?? (modified ? modified.toISOString() : null),
+        drift: session?.reconciliation?.drift ?? null,
+        flaggedUpdates: session?.reconciliation?.flaggedTicks ?? null,
+        lastFlags: session?.reconciliation?.lastFlags ?? [],
+        error
+    }));
+
+    if (json) {
+        console.log(JSON.stringify(rows, null, 2));
+    } else {
+        console.log(formatTable([
+            { key: 'wallet', title: 'Wallet' },
+            { key: 'label', title: 'Label' },
+            { key: 'group', title: 'Group' },
+            { key: 'profile', title: 'Profile' },
+            { key: 'startTime', title: 'Started' },
+            { key: 'runningFor', title: 'Since start', align: 'right' },
+            { key: 'balance', title: 'Balance (KLDO)', align: 'right' },
+            { key: 'referralBonus', title: 'Referral', align: 'right' },
+            { key: 'lastUpdate', title: 'Last update' },
+            { key: 'drift', title: 'Drift (KLDO)', align: 'right' }
+        ], rows.map(row => row.error
+            ? { wallet: row.wallet, label: row.label, group: row.group, profile: row.profile, startTime: chalk.red(`unreadable: ${row.error}`) }
+            : {
+                ...row,
+                balance: typeof row.balance === 'number' ? row.balance.toFixed(8) : '-',
+                referralBonus: typeof row.referralBonus === 'number' ? `+${(row.referralBonus * 100).toFixed(1)}%` : '-',
+                drift: formatDrift(row)
+            })));
+    }
+
+    return rows.some(row => row.error) ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Drift column: total drift and the updates flagged by the earnings check
+ */
+function formatDrift({ drift, flaggedUpdates, lastFlags }) {
+    if (typeof drift !== 'number') {
+        return '-';
+    }
+    if (!flaggedUpdates) {
+        return chalk.green('0');
+    }
+    const sign = drift >= 0 ? '+' : '';
+    return chalk.yellow(`${sign}${drift.toFixed(8)} (${flaggedUpdates} flagged, last: ${lastFlags.join(', ')})`);
+}
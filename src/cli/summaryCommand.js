@@ -0,0 +1,48 @@
+// src/cli/summaryCommand.js
+import chalk from 'chalk';
+import { readSessions, describeSessionStore } from './sessionFiles.js';
+import { EXIT_CODES } from '../config/constants.js';
+
+/**
+ * Totals the earnings recorded in the saved sessions
+ * @param {Object} options - Command options
+ * @param {boolean} options.json - Print JSON instead of text
+ * @param {Object} config - Resolved configuration
+ * @returns {Promise<number>} - Process exit code
+ */
+export async function summaryCommand({ json = false } = {}, config) {
+    const sessions = await readSessions(config);
+    const balances = sessions
+        .filter(entry => typeof entry.session?.earnings?.total === 'number')
+        .map(entry => ({ wallet: entry.wallet, balance: entry.session.earnings.total }));
+
+    if (balances.length === 0) {
+        console.error(chalk.yellow(`No sessions with earnings found in ${describeSessionStore(config)}`));
+        return EXIT_CODES.FAILURE;
+    }
+
+    const total = balances.reduce((sum, entry) => sum + entry.balance, 0);
+    const top = balances.reduce((best, entry) => entry.balance > best.balance ? entry : best);
+    const summary = {
+        wallets: balances.length,
+        unreadable: sessions.length - balances.length,
+        totalBalance: total,
+        averageBalance: total / balances.length,
+        topWallet: top.wallet,
+        topBalance: top.balance
+    };
+
+    if (json) {
+        console.log(JSON.stringify(summary, null, 2));
+    } else {
+        console.log(chalk.green(`
+        === Earnings Summary ===
+        Wallets: ${summary.wallets}${summary.unreadable > 0 ? chalk.red(` (${summary.unreadable} unreadable)`) : ''}
+        Total Balance: ${chalk.cyan(summary.totalBalance.toFixed(8))} KLDO
+        Average Balance: ${summary.averageBalance.toFixed(8)} KLDO
+        Top Wallet: ${summary.topWallet} (${summary.topBalance.toFixed(8)} KLDO)
+        `));
+    }
+
+    return summary.unreadable > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+}
@@ -0,0 +1,487 @@
+// src/config/configLoader.js
+import * as fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { API_CONFIG, MINING_CONFIG, PROFILE_CONFIG, FILE_PATHS, STORAGE_CONFIG, SUPERVISOR_CONFIG, SCHEDULER_CONFIG, RECONCILIATION_CONFIG, PROXY_CONFIG, LIFECYCLE_CONFIG, CONTROL_CONFIG, METRICS_CONFIG, RELOAD_CONFIG, NOTIFICATION_CONFIG, LOGGING_CONFIG, DEBUG } from './constants.js';
+import { CONFIG_SCHEMA, validateSchema, getSchemaNode } from './schema.js';
+import { getRootDir } from '../utils/utils.js';
+import { LOG_LEVELS } from '../utils/logger.js';
+
+/**
+ * Config file names looked up in the project root when no --config is given
+ */
+export const DEFAULT_CONFIG_FILES = ['kaleido.config.json', 'kaleido.config.yaml', 'kaleido.config.yml'];
+
+/**
+ * Environment variables mapped onto config paths
+ */
+export const ENV_VARIABLES = {
+    KALEIDO_API_BASE_URL: 'api.baseUrl',
+    KALEIDO_API_TIMEOUT: 'api.timeout',
+    KALEIDO_PROFILE: 'profile',
+    KALEIDO_UPDATE_INTERVAL: 'mining.updateInterval',
+    KALEIDO_RETRY_ATTEMPTS: 'mining.retryAttempts',
+    KALEIDO_RETRY_DELAY: 'mining.retryDelay',
+    KALEIDO_PRIVATE_KEYS_FILE: 'files.privateKeys',
+    KALEIDO_PROXIES_FILE: 'files.proxies',
+    KALEIDO_KEYSTORE_DIR: 'files.keystoreDir',
+    KALEIDO_STORAGE_BACKEND: 'storage.backend',
+    KALEIDO_STORAGE_DIR: 'storage.dir',
+    KALEIDO_CONCURRENCY: 'scheduler.concurrency',
+    KALEIDO_REQUESTS_PER_SECOND: 'scheduler.requestsPerSecond',
+    KALEIDO_EARNINGS_AUDIT: 'reconciliation.audit',
+    KALEIDO_PROXY_CHECK_URL: 'proxy.checkUrl',
+    KALEIDO_CONTROL_ENABLED: 'control.enabled',
+    KALEIDO_CONTROL_PORT: 'control.port',
+    KALEIDO_CONTROL_TOKEN: 'control.token',
+    KALEIDO_METRICS_ENABLED: 'metrics.enabled',
+    KALEIDO_RELOAD_WATCH: 'reload.watch',
+    KALEIDO_HEALTH_FILE: 'lifecycle.healthFile',
+    KALEIDO_LOG_LEVEL: 'logging.level',
+    KALEIDO_LOG_FORMAT: 'logging.format',
+    KALEIDO_LOG_DIR: 'logging.dir',
+    KALEIDO_VERBOSE: 'debug.verbose',
+    KALEIDO_LOG_API_RESPONSES: 'debug.logApiResponses',
+    KALEIDO_LOG_ERRORS: 'debug.logErrors'
+};
+
+/**
+ * Error raised when the configuration cannot be loaded or fails validation
+ */
+export class ConfigError extends Error {
+    constructor(message, errors = []) {
+        super(errors.length > 0 ? `${message}:\n  - ${errors.join('\n  - ')}` : message);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Builds the default configuration from the constants module
+ * @returns {Object} - Default configuration
+ */
+export function getDefaultConfig() {
+    return {
+        api: {
+            baseUrl: API_CONFIG.BASE_URL,
+            headers: { ...API_CONFIG.HEADERS },
+            timeout: API_CONFIG.TIMEOUT
+        },
+        mining: {
+            updateInterval: MINING_CONFIG.UPDATE_INTERVAL,
+            defaultHashrate: MINING_CONFIG.DEFAULT_HASHRATE,
+            defaultEfficiency: MINING_CONFIG.DEFAULT_EFFICIENCY,
+            defaultPowerUsage: MINING_CONFIG.DEFAULT_POWER_USAGE,
+            earningsRate: MINING_CONFIG.EARNINGS_RATE,
+            retryAttempts: MINING_CONFIG.RETRY_ATTEMPTS,
+            retryDelay: MINING_CONFIG.RETRY_DELAY,
+            retryMaxDelay: MINING_CONFIG.RETRY_MAX_DELAY,
+            retryJitter: MINING_CONFIG.RETRY_JITTER,
+            circuitBreakerThreshold: MINING_CONFIG.CIRCUIT_BREAKER_THRESHOLD,
+            circuitBreakerCooldown: MINING_CONFIG.CIRCUIT_BREAKER_COOLDOWN,
+            registrationRefreshInterval: MINING_CONFIG.REGISTRATION_REFRESH_INTERVAL,
+            worker: MINING_CONFIG.DEFAULT_WORKER,
+            pool: MINING_CONFIG.DEFAULT_POOL
+        },
+        profile: PROFILE_CONFIG.DEFAULT,
+        profiles: structuredClone(PROFILE_CONFIG.BUILT_IN),
+        files: {
+            privateKeys: FILE_PATHS.PRIVATE_KEYS,
+            proxies: FILE_PATHS.PROXIES,
+            keystoreDir: FILE_PATHS.KEYSTORE_DIR
+        },
+        storage: {
+            backend: STORAGE_CONFIG.BACKEND,
+            dir: STORAGE_CONFIG.DIR,
+            sqliteFile: STORAGE_CONFIG.SQLITE_FILE
+        },
+        supervisor: {
+            restartDelay: SUPERVISOR_CONFIG.RESTART_DELAY,
+            restartMaxDelay: SUPERVISOR_CONFIG.RESTART_MAX_DELAY,
+            maxRestarts: SUPERVISOR_CONFIG.MAX_RESTARTS
+        },
+        scheduler: {
+            concurrency: SCHEDULER_CONFIG.CONCURRENCY,
+            requestsPerSecond: SCHEDULER_CONFIG.REQUESTS_PER_SECOND,
+            startupStagger: SCHEDULER_CONFIG.STARTUP_STAGGER,
+            tickResolution: SCHEDULER_CONFIG.TICK_RESOLUTION
+        },
+        reconciliation: {
+            tolerance: RECONCILIATION_CONFIG.TOLERANCE,
+            minDrift: RECONCILIATION_CONFIG.MIN_DRIFT,
+            clockJumpThreshold: RECONCILIATION_CONFIG.CLOCK_JUMP_THRESHOLD,
+            audit: RECONCILIATION_CONFIG.AUDIT,
+            auditDir: RECONCILIATION_CONFIG.AUDIT_DIR
+        },
+        proxy: {
+            checkUrl: PROXY_CONFIG.CHECK_URL,
+            checkTimeout: PROXY_CONFIG.CHECK_TIMEOUT,
+            quarantineThreshold: PROXY_CONFIG.QUARANTINE_THRESHOLD,
+            quarantineCooldown: PROXY_CONFIG.QUARANTINE_COOLDOWN
+        },
+        lifecycle: {
+            botStopTimeout: LIFECYCLE_CONFIG.BOT_STOP_TIMEOUT,
+            shutdownTimeout: LIFECYCLE_CONFIG.SHUTDOWN_TIMEOUT,
+            lockFile: LIFECYCLE_CONFIG.LOCK_FILE,
+            healthFile: LIFECYCLE_CONFIG.HEALTH_FILE,
+            healthInterval: LIFECYCLE_CONFIG.HEALTH_INTERVAL
+        },
+        control: {
+            enabled: CONTROL_CONFIG.ENABLED,
+            host: CONTROL_CONFIG.HOST,
+            port: CONTROL_CONFIG.PORT,
+            token: CONTROL_CONFIG.TOKEN,
+            tokenFile: CONTROL_CONFIG.TOKEN_FILE,
+            allowOrigin: CONTROL_CONFIG.ALLOW_ORIGIN
+        },
+        metrics: {
+            enabled: METRICS_CONFIG.ENABLED,
+            requireToken: METRICS_CONFIG.REQUIRE_TOKEN
+        },
+        reload: {
+            watch: RELOAD_CONFIG.WATCH,
+            debounce: RELOAD_CONFIG.DEBOUNCE
+        },
+        notifications: {
+            sinks: [...NOTIFICATION_CONFIG.SINKS],
+            events: [...NOTIFICATION_CONFIG.EVENTS],
+            failureThreshold: NOTIFICATION_CONFIG.FAILURE_THRESHOLD,
+            milestoneStep: NOTIFICATION_CONFIG.MILESTONE_STEP,
+            throttle: NOTIFICATION_CONFIG.THROTTLE,
+            timeout: NOTIFICATION_CONFIG.TIMEOUT
+        },
+        logging: {
+            level: LOGGING_CONFIG.LEVEL,
+            format: LOGGING_CONFIG.FORMAT,
+            dir: LOGGING_CONFIG.DIR,
+            maxFileBytes: LOGGING_CONFIG.MAX_FILE_BYTES,
+            maxFiles: LOGGING_CONFIG.MAX_FILES
+        },
+        debug: {
+            verbose: DEBUG.VERBOSE,
+            logApiResponses: DEBUG.LOG_API_RESPONSES,
+            logErrors: DEBUG.LOG_ERRORS
+        },
+        groups: {},
+        wallets: []
+    };
+}
+
+/**
+ * Checks whether a value is a plain object
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep merges source into target. Arrays and scalars in source replace those in target.
+ * @param {Object} target - Base object (not modified)
+ * @param {Object} source - Overrides
+ * @returns {Object} - Merged copy
+ */
+export function mergeConfig(target, source) {
+    const result = { ...target };
+    for (const [key, value] of Object.entries(source || {})) {
+        if (value === undefined) {
+            continue;
+        }
+        result[key] = isPlainObject(value) && isPlainObject(target[key])
+            ? mergeConfig(target[key], value)
+            : value;
+    }
+    return result;
+}
+
+/**
+ * Sets a value on a nested object using a dotted path
+ * @param {Object} target - Object to modify
+ * @param {string} dottedPath - Path such as "mining.updateInterval"
+ * @param {*} value - Value to set
+ */
+export function setPath(target, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(node[key])) {
+            node[key] = {};
+        }
+        node = node[key];
+    }
+    node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Converts a string from an environment variable or CLI flag to the type the schema expects.
+ * Values that cannot be converted are returned unchanged so validation reports them.
+ * @param {string} dottedPath - Config path the value belongs to
+ * @param {string} raw - Raw string value
+ * @returns {*} - Converted value
+ */
+export function coerceValue(dottedPath, raw) {
+    const node = getSchemaNode(dottedPath);
+    if (!node || typeof raw !== 'string') {
+        return raw;
+    }
+
+    switch (node.type) {
+        case 'integer':
+        case 'number': {
+            const number = Number(raw);
+            return raw.trim() !== '' && !Number.isNaN(number) ? number : raw;
+        }
+        case 'boolean':
+            if (['true', '1', 'yes', 'on'].includes(raw.toLowerCase())) return true;
+            if (['false', '0', 'no', 'off'].includes(raw.toLowerCase())) return false;
+            return raw;
+        default:
+            return raw;
+    }
+}
+
+/**
+ * Collects config overrides from environment variables
+ * @param {Object} env - Environment (usually process.env)
+ * @returns {Object} - Partial config
+ */
+export function configFromEnv(env) {
+    const overrides = {};
+    for (const [name, dottedPath] of Object.entries(ENV_VARIABLES)) {
+        if (env[name] !== undefined && env[name] !== '') {
+            setPath(overrides, dottedPath, coerceValue(dottedPath, env[name]));
+        }
+    }
+    return overrides;
+}
+
+/**
+ * Reads and parses a JSON or YAML config file
+ * @param {string} filePath - Config file path
+ * @returns {Promise<Object>} - Parsed config
+ */
+async function readConfigFile(filePath) {
+    let content;
+    try {
+        content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        throw new ConfigError(`Cannot read config file ${filePath}: ${error.message}`);
+    }
+
+    try {
+        const parsed = /\.ya?ml$/i.test(filePath) ? YAML.parse(content) : JSON.parse(content);
+        return parsed ?? {};
+    } catch (error) {
+        throw new ConfigError(`Cannot parse config file ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Finds the first default config file that exists in any of the directories
+ * @param {string[]} dirs - Directories to search, in order
+ * @returns {Promise<string|null>} - Config file path or null
+ */
+async function findDefaultConfigFile(dirs) {
+    for (const dir of dirs) {
+        for (const name of DEFAULT_CONFIG_FILES) {
+            const candidate = path.join(dir, name);
+            try {
+                await fs.access(candidate);
+                return candidate;
+            } catch (error) {
+                // Try the next candidate
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Loads the configuration. Layers, lowest precedence first:
+ * built-in defaults, config file, environment variables, CLI overrides.
+ * Without --config the default files are looked up in the working directory, then the
+ * install directory. Relative paths resolve against the config file's directory, or the
+ * working directory when there is no config file (the install directory may be a global
+ * node_modules).
+ * @param {Object} options - Loader options
+ * @param {string} [options.configPath] - Explicit config file (also read from KALEIDO_CONFIG)
+ * @param {Object} [options.env] - Environment variables
+ * @param {Object} [options.overrides] - Partial config from CLI flags
+ * @returns {Promise<Object>} - Resolved and validated configuration
+ */
+export async function loadConfig({ configPath, env = process.env, overrides = {} } = {}) {
+    const explicitPath = configPath || env.KALEIDO_CONFIG;
+    const filePath = explicitPath ? path.resolve(explicitPath) : await findDefaultConfigFile([process.cwd(), getRootDir()]);
+    const fileConfig = filePath ? await readConfigFile(filePath) : {};
+
+    if (!isPlainObject(fileConfig)) {
+        throw new ConfigError(`Config file ${filePath} must contain an object`);
+    }
+
+    // Validate each layer on its own so errors point at the source that caused them
+    const layers = [
+        [filePath || 'config file', fileConfig],
+        ['environment', configFromEnv(env)],
+        ['command line', overrides]
+    ];
+    const errors = [];
+    for (const [source, layer] of layers) {
+        errors.push(...validateSchema(layer, CONFIG_SCHEMA, 'config').map(error => `${error} (from ${source})`));
+    }
+    if (errors.length > 0) {
+        throw new ConfigError('Invalid configuration', errors);
+    }
+
+    const merged = layers.reduce((config, [, layer]) => mergeConfig(config, layer), getDefaultConfig());
+    return finalizeConfig(merged, filePath ? path.dirname(filePath) : process.cwd(), filePath);
+}
+
+/**
+ * Builds a resolved configuration from a partial config object, without reading files
+ * or the environment. Used when the miner is embedded as a library.
+ * @param {Object} partial - Settings to apply over the defaults (same shape as the config file)
+ * @param {Object} options - Options
+ * @param {string} options.baseDir - Directory that relative file paths are resolved against
+ * @returns {Object} - Resolved configuration
+ * @throws {ConfigError} - If the settings fail validation
+ */
+export function createConfig(partial = {}, { baseDir = process.cwd() } = {}) {
+    if (!isPlainObject(partial)) {
+        throw new ConfigError('Config must be an object');
+    }
+    const errors = validateSchema(partial, CONFIG_SCHEMA, 'config');
+    if (errors.length > 0) {
+        throw new ConfigError('Invalid configuration', errors);
+    }
+    return finalizeConfig(mergeConfig(getDefaultConfig(), partial), path.resolve(baseDir), null);
+}
+
+/**
+ * Resolves paths and derived settings of a merged configuration
+ * @param {Object} merged - Defaults with every layer applied
+ * @param {string} baseDir - Directory that relative file paths are resolved against
+ * @param {string|null} configFile - Config file the settings came from
+ * @returns {Object} - Resolved configuration
+ */
+function finalizeConfig(merged, baseDir, configFile) {
+    const storageRoot = path.resolve(baseDir, merged.storage.dir);
+    const profiles = resolveProfiles(merged, storageRoot);
+    const unknown = [merged.profile, ...merged.wallets.map(entry => entry.profile), ...Object.values(merged.groups).map(group => group.profile)]
+        .filter(name => name !== undefined && !profiles[name]);
+    const errors = [...new Set(unknown)].map(name => `profile "${name}" is not defined; known profiles: ${Object.keys(profiles).join(', ')}`);
+    const labels = merged.wallets.map(entry => entry.label?.toLowerCase()).filter(Boolean);
+    errors.push(...[...new Set(labels.filter((label, i) => labels.indexOf(label) !== i))].map(label => `label "${label}" is used by more than one wallet`));
+    if (errors.length > 0) {
+        throw new ConfigError('Invalid configuration', errors);
+    }
+
+    const selected = profiles[merged.profile];
+    return {
+        ...merged,
+        configFile,
+        baseDir,
+        profiles,
+        api: selected.api,
+        mining: selected.mining,
+        files: {
+            privateKeys: path.resolve(baseDir, merged.files.privateKeys),
+            proxies: path.resolve(baseDir, merged.files.proxies),
+            keystoreDir: path.resolve(baseDir, merged.files.keystoreDir)
+        },
+        storage: {
+            ...merged.storage,
+            root: storageRoot,
+            dir: selected.storageDir
+        },
+        lifecycle: {
+            ...merged.lifecycle,
+            healthFile: merged.lifecycle.healthFile ? path.resolve(baseDir, merged.lifecycle.healthFile) : null
+        },
+        control: {
+            ...merged.control,
+            tokenFile: path.resolve(baseDir, merged.storage.dir, merged.control.tokenFile)
+        },
+        logging: {
+            ...merged.logging,
+            level: resolveLogLevel(merged),
+            dir: merged.logging.dir ? path.resolve(baseDir, merged.logging.dir) : null
+        }
+    };
+}
+
+/**
+ * Resolves every profile to complete api and mining settings (the profile's
+ * over the top-level ones) and its session directory
+ * @param {Object} merged - Defaults with every layer applied
+ * @param {string} storageRoot - Resolved storage.dir
+ * @returns {Object<string, {api: Object, mining: Object, storageDir: string}>}
+ */
+function resolveProfiles(merged, storageRoot) {
+    return Object.fromEntries(Object.entries(merged.profiles).map(([name, profile]) => [name, {
+        api: mergeConfig(merged.api, profile.api),
+        mining: mergeConfig(merged.mining, profile.mining),
+        storageDir: name === PROFILE_CONFIG.ROOT_PROFILE ? storageRoot : path.join(storageRoot, PROFILE_CONFIG.DIR, name)
+    }]));
+}
+
+/**
+ * Switches a resolved configuration to another profile: its api and mining
+ * settings and its session directory
+ * @param {Object} config - Resolved configuration
+ * @param {string} name - Profile name
+ * @returns {Object} - Configuration of the profile
+ * @throws {ConfigError} - If the profile is not defined
+ */
+export function applyProfile(config, name) {
+    const profile = config.profiles?.[name];
+    if (!profile?.storageDir) {
+        throw new ConfigError(`Profile "${name}" is not defined`);
+    }
+    return {
+        ...config,
+        profile: name,
+        api: profile.api,
+        mining: profile.mining,
+        storage: { ...config.storage, dir: profile.storageDir }
+    };
+}
+
+/**
+ * Picks the most verbose of logging.level and the legacy debug flags
+ * @param {Object} config - Merged configuration
+ * @returns {string} - Effective log level
+ */
+function resolveLogLevel(config) {
+    const candidates = [config.logging.level];
+    if (config.debug.verbose) candidates.push('debug');
+    if (config.debug.logApiResponses) candidates.push('trace');
+    return candidates.reduce((most, level) => LOG_LEVELS[level] < LOG_LEVELS[most] ? level : most);
+}
+
+/**
+ * Resolves the effective configuration for a single wallet by applying its per-wallet override
+ * @param {Object} config - Resolved configuration
+ * @param {string} wallet - Wallet address
+ * @param {number} botIndex - 1-based position of the wallet in the key list
+ * @returns {Object} - Configuration with the wallet's mining overrides and profile (its own, else its group's)
+ *   applied, its `label` and `group` (null when not set) and a `disabled` flag
+ */
+export function resolveWalletConfig(config, wallet, botIndex) {
+    const override = (config.wallets || []).find(entry =>
+        (entry.address && entry.address.toLowerCase() === wallet.toLowerCase())
+        || (entry.address === undefined && entry.index === botIndex)
+    );
+
+    if (!override) {
+        return { ...config, label: null, group: null, disabled: false };
+    }
+
+    const { address, index, disabled = false, label = null, group = null, profile = config.groups?.[group]?.profile, ...miningOverrides } = override;
+    const base = profile && profile !== config.profile ? applyProfile(config, profile) : config;
+    return {
+        ...base,
+        mining: mergeConfig(base.mining, miningOverrides),
+        label,
+        group,
+        disabled
+    };
+}
@@ -1,4 +1,5 @@
 // src/config/constants.js
+// Built-in defaults. Override them with a config file, environment variables or CLI flags (see configLoader.js).
 
 /**
  * API configuration constants
@@ -25,7 +26,14 @@ export const MINING_CONFIG = {
     DEFAULT_POWER_USAGE: 120,
     EARNINGS_RATE: 0.0001,
     RETRY_ATTEMPTS: 5,       // More retry attempts
-    RETRY_DELAY: 3000        // 3 seconds between retries
+    RETRY_DELAY: 3000,       // First retry after 3 seconds, doubling after each attempt
+    RETRY_MAX_DELAY: 60000,  // Upper bound for a single backoff delay
+    RETRY_JITTER: 0.2,       // Randomize delays by up to ±20% so wallets don't retry in lockstep
+    CIRCUIT_BREAKER_THRESHOLD: 5,     // Consecutive failed updates before a wallet is paused
+    CIRCUIT_BREAKER_COOLDOWN: 300000, // Wait 5 minutes before probing the API again
+    REGISTRATION_REFRESH_INTERVAL: 3600000, // Re-check registration and referral bonus hourly (0 = only at start)
+    DEFAULT_WORKER: 'quantum-rig-1',
+    DEFAULT_POOL: 'quantum-1'
 };
 
 /**
@@ -33,11 +41,157 @@ export const MINING_CONFIG = {
  */
 export const FILE_PATHS = {
     PRIVATE_KEYS: 'pk.txt',
-    PROXIES: 'proxies.txt'
+    PROXIES: 'proxies.txt',
+    KEYSTORE_DIR: 'keystores'
 };
 
 /**
- * Debug settings
+ * API profiles (environments). A profile overrides the api and mining settings;
+ * the selected one applies to every wallet that doesn't pick another. Each
+ * profile keeps its sessions in its own directory, so balances from different
+ * environments never mix.
+ */
+export const PROFILE_CONFIG = {
+    DEFAULT: 'testnet',
+    BUILT_IN: {
+        testnet: {},                                                       // the API_CONFIG settings as they are
+        local: { api: { baseUrl: 'http://127.0.0.1:8787/api/testnet' } }  // `kaleido-miner mock-server`
+    },
+    ROOT_PROFILE: 'testnet', // Keeps its sessions in storage.dir itself, where they were before profiles
+    DIR: 'profiles'          // Session directories of the other profiles, inside storage.dir
+};
+
+/**
+ * Session storage settings
+ */
+export const STORAGE_CONFIG = {
+    BACKEND: 'file',          // 'file' (one JSON file per wallet) or 'sqlite'
+    DIR: 'session',           // Session directory, relative to the config file or working directory
+    SQLITE_FILE: 'kaleido.db' // Database file inside DIR for the sqlite backend
+};
+
+/**
+ * Restarting of failed wallets
+ */
+export const SUPERVISOR_CONFIG = {
+    RESTART_DELAY: 30000,        // First restart of a failed wallet after 30 seconds, doubling after each attempt
+    RESTART_MAX_DELAY: 1800000,  // Never wait more than 30 minutes between restarts
+    MAX_RESTARTS: 10             // Give up on a wallet after this many restarts in a row (0 disables restarts)
+};
+
+/**
+ * Request and timer scheduling shared by all wallets
+ */
+export const SCHEDULER_CONFIG = {
+    CONCURRENCY: 10,          // API requests in flight at once
+    REQUESTS_PER_SECOND: 10,  // Average API request rate (0 = unlimited)
+    STARTUP_STAGGER: 250,     // Delay between starting consecutive wallets (ms)
+    TICK_RESOLUTION: 100      // Timer wheel slot width (ms)
+};
+
+/**
+ * Checking the earnings the server credits against the ones sent
+ */
+export const RECONCILIATION_CONFIG = {
+    TOLERANCE: 0.01,                 // Credited earnings may differ from the sent ones by 1% before an update is flagged
+    MIN_DRIFT: 1e-8,                 // Differences below this many KLDO are rounding
+    CLOCK_JUMP_THRESHOLD: 5000,      // Wall clock and monotonic clock may disagree by 5 seconds per update
+    AUDIT: 'all',                    // Updates written to the audit log: 'all', 'flagged' or 'off'
+    AUDIT_DIR: 'audit'               // Inside storage.dir; one <wallet>.jsonl per wallet
+};
+
+/**
+ * Proxy health checks and quarantine
+ */
+export const PROXY_CONFIG = {
+    CHECK_URL: null,                 // Fetched through every proxy before it is used, e.g. the mock server's /health; null skips the checks
+    CHECK_TIMEOUT: 10000,            // Time a health check may take (ms)
+    QUARANTINE_THRESHOLD: 5,         // Connection errors in a row that take a proxy out of use
+    QUARANTINE_COOLDOWN: 300000      // Check a quarantined proxy again after 5 minutes
+};
+
+/**
+ * Local HTTP control API (off by default)
+ */
+export const CONTROL_CONFIG = {
+    ENABLED: false,
+    HOST: '127.0.0.1',               // Loopback only; the API can stop wallets and the process
+    PORT: 8788,
+    TOKEN: null,                     // Bearer token; generated and written to TOKEN_FILE when not set
+    TOKEN_FILE: 'control.token',     // Inside storage.dir
+    ALLOW_ORIGIN: null               // Origin allowed to call the API from a browser (CORS)
+};
+
+/**
+ * Prometheus /metrics endpoint, served on the control API's host and port
+ */
+export const METRICS_CONFIG = {
+    ENABLED: false,
+    REQUIRE_TOKEN: true              // Scrapers send the control token; false lets anyone on this machine read /metrics
+};
+
+/**
+ * Process lifecycle when running as a service
+ */
+export const LIFECYCLE_CONFIG = {
+    BOT_STOP_TIMEOUT: 10000,         // Time each wallet gets for its final update when stopping
+    SHUTDOWN_TIMEOUT: 30000,         // Time the whole shutdown may take before the process is forced to exit
+    LOCK_FILE: 'kaleido.pid',        // Inside storage.dir; keeps a second miner away from the same sessions (null = no lock)
+    HEALTH_FILE: null,               // File with the liveness/readiness state, refreshed every HEALTH_INTERVAL (null = off)
+    HEALTH_INTERVAL: 15000
+};
+
+/**
+ * Reloading the wallet and proxy lists while running (SIGHUP always reloads)
+ */
+export const RELOAD_CONFIG = {
+    WATCH: true,                     // Reload when pk.txt, proxies.txt or the keystore directory changes
+    DEBOUNCE: 2000                   // Wait for changes to settle, so a file isn't read mid-save
+};
+
+/**
+ * Notifications sent to webhooks and chats
+ */
+export const NOTIFICATION_CONFIG = {
+    SINKS: [],                       // { type: 'webhook'|'discord'|'telegram', ... }; none means no notifications
+    EVENTS: ['walletFailed', 'updateFailures', 'walletRecovered', 'balanceMilestone', 'proxyQuarantined', 'registrationChanged', 'summary'],
+    FAILURE_THRESHOLD: 3,            // Failed balance updates in a row before updateFailures fires
+    MILESTONE_STEP: 0,               // Notify when a balance crosses a multiple of this (0 = off)
+    THROTTLE: 600000,                // 10 minutes between notifications of the same event
+    TIMEOUT: 10000,                  // Request timeout of a sink
+    TELEGRAM_API_URL: 'https://api.telegram.org'
+};
+
+/**
+ * Encrypted keystore settings
+ */
+export const KEYSTORE_CONFIG = {
+    PASSPHRASE_ENV: 'KALEIDO_KEYSTORE_PASSPHRASE' // Environment variable checked before prompting
+};
+
+/**
+ * Process exit codes used by the CLI
+ */
+export const EXIT_CODES = {
+    SUCCESS: 0,
+    FAILURE: 1,     // Unexpected error or nothing to do
+    USAGE: 2,       // Invalid arguments or configuration
+    PARTIAL: 3      // Completed, but some wallets failed
+};
+
+/**
+ * Logging defaults
+ */
+export const LOGGING_CONFIG = {
+    LEVEL: 'info',                    // trace, debug, info, warn, error or silent
+    FORMAT: 'pretty',                 // 'pretty' for terminals, 'json' for JSON lines
+    DIR: null,                        // Directory for per-wallet log files (disabled when null)
+    MAX_FILE_BYTES: 5 * 1024 * 1024,  // Rotate a wallet log file at this size
+    MAX_FILES: 5                      // Files kept per wallet, including the current one
+};
+
+/**
+ * Debug settings (kept for older configs; they raise the log level)
  */
 export const DEBUG = {
     VERBOSE: false, // Set to true to enable detailed logging
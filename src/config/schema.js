@@ -0,0 +1,374 @@
+// src/config/schema.js
+import { parseCron } from '../utils/cron.js';
+
+const API_SCHEMA = {
+    type: 'object',
+    properties: {
+        baseUrl: { type: 'string', format: 'url' },
+        headers: { type: 'object', additionalProperties: { type: 'string' } },
+        timeout: { type: 'integer', minimum: 1 }
+    }
+};
+
+const MINING_SCHEMA = {
+    type: 'object',
+    properties: {
+        updateInterval: { type: 'integer', minimum: 1000 },
+        defaultHashrate: { type: 'number', minimum: 0 },
+        defaultEfficiency: { type: 'number', minimum: 0 },
+        defaultPowerUsage: { type: 'number', minimum: 0 },
+        earningsRate: { type: 'number', minimum: 0 },
+        retryAttempts: { type: 'integer', minimum: 1 },
+        retryDelay: { type: 'integer', minimum: 0 },
+        retryMaxDelay: { type: 'integer', minimum: 0 },
+        retryJitter: { type: 'number', minimum: 0, maximum: 1 },
+        circuitBreakerThreshold: { type: 'integer', minimum: 1 },
+        circuitBreakerCooldown: { type: 'integer', minimum: 1000 },
+        registrationRefreshInterval: { type: 'integer', minimum: 0 },
+        worker: { type: 'string' },
+        pool: { type: 'string' }
+    }
+};
+
+// Profile names become directory names
+const PROFILE_NAME = { type: 'string', check: value => /^[a-z0-9][a-z0-9_-]*$/i.test(value) ? null : 'must contain only letters, digits, "-" and "_"' };
+
+// Wallet labels and group names are used as selectors, so they can't look like an index or address
+const WALLET_NAME = { type: 'string', check: value => /^[a-z][a-z0-9_-]*$/i.test(value) ? null : 'must start with a letter and contain only letters, digits, "-" and "_"' };
+
+/**
+ * Declarative schema for the configuration file.
+ * Supported keywords: type, properties, required, additionalProperties (a schema, or
+ * true to allow any other key), items, enum, minimum, maximum, format ('url'),
+ * nullable and check (custom validator returning an error message).
+ */
+export const CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        api: API_SCHEMA,
+        mining: MINING_SCHEMA,
+        profile: PROFILE_NAME,
+        profiles: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    api: API_SCHEMA,
+                    mining: MINING_SCHEMA
+                }
+            },
+            check: value => {
+                const invalid = Object.keys(value).find(name => PROFILE_NAME.check(name));
+                return invalid === undefined ? null : `profile name "${invalid}" ${PROFILE_NAME.check(invalid)}`;
+            }
+        },
+        groups: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    profile: PROFILE_NAME,
+                    schedule: {
+                        type: 'object',
+                        properties: {
+                            windows: {
+                                type: 'array',
+                                items: { type: 'string', check: checkCron }
+                            },
+                            maxRuntime: { type: 'integer', minimum: 0 }
+                        }
+                    }
+                }
+            },
+            check: value => {
+                const invalid = Object.keys(value).find(name => WALLET_NAME.check(name));
+                return invalid === undefined ? null : `group name "${invalid}" ${WALLET_NAME.check(invalid)}`;
+            }
+        },
+        files: {
+            type: 'object',
+            properties: {
+                privateKeys: { type: 'string' },
+                proxies: { type: 'string' },
+                keystoreDir: { type: 'string' }
+            }
+        },
+        storage: {
+            type: 'object',
+            properties: {
+                backend: { type: 'string', enum: ['file', 'sqlite'] },
+                dir: { type: 'string' },
+                sqliteFile: { type: 'string' }
+            }
+        },
+        supervisor: {
+            type: 'object',
+            properties: {
+                restartDelay: { type: 'integer', minimum: 1000 },
+                restartMaxDelay: { type: 'integer', minimum: 1000 },
+                maxRestarts: { type: 'integer', minimum: 0 }
+            }
+        },
+        scheduler: {
+            type: 'object',
+            properties: {
+                concurrency: { type: 'integer', minimum: 1 },
+                requestsPerSecond: { type: 'number', minimum: 0 },
+                startupStagger: { type: 'integer', minimum: 0 },
+                tickResolution: { type: 'integer', minimum: 10, maximum: 60000 }
+            }
+        },
+        reconciliation: {
+            type: 'object',
+            properties: {
+                tolerance: { type: 'number', minimum: 0 },
+                minDrift: { type: 'number', minimum: 0 },
+                clockJumpThreshold: { type: 'integer', minimum: 0 },
+                audit: { type: 'string', enum: ['all', 'flagged', 'off'] },
+                auditDir: { type: 'string' }
+            }
+        },
+        proxy: {
+            type: 'object',
+            properties: {
+                checkUrl: { type: 'string', format: 'url', nullable: true },
+                checkTimeout: { type: 'integer', minimum: 1 },
+                quarantineThreshold: { type: 'integer', minimum: 1 },
+                quarantineCooldown: { type: 'integer', minimum: 1000 }
+            }
+        },
+        lifecycle: {
+            type: 'object',
+            properties: {
+                botStopTimeout: { type: 'integer', minimum: 100 },
+                shutdownTimeout: { type: 'integer', minimum: 1000 },
+                lockFile: { type: 'string', nullable: true },
+                healthFile: { type: 'string', nullable: true },
+                healthInterval: { type: 'integer', minimum: 1000 }
+            }
+        },
+        control: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                host: { type: 'string', enum: ['127.0.0.1', '::1', 'localhost'] },
+                port: { type: 'integer', minimum: 0, maximum: 65535 },
+                token: { type: 'string', nullable: true, check: value => value === null || value.length >= 16 ? null : 'must be at least 16 characters' },
+                tokenFile: { type: 'string' },
+                allowOrigin: { type: 'string', format: 'url', nullable: true }
+            }
+        },
+        metrics: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                requireToken: { type: 'boolean' }
+            }
+        },
+        reload: {
+            type: 'object',
+            properties: {
+                watch: { type: 'boolean' },
+                debounce: { type: 'integer', minimum: 0 }
+            }
+        },
+        notifications: {
+            type: 'object',
+            properties: {
+                sinks: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            type: { type: 'string', enum: ['webhook', 'discord', 'telegram'] },
+                            url: { type: 'string', format: 'url' },
+                            headers: { type: 'object', additionalProperties: { type: 'string' } },
+                            token: { type: 'string' },
+                            chatId: { type: 'string' },
+                            apiUrl: { type: 'string', format: 'url' }
+                        },
+                        check: checkSink
+                    }
+                },
+                events: {
+                    type: 'array',
+                    items: { type: 'string', enum: ['walletFailed', 'updateFailures', 'walletRecovered', 'balanceMilestone', 'proxyQuarantined', 'registrationChanged', 'summary'] }
+                },
+                failureThreshold: { type: 'integer', minimum: 1 },
+                milestoneStep: { type: 'number', minimum: 0 },
+                throttle: { type: 'integer', minimum: 0 },
+                timeout: { type: 'integer', minimum: 1 }
+            }
+        },
+        logging: {
+            type: 'object',
+            properties: {
+                level: { type: 'string', enum: ['trace', 'debug', 'info', 'warn', 'error', 'silent'] },
+                format: { type: 'string', enum: ['pretty', 'json'] },
+                dir: { type: 'string' },
+                maxFileBytes: { type: 'integer', minimum: 1024 },
+                maxFiles: { type: 'integer', minimum: 1 }
+            }
+        },
+        debug: {
+            type: 'object',
+            properties: {
+                verbose: { type: 'boolean' },
+                logApiResponses: { type: 'boolean' },
+                logErrors: { type: 'boolean' }
+            }
+        },
+        wallets: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    address: { type: 'string', check: value => /^0x[0-9a-fA-F]{40}$/.test(value) ? null : 'must be a 0x-prefixed 20-byte address' },
+                    index: { type: 'integer', minimum: 1 },
+                    updateInterval: { type: 'integer', minimum: 1000 },
+                    worker: { type: 'string' },
+                    pool: { type: 'string' },
+                    profile: PROFILE_NAME,
+                    label: WALLET_NAME,
+                    group: WALLET_NAME,
+                    disabled: { type: 'boolean' }
+                },
+                check: value => (value.address === undefined && value.index === undefined)
+                    ? 'must set either "address" or "index"'
+                    : null
+            }
+        }
+    }
+};
+
+/**
+ * Checks that a schedule window is a valid cron expression
+ */
+function checkCron(expression) {
+    try {
+        parseCron(expression);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Checks that a notification sink has the settings its type needs
+ */
+function checkSink(sink) {
+    if (sink.type === undefined) {
+        return 'must set "type"';
+    }
+    if (sink.type === 'telegram') {
+        return sink.token && sink.chatId ? null : 'telegram sinks need "token" and "chatId"';
+    }
+    return sink.url ? null : `${sink.type} sinks need "url"`;
+}
+
+/**
+ * Returns a readable name for the type of a value
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Checks whether a value matches a schema type
+ */
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') {
+        return actual === 'number' || actual === 'integer';
+    }
+    return actual === type;
+}
+
+/**
+ * Validates a value against a schema node
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema node
+ * @param {string} [location] - Dotted path of the value, used in error messages
+ * @returns {string[]} - Validation errors, empty if the value is valid
+ */
+export function validateSchema(value, schema, location = 'config') {
+    if (value === null && schema.nullable) {
+        return [];
+    }
+    if (!matchesType(value, schema.type)) {
+        return [`${location}: expected ${schema.type}, got ${typeOf(value)}`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${location}: must be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${location}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${location}: must be <= ${schema.maximum}`);
+    }
+    if (schema.format === 'url') {
+        try {
+            new URL(value);
+        } catch (error) {
+            errors.push(`${location}: must be a valid URL`);
+        }
+    }
+
+    if (schema.type === 'object') {
+        for (const key of schema.required ?? []) {
+            if (value[key] === undefined) {
+                errors.push(`${location}.${key}: missing`);
+            }
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const childSchema = schema.properties?.[key] ?? schema.additionalProperties;
+            if (!childSchema) {
+                errors.push(`${location}.${key}: unknown setting`);
+                continue;
+            }
+            if (childSchema === true) {
+                continue;
+            }
+            errors.push(...validateSchema(child, childSchema, `${location}.${key}`));
+        }
+    }
+
+    if (schema.type === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateSchema(item, schema.items, `${location}[${index}]`));
+        });
+    }
+
+    if (schema.check && errors.length === 0) {
+        const message = schema.check(value);
+        if (message) {
+            errors.push(`${location}: ${message}`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Looks up the schema node for a dotted path such as "mining.updateInterval"
+ * @param {string} dottedPath - Path to look up
+ * @param {Object} [schema] - Root schema
+ * @returns {Object|null} - Schema node, or null if the path is unknown
+ */
+export function getSchemaNode(dottedPath, schema = CONFIG_SCHEMA) {
+    let node = schema;
+    for (const key of dottedPath.split('.')) {
+        node = node?.properties?.[key] ?? node?.additionalProperties;
+        if (!node) {
+            return null;
+        }
+    }
+    return node;
+}
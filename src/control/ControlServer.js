@@ -0,0 +1,374 @@
+// src/control/ControlServer.js
+import http from 'http';
+import crypto from 'crypto';
+import * as fs from 'fs/promises';
+import path from 'path';
+import { logger as rootLogger } from '../utils/logger.js';
+import { PROMETHEUS_CONTENT_TYPE } from '../utils/metrics.js';
+
+/**
+ * Local HTTP API for scripts and dashboards to inspect and steer a running coordinator.
+ * Every request needs `Authorization: Bearer <token>`, except /metrics when
+ * metricsRequireToken is off and the /livez and /readyz probes.
+ *
+ *   GET  /wallets               Every wallet with its mining state, stats, balance, health and last error
+ *   GET  /wallets/:wallet       One wallet (address, label or 1-based index)
+ *   GET  /summary               Fleet totals
+ *   GET  /health                Fleet health report
+ *   GET  /proxies               State, request counts and connection errors of every proxy
+ *   POST /wallets/:wallet/stop  Stop a wallet with a final balance update
+ *   POST /wallets/:wallet/start Start a stopped or failed wallet, or resume a paused one
+ *   GET  /groups                Every wallet group with its schedule and the states of its wallets
+ *   GET  /groups/:group         One group
+ *   POST /groups/:group/stop    Stop every wallet of a group; a scheduled group starts again in its next window
+ *   POST /groups/:group/start   Start the stopped and failed wallets of a group
+ *   POST /shutdown              Stop every wallet and end the run
+ *   GET  /metrics               Prometheus metrics, when a FleetMetrics is given
+ *   GET  /livez, /readyz        200 when the run is live / ready, 503 otherwise (no token needed)
+ *
+ * With controlEnabled off only /metrics and the probes are served.
+ */
+export class ControlServer {
+    /**
+     * @param {MiningCoordinator} coordinator - Coordinator to expose
+     * @param {Object} options - Server options
+     * @param {string} options.host - Interface to bind; keep it on loopback
+     * @param {number} options.port - Port to listen on (0 picks a free port)
+     * @param {string|null} options.token - Bearer token; generated when null
+     * @param {string|null} options.tokenFile - Where a generated token is written (mode 600)
+     * @param {string|null} options.allowOrigin - Origin allowed to call the API from a browser
+     * @param {Function} options.onShutdown - Called for POST /shutdown; defaults to coordinator.stop()
+     * @param {boolean} options.controlEnabled - Serve the wallet, summary and shutdown endpoints
+     * @param {FleetMetrics|null} options.metrics - Metrics served at /metrics
+     * @param {boolean} options.metricsRequireToken - Whether /metrics needs the token too
+     * @param {Logger} options.logger - Parent logger
+     */
+    constructor(coordinator, {
+        host = '127.0.0.1',
+        port = 8788,
+        token = null,
+        tokenFile = null,
+        allowOrigin = null,
+        onShutdown = null,
+        controlEnabled = true,
+        metrics = null,
+        metricsRequireToken = true,
+        logger = rootLogger
+    } = {}) {
+        this.coordinator = coordinator;
+        this.host = host;
+        this.port = port;
+        this.token = token;
+        this.tokenFile = tokenFile;
+        this.allowOrigin = allowOrigin;
+        this.onShutdown = onShutdown || (() => coordinator.stop());
+        this.controlEnabled = controlEnabled;
+        this.metrics = metrics;
+        this.metricsRequireToken = metricsRequireToken;
+        this.logger = logger.child({ component: 'control' });
+        this.sockets = new Set();
+        this.server = null;
+        this.url = null;
+    }
+
+    /**
+     * Start listening. Without a configured token a random one is generated and,
+     * if tokenFile is set, written there for scripts to read.
+     * @returns {Promise<string>} - Base URL of the API
+     */
+    async start() {
+        if (!this.token) {
+            this.token = crypto.randomBytes(24).toString('hex');
+            if (this.tokenFile) {
+                await fs.mkdir(path.dirname(this.tokenFile), { recursive: true });
+                await fs.writeFile(this.tokenFile, `${this.token}\n`, { mode: 0o600 });
+                this.logger.info(`Control API token written to ${this.tokenFile}`, { operation: 'control' });
+            }
+        }
+
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                this.logger.error(`Control request failed: ${error.message}`, { operation: 'control', method: req.method, url: req.url });
+                if (!res.headersSent) {
+                    this.sendJson(req, res, 500, { error: 'Internal error' });
+                }
+            });
+        });
+        this.server.on('connection', socket => {
+            this.sockets.add(socket);
+            socket.on('close', () => this.sockets.delete(socket));
+        });
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.server.once('error', reject);
+                this.server.listen(this.port, this.host, resolve);
+            });
+        } catch (error) {
+            // e.g. EADDRINUSE: leave nothing behind, so the caller can stop the miners and exit
+            this.server = null;
+            throw error;
+        }
+
+        const { port } = this.server.address();
+        this.url = `http://${this.host.includes(':') ? `[${this.host}]` : this.host}:${port}`;
+        this.logger.info(`Control API listening on ${this.url}`, { operation: 'control' });
+        return this.url;
+    }
+
+    /**
+     * Stop listening and drop open connections
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+        const server = this.server;
+        this.server = null;
+        for (const socket of this.sockets) {
+            socket.destroy();
+        }
+        await new Promise(resolve => server.close(resolve));
+    }
+
+    /**
+     * Check the bearer token in constant time
+     */
+    isAuthorized(req) {
+        const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+        if (!match) {
+            return false;
+        }
+        // Hash both sides so timingSafeEqual gets buffers of equal length
+        const digest = value => crypto.createHash('sha256').update(value).digest();
+        return crypto.timingSafeEqual(digest(match[1]), digest(this.token));
+    }
+
+    /**
+     * Route a request to the matching endpoint
+     */
+    async handle(req, res) {
+        if (req.method === 'OPTIONS' && this.allowOrigin) {
+            return this.sendJson(req, res, 204, null);
+        }
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const parts = pathname.split('/').filter(Boolean);
+        const isMetrics = this.metrics && parts.length === 1 && parts[0] === 'metrics';
+
+        // Probes reveal nothing beyond wallet counts, and orchestrators can't send a token
+        if (parts.length === 1 && (parts[0] === 'livez' || parts[0] === 'readyz')) {
+            if (req.method !== 'GET') {
+                return this.sendJson(req, res, 405, { error: 'Method not allowed' });
+            }
+            const status = this.coordinator.getLifecycleStatus();
+            const ok = parts[0] === 'livez' ? status.live : status.ready;
+            return this.sendJson(req, res, ok ? 200 : 503, status);
+        }
+
+        if (!this.isAuthorized(req) && !(isMetrics && !this.metricsRequireToken)) {
+            return this.sendJson(req, res, 401, { error: 'Missing or invalid token' }, { 'WWW-Authenticate': 'Bearer' });
+        }
+
+        if (isMetrics) {
+            if (req.method !== 'GET') {
+                return this.sendJson(req, res, 405, { error: 'Method not allowed' });
+            }
+            res.writeHead(200, { 'Content-Type': PROMETHEUS_CONTENT_TYPE, 'Cache-Control': 'no-store' });
+            return res.end(this.metrics.render());
+        }
+        if (!this.controlEnabled) {
+            return this.sendJson(req, res, 404, { error: 'Not found' });
+        }
+
+        if (parts[0] === 'wallets') {
+            return this.handleWallets(req, res, parts.slice(1));
+        }
+        if (parts[0] === 'groups') {
+            return this.handleGroups(req, res, parts.slice(1));
+        }
+        if (parts.length === 1 && parts[0] === 'summary') {
+            return req.method === 'GET'
+                ? this.sendJson(req, res, 200, this.getSummary())
+                : this.sendJson(req, res, 405, { error: 'Method not allowed' });
+        }
+        if (parts.length === 1 && parts[0] === 'health') {
+            return req.method === 'GET'
+                ? this.sendJson(req, res, 200, this.coordinator.getHealthReport())
+                : this.sendJson(req, res, 405, { error: 'Method not allowed' });
+        }
+        if (parts.length === 1 && parts[0] === 'proxies') {
+            return req.method === 'GET'
+                ? this.sendJson(req, res, 200, { proxies: this.coordinator.getProxyStats() })
+                : this.sendJson(req, res, 405, { error: 'Method not allowed' });
+        }
+        if (parts.length === 1 && parts[0] === 'shutdown') {
+            if (req.method !== 'POST') {
+                return this.sendJson(req, res, 405, { error: 'Method not allowed' });
+            }
+            this.logger.warn('Shutdown requested through the control API', { operation: 'control' });
+            // Answer first; the shutdown closes this server
+            res.once('finish', () => Promise.resolve().then(this.onShutdown).catch(error => {
+                this.logger.error(`Shutdown failed: ${error.message}`, { operation: 'control' });
+            }));
+            return this.sendJson(req, res, 202, { shuttingDown: true });
+        }
+
+        return this.sendJson(req, res, 404, { error: 'Not found' });
+    }
+
+    /**
+     * Handle /wallets, /wallets/:wallet and /wallets/:wallet/(start|stop)
+     */
+    async handleWallets(req, res, [selector, action, ...rest]) {
+        if (!selector) {
+            if (req.method !== 'GET') {
+                return this.sendJson(req, res, 405, { error: 'Method not allowed' });
+            }
+            const health = this.healthByWallet();
+            return this.sendJson(req, res, 200, { wallets: this.coordinator.bots.map(bot => describeWallet(bot, health)) });
+        }
+
+        const decoded = decodePathSegment(selector);
+        if (decoded === null) {
+            return this.sendJson(req, res, 400, { error: `Invalid wallet ${selector}: bad percent-encoding` });
+        }
+        const bot = this.coordinator.findBot(decoded);
+        if (!bot || rest.length > 0 || (action && action !== 'start' && action !== 'stop')) {
+            return this.sendJson(req, res, 404, { error: bot ? 'Not found' : `Unknown wallet ${selector}` });
+        }
+
+        if (!action) {
+            return req.method === 'GET'
+                ? this.sendJson(req, res, 200, describeWallet(bot, this.healthByWallet()))
+                : this.sendJson(req, res, 405, { error: 'Method not allowed' });
+        }
+
+        if (req.method !== 'POST') {
+            return this.sendJson(req, res, 405, { error: 'Method not allowed' });
+        }
+        const changed = action === 'stop'
+            ? await this.coordinator.stopWallet(bot)
+            : await this.coordinator.startWallet(bot);
+        if (!changed) {
+            let reason = `wallet is ${bot.state}`;
+            if (this.coordinator.isShuttingDown) {
+                reason = 'shutting down';
+            } else if (this.coordinator.pausedByProxy.has(bot)) {
+                reason = 'wallet is paused until its proxy recovers';
+            }
+            return this.sendJson(req, res, 409, { error: `Cannot ${action}: ${reason}`, wallet: describeWallet(bot, this.healthByWallet()) });
+        }
+        return this.sendJson(req, res, 200, describeWallet(bot, this.healthByWallet()));
+    }
+
+    /**
+     * Handle /groups, /groups/:group and /groups/:group/(start|stop)
+     */
+    async handleGroups(req, res, [name, action, ...rest]) {
+        const groups = this.coordinator.getGroups();
+        if (!name) {
+            return req.method === 'GET'
+                ? this.sendJson(req, res, 200, { groups })
+                : this.sendJson(req, res, 405, { error: 'Method not allowed' });
+        }
+
+        const decoded = decodePathSegment(name);
+        if (decoded === null) {
+            return this.sendJson(req, res, 400, { error: `Invalid group ${name}: bad percent-encoding` });
+        }
+        const wanted = decoded.toLowerCase();
+        const group = groups.find(item => item.group.toLowerCase() === wanted);
+        if (!group || rest.length > 0 || (action && action !== 'start' && action !== 'stop')) {
+            return this.sendJson(req, res, 404, { error: group ? 'Not found' : `Unknown group ${name}` });
+        }
+
+        if (!action) {
+            return req.method === 'GET'
+                ? this.sendJson(req, res, 200, group)
+                : this.sendJson(req, res, 405, { error: 'Method not allowed' });
+        }
+
+        if (req.method !== 'POST') {
+            return this.sendJson(req, res, 405, { error: 'Method not allowed' });
+        }
+        const changed = action === 'stop'
+            ? await this.coordinator.stopGroup(group.group)
+            : await this.coordinator.startGroup(group.group);
+        const describe = () => this.coordinator.getGroups().find(item => item.group === group.group);
+        if (changed.length === 0) {
+            const reason = this.coordinator.isShuttingDown ? 'shutting down' : `no wallet of the group is ${action === 'stop' ? 'running' : 'stopped or failed'}`;
+            return this.sendJson(req, res, 409, { error: `Cannot ${action}: ${reason}`, group: describe() });
+        }
+        return this.sendJson(req, res, 200, { ...describe(), changed: changed.map(bot => ({ wallet: bot.wallet, botIndex: bot.botIndex })) });
+    }
+
+    /**
+     * Fleet totals
+     */
+    getSummary() {
+        const snapshots = this.coordinator.bots.map(bot => bot.getSnapshot());
+        const states = {};
+        for (const snapshot of snapshots) {
+            states[snapshot.state] = (states[snapshot.state] || 0) + 1;
+        }
+        return {
+            totalWallets: snapshots.length,
+            states,
+            health: this.coordinator.getHealthReport().counts,
+            totalBalance: snapshots.reduce((sum, snapshot) => sum + snapshot.balance, 0),
+            earnedThisRun: snapshots.reduce((sum, snapshot) => sum + snapshot.balanceDelta, 0),
+            isRunning: this.coordinator.isRunning,
+            isShuttingDown: this.coordinator.isShuttingDown,
+            scheduler: this.coordinator.scheduler.getStats()
+        };
+    }
+
+    /**
+     * Health entries keyed by wallet
+     */
+    healthByWallet() {
+        return new Map(this.coordinator.getHealthReport().wallets.map(item => [item.wallet, item]));
+    }
+
+    /**
+     * Writes a JSON response, with CORS headers for the allowed origin
+     */
+    sendJson(req, res, status, data, headers = {}) {
+        const cors = this.allowOrigin && req.headers.origin === this.allowOrigin
+            ? {
+                'Access-Control-Allow-Origin': this.allowOrigin,
+                'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Vary': 'Origin'
+            }
+            : {};
+        res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...cors, ...headers });
+        res.end(data === null ? undefined : JSON.stringify(data));
+    }
+}
+
+/**
+ * Decoded path segment, or null if its percent-encoding is malformed (e.g. "%E0%A4%A")
+ */
+function decodePathSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Everything the API reports about one wallet
+ */
+function describeWallet(bot, healthByWallet) {
+    const health = healthByWallet.get(bot.wallet);
+    return {
+        ...bot.getSnapshot(),
+        miningState: { ...bot.miningState },
+        stats: bot.stats,
+        health: health?.health ?? null,
+        restarts: health?.restarts ?? 0,
+        nextRestartAt: health?.nextRestartAt ?? null
+    };
+}
@@ -0,0 +1,49 @@
+// src/index.js
+// Library entry point for embedding the miner in other services.
+// Nothing here reads the command line, installs signal handlers or exits the process.
+import { MiningCoordinator } from './services/MiningCoordinator.js';
+import { createConfig } from './config/configLoader.js';
+
+export { MiningCoordinator } from './services/MiningCoordinator.js';
+export { KaleidoMiningBot, BOT_STATES } from './services/KaleidoMiningBot.js';
+export { KaleidoApiClient, NotRegisteredError, ApiSchemaError, RateLimitedError } from './services/KaleidoApiClient.js';
+export { WalletSupervisor, WALLET_HEALTH } from './services/WalletSupervisor.js';
+export { Scheduler } from './services/Scheduler.js';
+export { GroupScheduler } from './services/GroupScheduler.js';
+export { ProxyManager, PROXY_STATES } from './services/ProxyManager.js';
+export { EarningsReconciler, DRIFT_FLAGS } from './services/EarningsReconciler.js';
+export { FleetMetrics } from './services/FleetMetrics.js';
+export { HealthFile, readHealthFile } from './services/HealthFile.js';
+export { Notifier, NOTIFICATION_EVENTS } from './notifications/Notifier.js';
+export { BOT_EVENTS, SUPERVISOR_EVENTS, PROXY_EVENTS, GROUP_EVENTS, COORDINATOR_EVENTS } from './services/events.js';
+export { loadConfig, createConfig, getDefaultConfig, ConfigError } from './config/configLoader.js';
+export { createSessionStore, FileSessionStore, SqliteSessionStore } from './storage/index.js';
+export { Logger } from './utils/logger.js';
+export { LockedError } from './utils/pidLock.js';
+export { MockKaleidoServer } from './mock/MockKaleidoServer.js';
+export { ControlServer } from './control/ControlServer.js';
+
+/**
+ * Creates a coordinator for programmatic use.
+ *
+ *   const coordinator = createCoordinator({ config: { files: { privateKeys: '/srv/pk.txt' } } });
+ *   coordinator.on('balanceUpdated', event => ...);
+ *   await coordinator.start();
+ *   ...
+ *   const summary = await coordinator.stop();
+ *
+ * @param {Object} options - Coordinator options
+ * @param {Object} options.config - Settings over the defaults (same shape as the config file), or a result of loadConfig()
+ * @param {string} options.baseDir - Directory that relative paths in a partial config are resolved against
+ * @param {Function} options.createHttpClient - Optional factory (proxy, walletConfig) => HTTP client passed to each bot
+ * @param {SessionStore} options.sessionStore - Session store shared by the bots; built from config.storage when omitted
+ * @param {Scheduler} options.scheduler - Request limits and timers shared by the bots; built from config.scheduler when omitted
+ * @param {Logger} options.logger - Logger for the coordinator and its bots
+ * @returns {MiningCoordinator}
+ * @throws {ConfigError} - If the settings fail validation
+ */
+export function createCoordinator({ config = {}, baseDir, ...options } = {}) {
+    // A config from loadConfig() or createConfig() is already resolved
+    const resolved = config.baseDir ? config : createConfig(config, { baseDir });
+    return new MiningCoordinator({ ...options, config: resolved });
+}
@@ -0,0 +1,282 @@
+// src/mock/MockKaleidoServer.js
+import http from 'http';
+
+/**
+ * Local stand-in for the Kaleido testnet API, for offline runs and tests.
+ * Implements /check-registration and /update-balance with the response shapes
+ * KaleidoMiningBot expects, plus programmable faults.
+ *
+ * Fault objects:
+ *   { type: 'http', status: 503, body? }   - reply with an error status
+ *   { type: 'timeout' }                      - never reply (the client times out)
+ *   { type: 'unsuccessful' }                 - reply 200 with { success: false }
+ * Every fault may set `route` ('check-registration' or 'update-balance') to limit it
+ * to one endpoint and `times` to expire after that many requests.
+ *
+ * POST requests to /hooks/<anything> are accepted and kept in `hooks`, so
+ * notification sinks can be pointed at the mock too. GET /health always
+ * answers 200, for use as proxy.checkUrl.
+ */
+export class MockKaleidoServer {
+    /**
+     * @param {Object} options - Server options
+     * @param {string} options.basePath - Path prefix of the API (matches the testnet URL)
+     * @param {boolean} options.registerAll - Treat unknown wallets as registered
+     * @param {number} options.initialBalance - Balance of newly seen wallets
+     * @param {number} options.referralBonus - Referral bonus of newly seen wallets
+     * @param {number} options.delay - Artificial latency in milliseconds
+     * @param {Function} options.onHook - Called with (path, body) for every POST to /hooks/
+     */
+    constructor({ basePath = '/api/testnet', registerAll = true, initialBalance = 0, referralBonus = 0, delay = 0, onHook = null } = {}) {
+        this.basePath = basePath.replace(/\/$/, '');
+        this.registerAll = registerAll;
+        this.initialBalance = initialBalance;
+        this.referralBonus = referralBonus;
+        this.delay = delay;
+        this.onHook = onHook;
+        this.hooks = [];
+        this.wallets = new Map();
+        this.unregistered = new Set();
+        this.faults = [];
+        this.requests = [];
+        this.sockets = new Set();
+        this.server = null;
+        this.url = null;
+    }
+
+    /**
+     * Start listening
+     * @param {number} port - Port to listen on (0 picks a free port)
+     * @param {string} host - Interface to bind
+     * @returns {Promise<string>} - Base URL to use as api.baseUrl
+     */
+    async start(port = 0, host = '127.0.0.1') {
+        // A failed request (e.g. an onHook callback that throws) answers 500 instead of crashing the process
+        this.server = http.createServer((req, res) => this.handle(req, res).catch(() => {
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            res.statusCode = 500;
+            res.end();
+        }));
+        this.server.on('connection', socket => {
+            this.sockets.add(socket);
+            socket.on('close', () => this.sockets.delete(socket));
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, resolve);
+        });
+
+        const address = this.server.address();
+        this.url = `http://${host}:${address.port}${this.basePath}`;
+        return this.url;
+    }
+
+    /**
+     * Stop listening and drop open connections, including requests held by a timeout fault
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+        for (const socket of this.sockets) {
+            socket.destroy();
+        }
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+
+    /**
+     * Register a wallet, optionally with its starting user data
+     * @param {string} wallet - Wallet address
+     * @param {Object} userData - { balance, referralBonus }
+     */
+    registerWallet(wallet, userData = {}) {
+        const key = wallet.toLowerCase();
+        this.unregistered.delete(key);
+        this.wallets.set(key, {
+            balance: userData.balance ?? this.initialBalance,
+            referralBonus: userData.referralBonus ?? this.referralBonus
+        });
+    }
+
+    /**
+     * Make a wallet report as not registered
+     * @param {string} wallet - Wallet address
+     */
+    unregisterWallet(wallet) {
+        const key = wallet.toLowerCase();
+        this.wallets.delete(key);
+        this.unregistered.add(key);
+    }
+
+    /**
+     * Get the server-side state of a wallet
+     * @param {string} wallet - Wallet address
+     * @returns {Object|undefined} - { balance, referralBonus }
+     */
+    getWallet(wallet) {
+        return this.wallets.get(wallet.toLowerCase());
+    }
+
+    /**
+     * Add a fault; faults are applied in the order they were added
+     * @param {Object} fault - Fault description (see class comment)
+     */
+    addFault(fault) {
+        this.faults.push({ times: Infinity, ...fault });
+    }
+
+    /**
+     * Remove all faults
+     */
+    clearFaults() {
+        this.faults = [];
+    }
+
+    /**
+     * Find and consume the first fault matching a route
+     */
+    takeFault(route) {
+        const fault = this.faults.find(item => !item.route || item.route === route);
+        if (!fault) {
+            return null;
+        }
+        fault.times--;
+        if (fault.times <= 0) {
+            this.faults.splice(this.faults.indexOf(fault), 1);
+        }
+        return fault;
+    }
+
+    /**
+     * Look up a wallet, registering it on first sight when registerAll is set
+     */
+    lookupWallet(wallet) {
+        const key = String(wallet || '').toLowerCase();
+        if (!key || this.unregistered.has(key)) {
+            return null;
+        }
+        if (!this.wallets.has(key) && this.registerAll) {
+            this.registerWallet(key);
+        }
+        return this.wallets.get(key) || null;
+    }
+
+    /**
+     * Route a request to the matching endpoint
+     */
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const body = await readBody(req);
+        const route = url.pathname.startsWith(`${this.basePath}/`)
+            ? url.pathname.slice(this.basePath.length + 1)
+            : null;
+
+        this.requests.push({ method: req.method, route, query: Object.fromEntries(url.searchParams), body });
+
+        if (this.delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.delay));
+        }
+
+        // Something for proxy health checks (proxy.checkUrl) to fetch
+        if (url.pathname === '/health' && req.method === 'GET') {
+            return sendJson(res, 200, { ok: true });
+        }
+
+        if (url.pathname.startsWith('/hooks/') && req.method === 'POST') {
+            this.hooks.push({ path: url.pathname, body });
+            this.onHook?.(url.pathname, body);
+            return sendJson(res, 200, { ok: true });
+        }
+
+        if (route !== 'check-registration' && route !== 'update-balance') {
+            return sendJson(res, 404, { error: 'Not found' });
+        }
+
+        const fault = this.takeFault(route);
+        if (fault?.type === 'timeout') {
+            return; // Leave the request hanging
+        }
+        if (fault?.type === 'http') {
+            const headers = fault.retryAfter !== undefined ? { 'Retry-After': String(fault.retryAfter) } : {};
+            return sendJson(res, fault.status, fault.body ?? { error: `Mock fault ${fault.status}` }, headers);
+        }
+        if (fault?.type === 'unsuccessful') {
+            return sendJson(res, 200, { success: false });
+        }
+
+        if (route === 'check-registration' && req.method === 'GET') {
+            const state = this.lookupWallet(url.searchParams.get('wallet'));
+            return sendJson(res, 200, state
+                ? { isRegistered: true, userData: { ...state } }
+                : { isRegistered: false });
+        }
+
+        if (route === 'update-balance' && req.method === 'POST') {
+            const session = body?.earnings?.session;
+            if (!body?.wallet || typeof session !== 'number') {
+                return sendJson(res, 400, { error: 'Invalid payload' });
+            }
+            const state = this.lookupWallet(body.wallet);
+            if (!state) {
+                return sendJson(res, 400, { error: 'Wallet not registered' });
+            }
+            state.balance += session;
+            return sendJson(res, 200, { success: true, balance: state.balance });
+        }
+
+        return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+}
+
+/**
+ * Reads and parses a JSON request body
+ */
+async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    if (chunks.length === 0) {
+        return null;
+    }
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Writes a JSON response
+ */
+function sendJson(res, status, data, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Parses a fault spec from the command line, e.g. "503", "update-balance:timeout" or "unsuccessful"
+ * @param {string} spec - Fault spec
+ * @returns {Object} - Fault object for addFault()
+ */
+export function parseFaultSpec(spec) {
+    const [first, second] = spec.split(':');
+    const route = second !== undefined ? first : undefined;
+    const kind = second !== undefined ? second : first;
+
+    if (route && route !== 'check-registration' && route !== 'update-balance') {
+        throw new Error(`Unknown route "${route}" in fault "${spec}"`);
+    }
+    if (/^[1-5]\d\d$/.test(kind)) {
+        return { type: 'http', status: Number(kind), route };
+    }
+    if (kind === 'timeout' || kind === 'unsuccessful') {
+        return { type: kind, route };
+    }
+    throw new Error(`Unknown fault "${spec}"`);
+}
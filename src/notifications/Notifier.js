@@ -0,0 +1,230 @@
+// src/notifications/Notifier.js
+import { BOT_STATES } from '../services/KaleidoMiningBot.js';
+import { BOT_EVENTS, PROXY_EVENTS, COORDINATOR_EVENTS } from '../services/events.js';
+import { createSink } from './sinks.js';
+import { logger as rootLogger } from '../utils/logger.js';
+
+/**
+ * Events a notification can be sent for
+ */
+export const NOTIFICATION_EVENTS = Object.freeze({
+    WALLET_FAILED: 'walletFailed',         // a wallet failed to initialize
+    UPDATE_FAILURES: 'updateFailures',     // failureThreshold balance updates in a row failed
+    WALLET_RECOVERED: 'walletRecovered',   // a wallet reported above updated its balance again
+    BALANCE_MILESTONE: 'balanceMilestone', // a balance crossed a multiple of milestoneStep
+    PROXY_QUARANTINED: 'proxyQuarantined', // a proxy kept failing and its wallets were paused
+    REGISTRATION_CHANGED: 'registrationChanged', // a referral bonus changed or a wallet is no longer registered
+    SUMMARY: 'summary'                     // the coordinator's final summary
+});
+
+/**
+ * Sends notifications about important coordinator events to webhooks and chats.
+ * Every event type is throttled on its own: after a notification, others of
+ * the same type are held back for `throttle` ms and counted in the next one.
+ * The final summary is never throttled.
+ *
+ * Notification objects (the generic webhook receives them as is):
+ *   { event, level: 'info'|'warn'|'error', title, message, wallet, botIndex, data, time, suppressed }
+ */
+export class Notifier {
+    /**
+     * @param {MiningCoordinator} coordinator - Coordinator to observe
+     * @param {Object} options - Notifier options (the notifications config section)
+     * @param {Array<Object>} options.sinks - Sink configs, see createSink()
+     * @param {string[]} options.events - Events to notify about (NOTIFICATION_EVENTS values)
+     * @param {number} options.failureThreshold - Failed updates in a row that trigger updateFailures
+     * @param {number} options.milestoneStep - Balance step for balanceMilestone (0 disables it)
+     * @param {number} options.throttle - Milliseconds between notifications of the same event
+     * @param {number} options.timeout - Request timeout of the sinks (ms)
+     * @param {Object} options.http - HTTP client passed to the sinks, for tests
+     * @param {Function} options.now - Clock, for tests
+     * @param {Logger} options.logger - Parent logger
+     */
+    constructor(coordinator, {
+        sinks = [],
+        events = Object.values(NOTIFICATION_EVENTS),
+        failureThreshold = 3,
+        milestoneStep = 0,
+        throttle = 600000,
+        timeout = 10000,
+        http,
+        now = () => Date.now(),
+        logger = rootLogger
+    } = {}) {
+        this.coordinator = coordinator;
+        this.sinks = sinks.map(sink => createSink(sink, { timeout, http }));
+        this.events = new Set(events);
+        this.failureThreshold = failureThreshold;
+        this.milestoneStep = milestoneStep;
+        this.throttle = throttle;
+        this.now = now;
+        this.logger = logger.child({ component: 'notifier' });
+        this.throttles = new Map();
+        this.alerted = new Set();
+        this.pending = new Set();
+
+        this.listeners = {
+            [BOT_EVENTS.STATE_CHANGED]: event => this.onStateChanged(event),
+            [BOT_EVENTS.UPDATE_FAILED]: event => this.onUpdateFailed(event),
+            [BOT_EVENTS.BALANCE_UPDATED]: event => this.onBalanceUpdated(event),
+            [BOT_EVENTS.REGISTRATION_CHANGED]: event => this.onRegistrationChanged(event),
+            [PROXY_EVENTS.QUARANTINED]: event => this.onProxyQuarantined(event),
+            [COORDINATOR_EVENTS.SUMMARY]: event => this.onSummary(event)
+        };
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            coordinator.on(event, listener);
+        }
+    }
+
+    /**
+     * Stop listening to the coordinator
+     */
+    stop() {
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            this.coordinator.off(event, listener);
+        }
+    }
+
+    /**
+     * Wait for the notifications being sent
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await Promise.allSettled([...this.pending]);
+    }
+
+    onStateChanged({ wallet, botIndex, previousState, state, reason }) {
+        if (state !== BOT_STATES.FAILED || previousState !== BOT_STATES.INITIALIZING) {
+            return;
+        }
+        this.alerted.add(wallet);
+        this.notify({
+            event: NOTIFICATION_EVENTS.WALLET_FAILED,
+            level: 'error',
+            title: `Wallet ${botIndex} failed to start`,
+            message: `${wallet}: ${reason || 'unknown error'}`,
+            wallet,
+            botIndex,
+            data: { reason }
+        });
+    }
+
+    onUpdateFailed({ wallet, botIndex, error, status, consecutiveErrors }) {
+        if (consecutiveErrors !== this.failureThreshold) {
+            return;
+        }
+        this.alerted.add(wallet);
+        this.notify({
+            event: NOTIFICATION_EVENTS.UPDATE_FAILURES,
+            level: 'warn',
+            title: `Wallet ${botIndex}: ${consecutiveErrors} balance updates failed in a row`,
+            message: `${wallet}: ${error}`,
+            wallet,
+            botIndex,
+            data: { error, status, consecutiveErrors }
+        });
+    }
+
+    onBalanceUpdated({ wallet, botIndex, oldBalance, newBalance, final }) {
+        if (this.alerted.delete(wallet) && !final) {
+            this.notify({
+                event: NOTIFICATION_EVENTS.WALLET_RECOVERED,
+                level: 'info',
+                title: `Wallet ${botIndex} recovered`,
+                message: `${wallet}: balance updates succeed again, balance ${newBalance.toFixed(8)} KLDO`,
+                wallet,
+                botIndex,
+                data: { balance: newBalance }
+            });
+        }
+
+        const step = this.milestoneStep;
+        if (step > 0 && Math.floor(newBalance / step) > Math.floor(oldBalance / step)) {
+            // toPrecision drops float noise such as 0.30000000000000004
+            const milestone = Number((Math.floor(newBalance / step) * step).toPrecision(12));
+            this.notify({
+                event: NOTIFICATION_EVENTS.BALANCE_MILESTONE,
+                level: 'info',
+                title: `Wallet ${botIndex} passed ${milestone} KLDO`,
+                message: `${wallet}: balance ${newBalance.toFixed(8)} KLDO`,
+                wallet,
+                botIndex,
+                data: { milestone, balance: newBalance }
+            });
+        }
+    }
+
+    onRegistrationChanged({ wallet, botIndex, registered, previousReferralBonus, referralBonus }) {
+        const percent = value => `+${(value * 100).toFixed(1)}%`;
+        this.notify({
+            event: NOTIFICATION_EVENTS.REGISTRATION_CHANGED,
+            level: registered ? 'info' : 'error',
+            title: registered ? `Wallet ${botIndex}: referral bonus now ${percent(referralBonus)}` : `Wallet ${botIndex} is no longer registered`,
+            message: registered ? `${wallet}: referral bonus changed from ${percent(previousReferralBonus)} to ${percent(referralBonus)}` : `${wallet}: mining stopped`,
+            wallet,
+            botIndex,
+            data: { registered, previousReferralBonus, referralBonus }
+        });
+    }
+
+    onProxyQuarantined({ proxy, reason, wallets }) {
+        const affected = wallets.length > 0 ? wallets.map(item => `${item.botIndex} (${item.wallet})`).join(', ') : 'none';
+        this.notify({
+            event: NOTIFICATION_EVENTS.PROXY_QUARANTINED,
+            level: 'warn',
+            title: `Proxy ${proxy} quarantined`,
+            message: `${reason}\nPaused wallets: ${affected}`,
+            wallet: null,
+            botIndex: null,
+            data: { proxy, reason, wallets }
+        });
+    }
+
+    onSummary({ totalWallets, totalPaid, health }) {
+        const counts = Object.entries(health?.counts || {}).map(([value, count]) => `${value} ${count}`).join(', ');
+        this.notify({
+            event: NOTIFICATION_EVENTS.SUMMARY,
+            level: 'info',
+            title: 'Mining stopped',
+            message: `Wallets: ${totalWallets} | Total Paid: ${totalPaid.toFixed(8)} KLDO${counts ? ` | Health before stopping: ${counts}` : ''}`,
+            wallet: null,
+            botIndex: null,
+            data: { totalWallets, totalPaid, health: health?.counts ?? null }
+        });
+    }
+
+    /**
+     * Send a notification to every sink unless its event is disabled or throttled
+     * @param {Object} notification - Notification without time and suppressed
+     * @returns {boolean} - Whether it was sent
+     */
+    notify(notification) {
+        if (!this.events.has(notification.event) || this.sinks.length === 0) {
+            return false;
+        }
+
+        const now = this.now();
+        const throttle = this.throttles.get(notification.event) || { sentAt: null, suppressed: 0 };
+        this.throttles.set(notification.event, throttle);
+        if (notification.event !== NOTIFICATION_EVENTS.SUMMARY && throttle.sentAt !== null && now - throttle.sentAt < this.throttle) {
+            throttle.suppressed++;
+            this.logger.debug(`Notification held back: ${notification.title}`, { operation: 'notify', event: notification.event });
+            return false;
+        }
+
+        const payload = { ...notification, time: new Date(now).toISOString(), suppressed: throttle.suppressed };
+        throttle.sentAt = now;
+        throttle.suppressed = 0;
+
+        for (const sink of this.sinks) {
+            const sending = Promise.resolve()
+                .then(() => sink.send(payload))
+                .catch(error => {
+                    this.logger.warn(`Notification to ${sink.name} failed: ${error.message}`, { operation: 'notify', event: notification.event });
+                })
+                .finally(() => this.pending.delete(sending));
+            this.pending.add(sending);
+        }
+        return true;
+    }
+}
@@ -0,0 +1,76 @@
+// src/notifications/sinks.js
+import axios from 'axios';
+import { NOTIFICATION_CONFIG } from '../config/constants.js';
+
+// Embed colors per notification level (Discord wants an RGB integer)
+const DISCORD_COLORS = {
+    info: 0x2ecc71,
+    warn: 0xf1c40f,
+    error: 0xe74c3c
+};
+
+/**
+ * Body of a generic webhook: the notification as JSON
+ */
+function formatWebhook(notification) {
+    return notification;
+}
+
+/**
+ * Body of a Discord webhook: one embed per notification
+ */
+function formatDiscord(notification) {
+    return {
+        username: 'Kaleido Miner',
+        embeds: [{
+            title: notification.title,
+            description: withSuppressed(notification),
+            color: DISCORD_COLORS[notification.level] ?? DISCORD_COLORS.info,
+            timestamp: notification.time
+        }]
+    };
+}
+
+/**
+ * Body of a Telegram sendMessage call; plain text so wallet addresses need no escaping
+ */
+function formatTelegram(notification, sink) {
+    return {
+        chat_id: sink.chatId,
+        text: `${notification.title}\n${withSuppressed(notification)}`,
+        disable_web_page_preview: true
+    };
+}
+
+function withSuppressed({ message, suppressed }) {
+    return suppressed > 0 ? `${message}\n(${suppressed} similar notification${suppressed === 1 ? '' : 's'} held back)` : message;
+}
+
+const FORMATS = {
+    webhook: { format: formatWebhook, url: sink => sink.url },
+    discord: { format: formatDiscord, url: sink => sink.url },
+    telegram: { format: formatTelegram, url: sink => `${(sink.apiUrl || NOTIFICATION_CONFIG.TELEGRAM_API_URL).replace(/\/$/, '')}/bot${sink.token}/sendMessage` }
+};
+
+/**
+ * Builds a sink from its config entry
+ * @param {Object} sink - { type: 'webhook'|'discord'|'telegram', url, headers, token, chatId, apiUrl }
+ * @param {Object} options - Sink options
+ * @param {number} options.timeout - Request timeout (ms)
+ * @param {Object} options.http - HTTP client with an axios-style post; axios when omitted
+ * @returns {{name: string, send: Function}} - send(notification) posts one notification
+ */
+export function createSink(sink, { timeout = 10000, http = axios } = {}) {
+    const type = FORMATS[sink.type];
+    if (!type) {
+        throw new Error(`Unknown notification sink type "${sink.type}"`);
+    }
+    return {
+        // Telegram URLs carry the bot token, so only the type goes into logs
+        name: sink.type,
+        send: notification => http.post(type.url(sink), type.format(notification, sink), {
+            timeout,
+            headers: { 'Content-Type': 'application/json', ...(sink.headers || {}) }
+        })
+    };
+}
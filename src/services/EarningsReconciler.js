@@ -0,0 +1,275 @@
+// src/services/EarningsReconciler.js
+import path from 'path';
+import { appendFile, mkdir } from 'fs/promises';
+import { logger as rootLogger } from '../utils/logger.js';
+
+/**
+ * Flags of a reconciled balance update
+ */
+export const DRIFT_FLAGS = {
+    DRIFT: 'drift',             // the server credited noticeably more or less than was sent
+    REJECTED: 'rejected',       // the server answered success=false; the earnings were not credited
+    IGNORED: 'ignored',         // the server accepted the update but the balance didn't move
+    RESET: 'reset',             // the balance went down
+    LOST: 'lost',               // earlier updates that failed in transit were never credited
+    CLOCK_JUMP: 'clock-jump'    // wall-clock time disagrees with monotonic time (clock changed or machine suspended)
+};
+
+/**
+ * Compares the earnings a bot sends with what the server credits.
+ *
+ * Every balance update is a tick: the bot sends the earnings it expects for
+ * the time since the previous tick, and the change of the server-reported
+ * balance is what was credited. Ticks whose numbers disagree beyond
+ * `tolerance` are flagged, logged and written to the wallet's audit log.
+ * Updates that failed in transit may still have been applied, so their
+ * earnings are kept as unconfirmed and matched against the next answer.
+ *
+ * Interval lengths come from the monotonic clock, so setting the system
+ * clock or suspending the machine neither credits nor loses mining time;
+ * when the wall clock disagrees, the tick is flagged as a clock jump.
+ */
+export class EarningsReconciler {
+    /**
+     * @param {Object} options - Reconciler options (the reconciliation config section)
+     * @param {number} options.tolerance - Relative difference between expected and credited earnings that is still fine
+     * @param {number} options.minDrift - Absolute difference (KLDO) below which earnings always agree
+     * @param {number} options.clockJumpThreshold - Difference between wall-clock and monotonic interval that flags a clock jump (ms)
+     * @param {string} options.audit - Ticks written to the audit log: 'all', 'flagged' or 'off'
+     * @param {string|null} options.auditFile - JSON lines file of the audit log
+     * @param {Function} options.monotonic - Monotonic clock in ms, for tests
+     * @param {Function} options.now - Wall clock, for tests
+     * @param {Logger} options.logger - Logger of the bot
+     */
+    constructor({
+        tolerance = 0.01,
+        minDrift = 1e-8,
+        clockJumpThreshold = 5000,
+        audit = 'all',
+        auditFile = null,
+        monotonic = () => performance.now(),
+        now = () => Date.now(),
+        logger = rootLogger
+    } = {}) {
+        this.tolerance = tolerance;
+        this.minDrift = minDrift;
+        this.clockJumpThreshold = clockJumpThreshold;
+        this.audit = auditFile ? audit : 'off';
+        this.auditFile = auditFile;
+        this.monotonic = monotonic;
+        this.now = now;
+        this.logger = logger;
+        // Monotonic time of the start of the current interval; null until mark()
+        this.markedAt = null;
+        // Last balance the server reported
+        this.serverBalance = null;
+        // Earnings of failed updates the server may or may not have applied
+        this.unconfirmed = 0;
+        this.totals = { ticks: 0, flaggedTicks: 0, expected: 0, credited: 0, drift: 0, lastFlags: [], lastFlaggedAt: null };
+        this.writing = Promise.resolve();
+        this.auditFailed = false;
+        this.abandoned = false;
+    }
+
+    /**
+     * Start a new interval now, e.g. when mining starts or resumes
+     */
+    mark() {
+        this.markedAt = this.monotonic();
+    }
+
+    /**
+     * Length of the interval since mark() or the previous measure(), which
+     * starts the next one
+     * @param {number} wallElapsed - The same interval measured with the wall clock (ms)
+     * @returns {{elapsed: number, wallElapsed: number, clockJump: number|null}} - Monotonic length, and how much longer the wall clock saw it when that exceeds clockJumpThreshold
+     */
+    measure(wallElapsed) {
+        const now = this.monotonic();
+        if (this.markedAt === null) {
+            // Not marked yet, e.g. a bot driven by hand; the wall clock is all there is
+            this.markedAt = now;
+            return { elapsed: Math.max(0, wallElapsed), wallElapsed, clockJump: null };
+        }
+        const elapsed = now - this.markedAt;
+        this.markedAt = now;
+        const jump = wallElapsed - elapsed;
+        return { elapsed, wallElapsed, clockJump: Math.abs(jump) > this.clockJumpThreshold ? jump : null };
+    }
+
+    /**
+     * Set the server balance the next tick is compared with
+     * @param {number|null} balance - Balance from /check-registration
+     */
+    setBaseline(balance) {
+        this.serverBalance = typeof balance === 'number' ? balance : null;
+        this.unconfirmed = 0;
+    }
+
+    /**
+     * Continue the totals of a previous run
+     * @param {Object} totals - getSummary() as saved with the session
+     */
+    restore(totals) {
+        if (totals && typeof totals === 'object') {
+            this.totals = { ...this.totals, ...totals, lastFlags: [...(totals.lastFlags || [])] };
+        }
+    }
+
+    /**
+     * Reconcile an update the server accepted
+     * @param {Object} tick - The update
+     * @param {number} tick.expected - Earnings sent
+     * @param {number} tick.balance - Balance the server answered with
+     * @param {Object} tick.interval - measure() result of the update
+     * @param {boolean} tick.final - Whether this was the final update
+     * @returns {Object} - Audit entry of the tick
+     */
+    recordSuccess({ expected, balance, interval, final = false }) {
+        const flags = [];
+        let credited = null;
+        let drift = 0;
+        if (this.serverBalance !== null) {
+            credited = balance - this.serverBalance;
+            // When it matches, updates that failed in transit were applied after all
+            const pending = expected + this.unconfirmed;
+            if (this.agrees(credited, pending)) {
+                // Nothing to flag
+            } else if (this.unconfirmed > 0 && this.agrees(credited, expected)) {
+                flags.push(DRIFT_FLAGS.LOST);
+                drift = -this.unconfirmed;
+            } else if (credited < -this.minDrift) {
+                flags.push(DRIFT_FLAGS.RESET);
+                drift = credited - pending;
+            } else if (Math.abs(credited) <= this.minDrift) {
+                flags.push(DRIFT_FLAGS.IGNORED);
+                drift = credited - pending;
+            } else {
+                flags.push(DRIFT_FLAGS.DRIFT);
+                drift = credited - pending;
+            }
+        }
+        const unconfirmed = this.unconfirmed;
+        this.serverBalance = balance;
+        this.unconfirmed = 0;
+        return this.record({ result: 'success', expected, credited, drift, balance, unconfirmed, interval, flags, final });
+    }
+
+    /**
+     * Reconcile an update the server refused or that failed
+     * @param {Object} tick - The update
+     * @param {number} tick.expected - Earnings sent
+     * @param {boolean} tick.rejected - The server answered success=false, so nothing was credited
+     * @param {string} tick.error - Why the update failed
+     * @param {Object} tick.interval - measure() result of the update
+     * @param {boolean} tick.final - Whether this was the final update
+     * @returns {Object} - Audit entry of the tick
+     */
+    recordFailure({ expected, rejected = false, error = null, interval, final = false }) {
+        if (rejected) {
+            return this.record({ result: 'rejected', expected, credited: 0, drift: -expected, balance: null, unconfirmed: this.unconfirmed, interval, flags: [DRIFT_FLAGS.REJECTED], error, final });
+        }
+        // The server may have applied it; the next answer tells
+        this.unconfirmed += expected;
+        return this.record({ result: 'failed', expected, credited: null, drift: 0, balance: null, unconfirmed: this.unconfirmed, interval, flags: [], error, final });
+    }
+
+    /**
+     * Whether credited earnings match the expected ones
+     */
+    agrees(credited, expected) {
+        return Math.abs(credited - expected) <= Math.max(this.minDrift, this.tolerance * Math.abs(expected));
+    }
+
+    record({ interval, flags, ...tick }) {
+        if (interval?.clockJump != null) {
+            flags.push(DRIFT_FLAGS.CLOCK_JUMP);
+        }
+        const entry = {
+            time: new Date(this.now()).toISOString(),
+            ...tick,
+            elapsed: interval ? Math.round(interval.elapsed) : null,
+            wallElapsed: interval ? Math.round(interval.wallElapsed) : null,
+            flags
+        };
+
+        this.totals.ticks++;
+        this.totals.expected += tick.expected;
+        this.totals.credited += tick.credited ?? 0;
+        this.totals.drift += tick.drift;
+        if (flags.length > 0) {
+            this.totals.flaggedTicks++;
+            this.totals.lastFlags = flags;
+            this.totals.lastFlaggedAt = entry.time;
+            this.logger.warn(describeFlagged(entry, interval), { operation: 'reconcile', flags, expected: tick.expected, credited: tick.credited, drift: tick.drift });
+        }
+
+        if (this.audit === 'all' || (this.audit === 'flagged' && flags.length > 0)) {
+            this.writeAudit(entry);
+        }
+        return entry;
+    }
+
+    writeAudit(entry) {
+        const line = `${JSON.stringify(entry)}\n`;
+        this.writing = this.writing
+            .then(async () => {
+                if (this.abandoned) {
+                    return;
+                }
+                await mkdir(path.dirname(this.auditFile), { recursive: true });
+                await appendFile(this.auditFile, line);
+            })
+            .catch(error => {
+                // Once is enough; the next failure would say the same
+                if (!this.auditFailed) {
+                    this.auditFailed = true;
+                    this.logger.error(`Failed to write the audit log: ${error.message}`, { operation: 'reconcile' });
+                }
+            });
+    }
+
+    /**
+     * Stop auditing, dropping the audit log writes still queued; used when the
+     * wallet's stop is given up on and its files may already be in other hands
+     */
+    abandon() {
+        this.abandoned = true;
+        this.audit = 'off';
+    }
+
+    /**
+     * Wait for pending audit log writes
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.writing;
+    }
+
+    /**
+     * Totals of every reconciled tick, saved with the session
+     * @returns {{ticks: number, flaggedTicks: number, expected: number, credited: number, drift: number, lastFlags: string[], lastFlaggedAt: string|null, unconfirmed: number}}
+     */
+    getSummary() {
+        return { ...this.totals, lastFlags: [...this.totals.lastFlags], unconfirmed: this.unconfirmed };
+    }
+}
+
+function describeFlagged(entry, interval) {
+    const parts = [];
+    for (const flag of entry.flags) {
+        if (flag === DRIFT_FLAGS.REJECTED) {
+            parts.push(`server rejected the update, ${entry.expected.toFixed(8)} KLDO not credited`);
+        } else if (flag === DRIFT_FLAGS.LOST) {
+            parts.push(`${entry.unconfirmed.toFixed(8)} KLDO from failed updates never arrived`);
+        } else if (flag === DRIFT_FLAGS.CLOCK_JUMP) {
+            const seconds = (interval.clockJump / 1000).toFixed(1);
+            parts.push(interval.clockJump > 0
+                ? `wall clock ran ${seconds}s ahead of mining time (clock set forward or machine suspended)`
+                : `wall clock went back ${seconds.slice(1)}s`);
+        } else {
+            parts.push(`${flag}: sent ${(entry.expected + entry.unconfirmed).toFixed(8)} KLDO, server credited ${entry.credited.toFixed(8)} KLDO`);
+        }
+    }
+    return `Earnings check: ${parts.join('; ')}`;
+}
@@ -0,0 +1,88 @@
+// src/services/FleetMetrics.js
+import { BOT_STATES } from './KaleidoMiningBot.js';
+import { BOT_EVENTS } from './events.js';
+import { MetricsRegistry, Counter, Gauge, Histogram } from '../utils/metrics.js';
+
+// Upper bounds of the request latency buckets, in seconds
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Prometheus metrics of a coordinator's fleet. Counters and histograms are fed
+ * by the events the coordinator forwards from its bots; gauges are read from
+ * the bots when the metrics are rendered.
+ *
+ *   kaleido_wallet_balance{wallet,bot}              Balance reported by /update-balance
+ *   kaleido_wallet_referral_bonus{wallet,bot}       Referral bonus as a fraction (0.1 = 10%)
+ *   kaleido_wallet_uptime_seconds{wallet,bot}       Time since the wallet started mining
+ *   kaleido_bots{state}                             Bots per state (mining, failed, ...)
+ *   kaleido_balance_updates_total{result,status}    Balance updates by result and HTTP status
+ *                                                   (or timeout, network, unsuccessful, error when there is none)
+ *   kaleido_request_retries_total{operation,reason} Retries of API requests
+ *   kaleido_request_duration_seconds{operation}     Latency of every API request attempt
+ */
+export class FleetMetrics {
+    /**
+     * @param {MiningCoordinator} coordinator - Coordinator to observe
+     */
+    constructor(coordinator) {
+        this.coordinator = coordinator;
+        this.registry = new MetricsRegistry();
+
+        this.balance = this.registry.register(new Gauge('kaleido_wallet_balance', 'Balance reported by /update-balance', ['wallet', 'bot']));
+        this.referralBonus = this.registry.register(new Gauge('kaleido_wallet_referral_bonus', 'Referral bonus as a fraction', ['wallet', 'bot']));
+        this.uptime = this.registry.register(new Gauge('kaleido_wallet_uptime_seconds', 'Seconds since the wallet started mining', ['wallet', 'bot']));
+        this.bots = this.registry.register(new Gauge('kaleido_bots', 'Bots per state', ['state']));
+        this.updates = this.registry.register(new Counter('kaleido_balance_updates_total', 'Balance updates by result and HTTP status', ['result', 'status']));
+        this.retries = this.registry.register(new Counter('kaleido_request_retries_total', 'Retries of API requests', ['operation', 'reason']));
+        this.latency = this.registry.register(new Histogram('kaleido_request_duration_seconds', 'Latency of API request attempts', ['operation'], LATENCY_BUCKETS));
+
+        this.listeners = {
+            [BOT_EVENTS.BALANCE_UPDATED]: event => this.updates.inc({ result: 'success', status: event.status ?? 200 }),
+            [BOT_EVENTS.UPDATE_FAILED]: event => this.updates.inc({ result: 'failure', status: event.status ?? event.reason }),
+            [BOT_EVENTS.REQUEST_RETRY]: event => this.retries.inc({ operation: operationLabel(event.operation), reason: event.reason }),
+            [BOT_EVENTS.REQUEST_COMPLETED]: event => this.latency.observe({ operation: operationLabel(event.operation) }, event.duration / 1000)
+        };
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            coordinator.on(event, listener);
+        }
+    }
+
+    /**
+     * Stop listening to the coordinator
+     */
+    stop() {
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            this.coordinator.off(event, listener);
+        }
+    }
+
+    /**
+     * @returns {string} - All metrics in the Prometheus text format
+     */
+    render() {
+        for (const gauge of [this.balance, this.referralBonus, this.uptime, this.bots]) {
+            gauge.reset();
+        }
+        const states = Object.fromEntries(Object.values(BOT_STATES).map(state => [state, 0]));
+
+        for (const bot of this.coordinator.bots) {
+            const snapshot = bot.getSnapshot();
+            const labels = { wallet: snapshot.wallet, bot: snapshot.botIndex };
+            this.balance.set(labels, snapshot.balance);
+            this.referralBonus.set(labels, snapshot.referralBonus);
+            this.uptime.set(labels, snapshot.uptime / 1000);
+            states[snapshot.state]++;
+        }
+        for (const [state, count] of Object.entries(states)) {
+            this.bots.set({ state }, count);
+        }
+        return this.registry.render();
+    }
+}
+
+/**
+ * 'Balance update' -> 'balance_update'
+ */
+function operationLabel(operation) {
+    return operation.toLowerCase().replace(/\s+/g, '_');
+}
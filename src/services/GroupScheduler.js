@@ -0,0 +1,229 @@
+// src/services/GroupScheduler.js
+import { EventEmitter } from 'events';
+import { GROUP_EVENTS } from './events.js';
+import { parseCron, nextCronMatch, nextCronMiss, nextMinute } from '../utils/cron.js';
+import { logger as rootLogger } from '../utils/logger.js';
+
+/**
+ * Decides when the wallet groups with a schedule (config.groups.<name>.schedule)
+ * may mine. A group runs while the current minute matches one of its cron
+ * `windows` (always, without windows) and for at most `maxRuntime` ms per
+ * window; a group stopped for its maxRuntime starts again when its next window
+ * opens. Groups without a schedule are not tracked and always run.
+ *
+ * Starting a group by hand (markStarted) runs it until its window closes or
+ * for maxRuntime from then, whichever comes first; stopping it by hand
+ * (markStopped) keeps it stopped until its next window opens.
+ *
+ * The scheduler only decides; the coordinator starts and stops the wallets
+ * and re-emits the events with them.
+ *   groupRunStarted { group, reason, stopAt, nextStartAt }
+ *   groupRunEnded   { group, reason, stopAt, nextStartAt }
+ */
+export class GroupScheduler extends EventEmitter {
+    /**
+     * @param {Object} options - Scheduler options
+     * @param {Object} options.groups - The groups config section
+     * @param {Function} options.now - Clock, for tests
+     * @param {Logger} options.logger - Parent logger
+     */
+    constructor({ groups = {}, now = () => Date.now(), logger = rootLogger } = {}) {
+        super();
+        this.now = now;
+        this.logger = logger.child({ component: 'groups' });
+        // Group name -> { group, windows, maxRuntime, inWindow, windowEndsAt, nextWindowAt, active, runStartedAt }.
+        // windowEndsAt and nextWindowAt are cached, as finding them can scan a year of minutes
+        // (nextWindowAt is undefined until needed)
+        this.entries = new Map();
+        for (const [group, { schedule = {} } = {}] of Object.entries(groups)) {
+            const windows = (schedule.windows || []).map(parseCron);
+            const maxRuntime = schedule.maxRuntime || 0;
+            if (windows.length > 0 || maxRuntime > 0) {
+                this.entries.set(group, { group, windows, maxRuntime, inWindow: false, windowEndsAt: null, nextWindowAt: undefined, active: false, runStartedAt: null });
+            }
+        }
+        this.timer = null;
+        this.started = false;
+    }
+
+    /**
+     * Whether a group has a schedule
+     * @param {string|null} group - Group name
+     * @returns {boolean}
+     */
+    isScheduled(group) {
+        return this.entries.has(group);
+    }
+
+    /**
+     * Whether the wallets of a group should be mining now
+     * @param {string|null} group - Group name; wallets without a group always mine
+     * @returns {boolean}
+     */
+    isActive(group) {
+        return this.entries.get(group)?.active ?? true;
+    }
+
+    /**
+     * Apply the schedules now and keep applying them until stop(). Groups in
+     * a window are started right away (groupRunStarted).
+     */
+    start() {
+        if (this.entries.size === 0) {
+            return;
+        }
+        this.started = true;
+        this.evaluate();
+    }
+
+    /**
+     * Cancel the pending check; groups keep their current state
+     */
+    stop() {
+        this.started = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Record that a group was started by hand; its maxRuntime counts from now
+     * @param {string} group - Group name
+     */
+    markStarted(group) {
+        const entry = this.entries.get(group);
+        if (entry) {
+            entry.active = true;
+            entry.runStartedAt = this.now();
+            this.arm();
+        }
+    }
+
+    /**
+     * Record that a group was stopped by hand; it starts again in its next window
+     * @param {string} group - Group name
+     */
+    markStopped(group) {
+        const entry = this.entries.get(group);
+        if (entry) {
+            entry.active = false;
+            entry.runStartedAt = null;
+        }
+    }
+
+    /**
+     * Schedule and run state of every scheduled group
+     * @returns {Array<{group: string, windows: string[], maxRuntime: number, active: boolean, runStartedAt: number|null, stopAt: number|null, nextStartAt: number|null}>}
+     */
+    getStatus() {
+        const now = this.now();
+        return [...this.entries.values()].map(entry => ({
+            group: entry.group,
+            windows: entry.windows.map(cron => cron.expression),
+            maxRuntime: entry.maxRuntime,
+            active: entry.active,
+            runStartedAt: entry.runStartedAt,
+            stopAt: entry.active ? this.stopAtOf(entry, now) : null,
+            nextStartAt: entry.active ? null : this.nextStartOf(entry, now)
+        }));
+    }
+
+    /**
+     * Start the groups whose window opened and end the runs whose window
+     * closed or whose maxRuntime is used up
+     */
+    evaluate() {
+        const now = this.now();
+        for (const entry of this.entries.values()) {
+            const inWindow = entry.windows.length === 0 || entry.windows.some(cron => cron.matches(new Date(now)));
+            // Also a new window when the previous one ended unseen, e.g. while the machine slept
+            const opened = inWindow && (!entry.inWindow || now >= entry.windowEndsAt);
+            const closed = !inWindow && entry.inWindow;
+            entry.inWindow = inWindow;
+
+            if (closed) {
+                entry.windowEndsAt = null;
+                entry.nextWindowAt = undefined;
+                if (entry.active) {
+                    this.end(entry, 'window-closed', now);
+                }
+            } else if (opened) {
+                entry.windowEndsAt = entry.windows.length === 0 ? Infinity : nextCronMiss(entry.windows, now) ?? Infinity;
+                entry.nextWindowAt = undefined;
+                // A run that outlasted an unseen window end gets a fresh maxRuntime
+                entry.runStartedAt = now;
+                if (!entry.active) {
+                    entry.active = true;
+                    const stopAt = this.stopAtOf(entry, now);
+                    this.logger.info(`Group ${entry.group} started${stopAt ? ` until ${new Date(stopAt).toISOString()}` : ''}`, { operation: 'schedule', group: entry.group });
+                    this.emit(GROUP_EVENTS.RUN_STARTED, { group: entry.group, reason: 'window-opened', stopAt, nextStartAt: null });
+                }
+            } else if (entry.active && entry.maxRuntime > 0 && now - entry.runStartedAt >= entry.maxRuntime) {
+                this.end(entry, 'max-runtime', now);
+            }
+        }
+        this.arm();
+    }
+
+    end(entry, reason, now) {
+        entry.active = false;
+        entry.runStartedAt = null;
+        const nextStartAt = this.nextStartOf(entry, now);
+        this.logger.info(`Group ${entry.group} stopped (${reason}); ${nextStartAt ? `next window at ${new Date(nextStartAt).toISOString()}` : 'no next window, start it by hand'}`, {
+            operation: 'schedule',
+            group: entry.group
+        });
+        this.emit(GROUP_EVENTS.RUN_ENDED, { group: entry.group, reason, stopAt: null, nextStartAt });
+    }
+
+    /**
+     * Check again at the next minute (windows are per minute) or when a run's maxRuntime is up
+     */
+    arm() {
+        if (!this.started) {
+            return;
+        }
+        clearTimeout(this.timer);
+        const now = this.now();
+        let next = nextMinute(now);
+        for (const entry of this.entries.values()) {
+            if (entry.active && entry.maxRuntime > 0) {
+                next = Math.min(next, entry.runStartedAt + entry.maxRuntime);
+            }
+        }
+        // Not unref'd: with every group outside its window this timer is all that keeps the run going
+        this.timer = setTimeout(() => this.evaluate(), Math.max(0, next - now));
+    }
+
+    /**
+     * When a running group stops at the latest: the end of its window or of its maxRuntime
+     */
+    stopAtOf(entry, now) {
+        const ends = [];
+        if (entry.maxRuntime > 0 && entry.runStartedAt !== null) {
+            ends.push(entry.runStartedAt + entry.maxRuntime);
+        }
+        if (entry.windows.length > 0 && entry.inWindow) {
+            ends.push(entry.windowEndsAt);
+        }
+        const known = ends.filter(end => end !== null && end !== Infinity);
+        return known.length > 0 ? Math.min(...known) : null;
+    }
+
+    /**
+     * When a stopped group starts again: the opening of its next window
+     */
+    nextStartOf(entry, now) {
+        if (entry.windows.length === 0) {
+            return null;
+        }
+        // Found again only once the cached opening has passed unseen, e.g. before start()
+        if (entry.nextWindowAt === undefined || (entry.nextWindowAt !== null && entry.nextWindowAt < now)) {
+            if (!entry.inWindow) {
+                entry.nextWindowAt = nextCronMatch(entry.windows, now);
+            } else {
+                entry.nextWindowAt = entry.windowEndsAt === Infinity ? null : nextCronMatch(entry.windows, entry.windowEndsAt);
+            }
+        }
+        return entry.nextWindowAt;
+    }
+}
@@ -0,0 +1,123 @@
+// src/services/HealthFile.js
+import * as fs from 'fs/promises';
+import path from 'path';
+import { BOT_EVENTS, COORDINATOR_EVENTS } from './events.js';
+import { logger as rootLogger } from '../utils/logger.js';
+
+// A file not refreshed for this many intervals belongs to a hung or killed process
+const STALE_INTERVALS = 3;
+
+/**
+ * Keeps a JSON file with the liveness and readiness of a running coordinator,
+ * for container and service health checks (`kaleido-miner health`). The file
+ * is rewritten every `interval` ms and on every wallet state change, and
+ * removed when the coordinator has stopped, so a missing or stale file means
+ * the miner is not running.
+ *
+ *   { pid, state, live, ready, wallets, mining, interval, updatedAt }
+ */
+export class HealthFile {
+    /**
+     * @param {MiningCoordinator} coordinator - Coordinator to report on
+     * @param {Object} options - Options
+     * @param {string} options.file - Health file
+     * @param {number} options.interval - Time between refreshes (ms)
+     * @param {Function} options.now - Clock, for tests
+     * @param {Logger} options.logger - Logger for write failures
+     */
+    constructor(coordinator, { file, interval = 15000, now = () => Date.now(), logger = rootLogger }) {
+        this.coordinator = coordinator;
+        this.file = file;
+        this.interval = interval;
+        this.now = now;
+        this.logger = logger.child({ component: 'health' });
+        this.timer = null;
+        this.writing = Promise.resolve();
+        this.writeFailed = false;
+        this.onChange = () => this.write();
+    }
+
+    /**
+     * Write the file now and keep it fresh until stop()
+     */
+    start() {
+        this.coordinator.on(BOT_EVENTS.STATE_CHANGED, this.onChange);
+        this.coordinator.on(COORDINATOR_EVENTS.SHUTTING_DOWN, this.onChange);
+        this.timer = setInterval(this.onChange, this.interval);
+        // Never the reason the process stays up
+        this.timer.unref();
+        return this.write();
+    }
+
+    /**
+     * Replace the file with the current status. Writes are serialized and
+     * go through a temporary file, so a probe never reads half a file.
+     * @returns {Promise<void>}
+     */
+    write() {
+        const status = {
+            pid: process.pid,
+            ...this.coordinator.getLifecycleStatus(),
+            interval: this.interval,
+            updatedAt: new Date(this.now()).toISOString()
+        };
+        this.writing = this.writing
+            .then(async () => {
+                const tempFile = `${this.file}.${process.pid}.tmp`;
+                await fs.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.writeFile(tempFile, `${JSON.stringify(status)}\n`);
+                await fs.rename(tempFile, this.file);
+                this.writeFailed = false;
+            })
+            .catch(error => {
+                // Logged once until a write succeeds again
+                if (!this.writeFailed) {
+                    this.writeFailed = true;
+                    this.logger.error(`Failed to write the health file ${this.file}: ${error.message}`, { operation: 'health' });
+                }
+            });
+        return this.writing;
+    }
+
+    /**
+     * Stop refreshing and remove the file
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.coordinator.off(BOT_EVENTS.STATE_CHANGED, this.onChange);
+        this.coordinator.off(COORDINATOR_EVENTS.SHUTTING_DOWN, this.onChange);
+        await this.writing;
+        await fs.rm(this.file, { force: true });
+    }
+}
+
+/**
+ * Reads a health file and decides whether the miner it describes is live
+ * and ready
+ * @param {string} file - Health file
+ * @param {Object} options - Options
+ * @param {Function} options.now - Clock, for tests
+ * @returns {Promise<{live: boolean, ready: boolean, reason: string|null, status: Object|null}>} - reason says why it isn't ready
+ */
+export async function readHealthFile(file, { now = () => Date.now() } = {}) {
+    let status;
+    try {
+        status = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        const reason = error.code === 'ENOENT' ? `no health file at ${file}; the miner is not running` : `unreadable health file ${file}: ${error.message}`;
+        return { live: false, ready: false, reason, status: null };
+    }
+
+    const age = now() - Date.parse(status.updatedAt);
+    if (!(age <= STALE_INTERVALS * status.interval)) {
+        return { live: false, ready: false, reason: `health file not refreshed for ${Math.round(age / 1000)}s; the miner (PID ${status.pid}) is hung or was killed`, status };
+    }
+    if (!status.live) {
+        return { live: false, ready: false, reason: `the miner is ${status.state}`, status };
+    }
+    if (!status.ready) {
+        return { live: true, ready: false, reason: `the miner is ${status.state} with ${status.mining} of ${status.wallets} wallets mining`, status };
+    }
+    return { live: true, ready: true, reason: null, status };
+}
@@ -0,0 +1,246 @@
+// src/services/KaleidoApiClient.js
+import { validateSchema } from '../config/schema.js';
+import { parseRetryAfter } from '../utils/retry.js';
+import { logger as rootLogger } from '../utils/logger.js';
+
+// Response header carrying the API version, when the server sends one
+const VERSION_HEADER = 'x-api-version';
+
+/**
+ * Schemas of the API responses (see validateSchema). Fields the miner doesn't
+ * read are allowed, so additions on the server side don't stop it.
+ */
+export const RESPONSE_SCHEMAS = {
+    '/check-registration': {
+        type: 'object',
+        required: ['isRegistered'],
+        additionalProperties: true,
+        properties: {
+            isRegistered: { type: 'boolean' },
+            userData: {
+                type: 'object',
+                nullable: true,
+                required: ['balance'],
+                additionalProperties: true,
+                properties: {
+                    balance: { type: 'number', minimum: 0 },
+                    referralBonus: { type: 'number', minimum: 0, nullable: true }
+                }
+            }
+        }
+    },
+    '/update-balance': {
+        type: 'object',
+        required: ['success'],
+        additionalProperties: true,
+        properties: {
+            success: { type: 'boolean' },
+            balance: { type: 'number', minimum: 0 }
+        },
+        check: data => (data.success && data.balance === undefined ? 'balance is missing from a successful update' : null)
+    }
+};
+
+/**
+ * Error for a wallet the API doesn't know; registering it is the only fix
+ */
+export class NotRegisteredError extends Error {
+    constructor(wallet, response = null) {
+        super('Wallet not registered');
+        this.name = 'NotRegisteredError';
+        this.code = 'ERR_NOT_REGISTERED';
+        this.wallet = wallet;
+        this.response = response;
+        this.permanent = true;
+    }
+}
+
+/**
+ * Error for a response that doesn't match RESPONSE_SCHEMAS, usually because the API changed
+ */
+export class ApiSchemaError extends Error {
+    constructor(endpoint, errors, response) {
+        super(`Unexpected ${endpoint} response: ${errors.join('; ')}`);
+        this.name = 'ApiSchemaError';
+        this.code = 'ERR_API_SCHEMA';
+        this.endpoint = endpoint;
+        this.errors = errors;
+        this.status = response.status ?? null;
+        this.data = response.data;
+        this.shape = describeShape(response.data);
+    }
+}
+
+/**
+ * Error for a 429 answer. Keeps the HTTP response, so it is retried like
+ * any other 429 and Retry-After is honored.
+ */
+export class RateLimitedError extends Error {
+    constructor(endpoint, error) {
+        const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+        super(`Rate limited by ${endpoint}${retryAfter === null ? '' : ` (retry after ${Math.ceil(retryAfter / 1000)}s)`}`, { cause: error });
+        this.name = 'RateLimitedError';
+        this.endpoint = endpoint;
+        this.response = error.response;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Describes the shape of a response body, e.g. "{balance:number,success:boolean}"
+ * @param {*} value - Parsed response body
+ * @returns {string}
+ */
+export function describeShape(value) {
+    if (Array.isArray(value)) {
+        return `[${value.length > 0 ? describeShape(value[0]) : ''}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${key}:${describeShape(value[key])}`).join(',')}}`;
+    }
+    return value === null ? 'null' : typeof value;
+}
+
+/**
+ * Calls the Kaleido testnet API for one wallet's bot. Every response is
+ * checked against RESPONSE_SCHEMAS before it is used, failures come out as
+ * NotRegisteredError, ApiSchemaError or RateLimitedError (other HTTP errors
+ * pass through unchanged), and the API version and response shapes seen are
+ * kept so changes of the API show up in the logs and the bot snapshot.
+ *
+ * Retries are left to the caller (see KaleidoMiningBot.retryRequest).
+ */
+export class KaleidoApiClient {
+    /**
+     * @param {Object} http - HTTP client with axios-style get/post
+     * @param {Object} options - Options
+     * @param {Logger} options.logger - Logger of the bot
+     */
+    constructor(http, { logger = rootLogger } = {}) {
+        this.http = http;
+        this.logger = logger.child({ component: 'api' });
+        // Last value of the version header, and every response shape seen per endpoint
+        this.version = null;
+        this.shapes = new Map();
+    }
+
+    /**
+     * Send future requests through another HTTP client, e.g. after a proxy change
+     * @param {Object} http - HTTP client with axios-style get/post
+     */
+    setHttp(http) {
+        this.http = http;
+    }
+
+    /**
+     * Look up the registration of a wallet
+     * @param {string} wallet - Wallet address
+     * @returns {Promise<{status: number, balance: number|null, referralBonus: number|null, userData: Object|null}>} - userData is the full object the API sent
+     * @throws {NotRegisteredError} - If the wallet isn't registered
+     */
+    async checkRegistration(wallet) {
+        const response = await this.request('/check-registration', () => this.http.get('/check-registration', { params: { wallet } }), wallet);
+        const { isRegistered, userData } = response.data;
+        if (!isRegistered) {
+            throw new NotRegisteredError(wallet);
+        }
+        return {
+            status: response.status,
+            balance: userData?.balance ?? null,
+            referralBonus: userData?.referralBonus ?? null,
+            userData: userData ?? null
+        };
+    }
+
+    /**
+     * Send the earnings of a mining session
+     * @param {string} wallet - Wallet address
+     * @param {number} session - Earnings since the previous update (KLDO)
+     * @returns {Promise<{status: number, success: boolean, balance: number|null, data: Object}>} - balance is set when success is
+     */
+    async updateBalance(wallet, session) {
+        const payload = {
+            wallet,
+            earnings: {
+                session,
+                type: 'mining_update'
+            }
+        };
+        const response = await this.request('/update-balance', () => this.http.post('/update-balance', payload), wallet);
+        return {
+            status: response.status,
+            success: response.data.success,
+            balance: response.data.balance ?? null,
+            data: response.data
+        };
+    }
+
+    /**
+     * The API version and response shapes seen so far
+     * @returns {{version: string|null, shapes: Object<string, string[]>}}
+     */
+    getInfo() {
+        return {
+            version: this.version,
+            shapes: Object.fromEntries([...this.shapes].map(([endpoint, shapes]) => [endpoint, [...shapes]]))
+        };
+    }
+
+    /**
+     * Send a request, translate its errors and validate the response
+     */
+    async request(endpoint, send, wallet) {
+        let response;
+        try {
+            response = await send();
+        } catch (error) {
+            throw translateError(endpoint, error, wallet);
+        }
+
+        this.recordResponse(endpoint, response);
+        const errors = validateSchema(response.data, RESPONSE_SCHEMAS[endpoint], 'response');
+        if (errors.length > 0) {
+            throw new ApiSchemaError(endpoint, errors, response);
+        }
+        return response;
+    }
+
+    /**
+     * Remember the version and shape of a response, logging the ones not seen before
+     */
+    recordResponse(endpoint, response) {
+        const version = response.headers?.[VERSION_HEADER] ?? null;
+        if (version !== null && version !== this.version) {
+            if (this.version !== null) {
+                this.logger.info(`API version changed from ${this.version} to ${version}`, { operation: 'api' });
+            }
+            this.version = version;
+        }
+
+        const shape = describeShape(response.data);
+        if (!this.shapes.has(endpoint)) {
+            this.shapes.set(endpoint, new Set());
+        }
+        const seen = this.shapes.get(endpoint);
+        if (!seen.has(shape)) {
+            // The first shape is expected; later ones are worth a look when something breaks
+            const level = seen.size === 0 ? 'debug' : 'info';
+            this.logger[level](`New ${endpoint} response shape: ${shape}`, { operation: 'api', version: this.version });
+            seen.add(shape);
+        }
+    }
+}
+
+/**
+ * Turn an HTTP error into a typed error where one applies
+ */
+function translateError(endpoint, error, wallet) {
+    const status = error?.response?.status;
+    if (status === 429) {
+        return new RateLimitedError(endpoint, error);
+    }
+    if (status >= 400 && status < 500 && /not registered/i.test(error.response.data?.error ?? '')) {
+        return new NotRegisteredError(wallet, error.response);
+    }
+    return error;
+}
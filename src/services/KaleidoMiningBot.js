@@ -1,80 +1,162 @@
 // src/services/KaleidoMiningBot.js
-import chalk from 'chalk';
-import * as fs from 'fs/promises';
 import path from 'path';
-import { setupAxiosWithProxy, getRootDir } from '../utils/utils.js';
-import { API_CONFIG, MINING_CONFIG, DEBUG } from '../config/constants.js';
+import { EventEmitter } from 'events';
+import { setupAxiosWithProxy, getProxyHost } from '../utils/utils.js';
+import { logger as rootLogger } from '../utils/logger.js';
+import { getDefaultConfig } from '../config/configLoader.js';
+import { BOT_EVENTS } from './events.js';
+import { createSessionStore, SESSION_HISTORY_LIMIT } from '../storage/index.js';
+import { retry, classifyError, createRetryPolicy, CircuitBreaker } from '../utils/retry.js';
+import { Scheduler } from './Scheduler.js';
+import { EarningsReconciler } from './EarningsReconciler.js';
+import { KaleidoApiClient, NotRegisteredError } from './KaleidoApiClient.js';
 
-export class KaleidoMiningBot {
-    constructor(wallet, botIndex, proxy = null) {
+/**
+ * Lifecycle states of a bot
+ */
+export const BOT_STATES = {
+    INITIALIZING: 'initializing',
+    MINING: 'mining',
+    PAUSED: 'paused',
+    FAILED: 'failed',
+    STOPPED: 'stopped'
+};
+
+/**
+ * Mines for a single wallet.
+ *
+ * Events (payloads are documented in events.js):
+ *   initialized    InitializedEvent
+ *   stateChanged   StateChangedEvent
+ *   balanceUpdated BalanceUpdatedEvent
+ *   updateFailed   UpdateFailedEvent
+ *   circuitChanged CircuitChangedEvent
+ *   earningsDrift  EarningsDriftEvent
+ *   registrationChanged RegistrationChangedEvent
+ *   stopped        StoppedEvent
+ */
+export class KaleidoMiningBot extends EventEmitter {
+    /**
+     * @param {string} wallet - Wallet address
+     * @param {number} botIndex - 1-based position of the wallet in the key list
+     * @param {string|null} proxy - Optional proxy URL
+     * @param {Object} options - Bot options
+     * @param {Object} options.config - Resolved configuration (see resolveWalletConfig)
+     * @param {Object} options.http - HTTP client with axios-style get/post; built from the config and proxy when omitted
+     * @param {SessionStore} options.sessionStore - Where the session is kept; built from config.storage when omitted
+     * @param {Scheduler} options.scheduler - Request gate and timers shared with other bots; built from config.scheduler when omitted
+     * @param {EarningsReconciler} options.reconciler - Checks the credited earnings; built from config.reconciliation when omitted
+     * @param {Logger} options.logger - Parent logger; the bot adds its wallet and index to every record
+     */
+    constructor(wallet, botIndex, proxy = null, { config = getDefaultConfig(), http = null, sessionStore = null, scheduler = null, reconciler = null, logger = rootLogger } = {}) {
+        super();
+        this.config = config;
         this.wallet = wallet.toLowerCase(); // Ensure lowercase for consistency with API
         this.botIndex = botIndex;
+        this.logger = logger.child({ wallet: this.wallet, botIndex });
         this.proxy = proxy;
         this.currentEarnings = { total: 0 };
         this.miningState = {
             isActive: false,
-            worker: "quantum-rig-1",
-            pool: "quantum-1",
+            worker: config.mining.worker,
+            pool: config.mining.pool,
             startTime: null,
             lastUpdate: null
         };
         this.referralBonus = 0;
+        // userData of the last registration check, and when it was made (ms timestamp)
+        this.userData = null;
+        this.registrationCheckedAt = null;
+        this.state = BOT_STATES.INITIALIZING;
+        this.initialBalance = null;
+        this.lastSuccessAt = null;
+        this.consecutiveErrors = 0;
+        this.lastError = null;
+        // Why initialization failed; permanent failures can't be fixed by trying again
+        this.failure = null;
+        // Balance snapshots of successful updates, persisted with the session
+        this.history = [];
+        // Set while a balance update tick runs, so a resume during the request doesn't start a second one
+        this.tickInFlight = false;
+        // Outcome of the final update of the last stop(): 'ok', 'failed', or 'skipped' if the bot wasn't mining
+        this.finalUpdate = null;
         this.stats = {
-            hashrate: MINING_CONFIG.DEFAULT_HASHRATE,
+            hashrate: config.mining.defaultHashrate,
             shares: { accepted: 0, rejected: 0 },
-            efficiency: MINING_CONFIG.DEFAULT_EFFICIENCY,
-            powerUsage: MINING_CONFIG.DEFAULT_POWER_USAGE
+            efficiency: config.mining.defaultEfficiency,
+            powerUsage: config.mining.defaultPowerUsage
         };
-        // Use a dedicated session folder
-        const sessionDir = path.join(getRootDir(), 'session');
-        this.sessionDir = sessionDir;
-        this.sessionFile = path.join(sessionDir, `${wallet}.json`);
-        
-        // Create session directory if it doesn't exist
-        this.ensureSessionDir();
+        this.sessionStore = sessionStore || createSessionStore(config, { logger: this.logger });
+        this.scheduler = scheduler || new Scheduler({ ...config.scheduler, logger: this.logger });
+        this.reconciler = reconciler || new EarningsReconciler({
+            ...config.reconciliation,
+            auditFile: path.join(config.storage.dir, config.reconciliation.auditDir, `${this.wallet}.jsonl`),
+            logger: this.logger
+        });
+        // measure() result of the interval the next balance update reports
+        this.lastInterval = null;
+        this.retryPolicy = createRetryPolicy(config.mining);
+        // Stops balance updates after repeated failures and probes again after a cooldown
+        this.circuit = new CircuitBreaker({
+            threshold: config.mining.circuitBreakerThreshold,
+            cooldown: config.mining.circuitBreakerCooldown
+        });
         
         // Setup API with proxy if provided
-        this.api = setupAxiosWithProxy({
-            baseURL: API_CONFIG.BASE_URL,
-            headers: API_CONFIG.HEADERS
-        }, proxy);
+        this.api = http || this.createApi(proxy);
+        this.client = new KaleidoApiClient(this.api, { logger: this.logger });
     }
 
     /**
-     * Ensure the session directory exists
+     * Build the axios instance for the API, through a proxy if given
      */
-    async ensureSessionDir() {
-        try {
-            // Check if directory exists
-            try {
-                await fs.access(this.sessionDir);
-            } catch (e) {
-                // Directory doesn't exist, create it
-                await fs.mkdir(this.sessionDir, { recursive: true });
-                if (DEBUG.VERBOSE) {
-                    console.log(chalk.blue(`Created session directory: ${this.sessionDir}`));
-                }
-            }
-        } catch (error) {
-            if (DEBUG.LOG_ERRORS) {
-                console.error(chalk.red(`Error creating session directory: ${error.message}`));
-            }
-        }
+    createApi(proxy) {
+        return setupAxiosWithProxy({
+            baseURL: this.config.api.baseUrl,
+            headers: this.config.api.headers,
+            timeout: this.config.api.timeout
+        }, proxy, this.logger.child({ operation: 'http' }));
     }
-    
+
     /**
-     * Load previous session data if available
+     * Send future requests through another proxy (or none). Requests in flight
+     * finish on the old connection; the session and mining loop are untouched.
+     * @param {string|null} proxy - New proxy URL
+     * @param {Object} http - HTTP client to use instead of building one
+     */
+    setProxy(proxy, http = null) {
+        const previous = getProxyHost(this.proxy) || 'none';
+        this.proxy = proxy;
+        this.api = http || this.createApi(proxy);
+        this.client.setHttp(this.api);
+        this.logger.info(`Proxy changed from ${previous} to ${getProxyHost(proxy) || 'none'}`, { operation: 'proxy' });
+    }
+
+    /**
+     * Load previous session data if available.
+     * Hashrate, efficiency, power usage, worker and pool come from the config, so only
+     * the accumulated share counts are restored from the saved stats.
      */
     async loadSession() {
         try {
-            const data = await fs.readFile(this.sessionFile, 'utf8');
-            const session = JSON.parse(data);
+            const session = await this.sessionStore.load(this.wallet);
+            if (!session) {
+                return false;
+            }
             this.miningState.startTime = session.startTime;
-            this.currentEarnings = session.earnings;
+            this.miningState.lastUpdate = session.lastUpdate;
+            this.currentEarnings = { total: session.earnings.total };
             this.referralBonus = session.referralBonus;
-            console.log(chalk.green(`[Wallet ${this.botIndex}] Previous session loaded successfully`));
+            this.userData = session.userData ?? this.userData;
+            if (session.stats?.shares) {
+                this.stats.shares = { ...session.stats.shares };
+            }
+            this.reconciler.restore(session.reconciliation);
+            this.history = session.history || [];
+            this.logger.info('Previous session loaded successfully', { operation: 'session' });
             return true;
         } catch (error) {
+            this.logger.error(`Failed to load session: ${error.message}`, { operation: 'session' });
             return false;
         }
     }
@@ -83,98 +165,349 @@ export class KaleidoMiningBot {
      * Save current session data
      */
     async saveSession() {
+        if (this.abandoned) {
+            return;
+        }
         const sessionData = {
             startTime: this.miningState.startTime,
+            lastUpdate: this.miningState.lastUpdate,
             earnings: this.currentEarnings,
-            referralBonus: this.referralBonus
+            referralBonus: this.referralBonus,
+            userData: this.userData,
+            worker: this.miningState.worker,
+            pool: this.miningState.pool,
+            stats: this.stats,
+            history: this.history,
+            reconciliation: this.reconciler.getSummary()
         };
         
         try {
-            await fs.writeFile(this.sessionFile, JSON.stringify(sessionData, null, 2));
+            await this.sessionStore.save(this.wallet, sessionData);
+        } catch (error) {
+            this.logger.error(`Failed to save session: ${error.message}`, { operation: 'session' });
+        }
+    }
+
+    /**
+     * Add a successful update, with its mining time and referral bonus, to the store's time series
+     */
+    async recordBalanceUpdate(update, final) {
+        if (this.abandoned) {
+            return;
+        }
+        try {
+            await this.sessionStore.recordUpdate(this.wallet, { ...update, final });
+        } catch (error) {
+            this.logger.error(`Failed to record balance update: ${error.message}`, { operation: 'session' });
+        }
+    }
+
+    /**
+     * Query the registration status of the wallet
+     * @param {number} retries - Attempts to make; defaults to mining.retryAttempts
+     * @returns {Promise<{status: number, balance: number|null, referralBonus: number|null, userData: Object|null}>}
+     * @throws {NotRegisteredError} - If the wallet isn't registered
+     */
+    async checkRegistration(retries = this.retryPolicy.attempts) {
+        return this.retryRequest(
+            () => this.client.checkRegistration(this.wallet),
+            "Registration check",
+            retries
+        );
+    }
+
+    /**
+     * Keep the result of a registration check and take over a changed referral bonus
+     * @param {Object} registration - Result of checkRegistration()
+     */
+    applyRegistration({ referralBonus, userData }) {
+        const previousReferralBonus = this.referralBonus;
+        this.userData = userData;
+        this.registrationCheckedAt = Date.now();
+        // Keep the bonus we have when the API doesn't send one
+        this.referralBonus = referralBonus ?? previousReferralBonus;
+        if (this.referralBonus === previousReferralBonus) {
+            return;
+        }
+        this.logger.info(`Referral bonus changed from +${(previousReferralBonus * 100).toFixed(1)}% to +${(this.referralBonus * 100).toFixed(1)}%`, {
+            operation: 'registration',
+            previousReferralBonus,
+            referralBonus: this.referralBonus
+        });
+        this.emit(BOT_EVENTS.REGISTRATION_CHANGED, {
+            wallet: this.wallet,
+            botIndex: this.botIndex,
+            registered: true,
+            previousReferralBonus,
+            referralBonus: this.referralBonus,
+            userData
+        });
+    }
+
+    /**
+     * Check the registration again once mining.registrationRefreshInterval has
+     * passed since the last check. A failed check gets a single attempt and is
+     * tried again an interval later; an unregistered wallet stops mining.
+     */
+    async refreshRegistration() {
+        const interval = this.config.mining.registrationRefreshInterval;
+        if (!interval || !this.miningState.isActive || this.registrationCheckedAt === null || Date.now() - this.registrationCheckedAt < interval) {
+            return;
+        }
+        this.registrationCheckedAt = Date.now();
+        try {
+            this.applyRegistration(await this.checkRegistration(1));
         } catch (error) {
-            if (DEBUG.LOG_ERRORS) {
-                console.error(chalk.red(`[Wallet ${this.botIndex}] Failed to save session:`, error.message));
+            if (error instanceof NotRegisteredError) {
+                await this.handleUnregistered();
+                return;
             }
+            this.logger.warn(`Registration refresh failed, keeping the last userData: ${error.message}`, { operation: 'registration' });
         }
     }
 
     /**
-     * Initialize the mining bot
+     * Wind down a wallet that is no longer registered. There is no final update,
+     * since the server won't credit it, but the session and audit log are saved.
+     * The bot fails permanently, so the supervisor doesn't restart it.
+     */
+    async handleUnregistered() {
+        // Already stopping or paused; initialize() will find out
+        if (!this.miningState.isActive) {
+            return;
+        }
+        this.logger.error('Wallet is no longer registered, stopping', { operation: 'registration' });
+        this.miningState.isActive = false;
+        this.scheduler.cancel(this);
+        this.emit(BOT_EVENTS.REGISTRATION_CHANGED, {
+            wallet: this.wallet,
+            botIndex: this.botIndex,
+            registered: false,
+            previousReferralBonus: this.referralBonus,
+            referralBonus: this.referralBonus,
+            userData: null
+        });
+        await this.saveSession();
+        await this.reconciler.flush();
+        this.lastError = 'Wallet not registered';
+        this.failure = { reason: this.lastError, permanent: true, at: Date.now() };
+        this.setState(BOT_STATES.FAILED, this.lastError);
+    }
+
+    /**
+     * Initialize the mining bot. Resolves once mining has started or failed;
+     * the mining loop keeps running in the background until stop() or pause().
+     * Can be called again on a failed bot.
+     * @returns {Promise<boolean>} - Whether mining started
      */
     async initialize() {
+        this.setState(BOT_STATES.INITIALIZING);
+        this.failure = null;
         try {
             // 1. Check registration status
-            if (DEBUG.VERBOSE) {
-                console.log(chalk.blue(`[Wallet ${this.botIndex}] Checking registration for ${this.wallet}...`));
-            }
+            this.logger.debug(`Checking registration for ${this.wallet}...`, { operation: 'initialize' });
             
-            const regResponse = await this.retryRequest(
-                () => this.api.get(`/check-registration?wallet=${this.wallet}`),
-                "Registration check"
-            );
-
-            if (!regResponse.data.isRegistered) {
-                throw new Error('Wallet not registered');
-            }
+            const registration = await this.checkRegistration();
+            this.reconciler.setBaseline(registration.balance);
 
             // 2. Try to load previous session
             const hasSession = await this.loadSession();
             
             if (!hasSession) {
                 // Only initialize new values if no previous session exists
-                this.referralBonus = regResponse.data.userData?.referralBonus || 0;
+                this.referralBonus = registration.referralBonus ?? 0;
                 this.currentEarnings = {
-                    total: regResponse.data.userData?.balance || 0
+                    total: registration.balance ?? 0
                 };
                 this.miningState.startTime = Date.now();
             }
+            // The bonus saved with a session may have changed since
+            this.applyRegistration(registration);
+            this.initialBalance = this.currentEarnings.total;
+
+            // stop() was called while the requests were in flight
+            if (this.state === BOT_STATES.STOPPED) {
+                return false;
+            }
 
             // 3. Start mining session
             this.miningState.isActive = true;
             this.miningState.lastUpdate = new Date().toISOString();
+            this.reconciler.mark();
+            this.setState(BOT_STATES.MINING);
+            this.emit(BOT_EVENTS.INITIALIZED, {
+                wallet: this.wallet,
+                botIndex: this.botIndex,
+                balance: this.currentEarnings.total,
+                referralBonus: this.referralBonus,
+                resumed: hasSession
+            });
             
-            console.log(chalk.green(`[Wallet ${this.botIndex}] Mining ${hasSession ? 'resumed' : 'initialized'} successfully`));
+            this.logger.info(`Mining ${hasSession ? 'resumed' : 'initialized'} successfully`, { operation: 'initialize' });
             if (this.proxy) {
-                console.log(chalk.blue(`[Wallet ${this.botIndex}] Using proxy: ${this.proxy}`));
+                this.logger.info(`Using proxy: ${getProxyHost(this.proxy)}`, { operation: 'initialize' });
             }
             
-            await this.startMiningLoop();
+            this.startMiningLoop();
+            return true;
 
         } catch (error) {
-            if (DEBUG.LOG_ERRORS) {
-                console.error(chalk.red(`[Wallet ${this.botIndex}] Initialization failed:`), error.message);
-                if (error.response) {
-                    console.error(chalk.red(`[Wallet ${this.botIndex}] Response status:`, error.response.status));
-                    console.error(chalk.red(`[Wallet ${this.botIndex}] Response data:`, JSON.stringify(error.response.data, null, 2)));
-                }
-            }
+            this.logger.error(`Initialization failed: ${error.message}`, {
+                operation: 'initialize',
+                ...(error.response ? { status: error.response.status, response: error.response.data } : {})
+            });
             this.miningState.isActive = false;
+            this.lastError = error.message;
+            // Client errors (4xx) and an unregistered wallet (NotRegisteredError) won't go away by themselves
+            this.failure = {
+                reason: error.message,
+                permanent: error.permanent === true || error.classification?.reason === 'client',
+                at: Date.now()
+            };
+            if (this.state !== BOT_STATES.STOPPED) {
+                this.setState(BOT_STATES.FAILED, error.message);
+            }
+            return false;
         }
     }
 
     /**
-     * Retry API requests with backoff
+     * Move to a new lifecycle state and announce it
+     * @param {string} state - One of BOT_STATES
+     * @param {string|null} reason - Optional explanation, e.g. the error that failed the bot
      */
-    async retryRequest(requestFn, operationName, retries = 3) {
-        for (let i = 0; i < retries; i++) {
-            try {
-                return await requestFn();
-            } catch (error) {
-                if (i === retries - 1) {
-                    if (DEBUG.LOG_ERRORS) {
-                        console.error(chalk.red(`[${operationName}] Failed after ${retries} attempts`));
-                        if (error.response) {
-                            console.error(chalk.red(`Response status: ${error.response.status}`));
-                            console.error(chalk.red(`Response data: ${JSON.stringify(error.response.data || {}, null, 2)}`));
-                        }
-                    }
-                    throw error;
-                }
-                if (DEBUG.VERBOSE) {
-                    console.log(chalk.yellow(`[${operationName}] Retrying (${i + 1}/${retries})...`));
+    setState(state, reason = null) {
+        if (state === this.state) {
+            return;
+        }
+        const previousState = this.state;
+        this.state = state;
+        this.emit(BOT_EVENTS.STATE_CHANGED, { wallet: this.wallet, botIndex: this.botIndex, previousState, state, reason });
+    }
+
+    /**
+     * Summarize the bot for dashboards and reports
+     * @returns {Object} - Plain snapshot of the bot state
+     */
+    getSnapshot() {
+        const balance = this.currentEarnings.total;
+        return {
+            botIndex: this.botIndex,
+            wallet: this.wallet,
+            state: this.state,
+            uptime: this.miningState.startTime ? Date.now() - this.miningState.startTime : 0,
+            balance,
+            balanceDelta: this.initialBalance === null ? 0 : balance - this.initialBalance,
+            referralBonus: this.referralBonus,
+            userData: this.userData,
+            registrationCheckedAt: this.registrationCheckedAt,
+            lastSuccessAt: this.lastSuccessAt,
+            consecutiveErrors: this.consecutiveErrors,
+            lastError: this.lastError,
+            circuit: this.circuit.state,
+            nextProbeAt: this.circuit.nextProbeAt,
+            proxyHost: getProxyHost(this.proxy),
+            profile: this.config.profile ?? null,
+            label: this.config.label ?? null,
+            group: this.config.group ?? null,
+            reconciliation: this.reconciler.getSummary(),
+            api: this.client.getInfo()
+        };
+    }
+
+    /**
+     * Stop sending updates without ending the session
+     * @returns {boolean} - Whether the bot was mining
+     */
+    pause() {
+        if (this.state !== BOT_STATES.MINING) {
+            return false;
+        }
+        this.miningState.isActive = false;
+        this.scheduler.cancel(this);
+        this.setState(BOT_STATES.PAUSED);
+        this.logger.info('Mining paused', { operation: 'pause' });
+        return true;
+    }
+
+    /**
+     * Continue a paused bot; the time spent paused is not credited
+     * @returns {boolean} - Whether the bot was paused
+     */
+    resume() {
+        if (this.state !== BOT_STATES.PAUSED) {
+            return false;
+        }
+        this.miningState.isActive = true;
+        this.miningState.lastUpdate = new Date().toISOString();
+        this.reconciler.mark();
+        this.setState(BOT_STATES.MINING);
+        this.logger.info('Mining resumed', { operation: 'pause' });
+        this.startMiningLoop();
+        return true;
+    }
+
+    /**
+     * Retry API requests with exponential backoff. Errors that can't succeed on
+     * another attempt (4xx other than 408/429) are rethrown right away. Every
+     * attempt waits for its turn in the shared scheduler.
+     * @param {Function} requestFn - Function performing the request
+     * @param {string} operationName - Name used in log messages
+     * @param {number} retries - Attempts to make; defaults to mining.retryAttempts
+     */
+    async retryRequest(requestFn, operationName, retries = this.retryPolicy.attempts) {
+        try {
+            return await retry(attempt => this.scheduler.run(() => this.timeRequest(requestFn, operationName, attempt)), {
+                policy: { ...this.retryPolicy, attempts: retries },
+                onRetry: ({ attempt, delay, classification }) => {
+                    this.logger.debug(`${operationName}: ${classification.reason} error, retrying in ${(delay / 1000).toFixed(1)}s (${attempt}/${retries})...`, {
+                        operation: 'retry',
+                        ...(classification.status ? { status: classification.status } : {})
+                    });
+                    this.emit(BOT_EVENTS.REQUEST_RETRY, {
+                        wallet: this.wallet,
+                        botIndex: this.botIndex,
+                        operation: operationName,
+                        attempt,
+                        delay,
+                        reason: classification.reason,
+                        status: classification.status ?? null
+                    });
                 }
-                await new Promise(resolve => setTimeout(resolve, 2000 * (i + 1)));
-            }
+            });
+        } catch (error) {
+            const { retryable, reason } = error.classification || {};
+            this.logger.warn(retryable ? `${operationName} failed after ${error.attempts} attempts` : `${operationName} failed with a ${reason} error, not retrying`, {
+                operation: 'retry',
+                ...(error.response ? { status: error.response.status, response: error.response.data } : {})
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Run one attempt of a request and announce how long it took
+     */
+    async timeRequest(requestFn, operationName, attempt) {
+        const startedAt = performance.now();
+        const report = (ok, status, error = null) => this.emit(BOT_EVENTS.REQUEST_COMPLETED, {
+            wallet: this.wallet,
+            botIndex: this.botIndex,
+            operation: operationName,
+            attempt,
+            duration: performance.now() - startedAt,
+            ok,
+            status,
+            reason: error ? classifyError(error).reason : null,
+            error: error ? error.message : null
+        });
+        try {
+            const response = await requestFn();
+            report(true, response?.status ?? null);
+            return response;
+        } catch (error) {
+            report(false, error.response?.status ?? null, error);
+            throw error;
         }
     }
 
@@ -183,67 +516,153 @@ export class KaleidoMiningBot {
      */
     calculateEarnings() {
         const timeElapsed = (Date.now() - this.miningState.startTime) / 1000;
-        return (this.stats.hashrate * timeElapsed * MINING_CONFIG.EARNINGS_RATE) * (1 + this.referralBonus);
+        return (this.stats.hashrate * timeElapsed * this.config.mining.earningsRate) * (1 + this.referralBonus);
     }
 
     /**
-     * Calculate session earnings since last update
+     * Calculate session earnings since last update. The interval is measured
+     * with the monotonic clock, so clock changes and suspend aren't credited.
      */
     calculateSessionEarnings() {
         const now = Date.now();
-        const timeElapsed = (now - (this.miningState.lastUpdate ? new Date(this.miningState.lastUpdate).getTime() : this.miningState.startTime)) / 1000;
-        const earnings = (this.stats.hashrate * timeElapsed * MINING_CONFIG.EARNINGS_RATE) * (1 + this.referralBonus);
+        const since = this.miningState.lastUpdate ? new Date(this.miningState.lastUpdate).getTime() : this.miningState.startTime;
+        this.lastInterval = this.reconciler.measure(now - since);
+        const timeElapsed = this.lastInterval.elapsed / 1000;
+        const earnings = (this.stats.hashrate * timeElapsed * this.config.mining.earningsRate) * (1 + this.referralBonus);
         this.miningState.lastUpdate = new Date(now).toISOString();
         return earnings;
     }
 
     /**
      * Update balance with the server
+     * @param {boolean} finalUpdate - Whether this is the update of stop()
+     * @returns {Promise<boolean>} - Whether the server accepted the update
      */
     async updateBalance(finalUpdate = false) {
-        try {
-            // Calculate session earnings since last update
-            const sessionEarnings = this.calculateSessionEarnings();
-            
-            // Use the format from the real API call
-            const payload = {
-                wallet: this.wallet,
-                earnings: {
-                    session: sessionEarnings,
-                    type: "mining_update"
-                }
-            };
+        // The final update is always attempted; regular ones wait while the circuit is open
+        if (!finalUpdate && !this.circuit.allowRequest()) {
+            // Like a pause, time spent with the circuit open is not credited
+            this.miningState.lastUpdate = new Date().toISOString();
+            this.reconciler.mark();
+            this.logger.debug('Circuit open, skipping balance update', { operation: 'updateBalance', nextProbeAt: new Date(this.circuit.nextProbeAt).toISOString() });
+            return false;
+        }
 
-            if (DEBUG.VERBOSE) {
-                console.log(chalk.blue(`[Wallet ${this.botIndex}] Sending update with payload: ${JSON.stringify(payload)}`));
-            }
+        // Calculate session earnings since last update
+        const sessionEarnings = this.calculateSessionEarnings();
+
+        try {
+            this.logger.debug('Sending balance update', { operation: 'updateBalance', session: sessionEarnings });
 
+            // A probe of an open circuit (or a final update despite it) gets a single attempt
             const response = await this.retryRequest(
-                () => this.api.post('/update-balance', payload),
-                "Balance update"
+                () => this.client.updateBalance(this.wallet, sessionEarnings),
+                "Balance update",
+                this.circuit.state === 'closed' ? this.retryPolicy.attempts : 1
             );
 
-            if (response.data.success) {
-                this.currentEarnings.total = response.data.balance;
+            if (response.success) {
+                const oldBalance = this.currentEarnings.total;
+                this.currentEarnings.total = response.balance;
+                this.lastSuccessAt = Date.now();
+                this.consecutiveErrors = 0;
+                this.lastError = null;
+                if (this.circuit.recordSuccess()) {
+                    this.logger.info('API reachable again, circuit closed', { operation: 'circuit' });
+                    this.emitCircuitChanged();
+                }
+                this.reconcile(this.reconciler.recordSuccess({ expected: sessionEarnings, balance: response.balance, interval: this.lastInterval, final: finalUpdate }));
+                const snapshot = { time: new Date(this.lastSuccessAt).toISOString(), balance: this.currentEarnings.total, earned: sessionEarnings };
+                this.history.push(snapshot);
+                if (this.history.length > SESSION_HISTORY_LIMIT) {
+                    this.history.splice(0, this.history.length - SESSION_HISTORY_LIMIT);
+                }
                 await this.saveSession();
+                await this.recordBalanceUpdate({ ...snapshot, elapsed: Math.round(this.lastInterval.elapsed), referralBonus: this.referralBonus }, finalUpdate);
                 this.logStatus(finalUpdate);
+                this.emit(BOT_EVENTS.BALANCE_UPDATED, {
+                    wallet: this.wallet,
+                    botIndex: this.botIndex,
+                    oldBalance,
+                    newBalance: this.currentEarnings.total,
+                    sessionEarnings,
+                    final: finalUpdate,
+                    status: response.status
+                });
+                return true;
             } else {
-                if (DEBUG.LOG_ERRORS) {
-                    console.error(chalk.red(`[Wallet ${this.botIndex}] Update failed: Server returned success=false`));
-                    if (response.data) {
-                        console.error(chalk.red(`[Wallet ${this.botIndex}] Response data:`, JSON.stringify(response.data, null, 2)));
-                    }
-                }
+                this.logger.error('Update failed: Server returned success=false', { operation: 'updateBalance', response: response.data });
+                this.reconcile(this.reconciler.recordFailure({ expected: sessionEarnings, rejected: true, error: 'Server returned success=false', interval: this.lastInterval, final: finalUpdate }));
+                this.recordUpdateFailure('Server returned success=false', response.status ?? null, 'unsuccessful');
             }
         } catch (error) {
-            if (DEBUG.LOG_ERRORS) {
-                console.error(chalk.red(`[Wallet ${this.botIndex}] Update failed:`, error.message));
-                if (error.response) {
-                    console.error(chalk.red(`[Wallet ${this.botIndex}] Status code:`, error.response.status));
-                    console.error(chalk.red(`[Wallet ${this.botIndex}] Response data:`, JSON.stringify(error.response.data || {}, null, 2)));
-                }
+            this.logger.error(`Update failed: ${error.message}`, {
+                operation: 'updateBalance',
+                ...(error.response ? { status: error.response.status, response: error.response.data } : {})
+            });
+            this.reconcile(this.reconciler.recordFailure({ expected: sessionEarnings, error: error.message, interval: this.lastInterval, final: finalUpdate }));
+            this.recordUpdateFailure(error.message, error.response?.status ?? null, error.classification?.reason ?? 'error');
+            if (error instanceof NotRegisteredError && !finalUpdate) {
+                await this.handleUnregistered();
             }
         }
+        return false;
+    }
+
+    /**
+     * Announce a reconciled update whose earnings don't add up
+     * @param {Object} tick - Audit entry from the reconciler
+     */
+    reconcile(tick) {
+        if (tick.flags.length === 0) {
+            return;
+        }
+        this.emit(BOT_EVENTS.EARNINGS_DRIFT, {
+            wallet: this.wallet,
+            botIndex: this.botIndex,
+            flags: tick.flags,
+            expected: tick.expected,
+            credited: tick.credited,
+            drift: tick.drift,
+            final: tick.final
+        });
+    }
+
+    /**
+     * Count a failed balance update and announce it
+     */
+    recordUpdateFailure(message, status = null, reason = 'error') {
+        this.consecutiveErrors++;
+        this.lastError = message;
+        this.emit(BOT_EVENTS.UPDATE_FAILED, {
+            wallet: this.wallet,
+            botIndex: this.botIndex,
+            error: message,
+            status,
+            reason,
+            consecutiveErrors: this.consecutiveErrors
+        });
+        if (this.circuit.recordFailure()) {
+            const nextProbe = new Date(this.circuit.nextProbeAt).toISOString();
+            this.logger.warn(`Circuit open after ${this.consecutiveErrors} consecutive failures; next probe at ${nextProbe}`, {
+                operation: 'circuit',
+                consecutiveErrors: this.consecutiveErrors,
+                nextProbeAt: nextProbe
+            });
+            this.emitCircuitChanged();
+        }
+    }
+
+    /**
+     * Announce a change of the circuit breaker state
+     */
+    emitCircuitChanged() {
+        this.emit(BOT_EVENTS.CIRCUIT_CHANGED, {
+            wallet: this.wallet,
+            botIndex: this.botIndex,
+            state: this.circuit.state,
+            nextProbeAt: this.circuit.nextProbeAt
+        });
     }
 
     /**
@@ -252,34 +671,59 @@ export class KaleidoMiningBot {
     logStatus(final = false) {
         const statusType = final ? "Final Status" : "Mining Status";
         const uptime = ((Date.now() - this.miningState.startTime) / 1000).toFixed(0);
+        const { drift, flaggedTicks } = this.reconciler.getSummary();
+        const driftText = flaggedTicks > 0 ? ` | Drift ${drift >= 0 ? '+' : ''}${drift.toFixed(8)} KLDO in ${flaggedTicks} updates` : '';
         
-        console.log(chalk.yellow(`
-        === [Wallet ${this.botIndex}] ${statusType} ===
-        Wallet: ${this.wallet}
-        Uptime: ${uptime}s | Active: ${this.miningState.isActive}
-        Hashrate: ${this.stats.hashrate} MH/s
-        Total Balance: ${chalk.cyan(this.currentEarnings.total.toFixed(8))} KLDO
-        Referral Bonus: ${chalk.magenta(`+${(this.referralBonus * 100).toFixed(1)}%`)}
-        ${this.proxy ? `Proxy: ${chalk.blue(this.proxy)}` : ''}
-        `));
+        this.logger.info(`${statusType}: ${this.currentEarnings.total.toFixed(8)} KLDO | Uptime ${uptime}s | Active ${this.miningState.isActive} | Hashrate ${this.stats.hashrate} MH/s | Referral +${(this.referralBonus * 100).toFixed(1)}%${driftText}${this.proxy ? ` | Proxy ${getProxyHost(this.proxy)}` : ''}`, {
+            operation: 'status',
+            uptime: Number(uptime),
+            active: this.miningState.isActive,
+            hashrate: this.stats.hashrate,
+            balance: this.currentEarnings.total,
+            referralBonus: this.referralBonus,
+            drift,
+            flaggedTicks,
+            final
+        });
     }
 
     /**
-     * Start the mining loop
+     * Start mining: send an update now and then every updateInterval, driven by the scheduler's timer wheel
      */
     async startMiningLoop() {
-        while (this.miningState.isActive) {
-            try {
-                await this.updateBalance();
-                await new Promise(resolve => setTimeout(resolve, MINING_CONFIG.UPDATE_INTERVAL));
-            } catch (error) {
-                if (DEBUG.LOG_ERRORS) {
-                    console.error(chalk.red(`[Wallet ${this.botIndex}] Error in mining loop:`, error.message));
-                }
-                // Wait a bit before retrying if there's an error
-                await new Promise(resolve => setTimeout(resolve, 5000));
-            }
+        await this.tick();
+    }
+
+    /**
+     * Send one balance update and schedule the next
+     */
+    async tick() {
+        if (!this.miningState.isActive || this.tickInFlight) {
+            return;
+        }
+        this.tickInFlight = true;
+        try {
+            await this.updateBalance();
+            await this.refreshRegistration();
+        } catch (error) {
+            this.logger.error(`Error in mining loop: ${error.message}`, { operation: 'miningLoop' });
+        } finally {
+            this.tickInFlight = false;
         }
+        if (this.miningState.isActive) {
+            this.scheduler.schedule(this, this.config.mining.updateInterval, () => this.tick());
+        }
+    }
+
+    /**
+     * Give up on a stop that missed its deadline. The coordinator closes the
+     * session stores and releases the PID lock right after, so whatever the
+     * hung stop still does is no longer saved or audited.
+     */
+    abandon() {
+        this.abandoned = true;
+        this.reconciler.abandon();
+        this.logger.warn('Abandoned; later results of this wallet are not saved', { operation: 'stop' });
     }
 
     /**
@@ -287,17 +731,27 @@ export class KaleidoMiningBot {
      */
     async stop() {
         try {
-            console.log(chalk.yellow(`[Wallet ${this.botIndex}] Stopping miner...`));
+            this.logger.info('Stopping miner...', { operation: 'stop' });
+            // Paused and failed bots have nothing left to report
+            const wasMining = this.miningState.isActive;
             this.miningState.isActive = false;
-            await this.updateBalance(true);
-            await this.saveSession();
-            console.log(chalk.green(`[Wallet ${this.botIndex}] Miner stopped successfully`));
-            return this.currentEarnings.total;
-        } catch (error) {
-            if (DEBUG.LOG_ERRORS) {
-                console.error(chalk.red(`[Wallet ${this.botIndex}] Error stopping miner:`, error.message));
+            this.scheduler.cancel(this);
+            this.finalUpdate = 'skipped';
+            if (wasMining) {
+                this.finalUpdate = await this.updateBalance(true) ? 'ok' : 'failed';
+            }
+            // A bot that never got as far as starting has no session to save
+            if (this.miningState.startTime) {
+                await this.saveSession();
             }
-            return this.currentEarnings.total;
+            await this.reconciler.flush();
+            this.logger.info('Miner stopped successfully', { operation: 'stop' });
+            this.setState(BOT_STATES.STOPPED);
+        } catch (error) {
+            this.logger.error(`Error stopping miner: ${error.message}`, { operation: 'stop' });
+            this.setState(BOT_STATES.STOPPED, error.message);
         }
+        this.emit(BOT_EVENTS.STOPPED, { wallet: this.wallet, botIndex: this.botIndex, balance: this.currentEarnings.total, finalUpdate: this.finalUpdate });
+        return this.currentEarnings.total;
     }
 }
\ No newline at end of file
@@ -1,182 +1,996 @@
-import chalk from 'chalk';
 import path from 'path';
+import { EventEmitter } from 'events';
 import { readFile, mkdir } from 'fs/promises';
-import { KaleidoMiningBot } from './KaleidoMiningBot.js';
-import { displayBanner } from '../ui/banner.js';
-import { getWalletFromPrivateKey, getRootDir } from '../utils/utils.js';
-import { FILE_PATHS, DEBUG } from '../config/constants.js';
+import { KaleidoMiningBot, BOT_STATES } from './KaleidoMiningBot.js';
+import { WalletSupervisor } from './WalletSupervisor.js';
+import { Scheduler } from './Scheduler.js';
+import { ProxyManager } from './ProxyManager.js';
+import { GroupScheduler } from './GroupScheduler.js';
+import { getWalletFromPrivateKey, parseListFile } from '../utils/utils.js';
+import { listKeystoreFiles, loadWalletsFromKeystores, resolvePassphrase } from '../utils/keystore.js';
+import { getDefaultConfig, resolveWalletConfig } from '../config/configLoader.js';
+import { KEYSTORE_CONFIG, EXIT_CODES } from '../config/constants.js';
+import { watchPaths } from '../utils/watch.js';
+import { acquirePidLock } from '../utils/pidLock.js';
+import { logger as rootLogger } from '../utils/logger.js';
+import { BOT_EVENTS, SUPERVISOR_EVENTS, PROXY_EVENTS, GROUP_EVENTS, COORDINATOR_EVENTS } from './events.js';
+import { createSessionStore } from '../storage/index.js';
 
-export class MiningCoordinator {
-    static instance = null;
-    
-    constructor() {
-        // Singleton pattern to prevent multiple instances
-        if (MiningCoordinator.instance) {
-            return MiningCoordinator.instance;
-        }
-        MiningCoordinator.instance = this;
-        
+/**
+ * Loads the wallets and runs one KaleidoMiningBot per wallet. A WalletSupervisor
+ * restarts bots that fail, and a shared Scheduler limits their API requests and
+ * drives their update ticks. The coordinator never exits the process by itself;
+ * the CLI opts in to signal handling with setupShutdownHandler().
+ *
+ * Events (payloads are documented in events.js):
+ *   botAdded           { bot } - a bot was created and is about to initialize
+ *   botRemoved         { bot } - a bot was stopped and dropped because its wallet left the list
+ *   reloaded           ReloadedEvent - reload() applied a changed wallet list
+ *   proxyQuarantined   ProxyEvent - a proxy keeps failing; its wallets are paused
+ *   proxyRestored      ProxyEvent - a quarantined proxy works again; its wallets resume
+ *   groupRunStarted    GroupRunEvent - a group's schedule window opened; its wallets start
+ *   groupRunEnded      GroupRunEvent - a group's window closed or its maxRuntime is up; its wallets stop
+ *   shuttingDown       {} - stop() has begun
+ *   coordinatorSummary CoordinatorSummaryEvent - every bot has stopped
+ *   initialized, stateChanged, balanceUpdated, updateFailed, circuitChanged,
+ *   requestCompleted, requestRetry, stopped - forwarded from every bot
+ *   restartScheduled, walletGaveUp - forwarded from the supervisor
+ */
+export class MiningCoordinator extends EventEmitter {
+    /**
+     * @param {Object} options - Coordinator options
+     * @param {Object} options.config - Resolved configuration (see loadConfig)
+     * @param {Function} options.createHttpClient - Optional factory (proxy, walletConfig) => HTTP client passed to each bot
+     * @param {SessionStore} options.sessionStore - Store shared by all bots; when omitted one is built from config.storage per profile
+     * @param {Scheduler} options.scheduler - Scheduler shared by all bots; built from config.scheduler when omitted
+     * @param {Logger} options.logger - Logger for the coordinator and its bots
+     */
+    constructor({ config = getDefaultConfig(), createHttpClient = null, sessionStore = null, scheduler = null, logger = rootLogger } = {}) {
+        super();
+        this.config = config;
+        this.createHttpClient = createHttpClient;
+        this.sessionStore = sessionStore || createSessionStore(config, { logger });
+        // Session stores by directory: every profile keeps its sessions apart
+        this.sessionStores = new Map([[config.storage.dir, this.sessionStore]]);
+        this.sharedSessionStore = Boolean(sessionStore);
+        this.scheduler = scheduler || new Scheduler({ ...config.scheduler, logger });
+        this.rootLogger = logger;
+        this.logger = logger.child({ component: 'coordinator' });
         this.bots = [];
+        this.supervisor = new WalletSupervisor({
+            ...config.supervisor,
+            jitter: config.mining.retryJitter,
+            logger
+        });
+        for (const event of Object.values(SUPERVISOR_EVENTS)) {
+            this.supervisor.on(event, payload => this.emit(event, payload));
+        }
+        this.proxyManager = new ProxyManager({ ...config.proxy, logger });
+        this.proxyManager.on(PROXY_EVENTS.QUARANTINED, event => this.onProxyQuarantined(event));
+        this.proxyManager.on(PROXY_EVENTS.RESTORED, event => this.onProxyRestored(event));
+        // Bots paused because their proxy is quarantined
+        this.pausedByProxy = new Set();
+        this.groupScheduler = new GroupScheduler({ groups: config.groups, logger });
+        this.groupScheduler.on(GROUP_EVENTS.RUN_STARTED, event => this.onGroupRunStarted(event));
+        this.groupScheduler.on(GROUP_EVENTS.RUN_ENDED, event => this.onGroupRunEnded(event));
+        // Bots stopped because their group is outside its schedule
+        this.waitingForWindow = new Set();
+        // Addresses of decrypted keystores, so reloads only decrypt new or changed files
+        this.keystoreCache = new Map();
         this.totalPaid = 0;
         this.isRunning = false;
         this.isShuttingDown = false;
+        this.stopPromise = null;
+        this.shutdownTasks = [];
+        this.selectors = [];
+        // Serializes reloads; resolves when the latest one is done
+        this.reloading = Promise.resolve();
+        this.stopWatching = null;
+        // PID lock on the session directory while running
+        this.lock = null;
+    }
+
+    /**
+     * Load proxies from proxies.txt if it exists. Invalid entries are left out
+     * and, with proxy.checkUrl set, so are proxies failing their health check.
+     * @returns {Promise<string[]>} - Proxy URLs that may be assigned
+     * @throws {Error} - If proxies are listed but none is usable; wallets never fall back to a direct connection
+     */
+    async loadProxies() {
+        let proxyData;
+        try {
+            proxyData = await readFile(this.config.files.proxies, 'utf8');
+        } catch (error) {
+            this.logger.warn('No proxies.txt file found. Running without proxies.', { operation: 'loadWallets' });
+            return [];
+        }
+
+        const entries = parseListFile(proxyData);
+        const proxies = this.proxyManager.load(entries);
+        await this.proxyManager.check(proxies);
+        const usable = this.proxyManager.usable(proxies);
+        if (entries.length > 0 && usable.length === 0) {
+            throw new Error(`None of the ${entries.length} proxies in ${this.config.files.proxies} is usable`);
+        }
+        if (usable.length < entries.length) {
+            this.logger.warn(`Using ${usable.length} of ${entries.length} proxies`, { operation: 'loadWallets' });
+        }
+        return usable;
     }
 
     /**
      * Load private keys and proxies from files
      */
     async loadPrivateKeysAndProxies() {
+        let privateKeys;
         try {
-            const rootDir = getRootDir();
-            const pkPath = path.join(rootDir, FILE_PATHS.PRIVATE_KEYS);
-            const proxyPath = path.join(rootDir, FILE_PATHS.PROXIES);
-            
-            const pkData = await readFile(pkPath, 'utf8');
-            
-            // Try to load proxies if they exist
-            let proxyData = '';
-            try {
-                proxyData = await readFile(proxyPath, 'utf8');
-            } catch (error) {
-                console.log(chalk.yellow('No proxies.txt file found. Running without proxies.'));
-            }
-            
-            const privateKeys = pkData.split('\n')
-                .map(line => line.trim())
-                .filter(line => line && !line.startsWith('#'));
-                
-            const proxies = proxyData ? proxyData.split('\n')
-                .map(line => line.trim())
-                .filter(line => line && !line.startsWith('#')) : [];
-                
-            return privateKeys.map((pk, index) => {
-                // Assign a proxy to each private key if available
-                const proxy = proxies.length > 0 ? proxies[index % proxies.length] : null;
-                return {
-                    privateKey: pk,
-                    proxy
-                };
-            });
+            const pkData = await readFile(this.config.files.privateKeys, 'utf8');
+            privateKeys = parseListFile(pkData);
         } catch (error) {
-            console.error('Error loading private keys:', error.message);
+            this.logger.error(`Error loading private keys: ${error.message}`, { operation: 'loadWallets' });
             return [];
         }
+        const proxies = await this.loadProxies();
+
+        return privateKeys.map((pk, index) => {
+            // Assign a proxy to each private key if available
+            const proxy = proxies.length > 0 ? proxies[index % proxies.length] : null;
+            return {
+                privateKey: pk,
+                proxy
+            };
+        });
     }
 
     /**
-     * Start the mining coordinator
+     * Load wallets from encrypted keystores, falling back to pk.txt.
+     * Private keys are only held long enough to derive the wallet address.
+     * @param {Object} options - Load options
+     * @param {boolean} options.interactive - Whether the keystore passphrase may be prompted for
+     * @returns {Promise<Array<{wallet: string|null, proxy: string|null, source: string}>>}
      */
-    async start() {
+    async loadWallets({ interactive = true } = {}) {
+        const keystoreDir = this.config.files.keystoreDir;
+        const keystoreFiles = await listKeystoreFiles(keystoreDir);
+
+        if (keystoreFiles.length > 0) {
+            if (!interactive && !process.env[KEYSTORE_CONFIG.PASSPHRASE_ENV]) {
+                throw new Error(`Reading keystores while running needs the passphrase in ${KEYSTORE_CONFIG.PASSPHRASE_ENV}`);
+            }
+            this.logger.info(`Unlocking ${keystoreFiles.length} keystores from ${keystoreDir}`, { operation: 'loadWallets' });
+            const passphrase = await resolvePassphrase();
+            const proxies = await this.loadProxies();
+            const entries = await loadWalletsFromKeystores(keystoreDir, passphrase, { cache: this.keystoreCache });
+
+            return entries.map((entry, index) => ({
+                wallet: entry.wallet,
+                proxy: proxies.length > 0 ? proxies[index % proxies.length] : null,
+                source: `keystore ${path.basename(entry.file)}`
+            }));
+        }
+
+        const pkAndProxies = await this.loadPrivateKeysAndProxies();
+        return pkAndProxies.map((item, index) => ({
+            wallet: getWalletFromPrivateKey(item.privateKey),
+            proxy: item.proxy,
+            source: `private key at index ${index + 1}`
+        }));
+    }
+
+    /**
+     * Resolve the per-wallet configuration for each loaded wallet
+     * @param {Array} wallets - Result of loadWallets()
+     * @param {Array<number|string>} selectors - Optional 1-based indexes, addresses, labels or "group:<name>" to limit the run to
+     * @returns {Array<{botIndex: number, wallet: string|null, proxy: string|null, config: Object|null, skipReason: string|null}>}
+     */
+    planBots(wallets, selectors = []) {
+        const wanted = selectors.map(selector => typeof selector === 'string' ? selector.toLowerCase() : selector);
+
+        return wallets
+            .map((item, i) => ({
+                botIndex: i + 1,
+                wallet: item.wallet,
+                proxy: item.proxy,
+                source: item.source,
+                config: item.wallet ? resolveWalletConfig(this.config, item.wallet, i + 1) : null,
+                skipReason: null
+            }))
+            .filter(plan => wanted.length === 0
+                || wanted.includes(plan.botIndex)
+                || (plan.wallet && wanted.includes(plan.wallet.toLowerCase()))
+                || (plan.config?.label && wanted.includes(plan.config.label.toLowerCase()))
+                || (plan.config?.group && wanted.includes(`group:${plan.config.group.toLowerCase()}`)))
+            .map(plan => {
+                if (!plan.wallet) {
+                    return { ...plan, skipReason: `Invalid ${plan.source}` };
+                }
+                if (plan.config.disabled) {
+                    return { ...plan, config: null, skipReason: 'Disabled in config' };
+                }
+                return plan;
+            });
+    }
+
+    /**
+     * Create the bot for a planned wallet
+     * @param {Object} plan - Entry from planBots()
+     * @returns {KaleidoMiningBot}
+     */
+    createBot(plan) {
+        return new KaleidoMiningBot(plan.wallet, plan.botIndex, plan.proxy, {
+            config: plan.config,
+            http: this.createHttpClient ? this.createHttpClient(plan.proxy, plan.config) : null,
+            sessionStore: this.sessionStoreFor(plan.config),
+            scheduler: this.scheduler,
+            logger: this.rootLogger
+        });
+    }
+
+    /**
+     * Session store of a wallet's profile, created on first use
+     * @param {Object} walletConfig - Configuration of the wallet (see resolveWalletConfig)
+     * @returns {SessionStore}
+     */
+    sessionStoreFor(walletConfig) {
+        if (this.sharedSessionStore) {
+            return this.sessionStore;
+        }
+        const { dir } = walletConfig.storage;
+        if (!this.sessionStores.has(dir)) {
+            this.sessionStores.set(dir, createSessionStore(walletConfig, { logger: this.rootLogger }));
+        }
+        return this.sessionStores.get(dir);
+    }
+
+    /**
+     * Track and supervise a bot, and forward its events to the coordinator's listeners
+     * @param {KaleidoMiningBot} bot - Bot to add
+     */
+    addBot(bot) {
+        this.bots.push(bot);
+        this.supervisor.watch(bot);
+        for (const event of Object.values(BOT_EVENTS)) {
+            bot.on(event, payload => this.emit(event, payload));
+        }
+        bot.on(BOT_EVENTS.REQUEST_COMPLETED, request => {
+            if (bot.proxy) {
+                this.proxyManager.recordRequest(bot.proxy, request);
+            }
+        });
+        this.emit(COORDINATOR_EVENTS.BOT_ADDED, { bot });
+    }
+
+    /**
+     * Load the wallets and start a bot for each of them, one every
+     * scheduler.startupStagger milliseconds. Resolves once every bot has been
+     * created; the bots keep mining in the background until stop().
+     * @param {Object} options - Start options
+     * @param {Array<number|string>} options.selectors - Optional 1-based indexes or addresses to limit the run to
+     * @throws {Error} - If no wallets could be loaded, none matched the selectors, or another miner uses the session directory
+     */
+    async start({ selectors = [] } = {}) {
         // Prevent multiple starts
         if (this.isRunning) {
-            console.log(chalk.yellow('Mining coordinator is already running'));
+            this.logger.warn('Mining coordinator is already running');
             return;
         }
         
-        this.isRunning = true;
-        displayBanner();
-        const pkAndProxies = await this.loadPrivateKeysAndProxies();
+        let wallets;
+        try {
+            wallets = await this.loadWallets();
+        } catch (error) {
+            throw new Error(`Failed to load wallets: ${error.message}`);
+        }
         
-        if (pkAndProxies.length === 0) {
-            console.log(chalk.red('No valid private keys found in pk.txt'));
-            process.exit(1);
+        if (wallets.length === 0) {
+            throw new Error(`No valid private keys found in ${this.config.files.keystoreDir} or ${this.config.files.privateKeys}`);
+        }
+
+        const plans = this.planBots(wallets, selectors);
+        if (plans.length === 0) {
+            throw new Error('None of the selected wallets were found');
         }
 
-        console.log(chalk.blue(`Loaded ${pkAndProxies.length} private keys\n`));
         // Ensure session directory exists
-        const sessionDir = path.join(getRootDir(), 'session');
         try {
-            await fs.mkdir(sessionDir, { recursive: true });
+            await mkdir(this.config.storage.dir, { recursive: true });
         } catch (error) {
-            if (DEBUG.LOG_ERRORS) {
-                console.error(chalk.red(`Error creating session directory: ${error.message}`));
-            }
+            this.logger.error(`Error creating session directory: ${error.message}`, { operation: 'start' });
         }
+        // Two miners writing the same sessions would overwrite each other's balances
+        if (this.config.lifecycle.lockFile) {
+            // One lock for every profile, as wallets of any profile can be started
+            this.lock = await acquirePidLock(path.resolve(this.config.storage.root ?? this.config.storage.dir, this.config.lifecycle.lockFile), { logger: this.logger });
+        }
+
+        this.isRunning = true;
+        this.selectors = selectors;
+
+        this.logger.info(`Loaded ${wallets.length} wallets${selectors.length > 0 ? `, ${plans.length} selected` : ''}`, { operation: 'start' });
         // Count proxies
-        const uniqueProxies = new Set(pkAndProxies.filter(item => item.proxy).map(item => item.proxy));
+        const uniqueProxies = new Set(plans.filter(item => item.proxy).map(item => item.proxy));
         if (uniqueProxies.size > 0) {
-            console.log(chalk.blue(`Using ${uniqueProxies.size} unique proxies\n`));
+            this.logger.info(`Using ${uniqueProxies.size} unique proxies`, { operation: 'start' });
         }
 
-        // Initialize all bots
+        // Groups outside their schedule wait for their window
+        this.groupScheduler.start();
+
+        // Initialize all bots, ramping up so the API isn't hit by every wallet at once
         this.bots = [];
-        for (let i = 0; i < pkAndProxies.length; i++) {
-            const item = pkAndProxies[i];
-            const wallet = getWalletFromPrivateKey(item.privateKey);
-            
-            if (!wallet) {
-                console.log(chalk.red(`[Error] Invalid private key at index ${i+1}, skipping`));
+        let startDelay = 0;
+        for (const plan of plans) {
+            if (plan.skipReason) {
+                if (plan.wallet) {
+                    this.logger.warn(`${plan.skipReason}, skipping`, { operation: 'start', wallet: plan.wallet.toLowerCase(), botIndex: plan.botIndex });
+                } else {
+                    this.logger.error(`${plan.skipReason}, skipping`, { operation: 'start' });
+                }
                 continue;
             }
             
-            const bot = new KaleidoMiningBot(wallet, i + 1, item.proxy);
-            this.bots.push(bot);
+            const bot = this.createBot(plan);
+            this.addBot(bot);
+            if (this.launchBot(bot, startDelay)) {
+                startDelay += this.config.scheduler.startupStagger;
+            }
+        }
+    }
+
+    /**
+     * Start a new bot, or keep it stopped while its group is outside its schedule
+     * @param {KaleidoMiningBot} bot - Bot to start
+     * @param {number} delay - Milliseconds to wait first
+     * @returns {boolean} - Whether the bot was started
+     */
+    launchBot(bot, delay) {
+        if (!this.groupScheduler.isActive(bot.config.group)) {
+            this.waitingForWindow.add(bot);
+            bot.setState(BOT_STATES.STOPPED, `Group ${bot.config.group} is outside its schedule`);
+            return false;
+        }
+        this.startBot(bot, delay);
+        return true;
+    }
+
+    /**
+     * Initialize a bot now or after a delay. Failures are picked up by the
+     * supervisor through the bot's events.
+     * @param {KaleidoMiningBot} bot - Bot to start
+     * @param {number} delay - Milliseconds to wait first
+     */
+    startBot(bot, delay = 0) {
+        if (delay === 0) {
             bot.initialize();
+        } else {
+            this.scheduler.schedule(`start:${bot.botIndex}`, delay, () => bot.initialize());
         }
+    }
 
-        // Handle shutdown
-        this.setupShutdownHandler();
+    /**
+     * Stop a bot and stop tracking it
+     * @param {KaleidoMiningBot} bot - Bot to remove
+     */
+    async removeBot(bot) {
+        this.scheduler.cancel(`start:${bot.botIndex}`);
+        this.supervisor.unwatch(bot);
+        if (bot.state !== BOT_STATES.STOPPED) {
+            try {
+                await bot.stop();
+            } catch (error) {
+                this.logger.error(`Error stopping bot: ${error.message}`, { operation: 'reload', wallet: bot.wallet, botIndex: bot.botIndex });
+            }
+        }
+        this.bots.splice(this.bots.indexOf(bot), 1);
+        this.pausedByProxy.delete(bot);
+        this.waitingForWindow.delete(bot);
+        bot.removeAllListeners();
+        this.emit(COORDINATOR_EVENTS.BOT_REMOVED, { bot });
     }
-    
+
     /**
-     * Setup handler for graceful shutdown
+     * Read the wallet and proxy lists again and apply the difference: start new
+     * wallets, stop and drop removed ones, and move wallets whose proxy changed
+     * to the new proxy. Other wallets keep running untouched. Wallets keep their
+     * botIndex; a new wallet whose line number is taken by a running one gets
+     * the next free index. Reloads run one at a time.
+     * @returns {Promise<ReloadedEvent|null>} - What changed, or null if nothing was applied
      */
-    setupShutdownHandler() {
-        // Clear any previous handler to avoid duplicate handlers
-        process.removeAllListeners('SIGINT');
-        
-        process.on('SIGINT', async () => {
-            // Prevent multiple shutdown attempts
-            if (this.isShuttingDown) {
-                console.log(chalk.yellow('\nShutdown already in progress... Press Ctrl+C again to force exit.'));
-                
-                // Add a force exit handler for second Ctrl+C
-                process.once('SIGINT', () => {
-                    console.log(chalk.red('\nForced exit.'));
-                    process.exit(1);
-                });
-                return;
+    reload() {
+        this.reloading = this.reloading
+            .then(() => this.applyReload())
+            .catch(error => {
+                this.logger.error(`Reload failed: ${error.message}`, { operation: 'reload' });
+                return null;
+            });
+        return this.reloading;
+    }
+
+    async applyReload() {
+        if (!this.isRunning || this.isShuttingDown) {
+            return null;
+        }
+
+        let wallets;
+        try {
+            wallets = await this.loadWallets({ interactive: false });
+        } catch (error) {
+            this.logger.error(`Reload failed, keeping the current wallets: ${error.message}`, { operation: 'reload' });
+            return null;
+        }
+        // An empty list is more likely a file caught mid-save than a wish to stop everything
+        if (wallets.length === 0) {
+            this.logger.error('Reload found no wallets, keeping the current ones', { operation: 'reload' });
+            return null;
+        }
+
+        const plans = new Map();
+        for (const plan of this.planBots(wallets, this.selectors)) {
+            if (!plan.skipReason && !plans.has(plan.wallet.toLowerCase())) {
+                plans.set(plan.wallet.toLowerCase(), plan);
             }
-            
+        }
+        const describe = bot => ({ wallet: bot.wallet, botIndex: bot.botIndex });
+        const result = { added: [], removed: [], proxyChanged: [], unchanged: 0 };
+
+        const removed = this.bots.filter(bot => !plans.has(bot.wallet));
+        result.removed = removed.map(describe);
+        for (const bot of removed) {
+            this.logger.info('Wallet removed from the list, stopping it', { operation: 'reload', wallet: bot.wallet, botIndex: bot.botIndex });
+        }
+        await Promise.all(removed.map(bot => this.removeBot(bot)));
+        if (this.isShuttingDown) {
+            return null;
+        }
+
+        for (const bot of this.bots) {
+            const plan = plans.get(bot.wallet);
+            if (plan.proxy !== bot.proxy) {
+                bot.setProxy(plan.proxy, this.createHttpClient ? this.createHttpClient(plan.proxy, plan.config) : null);
+                // Moved off a quarantined proxy
+                if (this.pausedByProxy.delete(bot)) {
+                    bot.resume();
+                }
+                result.proxyChanged.push(describe(bot));
+            } else {
+                result.unchanged++;
+            }
+        }
+
+        const running = new Set(this.bots.map(bot => bot.wallet));
+        const taken = new Set(this.bots.map(bot => bot.botIndex));
+        let nextIndex = Math.max(0, ...taken, ...[...plans.values()].map(plan => plan.botIndex)) + 1;
+        let startDelay = 0;
+        for (const plan of plans.values()) {
+            if (running.has(plan.wallet.toLowerCase())) {
+                continue;
+            }
+            const botIndex = taken.has(plan.botIndex) ? nextIndex++ : plan.botIndex;
+            taken.add(botIndex);
+            const bot = this.createBot({ ...plan, botIndex });
+            this.logger.info('Wallet added to the list, starting it', { operation: 'reload', wallet: bot.wallet, botIndex });
+            this.addBot(bot);
+            if (this.launchBot(bot, startDelay)) {
+                startDelay += this.config.scheduler.startupStagger;
+            }
+            result.added.push(describe(bot));
+        }
+
+        this.logger.info(`Reloaded wallets: ${result.added.length} added, ${result.removed.length} removed, ${result.proxyChanged.length} proxies changed, ${result.unchanged} unchanged`, {
+            operation: 'reload'
+        });
+        this.emit(COORDINATOR_EVENTS.RELOADED, result);
+        return result;
+    }
+
+    /**
+     * Reload whenever pk.txt, proxies.txt or the keystore directory changes
+     * @param {number} debounce - Milliseconds to wait for the changes to settle
+     */
+    watchWalletFiles(debounce = this.config.reload.debounce) {
+        if (this.stopWatching) {
+            return;
+        }
+        const { privateKeys, proxies, keystoreDir } = this.config.files;
+        this.stopWatching = watchPaths([privateKeys, proxies, keystoreDir], changed => {
+            this.logger.info(`Wallet files changed (${changed.map(file => path.basename(file)).join(', ')}), reloading`, { operation: 'reload' });
+            this.reload();
+        }, {
+            debounce,
+            onError: error => this.logger.warn(`Watching wallet files failed: ${error.message}`, { operation: 'reload' })
+        });
+    }
+
+    /**
+     * Pause the wallets behind a quarantined proxy and name them, so the
+     * operator can replace the proxy
+     */
+    onProxyQuarantined({ url, proxy, reason }) {
+        const affected = this.bots.filter(bot => bot.proxy === url && bot.state !== BOT_STATES.STOPPED);
+        const wallets = affected.map(bot => ({ wallet: bot.wallet, botIndex: bot.botIndex }));
+        if (affected.length > 0) {
+            this.logger.error(`Proxy ${proxy} quarantined (${reason}). Pausing wallets ${affected.map(bot => `${bot.botIndex} (${bot.wallet})`).join(', ')} until it recovers or proxies.txt is changed`, {
+                operation: 'proxy',
+                proxy
+            });
+        } else {
+            this.logger.warn(`Proxy ${proxy} quarantined (${reason})`, { operation: 'proxy', proxy });
+        }
+        for (const bot of affected) {
+            if (bot.pause()) {
+                this.pausedByProxy.add(bot);
+            }
+        }
+        this.emit(PROXY_EVENTS.QUARANTINED, { proxy, reason, wallets });
+    }
+
+    /**
+     * Resume the wallets paused for a proxy that works again
+     */
+    onProxyRestored({ url, proxy }) {
+        const resumed = [...this.pausedByProxy].filter(bot => bot.proxy === url);
+        this.logger.info(`Proxy ${proxy} passed its check again${resumed.length > 0 ? `, resuming wallets ${resumed.map(bot => bot.botIndex).join(', ')}` : ''}`, {
+            operation: 'proxy',
+            proxy
+        });
+        for (const bot of resumed) {
+            this.pausedByProxy.delete(bot);
+            if (!this.isShuttingDown) {
+                bot.resume();
+            }
+        }
+        this.emit(PROXY_EVENTS.RESTORED, { proxy, reason: null, wallets: resumed.map(bot => ({ wallet: bot.wallet, botIndex: bot.botIndex })) });
+    }
+
+    /**
+     * Request counters and state of every proxy
+     * @returns {Array<Object>} - See ProxyManager.getStats()
+     */
+    getProxyStats() {
+        return this.proxyManager.getStats(url => this.bots.filter(bot => bot.proxy === url).map(bot => bot.botIndex));
+    }
+
+    /**
+     * Describe the state of every wallet
+     * @returns {HealthReport}
+     */
+    getHealthReport() {
+        return this.supervisor.getHealthReport();
+    }
+
+    /**
+     * Find a running bot by wallet address, label or 1-based index
+     * @param {string|number} selector - Address or label (any case) or index
+     * @returns {KaleidoMiningBot|null}
+     */
+    findBot(selector) {
+        const wanted = String(selector).toLowerCase();
+        return this.bots.find(bot => bot.wallet === wanted
+            || String(bot.botIndex) === wanted
+            || bot.config.label?.toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * Bots of a wallet group
+     * @param {string} group - Group name (any case)
+     * @returns {KaleidoMiningBot[]}
+     */
+    botsOfGroup(group) {
+        const wanted = String(group).toLowerCase();
+        return this.bots.filter(bot => bot.config.group?.toLowerCase() === wanted);
+    }
+
+    /**
+     * Every wallet group with its schedule and the states of its wallets
+     * @returns {Array<{group: string, profile: string|null, wallets: number, states: Object<string, number>, schedule: Object|null}>}
+     */
+    getGroups() {
+        const schedules = new Map(this.groupScheduler.getStatus().map(status => [status.group, status]));
+        const names = new Set([...Object.keys(this.config.groups || {}), ...this.bots.map(bot => bot.config.group).filter(Boolean)]);
+        return [...names].sort().map(group => {
+            const states = {};
+            const bots = this.botsOfGroup(group);
+            for (const bot of bots) {
+                states[bot.state] = (states[bot.state] || 0) + 1;
+            }
+            return {
+                group,
+                profile: this.config.groups?.[group]?.profile ?? null,
+                wallets: bots.length,
+                states,
+                schedule: schedules.get(group) ?? null
+            };
+        });
+    }
+
+    /**
+     * Start the stopped and failed wallets of a group. With a schedule, the
+     * group then runs until its window closes or for its maxRuntime.
+     * @param {string} group - Group name
+     * @returns {Promise<KaleidoMiningBot[]>} - The wallets started
+     */
+    async startGroup(group) {
+        if (this.isShuttingDown) {
+            return [];
+        }
+        const bots = this.botsOfGroup(group);
+        this.logger.info(`Starting group ${group} on request`, { operation: 'control', group });
+        this.groupScheduler.markStarted(bots[0]?.config.group ?? group);
+        return this.runGroupBots(bots);
+    }
+
+    /**
+     * Stop every wallet of a group with a final balance update. With a
+     * schedule, the group starts again when its next window opens.
+     * @param {string} group - Group name
+     * @returns {Promise<KaleidoMiningBot[]>} - The wallets stopped
+     */
+    async stopGroup(group) {
+        const bots = this.botsOfGroup(group);
+        this.logger.info(`Stopping group ${group} on request`, { operation: 'control', group });
+        this.groupScheduler.markStopped(bots[0]?.config.group ?? group);
+        return this.haltGroupBots(bots);
+    }
+
+    /**
+     * Start the wallets of a group whose window opened
+     * @param {Object} event - Event from the GroupScheduler
+     */
+    onGroupRunStarted(event) {
+        const bots = this.botsOfGroup(event.group);
+        // Also called from start() before the bots exist; they are started by launchBot() then
+        if (bots.length === 0 || this.isShuttingDown) {
+            return;
+        }
+        this.runGroupBots(bots);
+        this.emit(GROUP_EVENTS.RUN_STARTED, { ...event, wallets: bots.map(bot => ({ wallet: bot.wallet, botIndex: bot.botIndex })) });
+    }
+
+    /**
+     * Stop the wallets of a group whose window closed or whose maxRuntime is up
+     * @param {Object} event - Event from the GroupScheduler
+     */
+    async onGroupRunEnded(event) {
+        const bots = this.botsOfGroup(event.group);
+        if (bots.length === 0 || this.isShuttingDown) {
+            return;
+        }
+        for (const bot of bots) {
+            this.waitingForWindow.add(bot);
+        }
+        await this.haltGroupBots(bots);
+        this.emit(GROUP_EVENTS.RUN_ENDED, { ...event, wallets: bots.map(bot => ({ wallet: bot.wallet, botIndex: bot.botIndex })) });
+    }
+
+    /**
+     * Start the stopped and failed bots of a group, ramping up like start()
+     */
+    runGroupBots(bots) {
+        const started = [];
+        let startDelay = 0;
+        for (const bot of bots) {
+            this.waitingForWindow.delete(bot);
+            if (bot.state === BOT_STATES.STOPPED || bot.state === BOT_STATES.FAILED) {
+                this.startBot(bot, startDelay);
+                startDelay += this.config.scheduler.startupStagger;
+                started.push(bot);
+            }
+        }
+        return started;
+    }
+
+    /**
+     * Stop the bots of a group at once
+     */
+    async haltGroupBots(bots) {
+        const running = bots.filter(bot => bot.state !== BOT_STATES.STOPPED);
+        await Promise.all(running.map(bot => this.haltBot(bot)));
+        return running;
+    }
+
+    /**
+     * Stop one wallet with a final balance update; the others keep mining
+     * @param {KaleidoMiningBot} bot - Bot to stop
+     * @returns {Promise<boolean>} - Whether the bot was running
+     */
+    async stopWallet(bot) {
+        if (bot.state === BOT_STATES.STOPPED) {
+            return false;
+        }
+        this.logger.info('Stopping wallet on request', { operation: 'control', wallet: bot.wallet, botIndex: bot.botIndex });
+        await this.haltBot(bot);
+        return true;
+    }
+
+    /**
+     * Stop a bot that is running, starting or waiting to be restarted
+     */
+    async haltBot(bot) {
+        this.pausedByProxy.delete(bot);
+        // It may still be waiting for its turn in the ramped startup
+        this.scheduler.cancel(`start:${bot.botIndex}`);
+        await bot.stop();
+    }
+
+    /**
+     * Pause a mining wallet; it keeps its session and resumes with startWallet()
+     * @param {KaleidoMiningBot} bot - Bot to pause
+     * @returns {Promise<boolean>} - Whether the bot was paused; false if it wasn't mining or the coordinator is shutting down
+     */
+    async pauseWallet(bot) {
+        if (this.isShuttingDown || !bot.pause()) {
+            return false;
+        }
+        this.logger.info('Paused wallet on request', { operation: 'control', wallet: bot.wallet, botIndex: bot.botIndex });
+        return true;
+    }
+
+    /**
+     * Start a stopped or failed wallet again, or resume a paused one. A wallet
+     * paused for a quarantined proxy stays paused until the proxy recovers or
+     * proxies.txt gives it another one.
+     * @param {KaleidoMiningBot} bot - Bot to start
+     * @returns {Promise<boolean>} - Whether the bot was started; false if it was already running, waits for its proxy or the coordinator is shutting down
+     */
+    async startWallet(bot) {
+        if (this.isShuttingDown) {
+            return false;
+        }
+        if (bot.state === BOT_STATES.PAUSED) {
+            if (this.pausedByProxy.has(bot)) {
+                this.logger.warn('Not resuming wallet: its proxy is quarantined', { operation: 'control', wallet: bot.wallet, botIndex: bot.botIndex });
+                return false;
+            }
+            return bot.resume();
+        }
+        if (bot.state !== BOT_STATES.STOPPED && bot.state !== BOT_STATES.FAILED) {
+            return false;
+        }
+        this.logger.info('Starting wallet on request', { operation: 'control', wallet: bot.wallet, botIndex: bot.botIndex });
+        this.waitingForWindow.delete(bot);
+        await bot.initialize();
+        return true;
+    }
+
+    /**
+     * Stop every bot with a final balance update. Safe to call more than once;
+     * later calls return the result of the first.
+     * @returns {Promise<CoordinatorSummaryEvent>} - Totals of the run
+     */
+    stop() {
+        if (!this.stopPromise) {
             this.isShuttingDown = true;
-            console.log(chalk.yellow('\nShutting down miners... Please wait.'));
-            
+            this.stopWatching?.();
+            this.supervisor.stop();
+            this.proxyManager.stop();
+            this.groupScheduler.stop();
+            // Wallets that haven't started yet stay that way; final updates still go through the scheduler
+            this.scheduler.cancelAll();
+            this.emit(COORDINATOR_EVENTS.SHUTTING_DOWN, {});
+            this.logger.warn('Shutting down miners... Please wait.', { operation: 'shutdown' });
+            this.stopPromise = this.stopBots();
+        }
+        return this.stopPromise;
+    }
+
+    /**
+     * Stop the bots and report the totals
+     */
+    async stopBots() {
+        // Let a running reload finish, so no bot it starts is missed
+        await this.reloading;
+
+        // Once stopped every bot looks the same, so take the health report first
+        const health = this.getHealthReport();
+        const healthByWallet = new Map(health.wallets.map(item => [item.wallet, item]));
+
+        // Stop all bots at once and collect their paid amounts
+        const results = await Promise.all(this.bots.map(bot => this.stopBotWithDeadline(bot)));
+
+        this.totalPaid = results.reduce((sum, result) => sum + result.balance, 0);
+        this.isRunning = false;
+        for (const store of this.sessionStores.values()) {
             try {
-                // Set a timeout to force exit if shutdown takes too long
-                const forceExitTimer = setTimeout(() => {
-                    console.log(chalk.red('\nShutdown timeout exceeded. Forcing exit.'));
-                    process.exit(1);
-                }, 30000); // 30 seconds timeout
-                
-                // Stop all bots and collect their paid amounts
-                const paidValues = await Promise.all(
-                    this.bots.map(bot => {
-                        try {
-                            return bot.stop();
-                        } catch (err) {
-                            console.error(chalk.red(`Error stopping bot:`, err.message));
-                            return 0;
-                        }
-                    })
-                );
-                
-                // Clear the force exit timer since we completed normally
-                clearTimeout(forceExitTimer);
-                
-                this.totalPaid = paidValues.reduce((sum, paid) => sum + paid, 0);
-                
-                console.log(chalk.green(`
-                === Final Summary ===
-                Total Wallets: ${this.bots.length}
-                Total Paid: ${this.totalPaid.toFixed(8)} KLDO
-                `));
-                
-                // Exit with success code
-                process.exit(0);
+                await store.close();
             } catch (error) {
-                console.error(chalk.red('Error during shutdown:', error.message));
-                process.exit(1);
+                this.logger.error(`Error closing session store: ${error.message}`, { operation: 'shutdown' });
             }
+        }
+        try {
+            await this.lock?.release();
+        } catch (error) {
+            this.logger.error(`Error releasing ${this.lock.file}: ${error.message}`, { operation: 'shutdown' });
+        }
+        this.lock = null;
+
+        const summary = {
+            totalWallets: this.bots.length,
+            totalPaid: this.totalPaid,
+            wallets: this.bots.map((bot, i) => ({
+                wallet: bot.wallet,
+                botIndex: bot.botIndex,
+                state: bot.state,
+                balance: results[i].balance,
+                finalUpdate: results[i].finalUpdate,
+                health: healthByWallet.get(bot.wallet)?.health ?? null,
+                lastError: healthByWallet.get(bot.wallet)?.lastError ?? null
+            })),
+            finalUpdatesFailed: results.filter(result => result.finalUpdate === 'failed' || result.finalUpdate === 'timeout').length,
+            health
+        };
+
+        this.supervisor.logHealthReport(health);
+        const failedNote = summary.finalUpdatesFailed > 0 ? ` | Final updates failed: ${summary.finalUpdatesFailed}` : '';
+        this.logger.info(`=== Final Summary === Total Wallets: ${summary.totalWallets} | Total Paid: ${summary.totalPaid.toFixed(8)} KLDO${failedNote}`, {
+            operation: 'shutdown',
+            totalWallets: summary.totalWallets,
+            totalPaid: summary.totalPaid,
+            finalUpdatesFailed: summary.finalUpdatesFailed
+        });
+        this.emit(COORDINATOR_EVENTS.SUMMARY, summary);
+        return summary;
+    }
+
+    /**
+     * Stop a bot, giving up on it after lifecycle.botStopTimeout so one hung
+     * request can't hold up the others. A bot given up on is abandoned, so
+     * its late stop can't write to the closed stores; it and a bot whose stop
+     * throws keep their last confirmed balance.
+     * @param {KaleidoMiningBot} bot - Bot to stop
+     * @returns {Promise<{balance: number, finalUpdate: string}>}
+     */
+    async stopBotWithDeadline(bot) {
+        const timeout = this.config.lifecycle.botStopTimeout;
+        let timer;
+        const deadline = new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), timeout);
+        });
+        try {
+            const balance = await Promise.race([bot.stop(), deadline]);
+            if (balance === null) {
+                this.logger.error(`Wallet did not stop within ${timeout / 1000}s, giving up on its final update`, { operation: 'shutdown', wallet: bot.wallet, botIndex: bot.botIndex });
+                bot.abandon();
+                return { balance: bot.currentEarnings.total, finalUpdate: 'timeout' };
+            }
+            return { balance, finalUpdate: bot.finalUpdate };
+        } catch (err) {
+            this.logger.error(`Error stopping bot: ${err.message}`, { operation: 'shutdown', wallet: bot.wallet, botIndex: bot.botIndex });
+            return { balance: bot.currentEarnings.total, finalUpdate: 'failed' };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Liveness and readiness of the run, for health files and probes. Ready
+     * means at least one wallet is mining, or every wallet is waiting for its
+     * group's schedule; live means the coordinator is started and not shutting down.
+     * @returns {{state: string, live: boolean, ready: boolean, wallets: number, mining: number}}
+     */
+    getLifecycleStatus() {
+        const mining = this.bots.filter(bot => bot.state === BOT_STATES.MINING).length;
+        let state = 'starting';
+        if (this.isShuttingDown) {
+            state = this.isRunning ? 'stopping' : 'stopped';
+        } else if (this.isRunning) {
+            state = 'running';
+        }
+        return {
+            state,
+            live: state === 'starting' || state === 'running',
+            ready: state === 'running' && (mining > 0 || (this.bots.length > 0 && this.bots.every(bot => this.waitingForWindow.has(bot)))),
+            wallets: this.bots.length,
+            mining
+        };
+    }
+    
+    /**
+     * Log a fleet health report whenever the process receives SIGUSR2
+     * (`kill -USR2 <pid>`). Only the CLI installs this.
+     */
+    setupHealthReportHandler() {
+        // Windows has no SIGUSR2
+        if (process.platform === 'win32') {
+            return;
+        }
+        process.removeAllListeners('SIGUSR2');
+        process.on('SIGUSR2', () => this.supervisor.logHealthReport());
+    }
+
+    /**
+     * Reload the wallet and proxy lists whenever the process receives SIGHUP
+     * (`kill -HUP <pid>`). Only the CLI installs this.
+     */
+    setupReloadHandler() {
+        // Windows has no SIGHUP worth listening to
+        if (process.platform === 'win32') {
+            return;
+        }
+        process.removeAllListeners('SIGHUP');
+        process.on('SIGHUP', () => {
+            this.logger.info('SIGHUP received, reloading wallets', { operation: 'reload' });
+            this.reload();
         });
     }
+
+    /**
+     * Stop gracefully and exit the process on Ctrl+C (SIGINT) or SIGTERM, as
+     * sent by `docker stop` and systemd. Only the CLI installs this; embedders
+     * call stop() themselves.
+     */
+    setupShutdownHandler() {
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+            // Clear any previous handler to avoid duplicate handlers
+            process.removeAllListeners(signal);
+
+            process.on(signal, async () => {
+                // Prevent multiple shutdown attempts
+                if (this.isShuttingDown) {
+                    this.logger.warn(`Shutdown already in progress... ${signal === 'SIGINT' ? 'Press Ctrl+C' : `Send ${signal}`} again to force exit.`, { operation: 'shutdown' });
+
+                    // Add a force exit handler for a second signal
+                    process.once(signal, () => {
+                        this.logger.error('Forced exit.', { operation: 'shutdown' });
+                        process.exit(EXIT_CODES.FAILURE);
+                    });
+                    return;
+                }
+
+                this.logger.info(`${signal} received`, { operation: 'shutdown' });
+                await this.shutdownAndExit();
+            });
+        }
+    }
+
+    /**
+     * Register work that shutdownAndExit() waits for after the bots have stopped,
+     * such as sending the last notifications
+     * @param {Function} task - Async function; its errors are logged
+     */
+    addShutdownTask(task) {
+        this.shutdownTasks.push(task);
+    }
+
+    /**
+     * Run the tasks registered with addShutdownTask(), in order
+     */
+    async runShutdownTasks() {
+        for (const task of this.shutdownTasks) {
+            await Promise.resolve().then(task).catch(error => {
+                this.logger.error(`Shutdown task failed: ${error.message}`, { operation: 'shutdown' });
+            });
+        }
+    }
+
+    /**
+     * Stop every bot, run the shutdown tasks and exit the process: 0 when every
+     * final update went through, 3 when some failed or timed out, 1 on error or
+     * if this takes longer than lifecycle.shutdownTimeout. Used by SIGINT,
+     * SIGTERM and the control API's POST /shutdown.
+     */
+    async shutdownAndExit() {
+        if (this.isShuttingDown) {
+            return;
+        }
+        try {
+            // Set a timeout to force exit if shutdown takes too long
+            const timeout = this.config.lifecycle.shutdownTimeout;
+            const forceExitTimer = setTimeout(() => {
+                this.logger.error(`Shutdown took longer than ${timeout / 1000}s. Forcing exit.`, { operation: 'shutdown' });
+                process.exit(EXIT_CODES.FAILURE);
+            }, timeout);
+
+            const summary = await this.stop();
+            await this.runShutdownTasks();
+
+            // Clear the force exit timer since we completed normally
+            clearTimeout(forceExitTimer);
+            await this.logger.flush();
+
+            process.exit(summary.finalUpdatesFailed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS);
+        } catch (error) {
+            this.logger.error(`Error during shutdown: ${error.message}`, { operation: 'shutdown' });
+            process.exit(EXIT_CODES.FAILURE);
+        }
+    }
 }
\ No newline at end of file
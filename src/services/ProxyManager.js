@@ -0,0 +1,243 @@
+// src/services/ProxyManager.js
+import axios from 'axios';
+import { EventEmitter } from 'events';
+import { PROXY_EVENTS } from './events.js';
+import { parseProxyUrl, createProxyAgent } from '../utils/proxy.js';
+import { mapWithConcurrency } from '../utils/utils.js';
+import { logger as rootLogger } from '../utils/logger.js';
+
+/**
+ * States of a proxy. Proxies are unchecked until a health check passes or
+ * when no check endpoint is configured.
+ */
+export const PROXY_STATES = {
+    UNCHECKED: 'unchecked',
+    HEALTHY: 'healthy',
+    QUARANTINED: 'quarantined'
+};
+
+// Health checks running at once
+const CHECK_CONCURRENCY = 10;
+
+/**
+ * Keeps track of the proxies in proxies.txt: validates the entries, checks
+ * each proxy against a health check endpoint before it is handed out, counts
+ * the requests and connection errors of every proxy and quarantines a proxy
+ * whose connections keep failing. A quarantined proxy is checked again every
+ * `quarantineCooldown` ms and released once it passes; without a check
+ * endpoint it is released after one cooldown and has to prove itself with
+ * real requests.
+ *
+ * Events carry the full proxy URL so the coordinator can find the wallets
+ * using it; the coordinator re-emits them with the wallets and without the URL.
+ *   proxyQuarantined { url, proxy, reason }
+ *   proxyRestored    { url, proxy }
+ */
+export class ProxyManager extends EventEmitter {
+    /**
+     * @param {Object} options - Proxy options (the proxy config section)
+     * @param {string|null} options.checkUrl - URL fetched through every proxy as a health check; null skips the checks
+     * @param {number} options.checkTimeout - Time a health check may take (ms)
+     * @param {number} options.quarantineThreshold - Connection errors in a row that quarantine a proxy
+     * @param {number} options.quarantineCooldown - Time until a quarantined proxy is checked again (ms)
+     * @param {Object} options.http - HTTP client with an axios-style get, for tests
+     * @param {Function} options.now - Clock, for tests
+     * @param {Logger} options.logger - Parent logger
+     */
+    constructor({
+        checkUrl = null,
+        checkTimeout = 10000,
+        quarantineThreshold = 5,
+        quarantineCooldown = 300000,
+        http = axios,
+        now = () => Date.now(),
+        logger = rootLogger
+    } = {}) {
+        super();
+        this.checkUrl = checkUrl;
+        this.checkTimeout = checkTimeout;
+        this.quarantineThreshold = quarantineThreshold;
+        this.quarantineCooldown = quarantineCooldown;
+        this.http = http;
+        this.now = now;
+        this.logger = logger.child({ component: 'proxies' });
+        // Proxy URL -> { url, proxy, state, requests, failures, consecutiveFailures, lastError, latency, checkedAt, quarantinedAt, timer }
+        this.entries = new Map();
+    }
+
+    /**
+     * Validate the entries of proxies.txt. Invalid entries are logged and left
+     * out; proxies no longer listed are forgotten.
+     * @param {string[]} entries - Entries as read from the file
+     * @returns {string[]} - The valid entries, trimmed, in file order
+     */
+    load(entries) {
+        const urls = [];
+        entries.forEach((entry, index) => {
+            try {
+                urls.push(parseProxyUrl(entry).url);
+            } catch (error) {
+                // The entry may hold credentials, so only its position is logged
+                this.logger.error(`Ignoring proxy entry ${index + 1}: ${error.message}`, { operation: 'loadProxies' });
+            }
+        });
+
+        const listed = new Set(urls);
+        for (const [url, entry] of this.entries) {
+            if (!listed.has(url)) {
+                clearTimeout(entry.timer);
+                this.entries.delete(url);
+            }
+        }
+        for (const url of listed) {
+            if (!this.entries.has(url)) {
+                this.entries.set(url, {
+                    url,
+                    proxy: parseProxyUrl(url).host,
+                    state: PROXY_STATES.UNCHECKED,
+                    requests: 0,
+                    failures: 0,
+                    consecutiveFailures: 0,
+                    lastError: null,
+                    latency: null,
+                    checkedAt: null,
+                    quarantinedAt: null,
+                    timer: null
+                });
+            }
+        }
+        return urls;
+    }
+
+    /**
+     * Health check the given proxies, quarantining the ones that fail.
+     * Quarantined proxies are left to their own re-checks.
+     * @param {string[]} urls - URLs returned by load()
+     */
+    async check(urls) {
+        if (!this.checkUrl) {
+            return;
+        }
+        const entries = [...new Set(urls)]
+            .map(url => this.entries.get(url))
+            .filter(entry => entry && entry.state !== PROXY_STATES.QUARANTINED);
+
+        await mapWithConcurrency(entries, CHECK_CONCURRENCY, async entry => {
+            const error = await this.probe(entry);
+            if (error) {
+                this.quarantine(entry, `health check failed: ${error}`);
+            } else {
+                entry.state = PROXY_STATES.HEALTHY;
+            }
+        });
+    }
+
+    /**
+     * Fetch the check URL through a proxy
+     * @returns {Promise<string|null>} - Why the check failed, or null if it passed
+     */
+    async probe(entry) {
+        const startedAt = this.now();
+        try {
+            const agent = createProxyAgent(entry.url);
+            await this.http.get(this.checkUrl, { httpAgent: agent, httpsAgent: agent, proxy: false, timeout: this.checkTimeout });
+            entry.latency = this.now() - startedAt;
+            entry.checkedAt = startedAt;
+            this.logger.debug(`Proxy ${entry.proxy} passed the health check in ${entry.latency}ms`, { operation: 'checkProxy' });
+            return null;
+        } catch (error) {
+            entry.checkedAt = startedAt;
+            entry.lastError = error.message;
+            return error.message;
+        }
+    }
+
+    /**
+     * The proxies that may be handed out
+     * @param {string[]} urls - URLs returned by load()
+     * @returns {string[]} - The URLs that aren't quarantined
+     */
+    usable(urls) {
+        return urls.filter(url => this.entries.get(url)?.state !== PROXY_STATES.QUARANTINED);
+    }
+
+    /**
+     * Count a request made through a proxy. Any HTTP answer other than 407
+     * shows the proxy works; no answer at all is a connection error.
+     * @param {string} url - Proxy URL
+     * @param {RequestCompletedEvent} request - The finished request
+     */
+    recordRequest(url, { ok, status, reason, error }) {
+        const entry = this.entries.get(url);
+        if (!entry) {
+            return;
+        }
+        entry.requests++;
+        const connectionError = !ok && (status === 407 || (status === null && (reason === 'network' || reason === 'timeout')));
+        if (!connectionError) {
+            entry.consecutiveFailures = 0;
+            return;
+        }
+
+        entry.failures++;
+        entry.consecutiveFailures++;
+        entry.lastError = error;
+        if (entry.state !== PROXY_STATES.QUARANTINED && entry.consecutiveFailures >= this.quarantineThreshold) {
+            this.quarantine(entry, `${entry.consecutiveFailures} connection errors in a row, last: ${error}`);
+        }
+    }
+
+    /**
+     * Take a proxy out of use until it passes a health check again
+     */
+    quarantine(entry, reason) {
+        entry.state = PROXY_STATES.QUARANTINED;
+        entry.quarantinedAt = this.now();
+        this.scheduleRecheck(entry);
+        this.emit(PROXY_EVENTS.QUARANTINED, { url: entry.url, proxy: entry.proxy, reason });
+    }
+
+    scheduleRecheck(entry) {
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(async () => {
+            entry.timer = null;
+            const error = this.checkUrl ? await this.probe(entry) : null;
+            // Dropped from proxies.txt or stopped while the check ran
+            if (this.entries.get(entry.url) !== entry || entry.state !== PROXY_STATES.QUARANTINED) {
+                return;
+            }
+            if (error) {
+                this.logger.debug(`Proxy ${entry.proxy} is still failing: ${error}`, { operation: 'checkProxy' });
+                this.scheduleRecheck(entry);
+                return;
+            }
+            entry.state = this.checkUrl ? PROXY_STATES.HEALTHY : PROXY_STATES.UNCHECKED;
+            entry.consecutiveFailures = 0;
+            entry.quarantinedAt = null;
+            this.emit(PROXY_EVENTS.RESTORED, { url: entry.url, proxy: entry.proxy });
+        }, this.quarantineCooldown);
+        // Commands that only load the wallets (check, --dry-run) must still exit
+        entry.timer.unref();
+    }
+
+    /**
+     * State and counters of every proxy, without credentials
+     * @param {Function} walletsOf - Optional (url) => the bot indexes using the proxy, added as `wallets`
+     * @returns {Array<{proxy: string, state: string, requests: number, failures: number, consecutiveFailures: number, lastError: string|null, latency: number|null, checkedAt: number|null, quarantinedAt: number|null}>}
+     */
+    getStats(walletsOf = null) {
+        return [...this.entries.values()].map(({ url, timer, ...stats }) => (walletsOf ? { ...stats, wallets: walletsOf(url) } : stats));
+    }
+
+    /**
+     * Cancel the pending re-checks
+     */
+    stop() {
+        for (const entry of this.entries.values()) {
+            clearTimeout(entry.timer);
+            entry.timer = null;
+        }
+        // A re-check that is already running sees its entry is gone and does nothing
+        this.entries.clear();
+    }
+}
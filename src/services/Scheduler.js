@@ -0,0 +1,207 @@
+// src/services/Scheduler.js
+import { logger as rootLogger } from '../utils/logger.js';
+
+/**
+ * Shares two resources between all wallets:
+ *
+ * - API requests: run() admits at most `concurrency` requests at a time and no more
+ *   than `requestsPerSecond` on average (token bucket, bursts up to one second's worth).
+ *   Requests that have to wait are served first come, first served.
+ * - Timers: schedule() puts a callback in a timer wheel with slots of `tickResolution`
+ *   milliseconds. A single setTimeout is armed for the earliest slot, however many
+ *   wallets are waiting, and callbacks that fall into the same slot fire together.
+ */
+export class Scheduler {
+    /**
+     * @param {Object} options - Scheduler options
+     * @param {number} options.concurrency - Requests in flight at once, across all wallets
+     * @param {number} options.requestsPerSecond - Average request rate; 0 disables the cap
+     * @param {number} options.tickResolution - Width of a timer wheel slot (ms)
+     * @param {Function} options.now - Clock, for tests
+     * @param {Logger} options.logger - Parent logger
+     */
+    constructor({ concurrency, requestsPerSecond, tickResolution, now = () => Date.now(), logger = rootLogger }) {
+        this.concurrency = concurrency;
+        this.rate = requestsPerSecond;
+        this.burst = Math.max(1, Math.ceil(requestsPerSecond));
+        this.resolution = tickResolution;
+        this.now = now;
+        this.logger = logger.child({ component: 'scheduler' });
+
+        // Request gate
+        this.active = 0;
+        this.queue = [];
+        this.tokens = this.burst;
+        this.refilledAt = now();
+        this.refillTimer = null;
+
+        // Timer wheel: slot number -> Map(id -> callback), and id -> slot number
+        this.slots = new Map();
+        this.timers = new Map();
+        this.wheelTimer = null;
+        this.armedSlot = null;
+    }
+
+    /**
+     * Run an API request once a concurrency slot and a rate token are free
+     * @param {Function} fn - Async function performing the request
+     * @returns {Promise<*>} - Result of fn
+     */
+    run(fn) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ fn, resolve, reject });
+            this.pump();
+        });
+    }
+
+    /**
+     * Start queued requests while slots and tokens allow
+     */
+    pump() {
+        while (this.queue.length > 0 && this.active < this.concurrency) {
+            if (this.rate > 0) {
+                this.refill();
+                if (this.tokens < 1) {
+                    this.waitForToken();
+                    return;
+                }
+                this.tokens--;
+            }
+
+            const { fn, resolve, reject } = this.queue.shift();
+            this.active++;
+            Promise.resolve()
+                .then(fn)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.active--;
+                    this.pump();
+                });
+        }
+    }
+
+    /**
+     * Add the tokens earned since the last refill
+     */
+    refill() {
+        const now = this.now();
+        // The clock can step backwards (e.g. NTP adjustments); never take tokens away
+        this.tokens = Math.min(this.burst, this.tokens + Math.max(0, now - this.refilledAt) * this.rate / 1000);
+        this.refilledAt = now;
+    }
+
+    /**
+     * Resume the queue when the next token is due
+     */
+    waitForToken() {
+        if (this.refillTimer) {
+            return;
+        }
+        const delay = Math.ceil((1 - this.tokens) * 1000 / this.rate);
+        this.logger.trace(`Rate limit reached, ${this.queue.length} requests waiting`, { operation: 'schedule', delay });
+        this.refillTimer = setTimeout(() => {
+            this.refillTimer = null;
+            this.pump();
+        }, delay);
+    }
+
+    /**
+     * Call back after a delay, replacing any timer with the same id
+     * @param {*} id - Timer identity, e.g. the bot
+     * @param {number} delay - Milliseconds from now; rounded up to the wheel resolution
+     * @param {Function} callback - Called without arguments; a rejected promise is logged
+     */
+    schedule(id, delay, callback) {
+        this.cancel(id);
+        const slot = Math.ceil((this.now() + delay) / this.resolution);
+        if (!this.slots.has(slot)) {
+            this.slots.set(slot, new Map());
+        }
+        this.slots.get(slot).set(id, callback);
+        this.timers.set(id, slot);
+        this.arm();
+    }
+
+    /**
+     * Cancel a timer
+     * @param {*} id - Timer identity passed to schedule()
+     * @returns {boolean} - Whether a timer was pending
+     */
+    cancel(id) {
+        const slot = this.timers.get(id);
+        if (slot === undefined) {
+            return false;
+        }
+        this.timers.delete(id);
+        const bucket = this.slots.get(slot);
+        bucket.delete(id);
+        if (bucket.size === 0) {
+            this.slots.delete(slot);
+        }
+        return true;
+    }
+
+    /**
+     * Point the wheel's single setTimeout at the earliest occupied slot
+     */
+    arm() {
+        const next = this.slots.size > 0 ? Math.min(...this.slots.keys()) : null;
+        if (next === this.armedSlot) {
+            return;
+        }
+        clearTimeout(this.wheelTimer);
+        this.wheelTimer = null;
+        this.armedSlot = next;
+        if (next !== null) {
+            this.wheelTimer = setTimeout(() => this.advance(), Math.max(0, next * this.resolution - this.now()));
+        }
+    }
+
+    /**
+     * Fire the callbacks of every slot that is due
+     */
+    advance() {
+        // The armed slot is due even if the clock reads a little early
+        const due = Math.max(this.armedSlot, Math.floor(this.now() / this.resolution));
+        this.wheelTimer = null;
+        this.armedSlot = null;
+
+        for (const slot of [...this.slots.keys()].sort((a, b) => a - b)) {
+            if (slot > due) {
+                break;
+            }
+            const bucket = this.slots.get(slot);
+            this.slots.delete(slot);
+            for (const [id, callback] of bucket) {
+                this.timers.delete(id);
+                try {
+                    Promise.resolve(callback()).catch(error => {
+                        this.logger.error(`Scheduled task failed: ${error.message}`, { operation: 'schedule' });
+                    });
+                } catch (error) {
+                    this.logger.error(`Scheduled task failed: ${error.message}`, { operation: 'schedule' });
+                }
+            }
+        }
+        this.arm();
+    }
+
+    /**
+     * Current load, for reports
+     * @returns {{active: number, queued: number, timers: number}}
+     */
+    getStats() {
+        return { active: this.active, queued: this.queue.length, timers: this.timers.size };
+    }
+
+    /**
+     * Cancel every timer. Requests still pass through run(), so final updates can be sent.
+     */
+    cancelAll() {
+        clearTimeout(this.wheelTimer);
+        this.wheelTimer = null;
+        this.armedSlot = null;
+        this.slots.clear();
+        this.timers.clear();
+    }
+}
@@ -0,0 +1,246 @@
+// src/services/WalletSupervisor.js
+import { EventEmitter } from 'events';
+import { BOT_STATES } from './KaleidoMiningBot.js';
+import { BOT_EVENTS, SUPERVISOR_EVENTS } from './events.js';
+import { backoffDelay } from '../utils/retry.js';
+import { logger as rootLogger } from '../utils/logger.js';
+
+/**
+ * Health values of a wallet, from best to worst. A mining wallet is degraded
+ * while its updates fail; a failed wallet is restarting until the supervisor
+ * gives up on it, after which it is dead.
+ */
+export const WALLET_HEALTH = {
+    HEALTHY: 'healthy',
+    DEGRADED: 'degraded',
+    INITIALIZING: 'initializing',
+    PAUSED: 'paused',
+    RESTARTING: 'restarting',
+    DEAD: 'dead',
+    STOPPED: 'stopped'
+};
+
+/**
+ * Watches the bots of a coordinator and re-initializes the ones that fail,
+ * with exponential backoff. Wallets that fail for a reason retrying can't fix
+ * (not registered, other 4xx answers), or that keep failing, are given up on.
+ *
+ * Events (payloads are documented in events.js):
+ *   restartScheduled RestartScheduledEvent
+ *   walletGaveUp     WalletGaveUpEvent
+ */
+export class WalletSupervisor extends EventEmitter {
+    /**
+     * @param {Object} options - Supervisor options
+     * @param {number} options.restartDelay - Delay before the first restart (ms)
+     * @param {number} options.restartMaxDelay - Longest delay between restarts (ms)
+     * @param {number} options.maxRestarts - Restarts in a row before giving up (0 disables restarts)
+     * @param {number} options.jitter - Random spread of the delays (0..1)
+     * @param {Logger} options.logger - Parent logger
+     */
+    constructor({ restartDelay, restartMaxDelay, maxRestarts, jitter = 0, logger = rootLogger }) {
+        super();
+        this.policy = { baseDelay: restartDelay, maxDelay: restartMaxDelay, jitter };
+        this.maxRestarts = maxRestarts;
+        this.logger = logger.child({ component: 'supervisor' });
+        // Bot -> { restarts, timer, nextRestartAt, gaveUp }
+        this.entries = new Map();
+        this.stopped = false;
+    }
+
+    /**
+     * Start supervising a bot
+     * @param {KaleidoMiningBot} bot - Bot to watch
+     */
+    watch(bot) {
+        const entry = { bot, restarts: 0, timer: null, nextRestartAt: null, gaveUp: false };
+        entry.onStateChanged = event => {
+            if (event.state === BOT_STATES.FAILED) {
+                this.handleFailure(entry);
+            } else if (event.state === BOT_STATES.INITIALIZING) {
+                // Started again, e.g. by hand after the supervisor gave up
+                entry.gaveUp = false;
+            }
+        };
+        entry.onBalanceUpdated = () => {
+            // Mining works again, so the next failure starts a fresh backoff
+            entry.restarts = 0;
+        };
+        this.entries.set(bot, entry);
+        bot.on(BOT_EVENTS.STATE_CHANGED, entry.onStateChanged);
+        bot.on(BOT_EVENTS.BALANCE_UPDATED, entry.onBalanceUpdated);
+    }
+
+    /**
+     * Stop supervising a bot, cancelling a pending restart
+     * @param {KaleidoMiningBot} bot - Bot passed to watch()
+     */
+    unwatch(bot) {
+        const entry = this.entries.get(bot);
+        if (!entry) {
+            return;
+        }
+        clearTimeout(entry.timer);
+        bot.off(BOT_EVENTS.STATE_CHANGED, entry.onStateChanged);
+        bot.off(BOT_EVENTS.BALANCE_UPDATED, entry.onBalanceUpdated);
+        this.entries.delete(bot);
+    }
+
+    /**
+     * Schedule a restart of a failed bot, or give up on it
+     */
+    handleFailure(entry) {
+        if (this.stopped) {
+            return;
+        }
+        const { bot } = entry;
+        const failure = bot.failure || { reason: bot.lastError, permanent: false };
+        // A bot started by hand can fail again while a restart is pending; keep only one
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        entry.nextRestartAt = null;
+
+        if (failure.permanent || entry.restarts >= this.maxRestarts) {
+            entry.gaveUp = true;
+            this.logger.error(failure.permanent
+                ? `Giving up on wallet: ${failure.reason}`
+                : `Giving up on wallet after ${entry.restarts} restarts: ${failure.reason}`, {
+                operation: 'supervise',
+                wallet: bot.wallet,
+                botIndex: bot.botIndex,
+                permanent: failure.permanent
+            });
+            this.emit(SUPERVISOR_EVENTS.WALLET_GAVE_UP, {
+                wallet: bot.wallet,
+                botIndex: bot.botIndex,
+                reason: failure.reason,
+                permanent: failure.permanent,
+                restarts: entry.restarts
+            });
+            return;
+        }
+
+        entry.restarts++;
+        const delay = backoffDelay(this.policy, entry.restarts);
+        entry.nextRestartAt = Date.now() + delay;
+        entry.timer = setTimeout(() => this.restart(entry), delay);
+        this.logger.warn(`Restarting wallet in ${Math.round(delay / 1000)}s (attempt ${entry.restarts}/${this.maxRestarts}): ${failure.reason}`, {
+            operation: 'supervise',
+            wallet: bot.wallet,
+            botIndex: bot.botIndex
+        });
+        this.emit(SUPERVISOR_EVENTS.RESTART_SCHEDULED, {
+            wallet: bot.wallet,
+            botIndex: bot.botIndex,
+            attempt: entry.restarts,
+            delay,
+            reason: failure.reason
+        });
+    }
+
+    /**
+     * Re-initialize a failed bot. A new failure schedules the next attempt
+     * through the bot's stateChanged event.
+     */
+    async restart(entry) {
+        entry.timer = null;
+        entry.nextRestartAt = null;
+        if (this.stopped || entry.bot.state !== BOT_STATES.FAILED) {
+            return;
+        }
+        this.logger.info(`Restarting wallet (attempt ${entry.restarts}/${this.maxRestarts})`, {
+            operation: 'supervise',
+            wallet: entry.bot.wallet,
+            botIndex: entry.bot.botIndex
+        });
+        await entry.bot.initialize();
+    }
+
+    /**
+     * Health of one supervised bot
+     * @param {Object} entry - Supervisor entry
+     * @returns {string} - One of WALLET_HEALTH
+     */
+    healthOf(entry) {
+        const { bot } = entry;
+        switch (bot.state) {
+            case BOT_STATES.MINING:
+                return bot.circuit?.state === 'open' || bot.consecutiveErrors > 0 ? WALLET_HEALTH.DEGRADED : WALLET_HEALTH.HEALTHY;
+            case BOT_STATES.FAILED:
+                return entry.gaveUp ? WALLET_HEALTH.DEAD : WALLET_HEALTH.RESTARTING;
+            case BOT_STATES.PAUSED:
+                return WALLET_HEALTH.PAUSED;
+            case BOT_STATES.STOPPED:
+                return WALLET_HEALTH.STOPPED;
+            default:
+                return WALLET_HEALTH.INITIALIZING;
+        }
+    }
+
+    /**
+     * Describe every supervised wallet
+     * @returns {HealthReport}
+     */
+    getHealthReport() {
+        const wallets = [...this.entries.values()].map(entry => ({
+            wallet: entry.bot.wallet,
+            botIndex: entry.bot.botIndex,
+            state: entry.bot.state,
+            health: this.healthOf(entry),
+            restarts: entry.restarts,
+            nextRestartAt: entry.nextRestartAt,
+            permanent: entry.gaveUp && Boolean(entry.bot.failure?.permanent),
+            lastError: entry.bot.lastError,
+            lastSuccessAt: entry.bot.lastSuccessAt
+        }));
+
+        const counts = {};
+        for (const wallet of wallets) {
+            counts[wallet.health] = (counts[wallet.health] || 0) + 1;
+        }
+        return { generatedAt: new Date().toISOString(), counts, wallets };
+    }
+
+    /**
+     * Log a health report: one summary line, and one line per wallet that needs attention
+     * @param {HealthReport} report - Report to log
+     */
+    logHealthReport(report = this.getHealthReport()) {
+        const counts = Object.values(WALLET_HEALTH)
+            .filter(health => report.counts[health])
+            .map(health => `${health} ${report.counts[health]}`);
+        this.logger.info(`=== Fleet Health === Wallets: ${report.wallets.length}${counts.length > 0 ? ` | ${counts.join(' | ')}` : ''}`, {
+            operation: 'health',
+            counts: report.counts
+        });
+
+        for (const wallet of report.wallets) {
+            if (wallet.health === WALLET_HEALTH.HEALTHY || wallet.health === WALLET_HEALTH.STOPPED) {
+                continue;
+            }
+            const details = [
+                wallet.health === WALLET_HEALTH.DEAD ? (wallet.permanent ? 'permanent failure' : `gave up after ${wallet.restarts} restarts`) : null,
+                wallet.nextRestartAt ? `restart ${wallet.restarts} at ${new Date(wallet.nextRestartAt).toTimeString().slice(0, 8)}` : null,
+                wallet.lastError
+            ].filter(Boolean);
+            this.logger.warn(`${wallet.health}${details.length > 0 ? `: ${details.join(' | ')}` : ''}`, {
+                operation: 'health',
+                wallet: wallet.wallet,
+                botIndex: wallet.botIndex,
+                health: wallet.health
+            });
+        }
+    }
+
+    /**
+     * Cancel pending restarts; used when shutting down
+     */
+    stop() {
+        this.stopped = true;
+        for (const entry of this.entries.values()) {
+            clearTimeout(entry.timer);
+            entry.timer = null;
+            entry.nextRestartAt = null;
+        }
+    }
+}
@@ -0,0 +1,226 @@
+// src/services/events.js
+
+/**
+ * Events emitted by KaleidoMiningBot. MiningCoordinator re-emits all of them,
+ * so listeners on the coordinator see the events of every bot.
+ */
+export const BOT_EVENTS = Object.freeze({
+    INITIALIZED: 'initialized',
+    STATE_CHANGED: 'stateChanged',
+    BALANCE_UPDATED: 'balanceUpdated',
+    UPDATE_FAILED: 'updateFailed',
+    CIRCUIT_CHANGED: 'circuitChanged',
+    EARNINGS_DRIFT: 'earningsDrift',
+    REQUEST_COMPLETED: 'requestCompleted',
+    REQUEST_RETRY: 'requestRetry',
+    REGISTRATION_CHANGED: 'registrationChanged',
+    STOPPED: 'stopped'
+});
+
+/**
+ * Events emitted by WalletSupervisor and forwarded by MiningCoordinator
+ */
+export const SUPERVISOR_EVENTS = Object.freeze({
+    RESTART_SCHEDULED: 'restartScheduled',
+    WALLET_GAVE_UP: 'walletGaveUp'
+});
+
+/**
+ * Events emitted by ProxyManager. MiningCoordinator re-emits them with the
+ * wallets using the proxy (ProxyEvent).
+ */
+export const PROXY_EVENTS = Object.freeze({
+    QUARANTINED: 'proxyQuarantined',
+    RESTORED: 'proxyRestored'
+});
+
+/**
+ * Events emitted by GroupScheduler. MiningCoordinator starts or stops the
+ * group's wallets and re-emits them with the wallets (GroupRunEvent).
+ */
+export const GROUP_EVENTS = Object.freeze({
+    RUN_STARTED: 'groupRunStarted',
+    RUN_ENDED: 'groupRunEnded'
+});
+
+/**
+ * Events emitted only by MiningCoordinator
+ */
+export const COORDINATOR_EVENTS = Object.freeze({
+    BOT_ADDED: 'botAdded',
+    BOT_REMOVED: 'botRemoved',
+    RELOADED: 'reloaded',
+    SHUTTING_DOWN: 'shuttingDown',
+    SUMMARY: 'coordinatorSummary'
+});
+
+/**
+ * @typedef {Object} InitializedEvent
+ * @property {string} wallet - Lowercase wallet address
+ * @property {number} botIndex - 1-based wallet position
+ * @property {number} balance - Balance at the start of the run
+ * @property {number} referralBonus - Referral bonus as a fraction (0.1 = 10%)
+ * @property {boolean} resumed - Whether a saved session was continued
+ */
+
+/**
+ * @typedef {Object} StateChangedEvent
+ * @property {string} wallet
+ * @property {number} botIndex
+ * @property {string} previousState - One of BOT_STATES
+ * @property {string} state - One of BOT_STATES
+ * @property {string|null} reason - Why the state changed, e.g. the error that failed the bot
+ */
+
+/**
+ * @typedef {Object} BalanceUpdatedEvent
+ * @property {string} wallet
+ * @property {number} botIndex
+ * @property {number} oldBalance - Balance before the update
+ * @property {number} newBalance - Balance reported by the server
+ * @property {number} sessionEarnings - Earnings sent with the update
+ * @property {boolean} final - Whether this was the update sent while stopping
+ * @property {number} status - HTTP status of the answer
+ */
+
+/**
+ * @typedef {Object} UpdateFailedEvent
+ * @property {string} wallet
+ * @property {number} botIndex
+ * @property {string} error - Error message
+ * @property {number|null} status - HTTP status, if the server answered
+ * @property {string} reason - timeout, network, rate-limited, server, client, unsuccessful (answered success=false) or error
+ * @property {number} consecutiveErrors - Failed updates since the last success
+ */
+
+/**
+ * @typedef {Object} CircuitChangedEvent
+ * @property {string} wallet
+ * @property {number} botIndex
+ * @property {string} state - 'open' after repeated failures, 'closed' once an update succeeds again
+ * @property {number|null} nextProbeAt - When an open circuit lets the next update through (ms timestamp)
+ */
+
+/**
+ * @typedef {Object} EarningsDriftEvent
+ * @property {string} wallet
+ * @property {number} botIndex
+ * @property {string[]} flags - DRIFT_FLAGS values: 'drift', 'rejected', 'ignored', 'reset', 'lost', 'clock-jump'
+ * @property {number} expected - Earnings the update sent
+ * @property {number|null} credited - Change of the server balance; null if the update failed
+ * @property {number} drift - Credited minus expected earnings, including earlier unconfirmed ones
+ * @property {boolean} final - Whether this was the final update
+ */
+
+/**
+ * @typedef {Object} RequestCompletedEvent
+ * @property {string} wallet
+ * @property {number} botIndex
+ * @property {string} operation - 'Registration check' or 'Balance update'
+ * @property {number} attempt - 1-based attempt of this request
+ * @property {number} duration - Milliseconds from sending the request to its answer or error
+ * @property {boolean} ok - Whether the request succeeded
+ * @property {number|null} status - HTTP status, if the server answered
+ * @property {string|null} reason - Error class of a failed request: 'network', 'timeout', 'server', 'client', ...
+ * @property {string|null} error - Error message of a failed request
+ */
+
+/**
+ * @typedef {Object} RequestRetryEvent
+ * @property {string} wallet
+ * @property {number} botIndex
+ * @property {string} operation - 'Registration check' or 'Balance update'
+ * @property {number} attempt - Attempt that failed
+ * @property {number} delay - Milliseconds until the next attempt
+ * @property {string} reason - Classification of the error, e.g. timeout or server
+ * @property {number|null} status - HTTP status, if the server answered
+ */
+
+/**
+ * @typedef {Object} RegistrationChangedEvent
+ * @property {string} wallet
+ * @property {number} botIndex
+ * @property {boolean} registered - false once the wallet is no longer registered; the bot then fails permanently
+ * @property {number} previousReferralBonus - Referral bonus used until now
+ * @property {number} referralBonus - Referral bonus used from now on (0.1 = 10%)
+ * @property {Object|null} userData - userData of the registration check; null if the wallet is not registered
+ */
+
+/**
+ * @typedef {Object} StoppedEvent
+ * @property {string} wallet
+ * @property {number} botIndex
+ * @property {number} balance - Final balance
+ * @property {string} finalUpdate - 'ok', 'failed', or 'skipped' if the bot wasn't mining
+ */
+
+/**
+ * @typedef {Object} RestartScheduledEvent
+ * @property {string} wallet
+ * @property {number} botIndex
+ * @property {number} attempt - 1-based restart attempt since the wallet last mined successfully
+ * @property {number} delay - Milliseconds until the restart
+ * @property {string} reason - Error that failed the bot
+ */
+
+/**
+ * @typedef {Object} WalletGaveUpEvent
+ * @property {string} wallet
+ * @property {number} botIndex
+ * @property {string} reason - Error that failed the bot
+ * @property {boolean} permanent - Whether the failure can't be fixed by retrying (e.g. wallet not registered)
+ * @property {number} restarts - Restarts attempted before giving up
+ */
+
+/**
+ * @typedef {Object} HealthReport
+ * @property {string} generatedAt - ISO time of the report
+ * @property {Object<string, number>} counts - Number of wallets per health value
+ * @property {Array<WalletHealth>} wallets - One entry per wallet, in bot order
+ */
+
+/**
+ * @typedef {Object} WalletHealth
+ * @property {string} wallet
+ * @property {number} botIndex
+ * @property {string} state - One of BOT_STATES
+ * @property {string} health - healthy, degraded, initializing, paused, restarting, dead or stopped
+ * @property {number} restarts - Restarts since the wallet last mined successfully
+ * @property {number|null} nextRestartAt - When a restarting wallet is tried again (ms timestamp)
+ * @property {boolean} permanent - Whether a dead wallet failed for a reason retrying can't fix
+ * @property {string|null} lastError - Latest error message
+ * @property {number|null} lastSuccessAt - Time of the last successful balance update (ms timestamp)
+ */
+
+/**
+ * @typedef {Object} ReloadedEvent
+ * @property {Array<{wallet: string, botIndex: number}>} added - Wallets that were started
+ * @property {Array<{wallet: string, botIndex: number}>} removed - Wallets that were stopped and dropped
+ * @property {Array<{wallet: string, botIndex: number}>} proxyChanged - Wallets now using another proxy
+ * @property {number} unchanged - Wallets left running as they were
+ */
+
+/**
+ * @typedef {Object} ProxyEvent
+ * @property {string} proxy - Proxy host:port, without credentials
+ * @property {string|null} reason - Why the proxy was quarantined; null when it was restored
+ * @property {Array<{wallet: string, botIndex: number}>} wallets - Wallets using the proxy, paused while it is quarantined
+ */
+
+/**
+ * @typedef {Object} GroupRunEvent
+ * @property {string} group - Group name
+ * @property {string} reason - 'window-opened' for a start; 'window-closed' or 'max-runtime' for an end
+ * @property {number|null} stopAt - When a started run ends at the latest (ms timestamp); null if open-ended
+ * @property {number|null} nextStartAt - When an ended run starts again (ms timestamp); null without a next window
+ * @property {Array<{wallet: string, botIndex: number}>} wallets - Wallets of the group
+ */
+
+/**
+ * @typedef {Object} CoordinatorSummaryEvent
+ * @property {number} totalWallets - Number of bots that were running
+ * @property {number} totalPaid - Sum of the final balances
+ * @property {Array<{wallet: string, botIndex: number, state: string, balance: number, finalUpdate: string, health: string|null, lastError: string|null}>} wallets - Per-wallet results; finalUpdate is 'ok', 'failed', 'skipped' or 'timeout'; health is taken just before stopping
+ * @property {number} finalUpdatesFailed - Wallets whose final update failed or ran past lifecycle.botStopTimeout
+ * @property {HealthReport} health - Fleet health just before the bots were stopped
+ */
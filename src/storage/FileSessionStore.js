@@ -0,0 +1,255 @@
+// src/storage/FileSessionStore.js
+import * as fs from 'fs/promises';
+import path from 'path';
+import { logger as rootLogger } from '../utils/logger.js';
+import { SESSION_VERSION, SESSION_HISTORY_LIMIT, sessionKey, migrateSession } from './sessionFormat.js';
+
+// Subdirectory with one JSON lines file of balance updates per wallet
+const UPDATES_DIR = 'history';
+// Session files are named after the wallet address; other JSON files in the directory are not sessions
+const SESSION_FILE_PATTERN = /^0x[0-9a-fA-F]{40}\.json$/;
+
+/**
+ * Stores one JSON file per wallet. Writes go to a temporary file that is renamed
+ * over the session file, so a crash never leaves a half-written session behind.
+ * Every balance update is also appended to history/<wallet>.jsonl, which,
+ * unlike the session's history, is never truncated.
+ */
+export class FileSessionStore {
+    /**
+     * @param {string} dir - Session directory
+     * @param {Object} options - Store options
+     * @param {Logger} options.logger - Logger for migration and quarantine warnings
+     */
+    constructor(dir, { logger = rootLogger } = {}) {
+        this.dir = dir;
+        this.logger = logger.child({ operation: 'session' });
+        this.tempCounter = 0;
+    }
+
+    /**
+     * Path of the session file of a wallet
+     * @param {string} wallet - Wallet address
+     * @returns {string}
+     */
+    fileFor(wallet) {
+        return path.join(this.dir, `${sessionKey(wallet)}.json`);
+    }
+
+    /**
+     * Load the session of a wallet. Corrupt files, and files from a newer release, are
+     * moved aside and treated as missing. Files named after the checksummed address are
+     * renamed to the normalized key.
+     * @param {string} wallet - Wallet address
+     * @returns {Promise<Object|null>} - Session in the current format, or null if there is none
+     */
+    async load(wallet) {
+        const file = this.fileFor(wallet);
+        let content = await readIfExists(file);
+
+        if (content === null) {
+            const legacyFile = await this.findLegacyFile(wallet);
+            if (!legacyFile) {
+                return null;
+            }
+            await fs.rename(legacyFile, file);
+            this.logger.info(`Renamed session file ${path.basename(legacyFile)} to ${path.basename(file)}`, { wallet: sessionKey(wallet) });
+            content = await readIfExists(file);
+        }
+
+        let session;
+        try {
+            session = JSON.parse(content);
+        } catch (error) {
+            await this.quarantine(file, `invalid JSON (${error.message})`);
+            return null;
+        }
+
+        let migrated;
+        try {
+            migrated = migrateSession(session, wallet);
+        } catch (error) {
+            await this.quarantine(file, error.message);
+            return null;
+        }
+
+        if (migrated !== session) {
+            await this.save(wallet, migrated);
+            this.logger.info(`Migrated session to version ${SESSION_VERSION}`, { wallet: sessionKey(wallet), from: session.version ?? 1 });
+        }
+        return migrated;
+    }
+
+    /**
+     * Atomically write the session of a wallet
+     * @param {string} wallet - Wallet address
+     * @param {Object} session - Session without version and wallet fields (they are added)
+     */
+    async save(wallet, session) {
+        await fs.mkdir(this.dir, { recursive: true });
+        const file = this.fileFor(wallet);
+        const tempFile = `${file}.${process.pid}.${++this.tempCounter}.tmp`;
+        // version and wallet go first so they are easy to spot in the file
+        const header = { version: SESSION_VERSION, wallet: sessionKey(wallet) };
+        const data = {
+            ...header,
+            ...session,
+            ...header,
+            history: (session.history || []).slice(-SESSION_HISTORY_LIMIT)
+        };
+
+        const handle = await fs.open(tempFile, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(data, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        try {
+            await fs.rename(tempFile, file);
+        } catch (error) {
+            await fs.rm(tempFile, { force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Path of the balance update log of a wallet
+     * @param {string} wallet - Wallet address
+     * @returns {string}
+     */
+    updatesFileFor(wallet) {
+        return path.join(this.dir, UPDATES_DIR, `${sessionKey(wallet)}.jsonl`);
+    }
+
+    /**
+     * Append a successful balance update to the wallet's update log
+     * @param {string} wallet - Wallet address
+     * @param {Object} update - { time, balance, earned, elapsed, referralBonus, final }
+     */
+    async recordUpdate(wallet, { time, balance, earned, elapsed = null, referralBonus = null, final = false }) {
+        const file = this.updatesFileFor(wallet);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.appendFile(file, `${JSON.stringify({ time, balance, earned, elapsed, referralBonus, final })}\n`);
+    }
+
+    /**
+     * Read the recorded balance updates of every wallet (for offline reports)
+     * @param {Object} range - Time range
+     * @param {string|null} range.from - First time included (ISO timestamp)
+     * @param {string|null} range.to - First time excluded (ISO timestamp)
+     * @returns {Promise<Array<{wallet: string, time: string, balance: number, earned: number, elapsed: number|null, referralBonus: number|null, final: boolean}>>} - Sorted by wallet and time
+     */
+    async listUpdates({ from = null, to = null } = {}) {
+        const dir = path.join(this.dir, UPDATES_DIR);
+        let names;
+        try {
+            names = await fs.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const updates = [];
+        for (const name of names.filter(item => item.endsWith('.jsonl')).sort()) {
+            const wallet = path.basename(name, '.jsonl');
+            const lines = (await fs.readFile(path.join(dir, name), 'utf8')).split('\n');
+            for (const line of lines) {
+                let update;
+                try {
+                    update = JSON.parse(line);
+                } catch (error) {
+                    // Empty, or cut short by a crash while appending
+                    continue;
+                }
+                if ((from === null || update.time >= from) && (to === null || update.time < to)) {
+                    updates.push({ wallet, ...update });
+                }
+            }
+        }
+        return updates;
+    }
+
+    /**
+     * Nothing to release; files are opened per operation
+     */
+    async close() {}
+
+    /**
+     * Read every session without modifying anything (for offline reports)
+     * @returns {Promise<Array<{wallet: string, file: string, session: Object|null, modified: Date|null, error: string|null}>>}
+     */
+    async list() {
+        let names;
+        try {
+            names = await fs.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        // A normalized file wins over a leftover checksummed one for the same wallet
+        const byWallet = new Map();
+        for (const name of names.filter(item => SESSION_FILE_PATTERN.test(item)).sort()) {
+            const wallet = sessionKey(path.basename(name, '.json'));
+            if (!byWallet.has(wallet) || name === `${wallet}.json`) {
+                byWallet.set(wallet, name);
+            }
+        }
+
+        const results = [];
+        for (const [wallet, name] of [...byWallet].sort(([a], [b]) => a.localeCompare(b))) {
+            const file = path.join(this.dir, name);
+            try {
+                const [content, stat] = await Promise.all([fs.readFile(file, 'utf8'), fs.stat(file)]);
+                results.push({ wallet, file, session: migrateSession(JSON.parse(content), wallet), modified: stat.mtime, error: null });
+            } catch (error) {
+                results.push({ wallet, file, session: null, modified: null, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Find a session file whose name matches the wallet in another casing
+     */
+    async findLegacyFile(wallet) {
+        let names;
+        try {
+            names = await fs.readdir(this.dir);
+        } catch (error) {
+            return null;
+        }
+        const wanted = `${sessionKey(wallet)}.json`;
+        const name = names.find(item => item.toLowerCase() === wanted && item !== wanted);
+        return name ? path.join(this.dir, name) : null;
+    }
+
+    /**
+     * Move a corrupt session file aside so it can be inspected
+     */
+    async quarantine(file, reason) {
+        const target = `${file}.corrupt-${Date.now()}`;
+        await fs.rename(file, target);
+        this.logger.warn(`Corrupt session file (${reason}), moved to ${path.basename(target)}; starting from server state`, { file: target });
+    }
+}
+
+/**
+ * Read a file, returning null if it does not exist
+ */
+async function readIfExists(file) {
+    try {
+        return await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,239 @@
+// src/storage/SqliteSessionStore.js
+import * as fs from 'fs/promises';
+import path from 'path';
+import { logger as rootLogger } from '../utils/logger.js';
+import { SESSION_VERSION, SESSION_HISTORY_LIMIT, sessionKey, migrateSession } from './sessionFormat.js';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS sessions (
+        wallet TEXT PRIMARY KEY,
+        version INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS balance_updates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        wallet TEXT NOT NULL,
+        time TEXT NOT NULL,
+        balance REAL NOT NULL,
+        earned REAL NOT NULL,
+        final INTEGER NOT NULL DEFAULT 0,
+        elapsed INTEGER,
+        referral_bonus REAL
+    );
+    CREATE INDEX IF NOT EXISTS balance_updates_wallet_time ON balance_updates (wallet, time);
+`;
+
+// Columns added to balance_updates after its first release; NULL in older rows
+const ADDED_COLUMNS = {
+    elapsed: 'INTEGER',
+    referral_bonus: 'REAL'
+};
+
+async function loadDatabase() {
+    try {
+        return (await import('better-sqlite3')).default;
+    } catch (error) {
+        throw new Error('storage.backend "sqlite" needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+}
+
+// Column names of a table; empty when the table doesn't exist
+function columnsOf(db, table) {
+    return new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+}
+
+/**
+ * Stores sessions in an embedded SQLite database. Besides the current state of each
+ * wallet it keeps every /update-balance result in the balance_updates table, which
+ * can be queried directly for fleet-wide analysis.
+ *
+ * Needs the optional better-sqlite3 package; it is loaded on first use.
+ */
+export class SqliteSessionStore {
+    /**
+     * @param {string} file - Database file
+     * @param {Object} options - Store options
+     * @param {Logger} options.logger - Logger for corrupt-session warnings
+     */
+    constructor(file, { logger = rootLogger } = {}) {
+        this.file = file;
+        this.logger = logger.child({ operation: 'session' });
+        this.db = null;
+        this.opening = null;
+        this.reading = null;
+    }
+
+    /**
+     * Open the database and create the tables on first use
+     * @returns {Promise<Object>} - better-sqlite3 database
+     */
+    open() {
+        if (!this.opening) {
+            this.opening = (async () => {
+                const Database = await loadDatabase();
+                await fs.mkdir(path.dirname(this.file), { recursive: true });
+                const db = new Database(this.file);
+                db.pragma('journal_mode = WAL');
+                db.exec(SCHEMA);
+                const columns = columnsOf(db, 'balance_updates');
+                for (const [name, type] of Object.entries(ADDED_COLUMNS)) {
+                    if (!columns.has(name)) {
+                        db.exec(`ALTER TABLE balance_updates ADD COLUMN ${name} ${type}`);
+                    }
+                }
+                this.db = db;
+                return db;
+            })();
+        }
+        return this.opening;
+    }
+
+    /**
+     * The database for the offline reads of list() and listUpdates(): the one
+     * this store has open, or else a read-only handle that leaves the file,
+     * its schema and its journal mode as they are, as a running miner may be
+     * using it
+     * @returns {Promise<Object|null>} - better-sqlite3 database, or null if there is no database file
+     */
+    async openForReading() {
+        if (this.opening) {
+            return this.opening;
+        }
+        try {
+            await fs.access(this.file);
+        } catch (error) {
+            // Don't create an empty database just to report that it is empty
+            return null;
+        }
+        if (!this.reading) {
+            this.reading = loadDatabase().then(Database => new Database(this.file, { readonly: true, fileMustExist: true }));
+        }
+        return this.reading;
+    }
+
+    /**
+     * Load the session of a wallet, with the latest balance updates as its history
+     * @param {string} wallet - Wallet address
+     * @returns {Promise<Object|null>} - Session in the current format, or null if there is none
+     */
+    async load(wallet) {
+        const db = await this.open();
+        const key = sessionKey(wallet);
+        const row = db.prepare('SELECT data FROM sessions WHERE wallet = ?').get(key);
+        if (!row) {
+            return null;
+        }
+
+        let session;
+        try {
+            session = migrateSession(JSON.parse(row.data), key);
+        } catch (error) {
+            // Keep the row for inspection under another key and start over
+            db.prepare('UPDATE sessions SET wallet = ? WHERE wallet = ?').run(`${key}.corrupt-${Date.now()}`, key);
+            this.logger.warn(`Corrupt session (${error.message}), set aside; starting from server state`, { wallet: key });
+            return null;
+        }
+
+        return { ...session, history: this.readHistory(key, SESSION_HISTORY_LIMIT) };
+    }
+
+    /**
+     * Write the session of a wallet. The history is not stored with the session;
+     * it comes from recordUpdate().
+     * @param {string} wallet - Wallet address
+     * @param {Object} session - Session state
+     */
+    async save(wallet, session) {
+        const db = await this.open();
+        const key = sessionKey(wallet);
+        const { history, ...state } = session;
+        db.prepare(`
+            INSERT INTO sessions (wallet, version, data, updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (wallet) DO UPDATE SET version = excluded.version, data = excluded.data, updated_at = excluded.updated_at
+        `).run(key, SESSION_VERSION, JSON.stringify({ ...state, version: SESSION_VERSION, wallet: key }), new Date().toISOString());
+    }
+
+    /**
+     * Append a successful balance update to the time series
+     * @param {string} wallet - Wallet address
+     * @param {Object} update - { time, balance, earned, elapsed, referralBonus, final }
+     */
+    async recordUpdate(wallet, { time, balance, earned, elapsed = null, referralBonus = null, final = false }) {
+        const db = await this.open();
+        db.prepare('INSERT INTO balance_updates (wallet, time, balance, earned, final, elapsed, referral_bonus) VALUES (?, ?, ?, ?, ?, ?, ?)')
+            .run(sessionKey(wallet), time, balance, earned, final ? 1 : 0, elapsed, referralBonus);
+    }
+
+    /**
+     * Read the recorded balance updates of every wallet (for offline reports)
+     * @param {Object} range - Time range
+     * @param {string|null} range.from - First time included (ISO timestamp)
+     * @param {string|null} range.to - First time excluded (ISO timestamp)
+     * @returns {Promise<Array<{wallet: string, time: string, balance: number, earned: number, elapsed: number|null, referralBonus: number|null, final: boolean}>>} - Sorted by wallet and time
+     */
+    async listUpdates({ from = null, to = null } = {}) {
+        const db = await this.openForReading();
+        const columns = db ? columnsOf(db, 'balance_updates') : new Set();
+        if (columns.size === 0) {
+            return [];
+        }
+
+        // A database the miner hasn't upgraded yet lacks the newer columns
+        const added = name => (columns.has(name) ? name : 'NULL');
+        return db.prepare(`
+            SELECT wallet, time, balance, earned, ${added('elapsed')} AS elapsed, ${added('referral_bonus')} AS referralBonus, final FROM balance_updates
+            WHERE (@from IS NULL OR time >= @from) AND (@to IS NULL OR time < @to)
+            ORDER BY wallet, time, id
+        `).all({ from, to }).map(row => ({ ...row, final: row.final === 1 }));
+    }
+
+    /**
+     * Read every session (for offline reports)
+     * @returns {Promise<Array<{wallet: string, file: string, session: Object|null, modified: Date|null, error: string|null}>>}
+     */
+    async list() {
+        const db = await this.openForReading();
+        if (!db || columnsOf(db, 'sessions').size === 0) {
+            return [];
+        }
+
+        return db.prepare("SELECT wallet, data, updated_at FROM sessions WHERE wallet NOT LIKE '%.corrupt-%' ORDER BY wallet").all()
+            .map(row => {
+                try {
+                    return { wallet: row.wallet, file: this.file, session: migrateSession(JSON.parse(row.data), row.wallet), modified: new Date(row.updated_at), error: null };
+                } catch (error) {
+                    return { wallet: row.wallet, file: this.file, session: null, modified: null, error: error.message };
+                }
+            });
+    }
+
+    /**
+     * Read the newest balance updates of a wallet, oldest first
+     * @param {string} wallet - Wallet address
+     * @param {number} limit - Maximum number of entries
+     * @returns {Array<{time: string, balance: number, earned: number}>}
+     */
+    readHistory(wallet, limit) {
+        return this.db.prepare('SELECT time, balance, earned FROM balance_updates WHERE wallet = ? ORDER BY id DESC LIMIT ?')
+            .all(sessionKey(wallet), limit)
+            .reverse();
+    }
+
+    /**
+     * Close the database
+     */
+    async close() {
+        if (this.reading) {
+            const db = await this.reading.catch(() => null);
+            db?.close();
+            this.reading = null;
+        }
+        if (this.opening) {
+            const db = await this.opening.catch(() => null);
+            db?.close();
+            this.opening = null;
+            this.db = null;
+        }
+    }
+}
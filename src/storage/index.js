@@ -0,0 +1,36 @@
+// src/storage/index.js
+import path from 'path';
+import { FileSessionStore } from './FileSessionStore.js';
+import { SqliteSessionStore } from './SqliteSessionStore.js';
+import { logger as rootLogger } from '../utils/logger.js';
+
+export { FileSessionStore } from './FileSessionStore.js';
+export { SESSION_VERSION, SESSION_HISTORY_LIMIT, sessionKey, migrateSession } from './sessionFormat.js';
+export { SqliteSessionStore } from './SqliteSessionStore.js';
+
+/**
+ * Interface shared by the session stores. Wallets are keyed by their lowercase address.
+ *
+ * @typedef {Object} SessionStore
+ * @property {(wallet: string) => Promise<Object|null>} load - Session in the current format, or null
+ * @property {(wallet: string, session: Object) => Promise<void>} save - Persist the session
+ * @property {(wallet: string, update: {time: string, balance: number, earned: number, elapsed: number|null, referralBonus: number|null, final: boolean}) => Promise<void>} recordUpdate - Record a successful /update-balance result
+ * @property {(range: {from: string|null, to: string|null}) => Promise<Array<Object>>} listUpdates - Recorded updates of every wallet in a time range, read-only
+ * @property {() => Promise<Array<{wallet: string, session: Object|null, modified: Date|null, error: string|null}>>} list - Every stored session, read-only
+ * @property {() => Promise<void>} close - Release files or connections
+ */
+
+/**
+ * Creates the session store selected by the `storage` section of the config
+ * @param {Object} config - Resolved configuration
+ * @param {Object} options - Options
+ * @param {Logger} options.logger - Logger for store warnings
+ * @returns {SessionStore}
+ */
+export function createSessionStore(config, { logger = rootLogger } = {}) {
+    const { backend, dir, sqliteFile } = config.storage;
+    if (backend === 'sqlite') {
+        return new SqliteSessionStore(path.resolve(dir, sqliteFile), { logger });
+    }
+    return new FileSessionStore(dir, { logger });
+}
@@ -0,0 +1,71 @@
+// src/storage/sessionFormat.js
+
+/**
+ * Current version of the session format
+ */
+export const SESSION_VERSION = 2;
+
+/**
+ * Balance snapshots kept per wallet; older ones are dropped
+ */
+export const SESSION_HISTORY_LIMIT = 500;
+
+/**
+ * Upgrades from each version to the next. Files written before versioning are version 1:
+ *   { startTime, earnings: { total }, referralBonus }
+ */
+const MIGRATIONS = {
+    1: (session, wallet) => ({
+        version: 2,
+        wallet,
+        startTime: session.startTime ?? null,
+        lastUpdate: null,
+        earnings: { total: session.earnings?.total ?? 0 },
+        referralBonus: session.referralBonus ?? 0,
+        worker: null,
+        pool: null,
+        stats: null,
+        history: []
+    })
+};
+
+/**
+ * Normalized key of a wallet; session files are named after it
+ * @param {string} wallet - Wallet address in any casing
+ * @returns {string} - Lowercase address
+ */
+export function sessionKey(wallet) {
+    return wallet.toLowerCase();
+}
+
+/**
+ * Brings a parsed session up to SESSION_VERSION
+ * @param {Object} session - Parsed session file
+ * @param {string} wallet - Wallet the session belongs to
+ * @returns {Object} - Session in the current format
+ * @throws {Error} - If the session is malformed or from a newer version
+ */
+export function migrateSession(session, wallet) {
+    if (!session || typeof session !== 'object' || Array.isArray(session)) {
+        throw new Error('Session is not an object');
+    }
+
+    let current = session;
+    let version = current.version ?? 1;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Invalid session version "${current.version}"`);
+    }
+    if (version > SESSION_VERSION) {
+        throw new Error(`Session version ${version} is newer than supported version ${SESSION_VERSION}`);
+    }
+
+    while (version < SESSION_VERSION) {
+        current = MIGRATIONS[version](current, sessionKey(wallet));
+        version = current.version;
+    }
+
+    if (typeof current.earnings?.total !== 'number' || !Number.isFinite(current.earnings.total)) {
+        throw new Error('Session has no numeric earnings.total');
+    }
+    return current;
+}
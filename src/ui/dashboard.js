@@ -0,0 +1,285 @@
+// src/ui/dashboard.js
+import readline from 'readline';
+import chalk from 'chalk';
+import { pad, visibleLength } from './table.js';
+import { BOT_EVENTS, COORDINATOR_EVENTS } from '../services/events.js';
+
+// Terminal control sequences
+const ENTER_ALT_SCREEN = '\x1b[?1049h';
+const LEAVE_ALT_SCREEN = '\x1b[?1049l';
+const HIDE_CURSOR = '\x1b[?25l';
+const SHOW_CURSOR = '\x1b[?25h';
+const CLEAR_SCREEN = '\x1b[H\x1b[2J';
+
+// Events that change what the dashboard shows
+const REDRAW_EVENTS = [
+    COORDINATOR_EVENTS.BOT_ADDED,
+    COORDINATOR_EVENTS.BOT_REMOVED,
+    BOT_EVENTS.STATE_CHANGED,
+    BOT_EVENTS.BALANCE_UPDATED,
+    BOT_EVENTS.UPDATE_FAILED,
+    BOT_EVENTS.CIRCUIT_CHANGED
+];
+
+const STATE_COLORS = {
+    initializing: chalk.blue,
+    mining: chalk.green,
+    paused: chalk.yellow,
+    failed: chalk.red,
+    stopped: chalk.gray
+};
+
+const COLUMNS = [
+    { key: 'botIndex', title: '#', align: 'right' },
+    { key: 'wallet', title: 'Wallet' },
+    { key: 'state', title: 'State' },
+    { key: 'uptime', title: 'Uptime', align: 'right' },
+    { key: 'balance', title: 'Balance', align: 'right' },
+    { key: 'delta', title: 'Delta', align: 'right' },
+    { key: 'referral', title: 'Referral', align: 'right' },
+    { key: 'lastSuccess', title: 'Last update' },
+    { key: 'errors', title: 'Errors', align: 'right' },
+    { key: 'proxy', title: 'Proxy' },
+    { key: 'profile', title: 'Profile' },
+    { key: 'group', title: 'Group' }
+];
+
+/**
+ * Formats a balance change with its sign, e.g. +0.00000012 or -0.00000012
+ * @param {number} delta - Change in KLDO
+ * @returns {string} - Formatted change
+ */
+export function formatDelta(delta) {
+    const text = delta.toFixed(8);
+    return text.startsWith('-') ? text : `+${text}`;
+}
+
+/**
+ * Formats an uptime in milliseconds as h:mm:ss
+ * @param {number} ms - Duration
+ * @returns {string} - Formatted duration
+ */
+export function formatUptime(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${hours}:${minutes}:${seconds}`;
+}
+
+/**
+ * Renders the dashboard screen from bot snapshots
+ * @param {Array<Object>} snapshots - Results of KaleidoMiningBot.getSnapshot()
+ * @param {Object} options - Render options
+ * @param {number} options.selected - Index of the highlighted row
+ * @param {number} options.width - Terminal columns
+ * @param {number} options.height - Terminal rows
+ * @returns {string} - Screen contents, one line per terminal row
+ */
+export function renderDashboard(snapshots, { selected = 0, width = 120, height = 30 } = {}) {
+    const counts = {};
+    for (const snapshot of snapshots) {
+        counts[snapshot.state] = (counts[snapshot.state] || 0) + 1;
+    }
+    const totalBalance = snapshots.reduce((sum, snapshot) => sum + snapshot.balance, 0);
+    const totalDelta = snapshots.reduce((sum, snapshot) => sum + snapshot.balanceDelta, 0);
+
+    const header = [
+        chalk.cyan.bold('Kaleido Mining Dashboard'),
+        `Wallets: ${snapshots.length} | ${Object.keys(STATE_COLORS).filter(state => counts[state]).map(state => STATE_COLORS[state](`${state} ${counts[state]}`)).join(' | ') || '-'}`,
+        `Total balance: ${totalBalance.toFixed(8)} KLDO | Earned this run: ${(totalDelta < 0 ? chalk.red : chalk.green)(formatDelta(totalDelta))} KLDO`,
+        ''
+    ];
+    const footer = ['', chalk.gray('↑/↓ select   p pause/resume   q quit')];
+
+    const rows = snapshots.map(snapshot => ({
+        botIndex: snapshot.botIndex,
+        wallet: `${snapshot.label ? `${snapshot.label} ` : ''}${snapshot.wallet.slice(0, 8)}…${snapshot.wallet.slice(-4)}`,
+        state: snapshot.circuit === 'open'
+            ? chalk.red(`${snapshot.state} (circuit open)`)
+            : (STATE_COLORS[snapshot.state] || chalk.white)(snapshot.state),
+        uptime: snapshot.uptime ? formatUptime(snapshot.uptime) : '-',
+        balance: snapshot.balance.toFixed(8),
+        delta: formatDelta(snapshot.balanceDelta),
+        referral: `+${(snapshot.referralBonus * 100).toFixed(1)}%`,
+        lastSuccess: snapshot.lastSuccessAt ? new Date(snapshot.lastSuccessAt).toTimeString().slice(0, 8) : '-',
+        errors: snapshot.consecutiveErrors > 0 ? chalk.red(snapshot.consecutiveErrors) : '0',
+        proxy: snapshot.proxyHost || 'direct',
+        profile: snapshot.profile ?? '-',
+        group: snapshot.group ?? '-'
+    }));
+
+    const widths = COLUMNS.map(column => Math.max(
+        visibleLength(column.title),
+        ...rows.map(row => visibleLength(row[column.key]))
+    ));
+    const formatRow = cells => cells.map((cell, i) => pad(cell, widths[i], COLUMNS[i].align)).join('  ').trimEnd();
+
+    // Scroll so the selected row stays visible
+    const visibleRows = Math.max(1, height - header.length - footer.length - 1);
+    const offset = Math.min(Math.max(0, selected - visibleRows + 1), Math.max(0, rows.length - visibleRows));
+
+    const body = rows.slice(offset, offset + visibleRows).map((row, i) => {
+        const line = formatRow(COLUMNS.map(column => row[column.key]));
+        return offset + i === selected ? chalk.inverse(line) : line;
+    });
+
+    return [...header, chalk.bold(formatRow(COLUMNS.map(column => column.title))), ...body, ...footer]
+        .map(line => truncate(line, width))
+        .join('\n');
+}
+
+/**
+ * Cuts a line to the terminal width, keeping color codes intact
+ */
+function truncate(line, width) {
+    if (visibleLength(line) <= width) {
+        return line;
+    }
+    let visible = 0;
+    let result = '';
+    for (const part of line.split(/(\x1b\[[0-9;]*m)/)) {
+        if (part.startsWith('\x1b[')) {
+            result += part;
+        } else {
+            const room = width - visible;
+            result += part.slice(0, Math.max(0, room));
+            visible += Math.min(part.length, Math.max(0, room));
+        }
+    }
+    return `${result}\x1b[0m`;
+}
+
+/**
+ * Full-screen terminal view of every bot, redrawn from coordinator events.
+ * Keys: up/down (or k/j) select a wallet, p pauses or resumes it, q or Ctrl+C shuts down.
+ */
+export class Dashboard {
+    /**
+     * @param {MiningCoordinator} coordinator - Coordinator whose bots are shown
+     * @param {Object} options - Dashboard options
+     * @param {Object} options.input - Keyboard stream (defaults to stdin)
+     * @param {Object} options.output - Terminal stream (defaults to stdout)
+     * @param {number} options.refreshInterval - Redraw period in milliseconds, keeps uptimes ticking
+     * @param {Function} options.onQuit - Called when the user quits (defaults to sending SIGINT to this process)
+     */
+    constructor(coordinator, { input = process.stdin, output = process.stdout, refreshInterval = 1000, onQuit = () => process.kill(process.pid, 'SIGINT') } = {}) {
+        this.coordinator = coordinator;
+        this.input = input;
+        this.output = output;
+        this.refreshInterval = refreshInterval;
+        this.onQuit = onQuit;
+        this.selected = 0;
+        this.active = false;
+        this.renderPending = false;
+        this.timer = null;
+        this.scheduleRender = this.scheduleRender.bind(this);
+        this.handleKeypress = this.handleKeypress.bind(this);
+        this.stop = this.stop.bind(this);
+    }
+
+    /**
+     * Take over the terminal and start drawing
+     */
+    start() {
+        if (this.active) {
+            return;
+        }
+        this.active = true;
+        this.output.write(ENTER_ALT_SCREEN + HIDE_CURSOR);
+
+        readline.emitKeypressEvents(this.input);
+        if (this.input.isTTY) {
+            this.input.setRawMode(true);
+        }
+        this.input.on('keypress', this.handleKeypress);
+        this.input.resume();
+
+        for (const event of REDRAW_EVENTS) {
+            this.coordinator.on(event, this.scheduleRender);
+        }
+        this.output.on?.('resize', this.scheduleRender);
+        // Restore the terminal however the process ends
+        process.once('exit', this.stop);
+
+        this.timer = setInterval(this.scheduleRender, this.refreshInterval);
+        this.render();
+    }
+
+    /**
+     * Give the terminal back
+     */
+    stop() {
+        if (!this.active) {
+            return;
+        }
+        this.active = false;
+        clearInterval(this.timer);
+        for (const event of REDRAW_EVENTS) {
+            this.coordinator.off(event, this.scheduleRender);
+        }
+        this.output.off?.('resize', this.scheduleRender);
+        process.off('exit', this.stop);
+
+        this.input.off('keypress', this.handleKeypress);
+        if (this.input.isTTY) {
+            this.input.setRawMode(false);
+        }
+        this.input.pause();
+        this.output.write(SHOW_CURSOR + LEAVE_ALT_SCREEN);
+    }
+
+    /**
+     * Coalesce bursts of events into one redraw
+     */
+    scheduleRender() {
+        if (this.renderPending || !this.active) {
+            return;
+        }
+        this.renderPending = true;
+        setImmediate(() => {
+            this.renderPending = false;
+            this.render();
+        });
+    }
+
+    /**
+     * Draw the current state of every bot
+     */
+    render() {
+        if (!this.active) {
+            return;
+        }
+        const snapshots = this.coordinator.bots.map(bot => bot.getSnapshot());
+        this.selected = Math.min(this.selected, Math.max(0, snapshots.length - 1));
+        this.output.write(CLEAR_SCREEN + renderDashboard(snapshots, {
+            selected: this.selected,
+            width: this.output.columns || 120,
+            height: this.output.rows || 30
+        }));
+    }
+
+    /**
+     * React to a key press
+     */
+    handleKeypress(text, key = {}) {
+        const bots = this.coordinator.bots;
+        if ((key.ctrl && key.name === 'c') || key.name === 'q') {
+            this.onQuit();
+            return;
+        }
+        if (key.name === 'up' || key.name === 'k') {
+            this.selected = Math.max(0, this.selected - 1);
+        } else if (key.name === 'down' || key.name === 'j') {
+            this.selected = Math.min(bots.length - 1, this.selected + 1);
+        } else if (key.name === 'p' || key.name === 'space') {
+            // Through the coordinator, which keeps wallets paused for a quarantined proxy paused
+            const bot = bots[this.selected];
+            if (bot) {
+                const toggled = bot.state === 'paused' ? this.coordinator.startWallet(bot) : this.coordinator.pauseWallet(bot);
+                toggled.then(this.scheduleRender);
+            }
+        }
+        this.render();
+    }
+}
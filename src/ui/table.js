@@ -0,0 +1,67 @@
+// src/ui/table.js
+
+// Matches ANSI color codes so they don't count towards column widths
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+/**
+ * Returns the printed width of a string, ignoring color codes
+ * @param {string} text - Text to measure
+ * @returns {number} - Visible width
+ */
+export function visibleLength(text) {
+    return String(text).replace(ANSI_PATTERN, '').length;
+}
+
+/**
+ * Pads a string to a visible width
+ * @param {string} text - Text to pad
+ * @param {number} width - Target width
+ * @param {string} align - 'left' or 'right'
+ * @returns {string} - Padded text
+ */
+export function pad(text, width, align = 'left') {
+    const value = String(text);
+    const padding = ' '.repeat(Math.max(0, width - visibleLength(value)));
+    return align === 'right' ? padding + value : value + padding;
+}
+
+/**
+ * Formats rows as a plain-text table
+ * @param {Array<{key: string, title: string, align?: string}>} columns - Column definitions
+ * @param {Array<Object>} rows - Row objects keyed by column key
+ * @returns {string} - Table text
+ */
+export function formatTable(columns, rows) {
+    const widths = columns.map(column => Math.max(
+        visibleLength(column.title),
+        ...rows.map(row => visibleLength(row[column.key] ?? ''))
+    ));
+
+    const formatRow = cells => cells
+        .map((cell, i) => pad(cell ?? '', widths[i], columns[i].align))
+        .join('  ')
+        .trimEnd();
+
+    return [
+        formatRow(columns.map(column => column.title)),
+        formatRow(widths.map(width => '-'.repeat(width))),
+        ...rows.map(row => formatRow(columns.map(column => row[column.key])))
+    ].join('\n');
+}
+
+/**
+ * Formats rows as CSV with a header line. Cells containing commas, quotes or
+ * line breaks are quoted; null and undefined become empty cells.
+ * @param {string[]} keys - Column keys, also used as the header
+ * @param {Array<Object>} rows - Row objects keyed by column key
+ * @returns {string} - CSV text without a trailing newline
+ */
+export function formatCsv(keys, rows) {
+    const cell = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [keys, ...rows.map(row => keys.map(key => row[key]))]
+        .map(cells => cells.map(cell).join(','))
+        .join('\n');
+}
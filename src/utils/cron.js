@@ -0,0 +1,122 @@
+// src/utils/cron.js
+
+const MINUTE = 60000;
+
+// minute hour day-of-month month day-of-week, as in crontab(5)
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// How far ahead nextCronMatch() looks before giving up (e.g. "0 0 31 2 *" never matches)
+const SEARCH_LIMIT = 366 * 24 * 60;
+
+/**
+ * Error for a cron expression that can't be parsed
+ */
+export class CronError extends Error {
+    constructor(message, expression) {
+        super(`Invalid cron expression "${expression}": ${message}`);
+        this.name = 'CronError';
+        this.expression = expression;
+    }
+}
+
+/**
+ * Parses a five-field cron expression ("minute hour day month weekday").
+ * Fields take `*`, numbers, ranges (`9-17`), lists (`1,3,5`) and steps
+ * (`*\/15`, `0-30/10`); day of week 0 and 7 are both Sunday. As in cron, a
+ * day matches when either day field matches if both are restricted.
+ * @param {string} expression - Cron expression, e.g. "* 9-17 * * 1-5"
+ * @returns {{expression: string, matches: (date: Date) => boolean}} - matches() tests a minute in local time
+ * @throws {CronError} - If the expression is malformed
+ */
+export function parseCron(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new CronError(`expected ${FIELDS.length} fields, got ${parts.length}`, expression);
+    }
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i], expression));
+    if (weekdays.values.has(7)) {
+        weekdays.values.add(0);
+    }
+
+    return {
+        expression,
+        matches: date => {
+            if (!minutes.values.has(date.getMinutes()) || !hours.values.has(date.getHours()) || !months.values.has(date.getMonth() + 1)) {
+                return false;
+            }
+            const day = days.values.has(date.getDate());
+            const weekday = weekdays.values.has(date.getDay());
+            if (days.any || weekdays.any) {
+                return day && weekday;
+            }
+            return day || weekday;
+        }
+    };
+}
+
+/**
+ * Start of the first minute at or after `from` that matches one of the expressions
+ * @param {Array<{matches: Function}>} crons - Results of parseCron()
+ * @param {number} from - Time to search from (ms timestamp)
+ * @returns {number|null} - ms timestamp, or null if nothing matches within a year
+ */
+export function nextCronMatch(crons, from) {
+    return scanMinutes(from, time => crons.some(cron => cron.matches(new Date(time))));
+}
+
+/**
+ * Start of the first minute at or after `from` that none of the expressions match
+ * @param {Array<{matches: Function}>} crons - Results of parseCron()
+ * @param {number} from - Time to search from (ms timestamp)
+ * @returns {number|null} - ms timestamp, or null if every minute within a year matches
+ */
+export function nextCronMiss(crons, from) {
+    return scanMinutes(from, time => !crons.some(cron => cron.matches(new Date(time))));
+}
+
+/**
+ * Start of the minute after the one `time` falls in
+ * @param {number} time - ms timestamp
+ * @returns {number}
+ */
+export function nextMinute(time) {
+    return Math.floor(time / MINUTE) * MINUTE + MINUTE;
+}
+
+function scanMinutes(from, found) {
+    let time = Math.floor(from / MINUTE) * MINUTE;
+    for (let i = 0; i < SEARCH_LIMIT; i++, time += MINUTE) {
+        if (found(time)) {
+            return Math.max(time, from);
+        }
+    }
+    return null;
+}
+
+function parseField(part, { name, min, max }, expression) {
+    const values = new Set();
+    for (const item of part.split(',')) {
+        const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new CronError(`bad ${name} "${item}"`, expression);
+        }
+        const [, , first, last, step] = match;
+        const start = first === undefined ? min : Number(first);
+        // "5/10" means from 5 to the end, every 10
+        const end = first === undefined || (last === undefined && step !== undefined) ? max : Number(last ?? first);
+        const increment = step === undefined ? 1 : Number(step);
+        if (start < min || end > max || start > end || increment < 1) {
+            throw new CronError(`${name} "${item}" is out of range ${min}-${max}`, expression);
+        }
+        for (let value = start; value <= end; value += increment) {
+            values.add(value);
+        }
+    }
+    return { values, any: part === '*' };
+}
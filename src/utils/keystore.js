@@ -0,0 +1,212 @@
+// src/utils/keystore.js
+import { ethers } from 'ethers';
+import * as fs from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { Writable } from 'stream';
+import { KEYSTORE_CONFIG } from '../config/constants.js';
+import { logger } from './logger.js';
+
+/**
+ * Prompts for a passphrase on the terminal without echoing it
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} - Entered passphrase
+ */
+function promptHidden(question) {
+    return new Promise((resolve, reject) => {
+        if (!process.stdin.isTTY) {
+            reject(new Error(`No terminal available to prompt for a passphrase. Set ${KEYSTORE_CONFIG.PASSPHRASE_ENV} instead.`));
+            return;
+        }
+
+        // Passes the prompt through, then swallows the echo of the typed characters
+        let muted = false;
+        const output = new Writable({
+            write(chunk, encoding, callback) {
+                if (!muted) {
+                    process.stdout.write(chunk, encoding);
+                }
+                callback();
+            }
+        });
+        const rl = readline.createInterface({
+            input: process.stdin,
+            output,
+            terminal: true
+        });
+
+        rl.question(question, (answer) => {
+            process.stdout.write('\n');
+            rl.close();
+            resolve(answer);
+        });
+        muted = true;
+    });
+}
+
+/**
+ * Resolves the keystore passphrase from the environment or an interactive prompt
+ * @param {Object} options - Options
+ * @param {boolean} options.confirm - Ask twice and require both entries to match
+ * @returns {Promise<string>} - Passphrase
+ */
+export async function resolvePassphrase({ confirm = false } = {}) {
+    const fromEnv = process.env[KEYSTORE_CONFIG.PASSPHRASE_ENV];
+    if (fromEnv) {
+        return fromEnv;
+    }
+
+    const passphrase = await promptHidden('Keystore passphrase: ');
+    if (!passphrase) {
+        throw new Error('Passphrase must not be empty');
+    }
+
+    if (confirm) {
+        const repeated = await promptHidden('Repeat passphrase: ');
+        if (repeated !== passphrase) {
+            throw new Error('Passphrases do not match');
+        }
+    }
+
+    return passphrase;
+}
+
+/**
+ * Lists keystore files in a directory, sorted by file name
+ * @param {string} keystoreDir - Keystore directory
+ * @returns {Promise<string[]>} - Absolute keystore file paths (empty if the directory is missing)
+ */
+export async function listKeystoreFiles(keystoreDir) {
+    try {
+        const entries = await fs.readdir(keystoreDir);
+        return entries
+            .filter(name => name.toLowerCase().endsWith('.json'))
+            .sort()
+            .map(name => path.join(keystoreDir, name));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+/**
+ * Decrypts a single keystore file
+ * @param {string} file - Keystore file path
+ * @param {string} passphrase - Keystore passphrase
+ * @returns {Promise<ethers.Wallet|null>} - Decrypted wallet, or null if the file could not be decrypted
+ */
+async function decryptKeystoreFile(file, passphrase) {
+    try {
+        const json = await fs.readFile(file, 'utf8');
+        return await ethers.Wallet.fromEncryptedJson(json, passphrase);
+    } catch (error) {
+        logger.error(`Error decrypting keystore ${path.basename(file)}: ${error.message}`, { operation: 'keystore' });
+        return null;
+    }
+}
+
+/**
+ * Decrypts every keystore in a directory and returns only the wallet addresses.
+ * The decrypted private keys are not kept beyond this call. Decrypting takes
+ * about a second per keystore (scrypt) and blocks the event loop, so reloads
+ * pass a cache: a file whose modification time and size are unchanged keeps
+ * its address without being decrypted again.
+ * @param {string} keystoreDir - Keystore directory
+ * @param {string} passphrase - Passphrase shared by the keystores
+ * @param {Object} options - Load options
+ * @param {Map|null} options.cache - File -> { mtimeMs, size, wallet } of earlier calls; updated in place
+ * @returns {Promise<Array<{file: string, wallet: string|null}>>} - One entry per keystore, wallet is null if decryption failed
+ */
+export async function loadWalletsFromKeystores(keystoreDir, passphrase, { cache = null } = {}) {
+    const files = await listKeystoreFiles(keystoreDir);
+    const results = [];
+
+    for (const file of files) {
+        // A file removed since it was listed fails to decrypt below
+        const { mtimeMs, size } = await fs.stat(file).catch(() => ({}));
+        const cached = cache?.get(file);
+        if (cached && mtimeMs !== undefined && cached.mtimeMs === mtimeMs && cached.size === size) {
+            results.push({ file, wallet: cached.wallet });
+            continue;
+        }
+        const wallet = await decryptKeystoreFile(file, passphrase);
+        // Failures are tried again next time, e.g. with another passphrase
+        if (wallet) {
+            cache?.set(file, { mtimeMs, size, wallet: wallet.address });
+        } else {
+            cache?.delete(file);
+        }
+        results.push({ file, wallet: wallet ? wallet.address : null });
+    }
+
+    if (cache) {
+        const listed = new Set(files);
+        for (const file of cache.keys()) {
+            if (!listed.has(file)) {
+                cache.delete(file);
+            }
+        }
+    }
+    return results;
+}
+
+/**
+ * Encrypts private keys into Web3 Secret Storage keystore files. A key whose
+ * wallet already has a keystore in the directory is skipped, so importing the
+ * same pk.txt again doesn't add duplicates.
+ * @param {string[]} privateKeys - Private keys (with or without 0x prefix)
+ * @param {string} keystoreDir - Output directory
+ * @param {string} passphrase - Passphrase used for every keystore
+ * @returns {Promise<Array<{index: number, wallet: string|null, file: string|null, existing: boolean}>>} - One entry per key; existing is true for skipped keys, whose file is the keystore already there
+ */
+export async function encryptPrivateKeysToKeystores(privateKeys, keystoreDir, passphrase) {
+    await fs.mkdir(keystoreDir, { recursive: true, mode: 0o700 });
+    // Keystore files are named <position>-<address>.json
+    const existing = new Map((await listKeystoreFiles(keystoreDir)).map(file => [path.basename(file, '.json').split('-').pop().toLowerCase(), file]));
+    const results = [];
+
+    for (let i = 0; i < privateKeys.length; i++) {
+        const key = privateKeys[i];
+        try {
+            const wallet = new ethers.Wallet(key.startsWith('0x') ? key : `0x${key}`);
+            if (existing.has(wallet.address.toLowerCase())) {
+                results.push({ index: i + 1, wallet: wallet.address, file: existing.get(wallet.address.toLowerCase()), existing: true });
+                continue;
+            }
+            const json = await wallet.encrypt(passphrase);
+            // Prefix with the position in pk.txt so the original order survives the conversion
+            const file = path.join(keystoreDir, `${String(i + 1).padStart(4, '0')}-${wallet.address}.json`);
+            await fs.writeFile(file, json, { mode: 0o600 });
+            existing.set(wallet.address.toLowerCase(), file);
+            results.push({ index: i + 1, wallet: wallet.address, file, existing: false });
+        } catch (error) {
+            results.push({ index: i + 1, wallet: null, file: null, existing: false });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Decrypts every keystore in a directory back into private keys
+ * @param {string} keystoreDir - Keystore directory
+ * @param {string} passphrase - Passphrase shared by the keystores
+ * @returns {Promise<Array<{file: string, wallet: string|null, privateKey: string|null}>>} - One entry per keystore
+ */
+export async function decryptKeystores(keystoreDir, passphrase) {
+    const files = await listKeystoreFiles(keystoreDir);
+    const results = [];
+
+    for (const file of files) {
+        const wallet = await decryptKeystoreFile(file, passphrase);
+        results.push({
+            file,
+            wallet: wallet ? wallet.address : null,
+            privateKey: wallet ? wallet.privateKey : null
+        });
+    }
+
+    return results;
+}
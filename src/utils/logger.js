@@ -0,0 +1,306 @@
+// src/utils/logger.js
+import * as fs from 'fs';
+import path from 'path';
+import { PassThrough } from 'stream';
+import chalk from 'chalk';
+
+/**
+ * Log levels, lowest to highest severity
+ */
+export const LOG_LEVELS = {
+    trace: 10,
+    debug: 20,
+    info: 30,
+    warn: 40,
+    error: 50,
+    silent: 100
+};
+
+const LEVEL_COLORS = {
+    trace: chalk.gray,
+    debug: chalk.blue,
+    info: chalk.green,
+    warn: chalk.yellow,
+    error: chalk.red
+};
+
+// Fields that are left out of the key=value pairs in pretty output
+const PREFIX_FIELDS = new Set(['wallet', 'botIndex', 'operation', 'component']);
+
+// user:pass@ in proxy and other URLs
+const URL_CREDENTIALS_PATTERN = /([a-z][a-z0-9+.-]*:\/\/)[^\s:@/]+:[^\s@/]+@/gi;
+// Color codes are kept out of structured records
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+// 32-byte hex strings such as private keys (wallet addresses are only 20 bytes)
+const PRIVATE_KEY_PATTERN = /\b(0x)?[0-9a-fA-F]{64}\b/g;
+
+/**
+ * Removes credentials and private keys from a string
+ * @param {string} text - Text to redact
+ * @returns {string} - Redacted text
+ */
+export function redact(text) {
+    return String(text)
+        .replace(URL_CREDENTIALS_PATTERN, '$1***:***@')
+        .replace(PRIVATE_KEY_PATTERN, '[redacted]');
+}
+
+/**
+ * Recursively redacts every string in a log field value
+ */
+function redactValue(value, depth = 0) {
+    if (typeof value === 'string') {
+        return redact(value);
+    }
+    if (value instanceof Error) {
+        return { message: redact(value.message), ...(value.response ? { status: value.response.status } : {}) };
+    }
+    if (value && typeof value === 'object' && depth < 5) {
+        if (Array.isArray(value)) {
+            return value.map(item => redactValue(item, depth + 1));
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item, depth + 1)]));
+    }
+    return value;
+}
+
+/**
+ * Appends JSON lines to per-wallet log files and rotates them by size.
+ * Lines are buffered and written by a stream per file, so logging never blocks
+ * the event loop; a full file is rotated once its stream has closed.
+ */
+class RotatingFileSink {
+    constructor({ dir, maxFileBytes, maxFiles }) {
+        this.dir = dir;
+        this.maxFileBytes = maxFileBytes;
+        this.maxFiles = maxFiles;
+        // file -> { size, buffer, closed }
+        this.files = new Map();
+        // Files that flush() is closing: their next part waits for that and keeps counting their size
+        this.closing = new Map();
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    /**
+     * Write one line to the file for a wallet, or coordinator.log for fleet-wide records
+     */
+    write(wallet, line) {
+        const file = path.join(this.dir, `${wallet || 'coordinator'}.log`);
+        let entry = this.files.get(file);
+        if (!entry) {
+            const closing = this.closing.get(file);
+            entry = { size: closing ? closing.size : this.currentSize(file), ...this.openSegment(file, closing?.closed, false) };
+            this.files.set(file, entry);
+        }
+
+        const bytes = Buffer.byteLength(line);
+        if (entry.size > 0 && entry.size + bytes > this.maxFileBytes) {
+            entry.buffer.end();
+            Object.assign(entry, { size: 0 }, this.openSegment(file, entry.closed, true));
+        }
+
+        entry.size += bytes;
+        entry.buffer.write(line);
+    }
+
+    /**
+     * Write the buffered lines and close every file; the next line reopens its file
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        const entries = [...this.files];
+        this.files.clear();
+        for (const [file, entry] of entries) {
+            entry.buffer.end();
+            this.closing.set(file, entry);
+        }
+        await Promise.all(entries.map(([, entry]) => entry.closed));
+        for (const [file, entry] of entries) {
+            if (this.closing.get(file) === entry) {
+                this.closing.delete(file);
+            }
+        }
+    }
+
+    /**
+     * Size of a file that is not open yet; only read when a file is opened
+     */
+    currentSize(file) {
+        try {
+            return fs.statSync(file).size;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    /**
+     * Buffer for the next part of a file. Its lines are written once the previous
+     * part has closed and, when rotating, the full file has been shifted away.
+     * @returns {{buffer: PassThrough, closed: Promise<void>}} - closed resolves after buffer.end() once the file is closed
+     */
+    openSegment(file, previous = Promise.resolve(), rotate) {
+        const buffer = new PassThrough();
+        const closed = previous
+            .then(() => rotate && this.rotate(file))
+            .catch(() => {})
+            .then(() => new Promise(resolve => {
+                const out = fs.createWriteStream(file, { flags: 'a' });
+                // A logger has nowhere to report its own write errors; the stream closes after one
+                out.on('error', () => buffer.unpipe(out).resume());
+                out.on('close', resolve);
+                buffer.pipe(out);
+            }));
+        return { buffer, closed };
+    }
+
+    /**
+     * Shift file.log -> file.log.1 -> file.log.2 ..., dropping the oldest
+     */
+    async rotate(file) {
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            const from = i === 1 ? file : `${file}.${i - 1}`;
+            await fs.promises.rename(from, `${file}.${i}`).catch(() => {
+                // Nothing to shift at this position yet
+            });
+        }
+        if (this.maxFiles <= 1) {
+            await fs.promises.rm(file, { force: true });
+        }
+    }
+}
+
+/**
+ * Leveled logger with pretty or JSON-lines output and optional per-wallet log files.
+ * Child loggers share the configuration of their root and add fixed fields
+ * such as wallet, botIndex or operation to every record.
+ */
+export class Logger {
+    /**
+     * @param {Object} options - Logger options (see configure())
+     * @param {Object} fields - Fields added to every record
+     * @param {Object} shared - Internal: state shared with the parent logger
+     */
+    constructor(options = {}, fields = {}, shared = null) {
+        this.fields = fields;
+        this.shared = shared || { stream: process.stdout, errorStream: process.stderr };
+        if (!shared) {
+            this.configure(options);
+        }
+    }
+
+    /**
+     * Reconfigure the logger and all of its children
+     * @param {Object} options - Logger options
+     * @param {string} options.level - Minimum level (trace, debug, info, warn, error, silent)
+     * @param {string} options.format - 'pretty' for humans or 'json' for JSON lines
+     * @param {boolean} options.console - Write to stdout/stderr (disable when a dashboard owns the terminal)
+     * @param {string|null} options.dir - Directory for per-wallet log files, disabled when null
+     * @param {number} options.maxFileBytes - Rotate a log file once it reaches this size
+     * @param {number} options.maxFiles - Rotated files to keep per wallet, including the current one
+     * @param {Object} options.stream - Stream for records below warn (defaults to stdout)
+     * @param {Object} options.errorStream - Stream for warn and error records (defaults to stderr)
+     */
+    configure({ level, format, console: toConsole, dir, maxFileBytes = 5 * 1024 * 1024, maxFiles = 5, stream, errorStream } = {}) {
+        const shared = this.shared;
+        shared.level = level ?? shared.level ?? 'info';
+        shared.format = format ?? shared.format ?? 'pretty';
+        shared.console = toConsole ?? shared.console ?? true;
+        shared.stream = stream ?? shared.stream;
+        shared.errorStream = errorStream ?? stream ?? shared.errorStream;
+        if (dir !== undefined) {
+            shared.fileSink?.flush();
+            shared.fileSink = dir ? new RotatingFileSink({ dir, maxFileBytes, maxFiles }) : null;
+        }
+    }
+
+    /**
+     * Wait until the buffered log file lines are written; call before exiting the process
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await this.shared.fileSink?.flush();
+    }
+
+    /**
+     * Create a logger that adds fields to every record
+     * @param {Object} fields - e.g. { wallet, botIndex } or { operation }
+     * @returns {Logger} - Child logger
+     */
+    child(fields) {
+        return new Logger({}, { ...this.fields, ...fields }, this.shared);
+    }
+
+    /**
+     * Check whether records at a level would be written
+     * @param {string} level - Level name
+     * @returns {boolean}
+     */
+    isLevelEnabled(level) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[this.shared.level];
+    }
+
+    trace(message, fields) { this.log('trace', message, fields); }
+    debug(message, fields) { this.log('debug', message, fields); }
+    info(message, fields) { this.log('info', message, fields); }
+    warn(message, fields) { this.log('warn', message, fields); }
+    error(message, fields) { this.log('error', message, fields); }
+
+    /**
+     * Write a record
+     * @param {string} level - Level name
+     * @param {string} message - Message text
+     * @param {Object} fields - Extra structured fields
+     */
+    log(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+
+        const record = {
+            time: new Date().toISOString(),
+            level,
+            msg: redact(message).replace(ANSI_PATTERN, ''),
+            ...redactValue({ ...this.fields, ...fields })
+        };
+        const json = `${JSON.stringify(record)}\n`;
+
+        if (this.shared.fileSink) {
+            this.shared.fileSink.write(record.wallet, json);
+        }
+
+        if (this.shared.console) {
+            const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? this.shared.errorStream : this.shared.stream;
+            stream.write(this.shared.format === 'json' ? json : formatPretty(record));
+        }
+    }
+}
+
+/**
+ * Render a record for a terminal
+ */
+function formatPretty(record) {
+    const { time, level, msg, wallet, botIndex, operation, ...rest } = record;
+    const color = LEVEL_COLORS[level];
+    const prefix = botIndex !== undefined ? `[Wallet ${botIndex}] ` : '';
+    // Info records repeat their fields in the message; details matter for the other levels
+    const extras = level === 'info' ? '' : Object.entries(rest)
+        .filter(([key]) => !PREFIX_FIELDS.has(key))
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join(' ');
+
+    return `${chalk.gray(time.slice(11, 19))} ${color(level.toUpperCase().padEnd(5))} ${color(prefix + msg)}${extras ? chalk.gray(` ${extras}`) : ''}\n`;
+}
+
+/**
+ * Shared root logger; modules derive children from it
+ */
+export const logger = new Logger();
+
+/**
+ * Apply the `logging` section of the resolved config to the root logger
+ * @param {Object} loggingConfig - config.logging
+ * @param {Object} overrides - Extra logger options (e.g. { console: false })
+ */
+export function configureLogger(loggingConfig, overrides = {}) {
+    logger.configure({ ...loggingConfig, ...overrides });
+}
@@ -0,0 +1,170 @@
+// src/utils/metrics.js
+// Minimal Prometheus client: counters, gauges and histograms rendered in the text exposition format.
+
+/**
+ * Content type of the text exposition format
+ */
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Base of all metric types: a name, help text, label names and one value per label combination
+ */
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map();
+    }
+
+    /**
+     * Key of a label combination; missing labels count as empty strings
+     */
+    key(labels = {}) {
+        return JSON.stringify(this.labelNames.map(name => String(labels[name] ?? '')));
+    }
+
+    /**
+     * Drop every recorded value
+     */
+    reset() {
+        this.values.clear();
+    }
+
+    /**
+     * Text exposition lines of this metric
+     * @returns {string[]}
+     */
+    render() {
+        const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+        for (const [key, value] of this.values) {
+            lines.push(...this.renderValue(JSON.parse(key), value));
+        }
+        return lines;
+    }
+
+    renderValue(labelValues, value) {
+        return [`${this.name}${formatLabels(this.labelNames, labelValues)} ${formatNumber(value)}`];
+    }
+}
+
+/**
+ * Value that only goes up
+ */
+export class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = this.key(labels);
+        this.values.set(key, (this.values.get(key) || 0) + amount);
+    }
+}
+
+/**
+ * Value that is set to the current reading
+ */
+export class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.values.set(this.key(labels), value);
+    }
+}
+
+/**
+ * Distribution of observations over cumulative buckets
+ */
+export class Histogram extends Metric {
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {string[]} labelNames - Label names
+     * @param {number[]} buckets - Upper bounds, ascending; +Inf is added
+     */
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const key = this.key(labels);
+        let entry = this.values.get(key);
+        if (!entry) {
+            entry = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, entry);
+        }
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                entry.counts[i]++;
+            }
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    renderValue(labelValues, entry) {
+        const names = [...this.labelNames, 'le'];
+        return [
+            ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels(names, [...labelValues, formatNumber(bound)])} ${entry.counts[i]}`),
+            `${this.name}_bucket${formatLabels(names, [...labelValues, '+Inf'])} ${entry.count}`,
+            `${this.name}_sum${formatLabels(this.labelNames, labelValues)} ${formatNumber(entry.sum)}`,
+            `${this.name}_count${formatLabels(this.labelNames, labelValues)} ${entry.count}`
+        ];
+    }
+}
+
+/**
+ * Set of metrics rendered together
+ */
+export class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    /**
+     * Add a metric and return it
+     * @param {Metric} metric - Counter, Gauge or Histogram
+     * @returns {Metric}
+     */
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * @returns {string} - Every metric in the text exposition format
+     */
+    render() {
+        return `${this.metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+    }
+}
+
+function formatLabels(names, values) {
+    if (names.length === 0) {
+        return '';
+    }
+    return `{${names.map((name, i) => `${name}="${escapeLabel(values[i])}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return String(value);
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function escapeHelp(value) {
+    return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
@@ -0,0 +1,98 @@
+// src/utils/pidLock.js
+import * as fs from 'fs/promises';
+import path from 'path';
+import { logger as rootLogger } from './logger.js';
+
+// Lock files held by this process, so a lock left with our own PID can be told apart
+// from one we hold (in a container the miner is PID 1 after every restart)
+const heldLocks = new Set();
+
+/**
+ * Error for a lock file held by another running process
+ */
+export class LockedError extends Error {
+    constructor(message, pid) {
+        super(message);
+        this.name = 'LockedError';
+        this.pid = pid;
+    }
+}
+
+/**
+ * Takes a PID lock file. A lock left behind by a process that no longer runs
+ * is taken over with a warning.
+ * @param {string} file - Lock file
+ * @param {Object} options - Options
+ * @param {Logger} options.logger - Logger for the takeover warning
+ * @returns {Promise<{file: string, release: Function}>} - The lock; release() removes the file
+ * @throws {LockedError} - If another running process holds the lock
+ */
+export async function acquirePidLock(lockFile, { logger = rootLogger } = {}) {
+    const file = path.resolve(lockFile);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            await fs.writeFile(file, `${process.pid}\n`, { flag: 'wx' });
+            break;
+        } catch (error) {
+            // A second attempt failing means another process took the stale lock first
+            if (error.code !== 'EEXIST' || attempt > 0) {
+                throw error.code === 'EEXIST' ? await lockedError(file) : error;
+            }
+        }
+
+        const pid = await readPid(file);
+        // Our own PID is only a live lock if we hold it; otherwise it was left by an earlier process
+        const running = pid === process.pid ? heldLocks.has(file) : pid !== null && isRunning(pid);
+        if (running) {
+            throw await lockedError(file, pid);
+        }
+        logger.warn(`Taking over the lock ${file} left by process ${pid ?? '(unknown)'}, which is no longer running`, { operation: 'lock' });
+        await fs.rm(file, { force: true });
+    }
+
+    heldLocks.add(file);
+    return {
+        file,
+        release: async () => {
+            if (!heldLocks.delete(file)) {
+                return;
+            }
+            // Leave the file alone if it no longer names us
+            if (await readPid(file) === process.pid) {
+                await fs.rm(file, { force: true });
+            }
+        }
+    };
+}
+
+async function lockedError(file, pid = null) {
+    pid ??= await readPid(file);
+    return new LockedError(`Another miner (PID ${pid ?? 'unknown'}) is using ${path.dirname(file)}; stop it first or delete ${file} if it is stale`, pid);
+}
+
+/**
+ * PID written in a lock file, or null if the file is gone or unreadable
+ */
+async function readPid(file) {
+    try {
+        const pid = Number.parseInt(await fs.readFile(file, 'utf8'), 10);
+        return Number.isInteger(pid) && pid > 0 ? pid : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Whether a process with this PID runs
+ */
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: it runs, under another user
+        return error.code === 'EPERM';
+    }
+}
@@ -0,0 +1,193 @@
+// src/utils/retry.js
+
+// Network error codes worth another attempt
+const RETRYABLE_CODES = new Set([
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN',
+    'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ERR_NETWORK', 'ERR_SOCKET_CONNECTION_TIMEOUT'
+]);
+
+// Codes of the KaleidoApiClient errors that the same request would only get again
+const API_ERROR_REASONS = {
+    ERR_API_SCHEMA: 'schema',
+    ERR_NOT_REGISTERED: 'not-registered'
+};
+
+/**
+ * Builds a retry policy from the mining section of the config
+ * @param {Object} mining - config.mining
+ * @returns {{attempts: number, baseDelay: number, maxDelay: number, jitter: number}}
+ */
+export function createRetryPolicy(mining) {
+    return {
+        attempts: mining.retryAttempts,
+        baseDelay: mining.retryDelay,
+        maxDelay: mining.retryMaxDelay,
+        jitter: mining.retryJitter
+    };
+}
+
+/**
+ * Parses a Retry-After header (seconds or an HTTP date)
+ * @param {string|number|undefined} value - Header value
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} - Delay in milliseconds, or null if absent or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+        return Math.round(Number(value) * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Decides whether a failed request is worth retrying
+ * @param {Error} error - Error thrown by the HTTP client
+ * @returns {{retryable: boolean, reason: string, status: number|null, retryAfter: number|null}}
+ */
+export function classifyError(error) {
+    const status = error?.response?.status ?? null;
+
+    if (API_ERROR_REASONS[error?.code]) {
+        return { retryable: false, reason: API_ERROR_REASONS[error.code], status: status ?? error.status ?? null, retryAfter: null };
+    }
+    if (status === null) {
+        if (error?.code === 'ECONNABORTED' || /timeout/i.test(error?.message || '')) {
+            return { retryable: true, reason: 'timeout', status, retryAfter: null };
+        }
+        if (error?.request || RETRYABLE_CODES.has(error?.code)) {
+            return { retryable: true, reason: 'network', status, retryAfter: null };
+        }
+        // Not an HTTP failure at all, e.g. a bug while building the request
+        return { retryable: false, reason: 'error', status, retryAfter: null };
+    }
+
+    const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+    if (status === 429) {
+        return { retryable: true, reason: 'rate-limited', status, retryAfter };
+    }
+    if (status === 408) {
+        return { retryable: true, reason: 'timeout', status, retryAfter };
+    }
+    if (status >= 500) {
+        return { retryable: true, reason: 'server', status, retryAfter };
+    }
+    // Other 4xx answers (bad payload, not registered, ...) won't change on retry
+    return { retryable: false, reason: 'client', status, retryAfter: null };
+}
+
+/**
+ * Computes the exponential backoff delay before a retry
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - 1-based number of the attempt that just failed
+ * @param {Function} random - Random source in [0, 1)
+ * @returns {number} - Delay in milliseconds
+ */
+export function backoffDelay(policy, attempt, random = Math.random) {
+    const exponential = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+    const spread = exponential * policy.jitter * (random() * 2 - 1);
+    return Math.max(0, Math.round(exponential + spread));
+}
+
+/**
+ * Calls fn until it succeeds, a fatal error occurs or the attempts are used up.
+ * A Retry-After longer than policy.maxDelay fails the call at once instead of
+ * blocking the caller for that long. The thrown error carries its classification as `error.classification` and the
+ * number of attempts made as `error.attempts`.
+ * @param {Function} fn - Async function to call; receives the 1-based attempt number
+ * @param {Object} options - Retry options
+ * @param {Object} options.policy - Retry policy (see createRetryPolicy)
+ * @param {Function} options.onRetry - Called as ({attempt, delay, error, classification}) before each wait
+ * @param {Function} options.random - Random source for jitter
+ * @returns {Promise<*>} - Result of fn
+ */
+export async function retry(fn, { policy, onRetry = () => {}, random = Math.random }) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            const classification = classifyError(error);
+            const tooLong = classification.retryAfter > policy.maxDelay;
+            if (!classification.retryable || attempt >= policy.attempts || tooLong) {
+                error.classification = classification;
+                error.attempts = attempt;
+                throw error;
+            }
+            // Honor Retry-After when the server asks for a longer wait, up to maxDelay
+            const delay = Math.max(backoffDelay(policy, attempt, random), classification.retryAfter ?? 0);
+            onRetry({ attempt, delay, error, classification });
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Stops calls to a failing dependency for a while.
+ * closed: calls pass; after `threshold` consecutive failures it opens.
+ * open: calls are refused until `cooldown` has passed, then one probe is let through (half-open).
+ * half-open: the probe closes the circuit on success or reopens it on failure.
+ */
+export class CircuitBreaker {
+    /**
+     * @param {Object} options - Breaker options
+     * @param {number} options.threshold - Consecutive failures that open the circuit
+     * @param {number} options.cooldown - Milliseconds to wait before probing again
+     * @param {Function} options.now - Clock, for tests
+     */
+    constructor({ threshold, cooldown, now = () => Date.now() }) {
+        this.threshold = threshold;
+        this.cooldown = cooldown;
+        this.now = now;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    /**
+     * Check whether a call may be made now; moves an expired open circuit to half-open
+     * @returns {boolean}
+     */
+    allowRequest() {
+        if (this.state === 'open' && this.now() - this.openedAt >= this.cooldown) {
+            this.state = 'half-open';
+        }
+        return this.state !== 'open';
+    }
+
+    /**
+     * Record a successful call
+     * @returns {boolean} - Whether this closed an open or half-open circuit
+     */
+    recordSuccess() {
+        const wasOpen = this.state !== 'closed';
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        return wasOpen;
+    }
+
+    /**
+     * Record a failed call
+     * @returns {boolean} - Whether this opened the circuit
+     */
+    recordFailure() {
+        this.failures++;
+        if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.threshold)) {
+            this.state = 'open';
+            this.openedAt = this.now();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Time of the next probe while open
+     * @returns {number|null} - Timestamp in milliseconds, or null if the circuit is not open
+     */
+    get nextProbeAt() {
+        return this.state === 'open' ? this.openedAt + this.cooldown : null;
+    }
+}
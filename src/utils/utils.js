@@ -1,76 +1,59 @@
 // src/utils/utils.js
 import axios from 'axios';
 import { ethers } from 'ethers';
-import HttpsProxyAgent from 'https-proxy-agent';
 import { readFile } from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import chalk from 'chalk';
-import { API_CONFIG, DEBUG } from '../config/constants.js';
+import { API_CONFIG } from '../config/constants.js';
+import { logger } from './logger.js';
+import { createProxyAgent } from './proxy.js';
 
 /**
  * Sets up axios with proxy support
  * @param {Object} config - Axios configuration object
- * @param {string|null} proxyUrl - Optional proxy URL (e.g., "http://username:password@ip:port")
+ * @param {string|null} proxyUrl - Optional proxy URL (e.g., "http://username:password@ip:port" or "socks5://ip:port")
+ * @param {Logger} log - Logger for proxy setup and request/response tracing
  * @returns {axios.AxiosInstance} - Configured axios instance
+ * @throws {InvalidProxyError} - If the proxy URL can't be used; there is no fallback to a direct connection
  */
-export function setupAxiosWithProxy(config, proxyUrl = null) {
+export function setupAxiosWithProxy(config, proxyUrl = null, log = logger.child({ operation: 'http' })) {
     // Add timeout to config
-    config.timeout = API_CONFIG.TIMEOUT;
+    config.timeout = config.timeout ?? API_CONFIG.TIMEOUT;
     
     // Setup proxy if provided
     if (proxyUrl) {
-        try {
-            if (DEBUG.VERBOSE) {
-                console.log(chalk.blue(`Setting up proxy: ${proxyUrl}`));
-            }
-            // Add proxy agent to the config
-            config.httpsAgent = new HttpsProxyAgent(proxyUrl);
-            config.proxy = false; // Necessary to use the custom agent
-        } catch (error) {
-            if (DEBUG.LOG_ERRORS) {
-                console.error(chalk.red(`Error setting up proxy: ${error.message}`));
-                console.log(chalk.yellow(`Continuing without proxy...`));
-            }
-        }
+        log.debug(`Setting up proxy: ${getProxyHost(proxyUrl)}`);
+        // Add proxy agent to the config
+        config.httpAgent = config.httpsAgent = createProxyAgent(proxyUrl);
+        config.proxy = false; // Necessary to use the custom agent
     }
     
     const instance = axios.create(config);
     
-    // Only add interceptors if debug is enabled
-    if (DEBUG.VERBOSE || DEBUG.LOG_API_RESPONSES) {
-        // Add request interceptor for debugging
-        instance.interceptors.request.use(request => {
-            if (DEBUG.VERBOSE) {
-                console.log(chalk.blue(`Request to: ${request.baseURL}${request.url}`));
-            }
-            return request;
-        }, error => {
-            if (DEBUG.LOG_ERRORS) {
-                console.error(chalk.red(`Request error: ${error.message}`));
-            }
-            return Promise.reject(error);
-        });
-        
-        // Add response interceptor for debugging
-        instance.interceptors.response.use(response => {
-            if (DEBUG.VERBOSE) {
-                console.log(chalk.green(`Response from: ${response.config.url}, status: ${response.status}`));
-            }
-            return response;
-        }, error => {
-            if (DEBUG.LOG_ERRORS) {
-                if (error.response) {
-                    console.error(chalk.red(`Response error: ${error.message}, status: ${error.response.status}`));
-                } else if (error.request) {
-                    console.error(chalk.red(`Request made but no response received: ${error.message}`));
-                } else {
-                    console.error(chalk.red(`Error setting up request: ${error.message}`));
-                }
-            }
-            return Promise.reject(error);
-        });
-    }
+    // Add request interceptor for debugging
+    instance.interceptors.request.use(request => {
+        log.debug(`Request to: ${request.baseURL}${request.url}`, { method: request.method });
+        return request;
+    }, error => {
+        log.error(`Request error: ${error.message}`);
+        return Promise.reject(error);
+    });
+    
+    // Add response interceptor for debugging
+    instance.interceptors.response.use(response => {
+        log.debug(`Response from: ${response.config.url}, status: ${response.status}`);
+        log.trace(`Response body from: ${response.config.url}`, { response: response.data });
+        return response;
+    }, error => {
+        if (error.response) {
+            log.debug(`Response error: ${error.message}, status: ${error.response.status}`, { response: error.response.data });
+        } else if (error.request) {
+            log.debug(`Request made but no response received: ${error.message}`);
+        } else {
+            log.error(`Error setting up request: ${error.message}`);
+        }
+        return Promise.reject(error);
+    });
     
     return instance;
 }
@@ -87,13 +70,27 @@ export function getWalletFromPrivateKey(privateKey) {
         const wallet = new ethers.Wallet(formattedKey);
         return wallet.address;
     } catch (error) {
-        if (DEBUG.LOG_ERRORS) {
-            console.error(chalk.red('Error deriving wallet from private key:', error.message));
-        }
+        logger.debug(`Error deriving wallet from private key: ${error.message}`);
         return null;
     }
 }
 
+/**
+ * Returns the host:port of a proxy URL without credentials, safe for display
+ * @param {string|null} proxyUrl - Proxy URL
+ * @returns {string} - Proxy host, or an empty string if no proxy is set
+ */
+export function getProxyHost(proxyUrl) {
+    if (!proxyUrl) {
+        return '';
+    }
+    try {
+        return new URL(proxyUrl).host;
+    } catch (error) {
+        return 'invalid proxy';
+    }
+}
+
 /**
  * Sleep utility
  * @param {number} ms - Milliseconds to sleep
@@ -112,13 +109,22 @@ export async function loadFileContent(filePath) {
     try {
         return await readFile(filePath, 'utf8');
     } catch (error) {
-        if (DEBUG.LOG_ERRORS) {
-            console.error(chalk.red(`Error loading file ${filePath}:`, error.message));
-        }
+        logger.error(`Error loading file ${filePath}: ${error.message}`);
         return '';
     }
 }
 
+/**
+ * Parses a line-based list file such as pk.txt or proxies.txt
+ * @param {string} content - Raw file content
+ * @returns {string[]} - Trimmed entries without blank lines and # comments
+ */
+export function parseListFile(content) {
+    return content.split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+}
+
 /**
  * Gets the root directory path
  * @returns {string} - Root directory path
@@ -131,6 +137,28 @@ export function getRootDir() {
     return path.resolve(__dirname, '..', '..');
 }
 
+/**
+ * Maps items through an async function with a bounded number of calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async mapper (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
 /**
  * Creates a promise that resolves after a timeout
  * @param {number} ms - Timeout in milliseconds 
@@ -0,0 +1,66 @@
+// src/utils/watch.js
+import { watch, statSync } from 'fs';
+import path from 'path';
+
+/**
+ * Calls onChange once changes to a set of files and directories have settled.
+ * Files are watched through their parent directory, so editors that save by
+ * replacing the file (and files created later) are picked up too. Paths whose
+ * directory doesn't exist are skipped.
+ * @param {string[]} paths - Files and directories to watch
+ * @param {Function} onChange - Called with the changed paths after `debounce` ms without further changes
+ * @param {Object} options - Watch options
+ * @param {number} options.debounce - Quiet period before onChange is called (ms)
+ * @param {Function} options.onError - Called with watcher errors
+ * @returns {Function} - Stops watching
+ */
+export function watchPaths(paths, onChange, { debounce = 1000, onError = () => {} } = {}) {
+    // Directory to watch -> names inside it that matter (null = every entry)
+    const targets = new Map();
+    for (const target of paths) {
+        const isDir = isDirectory(target);
+        const dir = isDir ? target : path.dirname(target);
+        const names = targets.has(dir) ? targets.get(dir) : new Set();
+        targets.set(dir, isDir || names === null ? null : names.add(path.basename(target)));
+    }
+
+    let timer = null;
+    const changed = new Set();
+    const watchers = [];
+
+    for (const [dir, names] of targets) {
+        if (!isDirectory(dir)) {
+            continue;
+        }
+        const watcher = watch(dir, (eventType, filename) => {
+            // Some platforms don't report the file name; treat that as a match
+            if (names && filename && !names.has(filename.toString())) {
+                return;
+            }
+            changed.add(filename ? path.join(dir, filename.toString()) : dir);
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                const list = [...changed];
+                changed.clear();
+                onChange(list);
+            }, debounce);
+        });
+        watcher.on('error', onError);
+        watchers.push(watcher);
+    }
+
+    return () => {
+        clearTimeout(timer);
+        for (const watcher of watchers) {
+            watcher.close();
+        }
+    };
+}
+
+function isDirectory(target) {
+    try {
+        return statSync(target).isDirectory();
+    } catch (error) {
+        return false;
+    }
+}
@@ -0,0 +1,210 @@
+// test/EarningsReconciler.test.js
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs/promises';
+import path from 'path';
+import { EarningsReconciler, DRIFT_FLAGS } from '../src/services/EarningsReconciler.js';
+import { KaleidoMiningBot } from '../src/services/KaleidoMiningBot.js';
+import { createTempDir, createTestConfig, createFakeHttp, createMemoryLogger } from './helpers.js';
+
+const WALLET = '0x14791697260e4c9a71f18484c9f997b308e59325';
+
+describe('EarningsReconciler', () => {
+    let temp;
+    let log;
+    let wall;
+    let monotonic;
+    let reconcilers;
+
+    beforeEach(async () => {
+        temp = await createTempDir();
+        log = createMemoryLogger();
+        wall = 1_700_000_000_000;
+        monotonic = 0;
+        reconcilers = [];
+    });
+
+    afterEach(async () => {
+        await Promise.all(reconcilers.map(reconciler => reconciler.flush()));
+        await temp.cleanup();
+    });
+
+    const auditFile = () => path.join(temp.dir, 'audit', `${WALLET}.jsonl`);
+
+    const createReconciler = (options = {}) => {
+        const reconciler = new EarningsReconciler({
+            auditFile: auditFile(),
+            now: () => wall,
+            monotonic: () => monotonic,
+            logger: log.logger,
+            ...options
+        });
+        reconciler.setBaseline(10);
+        reconciler.mark();
+        reconcilers.push(reconciler);
+        return reconciler;
+    };
+
+    // Lets `ms` pass on both clocks and measures the interval
+    const elapse = (reconciler, ms, wallMs = ms) => {
+        monotonic += ms;
+        wall += wallMs;
+        return reconciler.measure(wallMs);
+    };
+
+    const readAudit = async () => (await fs.readFile(auditFile(), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+
+    it('does not flag updates the server credits as sent', async () => {
+        const reconciler = createReconciler();
+
+        reconciler.recordSuccess({ expected: 0.5, balance: 10.5, interval: elapse(reconciler, 10_000) });
+        // Within the 1% tolerance
+        reconciler.recordSuccess({ expected: 0.5, balance: 11.004, interval: elapse(reconciler, 10_000) });
+        await reconciler.flush();
+
+        const summary = reconciler.getSummary();
+        assert.equal(summary.ticks, 2);
+        assert.equal(summary.flaggedTicks, 0);
+        assert.equal(summary.drift, 0);
+        assert.equal(log.records.filter(record => record.level === 'warn').length, 0);
+        const entries = await readAudit();
+        assert.deepEqual(entries.map(entry => [entry.result, entry.credited, entry.elapsed, entry.flags]), [
+            ['success', 0.5, 10_000, []],
+            ['success', 11.004 - 10.5, 10_000, []]
+        ]);
+    });
+
+    it('flags rejected, ignored and drifting updates and balance resets', () => {
+        const reconciler = createReconciler();
+
+        const rejected = reconciler.recordFailure({ expected: 0.5, rejected: true, error: 'Server returned success=false', interval: elapse(reconciler, 1000) });
+        const ignored = reconciler.recordSuccess({ expected: 0.5, balance: 10, interval: elapse(reconciler, 1000) });
+        const drift = reconciler.recordSuccess({ expected: 0.5, balance: 10.25, interval: elapse(reconciler, 1000) });
+        const reset = reconciler.recordSuccess({ expected: 0.5, balance: 0.5, interval: elapse(reconciler, 1000) });
+
+        assert.deepEqual([rejected, ignored, drift, reset].map(tick => [tick.flags, tick.drift]), [
+            [[DRIFT_FLAGS.REJECTED], -0.5],
+            [[DRIFT_FLAGS.IGNORED], -0.5],
+            [[DRIFT_FLAGS.DRIFT], -0.25],
+            [[DRIFT_FLAGS.RESET], -10.25]
+        ]);
+        const summary = reconciler.getSummary();
+        assert.equal(summary.flaggedTicks, 4);
+        assert.equal(summary.drift, -11.5);
+        assert.deepEqual(summary.lastFlags, [DRIFT_FLAGS.RESET]);
+        assert.match(log.records.find(record => record.level === 'warn').msg, /^Earnings check: server rejected the update, 0\.50000000 KLDO not credited/);
+    });
+
+    it('matches failed updates against the next balance', () => {
+        const reconciler = createReconciler();
+
+        // Applied by the server although the answer never arrived
+        reconciler.recordFailure({ expected: 0.5, error: 'timeout of 10000ms exceeded', interval: elapse(reconciler, 1000) });
+        const applied = reconciler.recordSuccess({ expected: 0.5, balance: 11, interval: elapse(reconciler, 1000) });
+        // Not applied
+        reconciler.recordFailure({ expected: 0.5, error: 'socket hang up', interval: elapse(reconciler, 1000) });
+        const lost = reconciler.recordSuccess({ expected: 0.5, balance: 11.5, interval: elapse(reconciler, 1000) });
+
+        assert.deepEqual(applied.flags, []);
+        assert.equal(applied.unconfirmed, 0.5);
+        assert.deepEqual(lost.flags, [DRIFT_FLAGS.LOST]);
+        assert.equal(lost.drift, -0.5);
+        assert.equal(reconciler.getSummary().unconfirmed, 0);
+    });
+
+    it('measures intervals with the monotonic clock and flags clock jumps', () => {
+        const reconciler = createReconciler();
+
+        // Machine suspended for an hour: the wall clock moved on, mining time didn't
+        const suspended = elapse(reconciler, 10_000, 3_610_000);
+        assert.equal(suspended.elapsed, 10_000);
+        assert.equal(suspended.clockJump, 3_600_000);
+        const tick = reconciler.recordSuccess({ expected: 0.5, balance: 10.5, interval: suspended });
+        assert.deepEqual(tick.flags, [DRIFT_FLAGS.CLOCK_JUMP]);
+        assert.match(log.records.at(-1).msg, /wall clock ran 3600\.0s ahead of mining time/);
+
+        // Clock set back
+        assert.equal(elapse(reconciler, 10_000, -50_000).clockJump, -60_000);
+        // Small differences are scheduling noise
+        assert.equal(elapse(reconciler, 10_000, 11_000).clockJump, null);
+    });
+
+    it('writes only flagged updates with audit=flagged and nothing with audit=off', async () => {
+        const flagged = createReconciler({ audit: 'flagged' });
+        flagged.recordSuccess({ expected: 0.5, balance: 10.5, interval: elapse(flagged, 1000) });
+        flagged.recordFailure({ expected: 0.5, rejected: true, interval: elapse(flagged, 1000) });
+        await flagged.flush();
+        assert.deepEqual((await readAudit()).map(entry => entry.result), ['rejected']);
+
+        await fs.rm(auditFile());
+        const off = createReconciler({ audit: 'off' });
+        off.recordFailure({ expected: 0.5, rejected: true, interval: elapse(off, 1000) });
+        await off.flush();
+        await assert.rejects(fs.access(auditFile()), { code: 'ENOENT' });
+    });
+
+    it('drops queued audit writes and audits nothing more once abandoned', async () => {
+        const reconciler = createReconciler();
+        reconciler.recordSuccess({ expected: 0.5, balance: 10.5, interval: elapse(reconciler, 1000) });
+
+        reconciler.abandon();
+        reconciler.recordFailure({ expected: 0.5, rejected: true, interval: elapse(reconciler, 1000) });
+        await reconciler.flush();
+
+        await assert.rejects(fs.access(auditFile()), { code: 'ENOENT' });
+        assert.equal(reconciler.getSummary().ticks, 2);
+    });
+
+    it('continues the totals of a saved session', () => {
+        const reconciler = createReconciler();
+        reconciler.restore({ ticks: 5, flaggedTicks: 1, expected: 2.5, credited: 2, drift: -0.5, lastFlags: [DRIFT_FLAGS.IGNORED], lastFlaggedAt: '2024-01-01T00:00:00.000Z' });
+
+        reconciler.recordSuccess({ expected: 0.5, balance: 10.5, interval: elapse(reconciler, 1000) });
+
+        const summary = reconciler.getSummary();
+        assert.equal(summary.ticks, 6);
+        assert.equal(summary.flaggedTicks, 1);
+        assert.equal(summary.credited, 2.5);
+    });
+});
+
+describe('KaleidoMiningBot earnings check', () => {
+    let temp;
+
+    beforeEach(async () => {
+        temp = await createTempDir();
+    });
+
+    afterEach(async () => {
+        await temp.cleanup();
+    });
+
+    it('announces drift, saves the totals with the session and writes the audit log', async () => {
+        let success = false;
+        const bot = new KaleidoMiningBot(WALLET, 1, null, {
+            config: createTestConfig(temp.dir),
+            http: createFakeHttp({
+                'GET /check-registration': () => ({ isRegistered: true, userData: { balance: 2, referralBonus: 0 } }),
+                'POST /update-balance': () => ({ success, balance: 5 })
+            }),
+            logger: createMemoryLogger().logger
+        });
+        bot.startMiningLoop = async () => {};
+        const events = [];
+        bot.on('earningsDrift', event => events.push(event));
+
+        await bot.initialize();
+        await bot.updateBalance();
+        success = true;
+        await bot.updateBalance();
+        await bot.reconciler.flush();
+
+        assert.deepEqual(events.map(event => [event.botIndex, event.flags]), [[1, [DRIFT_FLAGS.REJECTED]], [1, [DRIFT_FLAGS.DRIFT]]]);
+        assert.equal(events[1].credited, 3);
+        assert.equal(bot.getSnapshot().reconciliation.flaggedTicks, 2);
+        const session = JSON.parse(await fs.readFile(path.join(temp.dir, 'session', `${WALLET}.json`), 'utf8'));
+        assert.equal(session.reconciliation.flaggedTicks, 2);
+        const audit = await fs.readFile(path.join(temp.dir, 'session', 'audit', `${WALLET}.jsonl`), 'utf8');
+        assert.equal(audit.trim().split('\n').length, 2);
+    });
+});
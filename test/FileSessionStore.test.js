@@ -0,0 +1,132 @@
+// test/FileSessionStore.test.js
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs/promises';
+import path from 'path';
+import { FileSessionStore } from '../src/storage/FileSessionStore.js';
+import { SESSION_VERSION, SESSION_HISTORY_LIMIT, migrateSession } from '../src/storage/sessionFormat.js';
+import { createTempDir, createMemoryLogger } from './helpers.js';
+
+const WALLET = '0x14791697260E4c9A71f18484C9f997B308e59325';
+const KEY = WALLET.toLowerCase();
+
+describe('FileSessionStore', () => {
+    let temp;
+    let log;
+    let store;
+
+    beforeEach(async () => {
+        temp = await createTempDir();
+        log = createMemoryLogger();
+        store = new FileSessionStore(temp.dir, { logger: log.logger });
+    });
+
+    afterEach(async () => {
+        await temp.cleanup();
+    });
+
+    const session = (overrides = {}) => ({
+        startTime: 1_000,
+        lastUpdate: '2024-01-01T00:00:00.000Z',
+        earnings: { total: 2 },
+        referralBonus: 0,
+        worker: 'rig',
+        pool: 'pool',
+        stats: { hashrate: 1, shares: { accepted: 0, rejected: 0 } },
+        history: [],
+        ...overrides
+    });
+
+    it('writes under the normalized key without leaving temporary files', async () => {
+        await store.save(WALLET, session());
+
+        assert.deepEqual(await fs.readdir(temp.dir), [`${KEY}.json`]);
+        const saved = JSON.parse(await fs.readFile(path.join(temp.dir, `${KEY}.json`), 'utf8'));
+        assert.equal(saved.version, SESSION_VERSION);
+        assert.equal(saved.wallet, KEY);
+        assert.deepEqual(await store.load(WALLET), saved);
+    });
+
+    it('keeps only the newest balance snapshots', async () => {
+        const history = Array.from({ length: SESSION_HISTORY_LIMIT + 5 }, (_, i) => ({ time: String(i), balance: i, earned: 1 }));
+
+        await store.save(WALLET, session({ history }));
+
+        const loaded = await store.load(WALLET);
+        assert.equal(loaded.history.length, SESSION_HISTORY_LIMIT);
+        assert.equal(loaded.history[0].balance, 5);
+    });
+
+    it('keeps every balance update in the wallet\'s update log', async () => {
+        await store.recordUpdate(WALLET, { time: '2024-01-01T00:00:00.000Z', balance: 1.5, earned: 1.5, elapsed: 60_000, referralBonus: 0.1 });
+        await store.recordUpdate(WALLET, { time: '2024-01-02T00:00:00.000Z', balance: 2, earned: 0.5, final: true });
+        // A line cut short by a crash
+        await fs.appendFile(path.join(temp.dir, 'history', `${KEY}.jsonl`), '{"time":"2024-01-03');
+
+        assert.deepEqual(await store.listUpdates(), [
+            { wallet: KEY, time: '2024-01-01T00:00:00.000Z', balance: 1.5, earned: 1.5, elapsed: 60_000, referralBonus: 0.1, final: false },
+            { wallet: KEY, time: '2024-01-02T00:00:00.000Z', balance: 2, earned: 0.5, elapsed: null, referralBonus: null, final: true }
+        ]);
+        assert.deepEqual((await store.listUpdates({ from: '2024-01-02T00:00:00.000Z' })).map(update => update.balance), [2]);
+        assert.deepEqual((await store.listUpdates({ to: '2024-01-02T00:00:00.000Z' })).map(update => update.balance), [1.5]);
+        // The update log is not a session
+        assert.deepEqual((await store.list()).length, 0);
+    });
+
+    it('migrates an unversioned file named after the checksummed address', async () => {
+        await fs.writeFile(path.join(temp.dir, `${WALLET}.json`), JSON.stringify({ startTime: 5, earnings: { total: 3 }, referralBonus: 0.1 }));
+
+        const loaded = await store.load(WALLET);
+
+        assert.equal(loaded.version, SESSION_VERSION);
+        assert.equal(loaded.startTime, 5);
+        assert.deepEqual(loaded.earnings, { total: 3 });
+        assert.deepEqual(loaded.history, []);
+        assert.deepEqual(await fs.readdir(temp.dir), [`${KEY}.json`]);
+        assert.equal(JSON.parse(await fs.readFile(path.join(temp.dir, `${KEY}.json`), 'utf8')).version, SESSION_VERSION);
+    });
+
+    for (const [name, content] of [
+        ['truncated JSON', '{"startTime": 1, "earn'],
+        ['a missing balance', JSON.stringify({ version: 2, startTime: 1 })],
+        ['a newer version', JSON.stringify({ version: SESSION_VERSION + 1, earnings: { total: 1 } })]
+    ]) {
+        it(`quarantines a file with ${name}`, async () => {
+            await fs.writeFile(path.join(temp.dir, `${KEY}.json`), content);
+
+            assert.equal(await store.load(WALLET), null);
+
+            const files = await fs.readdir(temp.dir);
+            assert.equal(files.length, 1);
+            assert.match(files[0], new RegExp(`^${KEY}\\.json\\.corrupt-\\d+$`));
+            assert.equal(await fs.readFile(path.join(temp.dir, files[0]), 'utf8'), content);
+            assert.ok(log.records.some(record => record.level === 'warn' && /Corrupt session file/.test(record.msg)));
+        });
+    }
+
+    it('lists sessions without changing the directory', async () => {
+        const corrupt = `0x${'b'.repeat(40)}`;
+        await fs.writeFile(path.join(temp.dir, `${WALLET}.json`), JSON.stringify({ startTime: 5, earnings: { total: 3 } }));
+        await fs.writeFile(path.join(temp.dir, `${corrupt}.json`), 'not json');
+
+        const entries = await store.list();
+
+        assert.deepEqual(entries.map(entry => [entry.wallet, entry.session?.earnings.total ?? null, Boolean(entry.error)]), [
+            [KEY, 3, false],
+            [corrupt, null, true]
+        ]);
+        assert.deepEqual((await fs.readdir(temp.dir)).sort(), [`${WALLET}.json`, `${corrupt}.json`]);
+    });
+
+    it('leaves JSON files that are not wallet sessions out of the list', async () => {
+        await fs.writeFile(path.join(temp.dir, `${WALLET}.json`), JSON.stringify({ startTime: 5, earnings: { total: 3 } }));
+        await fs.writeFile(path.join(temp.dir, 'test.json'), JSON.stringify({ startTime: 1, earnings: { total: 1 } }));
+        await fs.writeFile(path.join(temp.dir, 'kaleido.health.json'), '{}');
+
+        assert.deepEqual((await store.list()).map(entry => entry.wallet), [KEY]);
+    });
+
+    it('rejects sessions that are not objects', () => {
+        assert.throws(() => migrateSession([], WALLET), /not an object/);
+    });
+});
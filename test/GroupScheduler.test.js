@@ -0,0 +1,143 @@
+// test/GroupScheduler.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { GroupScheduler } from '../src/services/GroupScheduler.js';
+import { GROUP_EVENTS } from '../src/services/events.js';
+import { createMemoryLogger } from './helpers.js';
+
+const HOUR = 3600000;
+// Local time, as cron windows are; 2024-01-01 is a Monday
+const at = (day, hour, minute = 0, second = 0) => new Date(2024, 0, day, hour, minute, second).getTime();
+
+describe('GroupScheduler', () => {
+    let log;
+    let scheduler;
+    let events;
+
+    beforeEach(() => {
+        log = createMemoryLogger();
+        events = [];
+    });
+
+    afterEach(() => {
+        scheduler?.stop();
+        mock.timers.reset();
+    });
+
+    const createScheduler = (groups, now) => {
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now });
+        scheduler = new GroupScheduler({ groups, logger: log.logger });
+        for (const event of Object.values(GROUP_EVENTS)) {
+            scheduler.on(event, payload => events.push({ event, ...payload }));
+        }
+        return scheduler;
+    };
+
+    it('runs a group while its window is open', () => {
+        createScheduler({ office: { schedule: { windows: ['* 9-16 * * 1-5'] } }, plain: {} }, at(1, 8, 59, 30));
+
+        scheduler.start();
+        assert.equal(scheduler.isActive('office'), false);
+        assert.equal(scheduler.isActive('plain'), true);
+        assert.equal(scheduler.isScheduled('plain'), false);
+        assert.deepEqual(scheduler.getStatus()[0].nextStartAt, at(1, 9));
+
+        mock.timers.tick(30_000);
+        assert.deepEqual(events, [{ event: 'groupRunStarted', group: 'office', reason: 'window-opened', stopAt: at(1, 17), nextStartAt: null }]);
+        assert.equal(scheduler.isActive('office'), true);
+
+        mock.timers.tick(8 * HOUR);
+        assert.deepEqual(events[1], { event: 'groupRunEnded', group: 'office', reason: 'window-closed', stopAt: null, nextStartAt: at(2, 9) });
+        assert.equal(scheduler.isActive('office'), false);
+    });
+
+    it('stops a group after its maxRuntime and starts it again in the next window', () => {
+        createScheduler({ night: { schedule: { windows: ['* 0-5 * * *'], maxRuntime: 2 * HOUR } } }, at(1, 1, 30));
+
+        scheduler.start();
+        assert.deepEqual(events[0], { event: 'groupRunStarted', group: 'night', reason: 'window-opened', stopAt: at(1, 3, 30), nextStartAt: null });
+
+        mock.timers.tick(2 * HOUR);
+        assert.deepEqual(events[1], { event: 'groupRunEnded', group: 'night', reason: 'max-runtime', stopAt: null, nextStartAt: at(2, 0) });
+
+        mock.timers.tick(at(2, 0) - at(1, 3, 30));
+        assert.equal(events[2].event, 'groupRunStarted');
+        assert.equal(events[2].stopAt, at(2, 2));
+        assert.equal(events.length, 3);
+    });
+
+    it('bounds a group without windows by its maxRuntime until it is started by hand', () => {
+        createScheduler({ qa: { schedule: { maxRuntime: HOUR } } }, at(1, 12));
+
+        scheduler.start();
+        mock.timers.tick(HOUR);
+        assert.deepEqual(events.map(event => [event.event, event.reason, event.nextStartAt]), [
+            ['groupRunStarted', 'window-opened', null],
+            ['groupRunEnded', 'max-runtime', null]
+        ]);
+        assert.ok(log.records.some(record => /no next window, start it by hand/.test(record.msg)));
+
+        mock.timers.tick(3 * HOUR);
+        assert.equal(scheduler.isActive('qa'), false);
+        scheduler.markStarted('qa');
+        assert.equal(scheduler.isActive('qa'), true);
+        mock.timers.tick(HOUR);
+        assert.equal(scheduler.isActive('qa'), false);
+        assert.equal(events.at(-1).reason, 'max-runtime');
+    });
+
+    it('keeps a group stopped by hand stopped until its next window', () => {
+        createScheduler({ office: { schedule: { windows: ['* 9-16 * * *'] } } }, at(1, 10));
+
+        scheduler.start();
+        scheduler.markStopped('office');
+        mock.timers.tick(HOUR);
+        assert.equal(scheduler.isActive('office'), false);
+        assert.equal(scheduler.getStatus()[0].nextStartAt, at(2, 9));
+
+        mock.timers.tick(at(2, 9) - at(1, 11));
+        assert.equal(scheduler.isActive('office'), true);
+        // Only the run at start and the one of the next window; stopping by hand emits nothing
+        assert.deepEqual(events.map(event => event.event), ['groupRunStarted', 'groupRunStarted']);
+    });
+
+    const countMatches = group => {
+        const [cron] = scheduler.entries.get(group).windows;
+        const matches = cron.matches;
+        const calls = { count: 0 };
+        cron.matches = date => {
+            calls.count++;
+            return matches(date);
+        };
+        return calls;
+    };
+
+    it('finds the next window once for repeated status requests', () => {
+        createScheduler({ office: { schedule: { windows: ['* 9-16 * * *'] } } }, at(1, 18));
+        scheduler.start();
+        const calls = countMatches('office');
+
+        assert.equal(scheduler.getStatus()[0].nextStartAt, at(2, 9));
+        const scanned = calls.count;
+        assert.ok(scanned > 0);
+        assert.equal(scheduler.getStatus()[0].nextStartAt, at(2, 9));
+        assert.equal(scheduler.getStatus()[0].nextStartAt, at(2, 9));
+        assert.equal(calls.count, scanned);
+    });
+
+    it('does not scan for the end of an always-open window on status requests', () => {
+        createScheduler({ always: { schedule: { windows: ['* * * * *'] } } }, at(1, 12));
+        scheduler.start();
+        const calls = countMatches('always');
+
+        assert.equal(scheduler.getStatus()[0].stopAt, null);
+        scheduler.markStopped('always');
+        assert.equal(scheduler.getStatus()[0].nextStartAt, null);
+        assert.equal(scheduler.getStatus()[0].nextStartAt, null);
+        assert.equal(calls.count, 0);
+
+        // Each minute checks only the current minute
+        mock.timers.tick(60_000);
+        assert.equal(calls.count, 1);
+    });
+});
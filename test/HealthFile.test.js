@@ -0,0 +1,63 @@
+// test/HealthFile.test.js
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import * as fs from 'fs/promises';
+import path from 'path';
+import { HealthFile, readHealthFile } from '../src/services/HealthFile.js';
+import { createTempDir, createMemoryLogger } from './helpers.js';
+
+describe('HealthFile', () => {
+    let temp;
+    let file;
+    let coordinator;
+    let status;
+    let clock;
+
+    beforeEach(async () => {
+        temp = await createTempDir();
+        file = path.join(temp.dir, 'run', 'health.json');
+        status = { state: 'running', live: true, ready: false, wallets: 2, mining: 0 };
+        coordinator = Object.assign(new EventEmitter(), { getLifecycleStatus: () => ({ ...status }) });
+        clock = 1_700_000_000_000;
+    });
+
+    afterEach(async () => {
+        await temp.cleanup();
+    });
+
+    const createHealthFile = () => new HealthFile(coordinator, { file, interval: 15000, now: () => clock, logger: createMemoryLogger().logger });
+
+    it('writes the status and rewrites it when a wallet changes state', async () => {
+        const health = createHealthFile();
+        await health.start();
+
+        assert.deepEqual(JSON.parse(await fs.readFile(file, 'utf8')), {
+            pid: process.pid, ...status, interval: 15000, updatedAt: new Date(clock).toISOString()
+        });
+        const notReady = await readHealthFile(file, { now: () => clock });
+        assert.equal(notReady.live, true);
+        assert.equal(notReady.ready, false);
+        assert.equal(notReady.reason, 'the miner is running with 0 of 2 wallets mining');
+
+        status = { ...status, ready: true, mining: 1 };
+        coordinator.emit('stateChanged', {});
+        await health.write();
+        assert.equal((await readHealthFile(file, { now: () => clock })).ready, true);
+
+        await health.stop();
+        assert.equal(coordinator.listenerCount('stateChanged'), 0);
+        assert.match((await readHealthFile(file)).reason, /no health file .*not running/);
+    });
+
+    it('reports a file that is no longer refreshed as not live', async () => {
+        const health = createHealthFile();
+        await health.start();
+        clearInterval(health.timer);
+
+        const result = await readHealthFile(file, { now: () => clock + 46_000 });
+
+        assert.equal(result.live, false);
+        assert.match(result.reason, /not refreshed for 46s; the miner \(PID \d+\) is hung or was killed/);
+    });
+});
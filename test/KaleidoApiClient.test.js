@@ -0,0 +1,115 @@
+// test/KaleidoApiClient.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { KaleidoApiClient, NotRegisteredError, ApiSchemaError, RateLimitedError, describeShape } from '../src/services/KaleidoApiClient.js';
+import { classifyError } from '../src/utils/retry.js';
+import { createFakeHttp, createMemoryLogger, httpError } from './helpers.js';
+
+const WALLET = '0x14791697260e4c9a71f18484c9f997b308e59325';
+
+describe('KaleidoApiClient', () => {
+    const createClient = handlers => {
+        const http = createFakeHttp(handlers);
+        const log = createMemoryLogger();
+        return { client: new KaleidoApiClient(http, { logger: log.logger }), http, records: log.records };
+    };
+
+    it('sends the wallet as a query parameter and returns the registration', async () => {
+        const { client, http } = createClient({
+            'GET /check-registration': () => ({ isRegistered: true, userData: { balance: 2.5, referralBonus: 0.1, extra: 'ignored' } })
+        });
+
+        assert.deepEqual(await client.checkRegistration(WALLET), {
+            status: 200,
+            balance: 2.5,
+            referralBonus: 0.1,
+            userData: { balance: 2.5, referralBonus: 0.1, extra: 'ignored' }
+        });
+        assert.deepEqual(http.calls[0].params, { wallet: WALLET });
+    });
+
+    it('throws NotRegisteredError for an unregistered wallet', async () => {
+        const { client } = createClient({
+            'GET /check-registration': () => ({ isRegistered: false, userData: null }),
+            'POST /update-balance': () => {
+                throw httpError(400, { error: 'Wallet not registered' });
+            }
+        });
+
+        const error = await client.checkRegistration(WALLET).catch(caught => caught);
+        assert.ok(error instanceof NotRegisteredError);
+        assert.equal(error.permanent, true);
+        await assert.rejects(client.updateBalance(WALLET, 1), NotRegisteredError);
+        assert.deepEqual(classifyError(error), { retryable: false, reason: 'not-registered', status: null, retryAfter: null });
+    });
+
+    it('throws ApiSchemaError when a response is missing fields or has the wrong types', async () => {
+        let data = { success: true };
+        const { client } = createClient({
+            'GET /check-registration': () => ({ isRegistered: 'yes' }),
+            'POST /update-balance': () => data
+        });
+
+        await assert.rejects(client.checkRegistration(WALLET), /response\.isRegistered: expected boolean, got string/);
+        await assert.rejects(client.updateBalance(WALLET, 1), /balance is missing from a successful update/);
+
+        data = { success: true, balance: '3.5' };
+        const error = await client.updateBalance(WALLET, 1).catch(caught => caught);
+        assert.ok(error instanceof ApiSchemaError);
+        assert.equal(error.shape, '{balance:string,success:boolean}');
+        assert.equal(classifyError(error).reason, 'schema');
+        assert.equal(classifyError(error).retryable, false);
+
+        // A rejected update doesn't carry a balance
+        data = { success: false };
+        assert.deepEqual(await client.updateBalance(WALLET, 1), { status: 200, success: false, balance: null, data });
+    });
+
+    it('turns 429 answers into RateLimitedError that keep their Retry-After', async () => {
+        const { client } = createClient({
+            'POST /update-balance': () => {
+                const error = httpError(429);
+                error.response.headers['retry-after'] = '30';
+                throw error;
+            }
+        });
+
+        const error = await client.updateBalance(WALLET, 1).catch(caught => caught);
+        assert.ok(error instanceof RateLimitedError);
+        assert.equal(error.retryAfter, 30_000);
+        assert.equal(error.message, 'Rate limited by /update-balance (retry after 30s)');
+        assert.deepEqual(classifyError(error), { retryable: true, reason: 'rate-limited', status: 429, retryAfter: 30_000 });
+    });
+
+    it('records the API version and logs response shapes it has not seen before', async () => {
+        const http = {
+            version: '1.0',
+            data: { success: true, balance: 1 },
+            post: async () => ({ status: 200, headers: { 'x-api-version': http.version }, data: http.data })
+        };
+        const log = createMemoryLogger();
+        const client = new KaleidoApiClient(http, { logger: log.logger });
+
+        await client.updateBalance(WALLET, 1);
+        await client.updateBalance(WALLET, 1);
+        http.version = '1.1';
+        http.data = { success: true, balance: 2, bonus: 0 };
+        await client.updateBalance(WALLET, 1);
+
+        assert.deepEqual(client.getInfo(), {
+            version: '1.1',
+            shapes: { '/update-balance': ['{balance:number,success:boolean}', '{balance:number,bonus:number,success:boolean}'] }
+        });
+        assert.deepEqual(log.records.filter(record => record.level === 'info').map(record => record.msg), [
+            'API version changed from 1.0 to 1.1',
+            'New /update-balance response shape: {balance:number,bonus:number,success:boolean}'
+        ]);
+    });
+});
+
+describe('describeShape', () => {
+    it('lists keys in order with the type of each value', () => {
+        assert.equal(describeShape({ b: [1], a: { c: null } }), '{a:{c:null},b:[number]}');
+        assert.equal(describeShape([]), '[]');
+    });
+});
@@ -0,0 +1,512 @@
+// test/KaleidoMiningBot.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs/promises';
+import path from 'path';
+import { once } from 'events';
+import { KaleidoMiningBot } from '../src/services/KaleidoMiningBot.js';
+import { EarningsReconciler } from '../src/services/EarningsReconciler.js';
+import { createTempDir, createTestConfig, createFakeHttp, createMemoryLogger, httpError, flushPromises } from './helpers.js';
+
+const WALLET = '0x14791697260E4c9A71f18484C9f997B308e59325';
+
+describe('KaleidoMiningBot', () => {
+    let temp;
+    let log;
+
+    beforeEach(async () => {
+        temp = await createTempDir();
+        log = createMemoryLogger();
+    });
+
+    afterEach(async () => {
+        mock.timers.reset();
+        mock.restoreAll();
+        await temp.cleanup();
+    });
+
+    const createBot = (http = createFakeHttp(), mining = {}) => new KaleidoMiningBot(WALLET, 1, null, {
+        config: createTestConfig(temp.dir, mining),
+        http,
+        // Mining time follows the mocked Date
+        reconciler: new EarningsReconciler({ monotonic: () => Date.now(), logger: log.logger }),
+        logger: log.logger
+    });
+
+    describe('earnings', () => {
+        beforeEach(() => {
+            mock.timers.enable({ apis: ['Date'], now: 1_700_000_000_000 });
+        });
+
+        it('calculates earnings from the time since start', () => {
+            const bot = createBot();
+            bot.miningState.startTime = Date.now();
+
+            mock.timers.tick(10_000);
+
+            // 75.5 MH/s * 10 s * 0.0001
+            assert.equal(bot.calculateEarnings(), 75.5 * 10 * 0.0001);
+        });
+
+        it('applies the referral bonus', () => {
+            const bot = createBot();
+            bot.miningState.startTime = Date.now();
+            bot.referralBonus = 0.25;
+
+            mock.timers.tick(10_000);
+
+            assert.equal(bot.calculateEarnings(), 75.5 * 10 * 0.0001 * 1.25);
+        });
+
+        it('calculates session earnings since the last update and advances it', () => {
+            const bot = createBot();
+            bot.miningState.startTime = Date.now();
+            mock.timers.tick(5_000);
+            bot.miningState.lastUpdate = new Date().toISOString();
+
+            mock.timers.tick(30_000);
+            assert.equal(bot.calculateSessionEarnings(), 75.5 * 30 * 0.0001);
+            assert.equal(bot.miningState.lastUpdate, new Date().toISOString());
+
+            // Nothing has elapsed since the previous call
+            assert.equal(bot.calculateSessionEarnings(), 0);
+        });
+
+        it('falls back to the start time when there was no update yet', () => {
+            const bot = createBot();
+            bot.miningState.startTime = Date.now();
+
+            mock.timers.tick(2_000);
+
+            assert.equal(bot.calculateSessionEarnings(), 75.5 * 2 * 0.0001);
+        });
+    });
+
+    describe('retryRequest', () => {
+        beforeEach(() => {
+            mock.timers.enable({ apis: ['setTimeout'] });
+        });
+
+        it('retries with a growing delay and returns the first success', async () => {
+            const bot = createBot(createFakeHttp(), { retryDelay: 2000, retryJitter: 0 });
+            let attempts = 0;
+            const requestFn = mock.fn(async () => {
+                if (++attempts < 3) {
+                    throw httpError(503);
+                }
+                return { data: 'ok' };
+            });
+
+            const result = bot.retryRequest(requestFn, 'Test');
+            await flushPromises();
+            assert.equal(requestFn.mock.callCount(), 1);
+
+            mock.timers.tick(1_999);
+            await flushPromises();
+            assert.equal(requestFn.mock.callCount(), 1);
+
+            mock.timers.tick(1);
+            await flushPromises();
+            assert.equal(requestFn.mock.callCount(), 2);
+
+            // Second wait is twice as long
+            mock.timers.tick(3_999);
+            await flushPromises();
+            assert.equal(requestFn.mock.callCount(), 2);
+
+            mock.timers.tick(1);
+            assert.deepEqual(await result, { data: 'ok' });
+            assert.equal(requestFn.mock.callCount(), 3);
+        });
+
+        it('rethrows the last error once the attempts are used up', async () => {
+            const bot = createBot(createFakeHttp(), { retryDelay: 2000, retryJitter: 0 });
+            const requestFn = mock.fn(async () => {
+                throw httpError(500);
+            });
+
+            const result = bot.retryRequest(requestFn, 'Test', 2);
+            await flushPromises();
+            mock.timers.tick(2_000);
+
+            await assert.rejects(result, /status code 500/);
+            assert.equal(requestFn.mock.callCount(), 2);
+        });
+
+        it('does not retry client errors', async () => {
+            const bot = createBot();
+            const requestFn = mock.fn(async () => {
+                throw httpError(400, { error: 'Wallet not registered' });
+            });
+
+            await assert.rejects(bot.retryRequest(requestFn, 'Test'), /status code 400/);
+            assert.equal(requestFn.mock.callCount(), 1);
+        });
+
+        it('waits as long as Retry-After asks', async () => {
+            const bot = createBot(createFakeHttp(), { retryDelay: 1000, retryJitter: 0 });
+            let attempts = 0;
+            const requestFn = mock.fn(async () => {
+                if (++attempts === 1) {
+                    const error = httpError(429);
+                    error.response.headers['retry-after'] = '10';
+                    throw error;
+                }
+                return { data: 'ok' };
+            });
+
+            const result = bot.retryRequest(requestFn, 'Test');
+            await flushPromises();
+            mock.timers.tick(9_999);
+            await flushPromises();
+            assert.equal(requestFn.mock.callCount(), 1);
+
+            mock.timers.tick(1);
+            assert.deepEqual(await result, { data: 'ok' });
+        });
+    });
+
+    describe('circuit breaker', () => {
+        it('skips updates while open and probes once after the cooldown', async () => {
+            mock.timers.enable({ apis: ['Date'], now: 1_700_000_000_000 });
+            let fail = true;
+            const http = createFakeHttp({
+                'POST /update-balance': () => {
+                    if (fail) throw httpError(503);
+                    return { success: true, balance: 7 };
+                }
+            });
+            const bot = createBot(http, { retryAttempts: 1, circuitBreakerThreshold: 2, circuitBreakerCooldown: 60_000 });
+            bot.miningState.startTime = Date.now();
+            const changes = [];
+            bot.on('circuitChanged', event => changes.push(event));
+
+            await bot.updateBalance();
+            await bot.updateBalance();
+            assert.equal(http.calls.length, 2);
+            assert.deepEqual(changes.map(event => [event.state, event.nextProbeAt]), [['open', Date.now() + 60_000]]);
+            assert.equal(bot.getSnapshot().circuit, 'open');
+
+            mock.timers.tick(30_000);
+            await bot.updateBalance();
+            assert.equal(http.calls.length, 2);
+
+            fail = false;
+            mock.timers.tick(30_000);
+            await bot.updateBalance();
+            assert.equal(http.calls.length, 3);
+            // Only the time since the skipped update is credited
+            assert.equal(http.calls[2].body.earnings.session, 75.5 * 30 * 0.0001);
+            assert.deepEqual(changes.map(event => event.state), ['open', 'closed']);
+            assert.equal(bot.consecutiveErrors, 0);
+        });
+
+        it('reopens when the probe fails', async () => {
+            mock.timers.enable({ apis: ['Date'], now: 1_700_000_000_000 });
+            const http = createFakeHttp({
+                'POST /update-balance': () => {
+                    throw httpError(503);
+                }
+            });
+            const bot = createBot(http, { retryAttempts: 3, circuitBreakerThreshold: 1, circuitBreakerCooldown: 60_000 });
+            bot.retryRequest = mock.fn((fn, name, retries) => fn());
+            bot.miningState.startTime = Date.now();
+
+            await bot.updateBalance();
+            assert.equal(bot.retryRequest.mock.calls[0].arguments[2], 3);
+            mock.timers.tick(60_000);
+            await bot.updateBalance();
+
+            // The probe gets a single attempt
+            assert.equal(bot.retryRequest.mock.calls[1].arguments[2], 1);
+            assert.equal(bot.circuit.state, 'open');
+            assert.equal(bot.circuit.nextProbeAt, Date.now() + 60_000);
+        });
+    });
+
+    describe('sessions', () => {
+        it('saves and loads a session round-trip', async () => {
+            const bot = createBot();
+            bot.miningState.startTime = 1_700_000_000_000;
+            bot.currentEarnings = { total: 12.5 };
+            bot.referralBonus = 0.1;
+            bot.miningState.lastUpdate = '2024-01-01T00:00:00.000Z';
+            bot.stats.shares.accepted = 4;
+            bot.history = [{ time: '2024-01-01T00:00:00.000Z', balance: 12.5, earned: 0.5 }];
+            await bot.saveSession();
+
+            const restored = createBot();
+            assert.equal(await restored.loadSession(), true);
+            assert.equal(restored.miningState.startTime, 1_700_000_000_000);
+            assert.equal(restored.miningState.lastUpdate, '2024-01-01T00:00:00.000Z');
+            assert.deepEqual(restored.currentEarnings, { total: 12.5 });
+            assert.equal(restored.referralBonus, 0.1);
+            assert.equal(restored.stats.shares.accepted, 4);
+            assert.deepEqual(restored.history, bot.history);
+        });
+
+        it('reports a missing session', async () => {
+            const bot = createBot();
+            assert.equal(await bot.loadSession(), false);
+        });
+
+        it('resumes from the saved session instead of the server balance', async () => {
+            const sessionDir = path.join(temp.dir, 'session');
+            await fs.mkdir(sessionDir, { recursive: true });
+            await fs.writeFile(path.join(sessionDir, `${WALLET}.json`), JSON.stringify({
+                startTime: 1_000,
+                earnings: { total: 3 },
+                referralBonus: 0.2
+            }));
+
+            const http = createFakeHttp({
+                'GET /check-registration': () => ({ isRegistered: true, userData: { balance: 99, referralBonus: 0.3 } })
+            });
+            const bot = createBot(http);
+            // Keep initialize() from entering the mining loop
+            bot.startMiningLoop = async () => {};
+            const changes = [];
+            bot.on('registrationChanged', event => changes.push(event));
+
+            await bot.initialize();
+
+            assert.equal(bot.miningState.isActive, true);
+            assert.equal(bot.currentEarnings.total, 3);
+            // The saved bonus is out of date; the server's is used
+            assert.equal(bot.referralBonus, 0.3);
+            assert.deepEqual(changes.map(event => [event.registered, event.previousReferralBonus, event.referralBonus]), [[true, 0.2, 0.3]]);
+            // The checksummed file was migrated to the normalized name
+            assert.deepEqual(await fs.readdir(sessionDir), [`${WALLET.toLowerCase()}.json`]);
+        });
+    });
+
+    describe('events', () => {
+        it('emits balanceUpdated and resets the error count on success', async () => {
+            let fail = true;
+            const http = createFakeHttp({
+                'POST /update-balance': () => {
+                    if (fail) throw httpError(503);
+                    return { success: true, balance: 7 };
+                }
+            });
+            const bot = createBot(http);
+            bot.retryRequest = fn => fn();
+            bot.miningState.startTime = Date.now();
+            const failures = [];
+            const updates = [];
+            bot.on('updateFailed', event => failures.push(event));
+            bot.on('balanceUpdated', event => updates.push(event));
+
+            await bot.updateBalance();
+            await bot.updateBalance();
+            fail = false;
+            await bot.updateBalance();
+
+            assert.deepEqual(failures.map(event => [event.consecutiveErrors, event.status]), [[1, 503], [2, 503]]);
+            assert.equal(updates.length, 1);
+            assert.equal(updates[0].oldBalance, 0);
+            assert.equal(updates[0].newBalance, 7);
+            assert.equal(bot.consecutiveErrors, 0);
+            assert.ok(bot.lastSuccessAt);
+        });
+
+        it('reports state changes through initialize, pause, resume and stop', async () => {
+            mock.timers.enable({ apis: ['setTimeout'] });
+            const http = createFakeHttp({
+                'GET /check-registration': () => ({ isRegistered: true, userData: { balance: 2, referralBonus: 0 } }),
+                'POST /update-balance': () => ({ success: true, balance: 3 })
+            });
+            const bot = createBot(http);
+            const states = [];
+            bot.on('stateChanged', event => states.push(event.state));
+
+            bot.initialize();
+            await once(bot, 'balanceUpdated');
+            assert.equal(bot.pause(), true);
+            assert.equal(bot.pause(), false);
+            assert.equal(bot.resume(), true);
+            await flushPromises();
+            await bot.stop();
+
+            assert.deepEqual(states, ['mining', 'paused', 'mining', 'stopped']);
+            assert.equal(bot.getSnapshot().balanceDelta, 1);
+        });
+
+        it('schedules the next update on the scheduler and cancels it on pause', async () => {
+            mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_700_000_000_000 });
+            const http = createFakeHttp({
+                'POST /update-balance': () => ({ success: true, balance: 3 })
+            });
+            const bot = createBot(http, { updateInterval: 5000 });
+            bot.state = 'mining';
+            bot.miningState.isActive = true;
+            bot.miningState.startTime = Date.now();
+
+            await bot.startMiningLoop();
+            assert.equal(http.calls.length, 1);
+            assert.equal(bot.scheduler.getStats().timers, 1);
+
+            const updated = once(bot, 'balanceUpdated');
+            mock.timers.tick(5000);
+            await updated;
+            assert.equal(http.calls.length, 2);
+
+            bot.pause();
+            assert.equal(bot.scheduler.getStats().timers, 0);
+            mock.timers.tick(10_000);
+            await flushPromises();
+            assert.equal(http.calls.length, 2);
+        });
+
+        it('reports an unexpected update response as a schema failure without touching the balance', async () => {
+            const http = createFakeHttp({
+                'POST /update-balance': () => ({ success: true, balance: null })
+            });
+            const bot = createBot(http);
+            bot.miningState.startTime = Date.now();
+            bot.currentEarnings.total = 4;
+            const failures = [];
+            bot.on('updateFailed', event => failures.push(event));
+
+            assert.equal(await bot.updateBalance(), false);
+
+            assert.deepEqual(failures.map(event => event.reason), ['schema']);
+            assert.match(bot.lastError, /Unexpected \/update-balance response: response\.balance: expected number, got null/);
+            assert.equal(bot.currentEarnings.total, 4);
+            // Not retried: the same answer would come back
+            assert.equal(http.calls.length, 1);
+            assert.deepEqual(bot.getSnapshot().api.shapes['/update-balance'], ['{balance:null,success:boolean}']);
+        });
+
+        it('fails when the wallet is not registered', async () => {
+            const bot = createBot(createFakeHttp({
+                'GET /check-registration': () => ({ isRegistered: false })
+            }));
+
+            await bot.initialize();
+
+            assert.equal(bot.state, 'failed');
+            assert.equal(bot.getSnapshot().lastError, 'Wallet not registered');
+        });
+    });
+
+    describe('registration refresh', () => {
+        beforeEach(() => {
+            mock.timers.enable({ apis: ['Date'], now: 1_700_000_000_000 });
+        });
+
+        const createMiningBot = http => {
+            const bot = createBot(http, { registrationRefreshInterval: 60_000 });
+            bot.state = 'mining';
+            bot.miningState.isActive = true;
+            bot.miningState.startTime = Date.now();
+            bot.registrationCheckedAt = Date.now();
+            bot.referralBonus = 0.1;
+            return bot;
+        };
+
+        it('checks the registration again after the interval and takes over a new bonus', async () => {
+            const http = createFakeHttp({
+                'GET /check-registration': () => ({ isRegistered: true, userData: { balance: 4, referralBonus: 0.25, referrals: 3 } })
+            });
+            const bot = createMiningBot(http);
+            const changes = [];
+            bot.on('registrationChanged', event => changes.push(event));
+
+            mock.timers.tick(59_999);
+            await bot.refreshRegistration();
+            assert.equal(http.calls.length, 0);
+
+            mock.timers.tick(1);
+            await bot.refreshRegistration();
+
+            assert.equal(http.calls.length, 1);
+            assert.equal(bot.referralBonus, 0.25);
+            assert.deepEqual(bot.getSnapshot().userData, { balance: 4, referralBonus: 0.25, referrals: 3 });
+            assert.deepEqual(changes.map(event => [event.registered, event.previousReferralBonus, event.referralBonus]), [[true, 0.1, 0.25]]);
+
+            // Earnings from now on include the new bonus
+            bot.miningState.lastUpdate = new Date().toISOString();
+            mock.timers.tick(10_000);
+            assert.equal(bot.calculateSessionEarnings(), 75.5 * 10 * 0.0001 * 1.25);
+        });
+
+        it('keeps the last data when a refresh fails', async () => {
+            const http = createFakeHttp({
+                'GET /check-registration': () => {
+                    throw httpError(503);
+                }
+            });
+            const bot = createMiningBot(http);
+
+            mock.timers.tick(60_000);
+            await bot.refreshRegistration();
+
+            assert.equal(http.calls.length, 1);
+            assert.equal(bot.referralBonus, 0.1);
+            assert.equal(bot.state, 'mining');
+            // Tried again an interval later, not on every update
+            await bot.refreshRegistration();
+            assert.equal(http.calls.length, 1);
+        });
+
+        it('stops a wallet that is no longer registered without a final update', async () => {
+            const http = createFakeHttp({
+                'GET /check-registration': () => ({ isRegistered: false })
+            });
+            const bot = createMiningBot(http);
+            const changes = [];
+            bot.on('registrationChanged', event => changes.push(event));
+
+            mock.timers.tick(60_000);
+            await bot.refreshRegistration();
+
+            assert.equal(bot.state, 'failed');
+            assert.equal(bot.miningState.isActive, false);
+            assert.deepEqual(bot.failure && [bot.failure.reason, bot.failure.permanent], ['Wallet not registered', true]);
+            assert.deepEqual(changes.map(event => event.registered), [false]);
+            assert.equal(bot.scheduler.getStats().timers, 0);
+            assert.deepEqual(http.calls.map(call => call.url), ['/check-registration']);
+        });
+    });
+
+    describe('stop', () => {
+        it('sends a final update and returns the server balance', async () => {
+            const http = createFakeHttp({
+                'POST /update-balance': ({ body }) => ({ success: true, balance: 5 + body.earnings.session })
+            });
+            const bot = createBot(http);
+            bot.miningState.isActive = true;
+            bot.miningState.startTime = Date.now();
+
+            const paid = await bot.stop();
+
+            assert.equal(bot.miningState.isActive, false);
+            assert.ok(paid >= 5);
+            assert.equal(http.calls[0].body.wallet, WALLET.toLowerCase());
+        });
+
+        it('saves nothing once abandoned, even when the final update answers late', async () => {
+            let answer;
+            const http = createFakeHttp({
+                'POST /update-balance': () => new Promise(resolve => {
+                    answer = resolve;
+                })
+            });
+            const bot = createBot(http);
+            bot.miningState.isActive = true;
+            bot.miningState.startTime = Date.now();
+            const save = mock.method(bot.sessionStore, 'save');
+            const recordUpdate = mock.method(bot.sessionStore, 'recordUpdate');
+
+            const stopping = bot.stop();
+            await flushPromises();
+            bot.abandon();
+            answer({ success: true, balance: 7 });
+            await stopping;
+
+            assert.equal(save.mock.callCount(), 0);
+            assert.equal(recordUpdate.mock.callCount(), 0);
+        });
+    });
+});
@@ -0,0 +1,516 @@
+// test/MiningCoordinator.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import * as fs from 'fs/promises';
+import path from 'path';
+import { MiningCoordinator } from '../src/services/MiningCoordinator.js';
+import { createConfig, ConfigError } from '../src/config/configLoader.js';
+import { getWalletFromPrivateKey } from '../src/utils/utils.js';
+import { createTempDir, createTestConfig, createFakeHttp, createMemoryLogger, flushPromises } from './helpers.js';
+
+const KEY_1 = '0x0123456789012345678901234567890123456789012345678901234567890123';
+const KEY_2 = '1123456789012345678901234567890123456789012345678901234567890123';
+const WALLET_1 = '0x14791697260E4c9A71f18484C9f997B308e59325';
+const WALLET_2 = getWalletFromPrivateKey(KEY_2).toLowerCase();
+
+describe('MiningCoordinator', () => {
+    let temp;
+    let log;
+
+    beforeEach(async () => {
+        temp = await createTempDir();
+        log = createMemoryLogger();
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        process.removeAllListeners('SIGINT');
+        process.removeAllListeners('SIGTERM');
+        await temp.cleanup();
+    });
+
+    const createCoordinator = (createHttpClient = null) => new MiningCoordinator({
+        config: createTestConfig(temp.dir),
+        createHttpClient,
+        logger: log.logger
+    });
+
+    describe('loadPrivateKeysAndProxies', () => {
+        it('skips comments and blank lines and assigns proxies round-robin', async () => {
+            await fs.writeFile(path.join(temp.dir, 'pk.txt'), `# keys\n${KEY_1}\n\n  ${KEY_2}  \n# trailing\nkey3\r\n`);
+            await fs.writeFile(path.join(temp.dir, 'proxies.txt'), '# proxies\nhttp://a:1@proxy1:80\n\nhttp://b:2@proxy2:80\n');
+
+            const entries = await createCoordinator().loadPrivateKeysAndProxies();
+
+            assert.deepEqual(entries, [
+                { privateKey: KEY_1, proxy: 'http://a:1@proxy1:80' },
+                { privateKey: KEY_2, proxy: 'http://b:2@proxy2:80' },
+                { privateKey: 'key3', proxy: 'http://a:1@proxy1:80' }
+            ]);
+        });
+
+        it('runs without proxies when proxies.txt is missing', async () => {
+            await fs.writeFile(path.join(temp.dir, 'pk.txt'), `${KEY_1}\n`);
+
+            const entries = await createCoordinator().loadPrivateKeysAndProxies();
+
+            assert.deepEqual(entries, [{ privateKey: KEY_1, proxy: null }]);
+        });
+
+        it('returns an empty list when pk.txt is missing', async () => {
+            assert.deepEqual(await createCoordinator().loadPrivateKeysAndProxies(), []);
+        });
+    });
+
+    describe('loadWallets', () => {
+        it('derives addresses and marks invalid keys', async () => {
+            await fs.writeFile(path.join(temp.dir, 'pk.txt'), `${KEY_1}\nnot-a-key\n`);
+
+            const wallets = await createCoordinator().loadWallets();
+
+            assert.equal(wallets.length, 2);
+            assert.equal(wallets[0].wallet, WALLET_1);
+            assert.equal(wallets[1].wallet, null);
+            assert.match(wallets[1].source, /index 2/);
+        });
+    });
+
+    describe('start', () => {
+        it('skips invalid keys and keeps the original bot indexes', async () => {
+            await fs.writeFile(path.join(temp.dir, 'pk.txt'), `not-a-key\n${KEY_1}\n`);
+            // Unregistered wallets fail initialization right away, so no mining loop keeps running
+            const coordinator = createCoordinator(() => createFakeHttp({
+                'GET /check-registration': () => ({ isRegistered: false })
+            }));
+
+            await coordinator.start();
+
+            assert.equal(coordinator.bots.length, 1);
+            assert.equal(coordinator.bots[0].botIndex, 2);
+            assert.equal(coordinator.bots[0].wallet, WALLET_1.toLowerCase());
+            assert.ok(log.records.some(record => record.level === 'error' && /Invalid private key at index 1/.test(record.msg)));
+        });
+
+        it('rejects instead of exiting when there are no wallets', async () => {
+            const coordinator = createCoordinator();
+
+            await assert.rejects(coordinator.start(), /No valid private keys found/);
+            assert.equal(coordinator.isRunning, false);
+            assert.equal(process.listenerCount('SIGINT'), 0);
+        });
+
+        it('forwards bot events', async () => {
+            await fs.writeFile(path.join(temp.dir, 'pk.txt'), `${KEY_1}\n`);
+            const coordinator = createCoordinator(() => createFakeHttp({
+                'GET /check-registration': () => ({ isRegistered: false })
+            }));
+            const events = [];
+            coordinator.on('botAdded', ({ bot }) => events.push(['botAdded', bot.botIndex]));
+            coordinator.on('stateChanged', event => events.push(['stateChanged', event.state]));
+
+            await coordinator.start();
+            await flushPromises();
+
+            assert.deepEqual(events, [['botAdded', 1], ['stateChanged', 'failed']]);
+        });
+
+        it('starts the wallets one after another and shares one request gate', async () => {
+            await fs.writeFile(path.join(temp.dir, 'pk.txt'), `${KEY_1}\n${KEY_2}\n${KEY_1}\n`);
+            const http = createFakeHttp({
+                'GET /check-registration': () => ({ isRegistered: false })
+            });
+            const coordinator = createCoordinator(() => http);
+            const run = mock.method(coordinator.scheduler, 'run');
+            mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_700_000_000_000 });
+
+            await coordinator.start();
+            await flushPromises();
+            assert.equal(http.calls.length, 1);
+            assert.equal(coordinator.scheduler.getStats().timers, 2);
+
+            // 250ms of stagger, rounded up to the 100ms wheel slot
+            mock.timers.tick(300);
+            await flushPromises();
+            assert.equal(http.calls.length, 2);
+
+            mock.timers.tick(200);
+            await flushPromises();
+            assert.equal(http.calls.length, 3);
+            assert.equal(run.mock.callCount(), 3);
+            mock.timers.reset();
+        });
+
+        it('reports the health of every wallet in the summary', async () => {
+            await fs.writeFile(path.join(temp.dir, 'pk.txt'), `${KEY_1}\n`);
+            const coordinator = createCoordinator(() => createFakeHttp({
+                'GET /check-registration': () => ({ isRegistered: false })
+            }));
+            const gaveUp = [];
+            coordinator.on('walletGaveUp', event => gaveUp.push(event.botIndex));
+
+            await coordinator.start();
+            await flushPromises();
+            assert.equal(coordinator.getHealthReport().wallets[0].health, 'dead');
+            const summary = await coordinator.stop();
+
+            assert.deepEqual(gaveUp, [1]);
+            assert.equal(summary.wallets[0].health, 'dead');
+            assert.equal(summary.wallets[0].lastError, 'Wallet not registered');
+            assert.deepEqual(summary.health.counts, { dead: 1 });
+            assert.ok(log.records.some(record => /Fleet Health === Wallets: 1 \| dead 1/.test(record.msg)));
+        });
+    });
+
+    describe('stop', () => {
+        it('stops every bot once and emits the summary', async () => {
+            const coordinator = createCoordinator();
+            let stops = 0;
+            coordinator.bots = [
+                { wallet: '0xa', botIndex: 1, state: 'stopped', finalUpdate: 'ok', stop: async () => { stops++; return 1.5; } },
+                { wallet: '0xb', botIndex: 2, state: 'stopped', finalUpdate: 'ok', stop: async () => { stops++; return 2.25; } }
+            ];
+            const summaries = [];
+            coordinator.on('coordinatorSummary', summary => summaries.push(summary));
+
+            const [first, second] = await Promise.all([coordinator.stop(), coordinator.stop()]);
+
+            assert.equal(first, second);
+            assert.equal(stops, 2);
+            assert.deepEqual(summaries, [first]);
+            assert.equal(first.totalPaid, 3.75);
+            assert.deepEqual(first.wallets[1], { wallet: '0xb', botIndex: 2, state: 'stopped', balance: 2.25, finalUpdate: 'ok', health: null, lastError: null });
+            assert.equal(first.finalUpdatesFailed, 0);
+        });
+
+        it('gives up on a bot that does not stop in time without holding up the others', async () => {
+            const config = createTestConfig(temp.dir);
+            const coordinator = new MiningCoordinator({
+                config: { ...config, lifecycle: { ...config.lifecycle, botStopTimeout: 100 } },
+                logger: log.logger
+            });
+            coordinator.bots = [
+                { wallet: '0xa', botIndex: 1, state: 'mining', currentEarnings: { total: 1 }, stop: () => new Promise(() => {}), abandon: mock.fn() },
+                { wallet: '0xb', botIndex: 2, state: 'stopped', finalUpdate: 'failed', stop: async () => 2, abandon: mock.fn() }
+            ];
+
+            const summary = await coordinator.stop();
+
+            // Abandoned before the stores are closed, so its late stop can't save anything
+            assert.equal(coordinator.bots[0].abandon.mock.callCount(), 1);
+            assert.equal(coordinator.bots[1].abandon.mock.callCount(), 0);
+
+            assert.deepEqual(summary.wallets.map(wallet => [wallet.balance, wallet.finalUpdate]), [[1, 'timeout'], [2, 'failed']]);
+            assert.equal(summary.finalUpdatesFailed, 2);
+            assert.ok(log.records.some(record => record.botIndex === 1 && /did not stop within 0\.1s/.test(record.msg)));
+        });
+    });
+
+    describe('PID lock', () => {
+        const lockFile = () => path.join(temp.dir, 'session', 'kaleido.pid');
+        const registered = () => createFakeHttp({
+            'GET /check-registration': () => ({ isRegistered: true, userData: { balance: 1, referralBonus: 0 } }),
+            'POST /update-balance': () => ({ success: true, balance: 2 })
+        });
+
+        it('keeps a second coordinator away from the same session directory until the first stops', async () => {
+            await fs.writeFile(path.join(temp.dir, 'pk.txt'), `${KEY_1}\n`);
+            const first = createCoordinator(registered);
+            const second = createCoordinator(registered);
+
+            await first.start();
+            assert.equal((await fs.readFile(lockFile(), 'utf8')).trim(), String(process.pid));
+            await assert.rejects(second.start(), /Another miner \(PID \d+\) is using/);
+            assert.equal(second.isRunning, false);
+
+            await first.stop();
+            await assert.rejects(fs.access(lockFile()), { code: 'ENOENT' });
+            await second.start();
+            await second.stop();
+        });
+
+        it('takes over a lock left by a process that no longer runs', async () => {
+            await fs.writeFile(path.join(temp.dir, 'pk.txt'), `${KEY_1}\n`);
+            await fs.mkdir(path.dirname(lockFile()), { recursive: true });
+            await fs.writeFile(lockFile(), '2147483646\n');
+            const coordinator = createCoordinator(registered);
+
+            await coordinator.start();
+            await coordinator.stop();
+
+            assert.ok(log.records.some(record => record.level === 'warn' && /left by process 2147483646/.test(record.msg)));
+        });
+    });
+
+    describe('lifecycle status', () => {
+        it('is ready once a wallet mines and no longer live when shutting down', async () => {
+            await fs.writeFile(path.join(temp.dir, 'pk.txt'), `${KEY_1}\n`);
+            const coordinator = createCoordinator(() => createFakeHttp({
+                'GET /check-registration': () => ({ isRegistered: true, userData: { balance: 1, referralBonus: 0 } }),
+                'POST /update-balance': () => ({ success: true, balance: 2 })
+            }));
+            assert.deepEqual(coordinator.getLifecycleStatus(), { state: 'starting', live: true, ready: false, wallets: 0, mining: 0 });
+
+            const initialized = once(coordinator, 'initialized');
+            await coordinator.start();
+            await initialized;
+            assert.deepEqual(coordinator.getLifecycleStatus(), { state: 'running', live: true, ready: true, wallets: 1, mining: 1 });
+
+            const stopping = coordinator.stop();
+            assert.equal(coordinator.getLifecycleStatus().state, 'stopping');
+            await stopping;
+            assert.deepEqual(coordinator.getLifecycleStatus(), { state: 'stopped', live: false, ready: false, wallets: 1, mining: 0 });
+        });
+    });
+
+    describe('profiles', () => {
+
+        it('gives every wallet the API and session directory of its profile', async () => {
+            await fs.writeFile(path.join(temp.dir, 'pk.txt'), `${KEY_1}\n${KEY_2}\n`);
+            const config = createConfig({
+                profile: 'local',
+                files: { privateKeys: 'pk.txt' },
+                profiles: { staging: { api: { baseUrl: 'https://staging.example/api', timeout: 5000 }, mining: { updateInterval: 90000 } } },
+                wallets: [{ address: WALLET_2, profile: 'staging' }]
+            }, { baseDir: temp.dir });
+            const baseUrls = [];
+            const coordinator = new MiningCoordinator({
+                config,
+                createHttpClient: (proxy, walletConfig) => {
+                    baseUrls.push(walletConfig.api.baseUrl);
+                    return createFakeHttp({
+                        'GET /check-registration': () => ({ isRegistered: true, userData: { balance: 1, referralBonus: 0 } }),
+                        'POST /update-balance': () => ({ success: true, balance: 2 })
+                    });
+                },
+                logger: log.logger
+            });
+
+            let initialized = 0;
+            const bothInitialized = new Promise(resolve => coordinator.on('initialized', () => ++initialized === 2 && resolve()));
+            await coordinator.start();
+            await bothInitialized;
+            assert.deepEqual(baseUrls, ['http://127.0.0.1:8787/api/testnet', 'https://staging.example/api']);
+            assert.deepEqual(coordinator.bots.map(bot => [bot.getSnapshot().profile, bot.config.mining.updateInterval]), [['local', 30000], ['staging', 90000]]);
+            await coordinator.stop();
+
+            const session = path.join(temp.dir, 'session');
+            await fs.access(path.join(session, 'kaleido.pid')).then(() => assert.fail('lock file left behind'), () => {});
+            assert.deepEqual(await fs.readdir(path.join(session, 'profiles')), ['local', 'staging']);
+            await fs.access(path.join(session, 'profiles', 'local', `${WALLET_1.toLowerCase()}.json`));
+            await fs.access(path.join(session, 'profiles', 'staging', `${WALLET_2}.json`));
+        });
+
+        it('rejects a profile that is not defined', () => {
+            assert.throws(() => createConfig({ profile: 'staging' }), error => error instanceof ConfigError && /profile "staging" is not defined; known profiles: testnet, local/.test(error.message));
+            assert.throws(() => createConfig({ wallets: [{ address: WALLET_1, profile: 'Bad name' }] }), /must contain only letters, digits/);
+        });
+    });
+
+    describe('groups', () => {
+        const registered = () => createFakeHttp({
+            'GET /check-registration': () => ({ isRegistered: true, userData: { balance: 1, referralBonus: 0 } }),
+            'POST /update-balance': () => ({ success: true, balance: 2 })
+        });
+        const createGroupCoordinator = () => new MiningCoordinator({
+            config: {
+                ...createTestConfig(temp.dir),
+                // February 31st never comes, so the group only runs when started by hand
+                groups: { qa: { schedule: { windows: ['0 0 31 2 *'] } } },
+                wallets: [{ address: WALLET_2, label: 'rig-2', group: 'qa' }]
+            },
+            createHttpClient: registered,
+            logger: log.logger
+        });
+
+        it('selects wallets by label and group', async () => {
+            const coordinator = createGroupCoordinator();
+            const wallets = [{ wallet: WALLET_1, proxy: null, source: 'a' }, { wallet: WALLET_2, proxy: null, source: 'b' }];
+
+            assert.deepEqual(coordinator.planBots(wallets, ['RIG-2']).map(plan => plan.botIndex), [2]);
+            assert.deepEqual(coordinator.planBots(wallets, ['group:qa', 1]).map(plan => [plan.botIndex, plan.config.label, plan.config.group]), [
+                [1, null, null],
+                [2, 'rig-2', 'qa']
+            ]);
+        });
+
+        it('holds a group outside its schedule and starts and stops it by hand', async () => {
+            await fs.writeFile(path.join(temp.dir, 'pk.txt'), `${KEY_1}\n${KEY_2}\n`);
+            const coordinator = createGroupCoordinator();
+            const initialized = once(coordinator, 'initialized');
+
+            await coordinator.start();
+            await initialized;
+            const rig = coordinator.findBot('rig-2');
+            assert.equal(rig.wallet, WALLET_2);
+            assert.equal(rig.state, 'stopped');
+            assert.equal(rig.getSnapshot().group, 'qa');
+            assert.equal(coordinator.getLifecycleStatus().ready, true);
+            const [qa] = coordinator.getGroups();
+            assert.deepEqual([qa.group, qa.wallets, qa.states, qa.schedule.active, qa.schedule.nextStartAt], ['qa', 1, { stopped: 1 }, false, null]);
+
+            const rigInitialized = once(rig, 'initialized');
+            assert.deepEqual(await coordinator.startGroup('QA'), [rig]);
+            await rigInitialized;
+            assert.equal(rig.state, 'mining');
+            assert.equal(coordinator.getGroups()[0].schedule.active, true);
+
+            assert.deepEqual(await coordinator.stopGroup('qa'), [rig]);
+            assert.equal(rig.state, 'stopped');
+            assert.equal(coordinator.bots[0].state, 'mining');
+            await coordinator.stop();
+        });
+    });
+
+    describe('setupShutdownHandler', () => {
+        it('stops every bot and reports the total paid', async () => {
+            const coordinator = createCoordinator();
+            coordinator.bots = [
+                { stop: async () => 1.5 },
+                { stop: async () => 2.25 }
+            ];
+            const exited = new Promise(resolve => {
+                mock.method(process, 'exit', code => resolve(code));
+            });
+
+            coordinator.setupShutdownHandler();
+            process.emit('SIGINT');
+
+            assert.equal(await exited, 0);
+            assert.equal(coordinator.totalPaid, 3.75);
+            const summary = log.records.find(record => record.totalPaid !== undefined);
+            assert.equal(summary.totalWallets, 2);
+            assert.match(summary.msg, /Total Paid: 3\.75000000 KLDO/);
+        });
+
+        it('counts a bot that throws while stopping with its last balance and exits with 3', async () => {
+            const coordinator = createCoordinator();
+            coordinator.bots = [
+                { currentEarnings: { total: 1.5 }, stop: () => { throw new Error('boom'); } },
+                { stop: async () => 4 }
+            ];
+            const exited = new Promise(resolve => {
+                mock.method(process, 'exit', code => resolve(code));
+            });
+
+            coordinator.setupShutdownHandler();
+            process.emit('SIGTERM');
+
+            assert.equal(await exited, 3);
+            assert.equal(coordinator.totalPaid, 5.5);
+        });
+    });
+
+    describe('reload', () => {
+        const KEY_3 = '2123456789012345678901234567890123456789012345678901234567890123';
+        const walletOf = key => getWalletFromPrivateKey(key).toLowerCase();
+
+        // Registered wallets that keep mining, with every wallet started at once
+        const createMiningCoordinator = proxiesUsed => {
+            const config = createTestConfig(temp.dir);
+            return new MiningCoordinator({
+                config: { ...config, scheduler: { ...config.scheduler, startupStagger: 0 } },
+                createHttpClient: proxy => {
+                    proxiesUsed.push(proxy);
+                    return createFakeHttp({
+                        'GET /check-registration': () => ({ isRegistered: true, userData: { balance: 1, referralBonus: 0 } }),
+                        'POST /update-balance': () => ({ success: true, balance: 1 })
+                    });
+                },
+                logger: log.logger
+            });
+        };
+
+        const writeLists = async (keys, proxies) => {
+            await fs.writeFile(path.join(temp.dir, 'pk.txt'), `${keys.join('\n')}\n`);
+            await fs.writeFile(path.join(temp.dir, 'proxies.txt'), `${proxies.join('\n')}\n`);
+        };
+
+        // The state is checked right before listening: a bot may finish while an earlier one is awaited
+        const waitForMining = async coordinator => {
+            for (const bot of coordinator.bots) {
+                if (bot.state !== 'mining') {
+                    await once(bot, 'initialized');
+                }
+            }
+        };
+
+        it('starts added wallets, stops removed ones and swaps changed proxies', async () => {
+            await writeLists([KEY_1, KEY_2], ['http://proxy1:80', 'http://proxy2:80']);
+            const proxiesUsed = [];
+            const coordinator = createMiningCoordinator(proxiesUsed);
+            await coordinator.start();
+            await waitForMining(coordinator);
+            const [first, second] = coordinator.bots;
+            const firstApi = first.api;
+            const events = [];
+            coordinator.on('botRemoved', ({ bot }) => events.push(['botRemoved', bot.botIndex]));
+
+            // KEY_2 leaves, KEY_3 joins on line 2, KEY_1 keeps its proxy
+            await writeLists([KEY_1, KEY_3], ['http://proxy1:80', 'http://proxy3:80']);
+            const result = await coordinator.reload();
+            await waitForMining(coordinator);
+
+            assert.deepEqual(result, {
+                added: [{ wallet: walletOf(KEY_3), botIndex: 2 }],
+                removed: [{ wallet: walletOf(KEY_2), botIndex: 2 }],
+                proxyChanged: [],
+                unchanged: 1
+            });
+            assert.deepEqual(events, [['botRemoved', 2]]);
+            assert.equal(second.state, 'stopped');
+            assert.equal(coordinator.bots[0], first);
+            assert.equal(first.api, firstApi);
+            assert.equal(first.state, 'mining');
+            assert.deepEqual(coordinator.bots.map(bot => [bot.wallet, bot.proxy]), [
+                [walletOf(KEY_1), 'http://proxy1:80'],
+                [walletOf(KEY_3), 'http://proxy3:80']
+            ]);
+
+            // Only the proxy list changes
+            await writeLists([KEY_1, KEY_3], ['http://proxy4:80', 'http://proxy3:80']);
+            const proxyResult = await coordinator.reload();
+
+            assert.deepEqual(proxyResult.proxyChanged, [{ wallet: walletOf(KEY_1), botIndex: 1 }]);
+            assert.equal(first.proxy, 'http://proxy4:80');
+            assert.notEqual(first.api, firstApi);
+            assert.equal(proxiesUsed.at(-1), 'http://proxy4:80');
+            assert.equal(first.state, 'mining');
+
+            await coordinator.stop();
+        });
+
+        it('gives a new wallet the next free index when its line number is taken', async () => {
+            await writeLists([KEY_1, KEY_2], []);
+            const coordinator = createMiningCoordinator([]);
+            await coordinator.start();
+            await waitForMining(coordinator);
+
+            // KEY_1 leaves, so KEY_2 moves to line 1 and KEY_3 lands on line 2, which KEY_2 still uses
+            await writeLists([KEY_2, KEY_3], []);
+            const result = await coordinator.reload();
+
+            assert.deepEqual(result.added, [{ wallet: walletOf(KEY_3), botIndex: 3 }]);
+            assert.deepEqual(coordinator.bots.map(bot => bot.botIndex), [2, 3]);
+
+            await coordinator.stop();
+        });
+
+        it('keeps the running wallets when the list comes back empty', async () => {
+            await writeLists([KEY_1], []);
+            const coordinator = createMiningCoordinator([]);
+            await coordinator.start();
+            await waitForMining(coordinator);
+
+            await fs.writeFile(path.join(temp.dir, 'pk.txt'), '');
+
+            assert.equal(await coordinator.reload(), null);
+            assert.equal(coordinator.bots.length, 1);
+            assert.equal(coordinator.bots[0].state, 'mining');
+            assert.ok(log.records.some(record => record.level === 'error' && /Reload found no wallets/.test(record.msg)));
+
+            await coordinator.stop();
+        });
+    });
+});
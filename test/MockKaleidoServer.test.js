@@ -0,0 +1,42 @@
+// test/MockKaleidoServer.test.js
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockKaleidoServer } from '../src/mock/MockKaleidoServer.js';
+
+const WALLET = '0x14791697260e4c9a71f18484c9f997b308e59325';
+
+describe('MockKaleidoServer', () => {
+    let server;
+
+    afterEach(async () => {
+        await server?.stop();
+        server = null;
+    });
+
+    it('answers registration checks and balance updates', async () => {
+        server = new MockKaleidoServer({ initialBalance: 2 });
+        const baseUrl = await server.start();
+
+        const check = await fetch(`${baseUrl}/check-registration?wallet=${WALLET}`).then(res => res.json());
+        assert.equal(check.isRegistered, true);
+        assert.equal(check.userData.balance, 2);
+
+        const update = await fetch(`${baseUrl}/update-balance`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ wallet: WALLET, earnings: { session: 0.5 } })
+        }).then(res => res.json());
+        assert.deepEqual(update, { success: true, balance: 2.5 });
+    });
+
+    it('answers 500 when handling a request fails', async () => {
+        server = new MockKaleidoServer({ onHook: () => { throw new Error('boom'); } });
+        const baseUrl = await server.start();
+
+        const response = await fetch(new URL('/hooks/test', baseUrl), { method: 'POST', body: '{}' });
+
+        assert.equal(response.status, 500);
+        // The server keeps serving
+        assert.equal((await fetch(new URL('/health', baseUrl))).status, 200);
+    });
+});
@@ -0,0 +1,218 @@
+// test/Notifier.test.js
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { Notifier } from '../src/notifications/Notifier.js';
+import { MockKaleidoServer } from '../src/mock/MockKaleidoServer.js';
+import { createMemoryLogger } from './helpers.js';
+
+const WALLET = '0x14791697260e4c9a71f18484c9f997b308e59325';
+
+describe('Notifier', () => {
+    let server;
+    let hookUrl;
+    let coordinator;
+    let log;
+    let clock;
+
+    beforeEach(async () => {
+        server = new MockKaleidoServer();
+        const url = await server.start();
+        hookUrl = new URL('/hooks/', url).href;
+        coordinator = new EventEmitter();
+        log = createMemoryLogger();
+        clock = 1_700_000_000_000;
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    const createNotifier = (options = {}) => new Notifier(coordinator, {
+        sinks: [{ type: 'webhook', url: `${hookUrl}webhook` }],
+        throttle: 60_000,
+        now: () => clock,
+        logger: log.logger,
+        ...options
+    });
+
+    const failInitialization = (botIndex = 1, reason = 'Wallet not registered') => coordinator.emit('stateChanged', {
+        wallet: WALLET, botIndex, previousState: 'initializing', state: 'failed', reason
+    });
+
+    const balanceUpdated = (oldBalance, newBalance) => coordinator.emit('balanceUpdated', {
+        wallet: WALLET, botIndex: 1, oldBalance, newBalance, sessionEarnings: newBalance - oldBalance, final: false, status: 200
+    });
+
+    const bodies = () => server.hooks.map(hook => hook.body);
+
+    it('posts a failed initialization to a webhook', async () => {
+        const notifier = createNotifier();
+
+        failInitialization();
+        // A bot failing while mining is not a failed start
+        coordinator.emit('stateChanged', { wallet: WALLET, botIndex: 1, previousState: 'mining', state: 'failed', reason: 'x' });
+        await notifier.flush();
+
+        assert.deepEqual(bodies(), [{
+            event: 'walletFailed',
+            level: 'error',
+            title: 'Wallet 1 failed to start',
+            message: `${WALLET}: Wallet not registered`,
+            wallet: WALLET,
+            botIndex: 1,
+            data: { reason: 'Wallet not registered' },
+            time: new Date(clock).toISOString(),
+            suppressed: 0
+        }]);
+    });
+
+    it('reports repeated update failures once and the recovery after them', async () => {
+        const notifier = createNotifier({ failureThreshold: 2 });
+
+        for (const consecutiveErrors of [1, 2, 3]) {
+            coordinator.emit('updateFailed', { wallet: WALLET, botIndex: 1, error: 'Request failed with status code 503', status: 503, reason: 'server', consecutiveErrors });
+        }
+        balanceUpdated(1, 2);
+        balanceUpdated(2, 3);
+        await notifier.flush();
+
+        assert.deepEqual(bodies().map(body => [body.event, body.title]), [
+            ['updateFailures', 'Wallet 1: 2 balance updates failed in a row'],
+            ['walletRecovered', 'Wallet 1 recovered']
+        ]);
+    });
+
+    it('holds back repeats of an event within the throttle and counts them', async () => {
+        const notifier = createNotifier();
+
+        failInitialization(1);
+        failInitialization(2);
+        failInitialization(3);
+        clock += 60_000;
+        failInitialization(4);
+        await notifier.flush();
+
+        assert.deepEqual(bodies().map(body => [body.botIndex, body.suppressed]), [[1, 0], [4, 2]]);
+    });
+
+    it('never throttles the final summary', async () => {
+        const notifier = createNotifier();
+        const summary = { totalWallets: 2, totalPaid: 1.5, wallets: [], health: { counts: { stopped: 2 } } };
+
+        coordinator.emit('coordinatorSummary', summary);
+        coordinator.emit('coordinatorSummary', summary);
+        await notifier.flush();
+
+        assert.equal(bodies().length, 2);
+        assert.equal(bodies()[0].message, 'Wallets: 2 | Total Paid: 1.50000000 KLDO | Health before stopping: stopped 2');
+    });
+
+    it('notifies when a balance crosses a milestone', async () => {
+        const notifier = createNotifier({ milestoneStep: 10 });
+
+        balanceUpdated(8, 9.5);
+        balanceUpdated(9.5, 21);
+        await notifier.flush();
+
+        assert.deepEqual(bodies().map(body => [body.event, body.data.milestone]), [['balanceMilestone', 20]]);
+    });
+
+    it('names fractional milestones without float noise', async () => {
+        const notifier = createNotifier({ milestoneStep: 0.1 });
+
+        balanceUpdated(0.29, 0.31);
+        await notifier.flush();
+
+        assert.equal(bodies()[0].title, 'Wallet 1 passed 0.3 KLDO');
+    });
+
+    it('names the wallets paused for a quarantined proxy', async () => {
+        const notifier = createNotifier();
+
+        coordinator.emit('proxyQuarantined', { proxy: '10.0.0.1:8080', reason: '5 connection errors in a row', wallets: [{ wallet: WALLET, botIndex: 2 }] });
+        await notifier.flush();
+
+        assert.equal(bodies()[0].title, 'Proxy 10.0.0.1:8080 quarantined');
+        assert.equal(bodies()[0].message, `5 connection errors in a row\nPaused wallets: 2 (${WALLET})`);
+    });
+
+    it('only sends the configured events', async () => {
+        const notifier = createNotifier({ events: ['summary'] });
+
+        failInitialization();
+        await notifier.flush();
+
+        assert.equal(server.hooks.length, 0);
+    });
+
+    it('formats Discord and Telegram messages', async () => {
+        const notifier = createNotifier({
+            sinks: [
+                { type: 'discord', url: `${hookUrl}discord` },
+                { type: 'telegram', token: '123:abc', chatId: '-100', apiUrl: `${hookUrl}telegram` }
+            ]
+        });
+
+        failInitialization(1);
+        clock += 60_000;
+        failInitialization(2);
+        failInitialization(3);
+        clock += 60_000;
+        failInitialization(4);
+        await notifier.flush();
+
+        const discord = server.hooks.filter(hook => hook.path === '/hooks/discord').map(hook => hook.body);
+        const telegram = server.hooks.filter(hook => hook.path === '/hooks/telegram/bot123:abc/sendMessage').map(hook => hook.body);
+        assert.equal(discord.length, 3);
+        assert.deepEqual(discord[0], {
+            username: 'Kaleido Miner',
+            embeds: [{
+                title: 'Wallet 1 failed to start',
+                description: `${WALLET}: Wallet not registered`,
+                color: 0xe74c3c,
+                timestamp: new Date(1_700_000_000_000).toISOString()
+            }]
+        });
+        assert.equal(telegram.length, 3);
+        assert.deepEqual(telegram[2], {
+            chat_id: '-100',
+            text: `Wallet 4 failed to start\n${WALLET}: Wallet not registered\n(1 similar notification held back)`,
+            disable_web_page_preview: true
+        });
+    });
+
+    it('reports referral bonus changes and wallets that are no longer registered', async () => {
+        const notifier = createNotifier({ throttle: 0 });
+        const registrationChanged = (registered, referralBonus) => coordinator.emit('registrationChanged', {
+            wallet: WALLET, botIndex: 2, registered, previousReferralBonus: 0.05, referralBonus, userData: null
+        });
+
+        registrationChanged(true, 0.1);
+        registrationChanged(false, 0.05);
+        await notifier.flush();
+
+        assert.deepEqual(bodies().map(body => [body.event, body.level, body.title, body.message]), [
+            ['registrationChanged', 'info', 'Wallet 2: referral bonus now +10.0%', `${WALLET}: referral bonus changed from +5.0% to +10.0%`],
+            ['registrationChanged', 'error', 'Wallet 2 is no longer registered', `${WALLET}: mining stopped`]
+        ]);
+    });
+
+    it('logs sink failures without throwing', async () => {
+        const notifier = createNotifier({ sinks: [{ type: 'webhook', url: 'http://127.0.0.1:1/unreachable' }] });
+
+        failInitialization();
+        await notifier.flush();
+
+        assert.ok(log.records.some(record => record.level === 'warn' && /Notification to webhook failed/.test(record.msg)));
+    });
+
+    it('stops listening on stop()', () => {
+        const notifier = createNotifier();
+
+        notifier.stop();
+
+        assert.equal(coordinator.listenerCount('stateChanged'), 0);
+        assert.equal(coordinator.listenerCount('coordinatorSummary'), 0);
+    });
+});
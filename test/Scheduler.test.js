@@ -0,0 +1,155 @@
+// test/Scheduler.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scheduler } from '../src/services/Scheduler.js';
+import { createMemoryLogger, flushPromises } from './helpers.js';
+
+describe('Scheduler', () => {
+    let log;
+
+    beforeEach(() => {
+        log = createMemoryLogger();
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_700_000_000_000 });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    const createScheduler = (options = {}) => new Scheduler({
+        concurrency: 2,
+        requestsPerSecond: 0,
+        tickResolution: 100,
+        logger: log.logger,
+        ...options
+    });
+
+    // A request that stays in flight until its resolve function is called
+    const deferred = () => {
+        let resolve;
+        const promise = new Promise(res => { resolve = res; });
+        return { promise, resolve };
+    };
+
+    describe('run', () => {
+        it('keeps at most `concurrency` requests in flight', async () => {
+            const scheduler = createScheduler();
+            const requests = [deferred(), deferred(), deferred()];
+            const started = [];
+
+            const results = requests.map((request, i) => scheduler.run(() => {
+                started.push(i);
+                return request.promise;
+            }));
+            await flushPromises();
+            assert.deepEqual(started, [0, 1]);
+            assert.deepEqual(scheduler.getStats(), { active: 2, queued: 1, timers: 0 });
+
+            requests[1].resolve('b');
+            await flushPromises();
+            assert.deepEqual(started, [0, 1, 2]);
+
+            requests[0].resolve('a');
+            requests[2].resolve('c');
+            assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+            assert.equal(scheduler.getStats().active, 0);
+        });
+
+        it('frees the slot when a request fails', async () => {
+            const scheduler = createScheduler({ concurrency: 1 });
+
+            await assert.rejects(scheduler.run(async () => { throw new Error('boom'); }), /boom/);
+            assert.equal(await scheduler.run(async () => 'next'), 'next');
+        });
+
+        it('caps the request rate after a burst', async () => {
+            const scheduler = createScheduler({ concurrency: 10, requestsPerSecond: 2 });
+            const started = [];
+
+            for (let i = 0; i < 5; i++) {
+                scheduler.run(async () => started.push(i));
+            }
+            await flushPromises();
+            // The bucket starts with one second's worth of tokens
+            assert.deepEqual(started, [0, 1]);
+
+            mock.timers.tick(499);
+            await flushPromises();
+            assert.deepEqual(started, [0, 1]);
+
+            mock.timers.tick(1);
+            await flushPromises();
+            assert.deepEqual(started, [0, 1, 2]);
+
+            // Then one request every 500ms
+            mock.timers.tick(500);
+            await flushPromises();
+            assert.deepEqual(started, [0, 1, 2, 3]);
+            mock.timers.tick(500);
+            await flushPromises();
+            assert.deepEqual(started, [0, 1, 2, 3, 4]);
+        });
+    });
+
+    describe('timers', () => {
+        it('fires callbacks in order with a single underlying timer', () => {
+            const scheduler = createScheduler();
+            const timeout = mock.method(globalThis, 'setTimeout');
+            const fired = [];
+
+            scheduler.schedule('b', 300, () => fired.push('b'));
+            scheduler.schedule('a', 100, () => fired.push('a'));
+            scheduler.schedule('c', 250, () => fired.push('c'));
+
+            mock.timers.tick(100);
+            assert.deepEqual(fired, ['a']);
+            mock.timers.tick(200);
+            // 250 rounds up to the 300 slot and fires with b
+            assert.deepEqual(fired.sort(), ['a', 'b', 'c']);
+            assert.equal(scheduler.getStats().timers, 0);
+            // Armed for b, moved earlier for a, then re-armed once for the 300 slot
+            assert.equal(timeout.mock.callCount(), 3);
+        });
+
+        it('replaces and cancels timers by id', () => {
+            const scheduler = createScheduler();
+            const fired = [];
+
+            scheduler.schedule('bot', 100, () => fired.push('first'));
+            scheduler.schedule('bot', 500, () => fired.push('second'));
+            scheduler.schedule('other', 200, () => fired.push('other'));
+            assert.equal(scheduler.cancel('other'), true);
+            assert.equal(scheduler.cancel('other'), false);
+
+            mock.timers.tick(1000);
+            assert.deepEqual(fired, ['second']);
+        });
+
+        it('logs a failing callback and keeps going', async () => {
+            const scheduler = createScheduler();
+            const fired = [];
+
+            scheduler.schedule('bad', 100, async () => { throw new Error('boom'); });
+            scheduler.schedule('good', 100, () => fired.push('good'));
+            mock.timers.tick(100);
+            await flushPromises();
+
+            assert.deepEqual(fired, ['good']);
+            assert.ok(log.records.some(record => record.level === 'error' && /Scheduled task failed: boom/.test(record.msg)));
+        });
+
+        it('drops every timer on cancelAll', () => {
+            const scheduler = createScheduler();
+            const fired = [];
+
+            scheduler.schedule('a', 100, () => fired.push('a'));
+            scheduler.schedule('b', 200, () => fired.push('b'));
+            scheduler.cancelAll();
+            mock.timers.tick(1000);
+
+            assert.deepEqual(fired, []);
+            assert.equal(scheduler.getStats().timers, 0);
+        });
+    });
+});
@@ -0,0 +1,138 @@
+// test/SqliteSessionStore.test.js
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { SqliteSessionStore } from '../src/storage/SqliteSessionStore.js';
+import { createSessionStore } from '../src/storage/index.js';
+import { SESSION_VERSION } from '../src/storage/sessionFormat.js';
+import { createTempDir, createTestConfig, createMemoryLogger } from './helpers.js';
+
+const WALLET = '0x14791697260E4c9A71f18484C9f997B308e59325';
+const KEY = WALLET.toLowerCase();
+
+// better-sqlite3 is an optional dependency
+const hasSqlite = await import('better-sqlite3').then(() => true, () => false);
+
+describe('SqliteSessionStore', { skip: !hasSqlite && 'better-sqlite3 is not installed' }, () => {
+    let temp;
+    let log;
+    let store;
+
+    beforeEach(async () => {
+        temp = await createTempDir();
+        log = createMemoryLogger();
+        store = new SqliteSessionStore(path.join(temp.dir, 'db', 'kaleido.db'), { logger: log.logger });
+    });
+
+    afterEach(async () => {
+        await store.close();
+        await temp.cleanup();
+    });
+
+    it('round-trips a session and builds its history from recorded updates', async () => {
+        await store.save(WALLET, { startTime: 1, lastUpdate: null, earnings: { total: 2 }, referralBonus: 0.1, history: [{ ignored: true }] });
+        await store.recordUpdate(WALLET, { time: '2024-01-01T00:00:00.000Z', balance: 1.5, earned: 1.5 });
+        await store.recordUpdate(WALLET, { time: '2024-01-01T00:01:00.000Z', balance: 2, earned: 0.5, final: true });
+
+        const loaded = await store.load(WALLET);
+
+        assert.equal(loaded.version, SESSION_VERSION);
+        assert.equal(loaded.wallet, KEY);
+        assert.deepEqual(loaded.earnings, { total: 2 });
+        assert.deepEqual(loaded.history, [
+            { time: '2024-01-01T00:00:00.000Z', balance: 1.5, earned: 1.5 },
+            { time: '2024-01-01T00:01:00.000Z', balance: 2, earned: 0.5 }
+        ]);
+        const finals = store.db.prepare('SELECT final FROM balance_updates ORDER BY id').all().map(row => row.final);
+        assert.deepEqual(finals, [0, 1]);
+    });
+
+    it('lists balance updates in a time range', async () => {
+        await store.recordUpdate(WALLET, { time: '2024-01-01T00:00:00.000Z', balance: 1.5, earned: 1.5, elapsed: 60_000, referralBonus: 0.1 });
+        await store.recordUpdate(WALLET, { time: '2024-01-02T00:00:00.000Z', balance: 2, earned: 0.5, final: true });
+
+        assert.deepEqual(await store.listUpdates({ from: '2024-01-01T12:00:00.000Z' }), [
+            { wallet: KEY, time: '2024-01-02T00:00:00.000Z', balance: 2, earned: 0.5, elapsed: null, referralBonus: null, final: true }
+        ]);
+        assert.equal((await store.listUpdates()).length, 2);
+    });
+
+    it('adds the newer balance update columns to an existing database', async () => {
+        const { default: Database } = await import('better-sqlite3');
+        const file = path.join(temp.dir, 'old.db');
+        const old = new Database(file);
+        old.exec('CREATE TABLE balance_updates (id INTEGER PRIMARY KEY AUTOINCREMENT, wallet TEXT NOT NULL, time TEXT NOT NULL, balance REAL NOT NULL, earned REAL NOT NULL, final INTEGER NOT NULL DEFAULT 0)');
+        old.prepare("INSERT INTO balance_updates (wallet, time, balance, earned) VALUES (?, '2024-01-01T00:00:00.000Z', 1, 1)").run(KEY);
+        old.close();
+        const upgraded = new SqliteSessionStore(file);
+
+        try {
+            await upgraded.recordUpdate(WALLET, { time: '2024-01-02T00:00:00.000Z', balance: 2, earned: 1, elapsed: 1000, referralBonus: 0 });
+            assert.deepEqual((await upgraded.listUpdates()).map(update => update.elapsed), [null, 1000]);
+        } finally {
+            await upgraded.close();
+        }
+    });
+
+    it('reads a database without changing it', async () => {
+        const { default: Database } = await import('better-sqlite3');
+        const file = path.join(temp.dir, 'live.db');
+        const old = new Database(file);
+        old.exec('CREATE TABLE balance_updates (id INTEGER PRIMARY KEY AUTOINCREMENT, wallet TEXT NOT NULL, time TEXT NOT NULL, balance REAL NOT NULL, earned REAL NOT NULL, final INTEGER NOT NULL DEFAULT 0)');
+        old.prepare("INSERT INTO balance_updates (wallet, time, balance, earned) VALUES (?, '2024-01-01T00:00:00.000Z', 1, 1)").run(KEY);
+        old.close();
+        const reader = new SqliteSessionStore(file);
+
+        try {
+            assert.deepEqual(await reader.listUpdates(), [
+                { wallet: KEY, time: '2024-01-01T00:00:00.000Z', balance: 1, earned: 1, elapsed: null, referralBonus: null, final: false }
+            ]);
+            assert.deepEqual(await reader.list(), []);
+        } finally {
+            await reader.close();
+        }
+
+        const db = new Database(file, { readonly: true });
+        try {
+            assert.equal(db.pragma('journal_mode', { simple: true }), 'delete');
+            assert.deepEqual(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").all().map(row => row.name), ['balance_updates']);
+            assert.equal(db.prepare('PRAGMA table_info(balance_updates)').all().length, 6);
+        } finally {
+            db.close();
+        }
+    });
+
+    it('returns null for an unknown wallet and sets corrupt rows aside', async () => {
+        assert.equal(await store.load(WALLET), null);
+
+        await store.open();
+        store.db.prepare("INSERT INTO sessions (wallet, version, data, updated_at) VALUES (?, 2, '{\"version\":2}', '')").run(KEY);
+
+        assert.equal(await store.load(WALLET), null);
+        assert.equal(await store.load(WALLET), null);
+        assert.ok(log.records.some(record => record.level === 'warn' && /Corrupt session/.test(record.msg)));
+        assert.deepEqual(await store.list(), []);
+    });
+
+    it('lists sessions and reports a missing database as empty', async () => {
+        const missing = new SqliteSessionStore(path.join(temp.dir, 'none.db'));
+        assert.deepEqual(await missing.list(), []);
+
+        await store.save(WALLET, { startTime: 1, earnings: { total: 4 }, referralBonus: 0 });
+        const entries = await store.list();
+        // As `status` sees the database of a running miner
+        const offline = new SqliteSessionStore(store.file);
+        const offlineEntries = await offline.list().finally(() => offline.close());
+
+        assert.deepEqual(entries.map(entry => [entry.wallet, entry.session.earnings.total]), [[KEY, 4]]);
+        assert.deepEqual(offlineEntries.map(entry => entry.wallet), [KEY]);
+    });
+
+    it('is selected by storage.backend', async () => {
+        const config = createTestConfig(temp.dir);
+        const sqlite = createSessionStore({ ...config, storage: { ...config.storage, backend: 'sqlite' } });
+
+        assert.ok(sqlite instanceof SqliteSessionStore);
+        assert.equal(sqlite.file, path.join(temp.dir, 'session', 'kaleido.db'));
+    });
+});
@@ -0,0 +1,197 @@
+// test/WalletSupervisor.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { KaleidoMiningBot } from '../src/services/KaleidoMiningBot.js';
+import { WalletSupervisor } from '../src/services/WalletSupervisor.js';
+import { createTempDir, createTestConfig, createFakeHttp, createMemoryLogger, httpError, flushPromises } from './helpers.js';
+
+const WALLET = '0x14791697260E4c9A71f18484C9f997B308e59325';
+
+describe('WalletSupervisor', () => {
+    let temp;
+    let log;
+
+    beforeEach(async () => {
+        temp = await createTempDir();
+        log = createMemoryLogger();
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_700_000_000_000 });
+    });
+
+    afterEach(async () => {
+        mock.timers.reset();
+        await temp.cleanup();
+    });
+
+    const createSupervisor = (options = {}) => new WalletSupervisor({
+        restartDelay: 1000,
+        restartMaxDelay: 4000,
+        maxRestarts: 3,
+        logger: log.logger,
+        ...options
+    });
+
+    const createBot = handlers => {
+        const bot = new KaleidoMiningBot(WALLET, 1, null, {
+            config: createTestConfig(temp.dir, { retryAttempts: 1 }),
+            http: createFakeHttp(handlers),
+            logger: log.logger
+        });
+        // Keep initialize() from entering the mining loop
+        bot.startMiningLoop = async () => {};
+        return bot;
+    };
+
+    it('restarts a transient failure with a growing delay until it mines', async () => {
+        let checks = 0;
+        const bot = createBot({
+            'GET /check-registration': () => {
+                if (++checks < 3) throw httpError(503);
+                return { isRegistered: true, userData: { balance: 1 } };
+            }
+        });
+        const supervisor = createSupervisor();
+        supervisor.watch(bot);
+        const scheduled = [];
+        supervisor.on('restartScheduled', event => scheduled.push([event.attempt, event.delay]));
+
+        await bot.initialize();
+        assert.equal(supervisor.getHealthReport().wallets[0].health, 'restarting');
+        assert.equal(supervisor.getHealthReport().wallets[0].nextRestartAt, Date.now() + 1000);
+
+        mock.timers.tick(1000);
+        await flushPromises();
+        assert.equal(checks, 2);
+
+        mock.timers.tick(1999);
+        await flushPromises();
+        assert.equal(checks, 2);
+        const initialized = once(bot, 'initialized');
+        mock.timers.tick(1);
+        await initialized;
+
+        assert.equal(checks, 3);
+        assert.equal(bot.state, 'mining');
+        assert.deepEqual(scheduled, [[1, 1000], [2, 2000]]);
+        assert.deepEqual(supervisor.getHealthReport().counts, { healthy: 1 });
+    });
+
+    it('replaces a pending restart when the bot fails again', async () => {
+        let checks = 0;
+        const bot = createBot({
+            'GET /check-registration': () => {
+                checks++;
+                throw httpError(503);
+            }
+        });
+        const supervisor = createSupervisor();
+        supervisor.watch(bot);
+
+        await bot.initialize();
+        // Started by hand before the scheduled restart
+        await bot.initialize();
+        assert.equal(checks, 2);
+        assert.equal(supervisor.getHealthReport().wallets[0].nextRestartAt, Date.now() + 2000);
+
+        mock.timers.tick(1000);
+        await flushPromises();
+        assert.equal(checks, 2);
+
+        mock.timers.tick(1000);
+        await flushPromises();
+        assert.equal(checks, 3);
+    });
+
+    it('gives up at once on a permanent failure', async () => {
+        const bot = createBot({
+            'GET /check-registration': () => ({ isRegistered: false })
+        });
+        const supervisor = createSupervisor();
+        supervisor.watch(bot);
+        const gaveUp = [];
+        supervisor.on('walletGaveUp', event => gaveUp.push(event));
+
+        await bot.initialize();
+
+        assert.deepEqual(gaveUp.map(event => [event.reason, event.permanent, event.restarts]), [['Wallet not registered', true, 0]]);
+        const [wallet] = supervisor.getHealthReport().wallets;
+        assert.equal(wallet.health, 'dead');
+        assert.equal(wallet.permanent, true);
+        assert.equal(wallet.nextRestartAt, null);
+    });
+
+    it('treats client errors as permanent', async () => {
+        const bot = createBot({
+            'GET /check-registration': () => {
+                throw httpError(400, { error: 'Invalid wallet' });
+            }
+        });
+        const supervisor = createSupervisor();
+        supervisor.watch(bot);
+
+        await bot.initialize();
+
+        assert.equal(bot.failure.permanent, true);
+        assert.equal(supervisor.getHealthReport().wallets[0].health, 'dead');
+    });
+
+    it('gives up after the maximum number of restarts', async () => {
+        const bot = createBot({
+            'GET /check-registration': () => {
+                throw httpError(503);
+            }
+        });
+        const supervisor = createSupervisor({ maxRestarts: 2 });
+        supervisor.watch(bot);
+        const gaveUp = [];
+        supervisor.on('walletGaveUp', event => gaveUp.push(event));
+
+        await bot.initialize();
+        for (const delay of [1000, 2000]) {
+            mock.timers.tick(delay);
+            await flushPromises();
+        }
+
+        assert.deepEqual(gaveUp.map(event => [event.permanent, event.restarts]), [[false, 2]]);
+        const [wallet] = supervisor.getHealthReport().wallets;
+        assert.equal(wallet.health, 'dead');
+        assert.equal(wallet.permanent, false);
+        assert.equal(wallet.lastError, 'Request failed with status code 503');
+    });
+
+    it('cancels pending restarts when stopped', async () => {
+        let checks = 0;
+        const bot = createBot({
+            'GET /check-registration': () => {
+                checks++;
+                throw httpError(503);
+            }
+        });
+        const supervisor = createSupervisor();
+        supervisor.watch(bot);
+
+        await bot.initialize();
+        supervisor.stop();
+        mock.timers.tick(10_000);
+        await flushPromises();
+
+        assert.equal(checks, 1);
+        assert.equal(supervisor.getHealthReport().wallets[0].nextRestartAt, null);
+    });
+
+    it('logs a summary line and the wallets that need attention', async () => {
+        const bot = createBot({
+            'GET /check-registration': () => ({ isRegistered: false })
+        });
+        const supervisor = createSupervisor();
+        supervisor.watch(bot);
+        await bot.initialize();
+
+        supervisor.logHealthReport();
+
+        const lines = log.records.filter(record => record.operation === 'health');
+        assert.match(lines[0].msg, /Fleet Health === Wallets: 1 \| dead 1/);
+        assert.equal(lines[1].msg, 'dead: permanent failure | Wallet not registered');
+        assert.equal(lines[1].wallet, WALLET.toLowerCase());
+    });
+});
@@ -0,0 +1,121 @@
+// test/cli.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs/promises';
+import path from 'path';
+import { runCli, parseWalletSelectors, parseReportDate, UsageError } from '../src/cli/cli.js';
+import { checkCommand } from '../src/cli/checkCommand.js';
+import { MockKaleidoServer } from '../src/mock/MockKaleidoServer.js';
+import { EXIT_CODES } from '../src/config/constants.js';
+import { createTempDir, createTestConfig } from './helpers.js';
+
+const KEY_1 = '0x0123456789012345678901234567890123456789012345678901234567890123';
+const KEY_2 = '1123456789012345678901234567890123456789012345678901234567890123';
+const WALLET_1 = '0x14791697260e4c9a71f18484c9f997b308e59325';
+const WALLET_2 = '0xed2ff3513c0f08c3ff181b1732745e256c97ce13';
+
+describe('checkCommand', () => {
+    let temp;
+    let server;
+    let output;
+
+    beforeEach(async () => {
+        temp = await createTempDir();
+        server = new MockKaleidoServer({ registerAll: false });
+        output = [];
+        mock.method(console, 'log', text => output.push(text));
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await server.stop();
+        await temp.cleanup();
+    });
+
+    it('checks the registration of each wallet without writing sessions', async () => {
+        await fs.writeFile(path.join(temp.dir, 'pk.txt'), `${KEY_1}\n${KEY_2}\n`);
+        server.registerWallet(WALLET_1, { balance: 3, referralBonus: 0.1 });
+        server.unregisterWallet(WALLET_2);
+        const defaults = createTestConfig(temp.dir);
+        const config = { ...defaults, api: { ...defaults.api, baseUrl: await server.start() } };
+
+        const code = await checkCommand({ json: true }, config);
+
+        assert.equal(code, EXIT_CODES.PARTIAL);
+        assert.deepEqual(JSON.parse(output[0]).map(result => [result.wallet.toLowerCase(), result.registered, result.balance, result.error]), [
+            [WALLET_1, true, 3, null],
+            [WALLET_2, false, null, null]
+        ]);
+        await assert.rejects(fs.access(config.storage.dir), { code: 'ENOENT' });
+    });
+});
+
+describe('parseWalletSelectors', () => {
+    it('expands indexes, ranges, addresses, labels and groups', () => {
+        assert.deepEqual(parseWalletSelectors(`1, 3-5,${WALLET_1},rig-1`, 'team-a,qa'), [
+            1, 3, 4, 5, WALLET_1, 'rig-1', 'group:team-a', 'group:qa'
+        ]);
+        assert.deepEqual(parseWalletSelectors(undefined, 'qa'), []);
+    });
+
+    it('rejects selectors it does not understand', () => {
+        assert.throws(() => parseWalletSelectors('0x12'), UsageError);
+        assert.throws(() => parseWalletSelectors('rig 1'), /Invalid wallet selector "rig 1"/);
+        assert.throws(() => parseWalletSelectors('1', 'team a'), /Invalid group "team a"/);
+    });
+});
+
+describe('parseReportDate', () => {
+    it('reads dates as UTC and includes the whole day for --to', () => {
+        assert.equal(parseReportDate('2024-05-01', 'from'), '2024-05-01T00:00:00.000Z');
+        assert.equal(parseReportDate('2024-05-01', 'to', true), '2024-05-02T00:00:00.000Z');
+        assert.equal(parseReportDate('2024-05-01T12:00:00Z', 'to', true), '2024-05-01T12:00:00.000Z');
+        assert.equal(parseReportDate(undefined, 'from'), null);
+    });
+
+    it('rejects other formats', () => {
+        assert.throws(() => parseReportDate('yesterday', 'from'), /Invalid --from "yesterday"/);
+        assert.throws(() => parseReportDate('05/01/2024', 'to'), UsageError);
+    });
+});
+
+describe('runCli', () => {
+    let temp;
+    let configPath;
+    let errors;
+
+    beforeEach(async () => {
+        temp = await createTempDir();
+        configPath = path.join(temp.dir, 'kaleido.config.json');
+        await fs.writeFile(configPath, JSON.stringify({ storage: { dir: 'session' } }));
+        errors = [];
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', text => errors.push(text));
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await temp.cleanup();
+    });
+
+    it('prints the usage for --help', async () => {
+        assert.equal(await runCli(['--help']), EXIT_CODES.SUCCESS);
+    });
+
+    it('returns the usage exit code for invalid flags and selectors', async () => {
+        assert.equal(await runCli(['check', '--no-such-flag']), EXIT_CODES.USAGE);
+        assert.equal(await runCli(['check', '--wallets', '1,?']), EXIT_CODES.USAGE);
+        assert.equal(await runCli(['report', '--from', '2024-05-02', '--to', '2024-05-01']), EXIT_CODES.USAGE);
+        assert.equal(await runCli(['report', '--format', 'xml']), EXIT_CODES.USAGE);
+        assert.equal(await runCli(['check', '--set', 'mining.updateInterval']), EXIT_CODES.USAGE);
+    });
+
+    it('returns the usage exit code for an invalid config or command', async () => {
+        assert.equal(await runCli(['status', '-c', configPath, '--set', 'mining.updateInterval=often']), EXIT_CODES.USAGE);
+        assert.ok(errors.some(text => text.includes('(from command line)')));
+
+        assert.equal(await runCli(['mine', '-c', configPath]), EXIT_CODES.USAGE);
+        assert.ok(errors.some(text => text.includes('Unknown command "mine"')));
+    });
+});
@@ -0,0 +1,225 @@
+// test/configLoader.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs/promises';
+import path from 'path';
+import {
+    loadConfig,
+    createConfig,
+    configFromEnv,
+    coerceValue,
+    setPath,
+    mergeConfig,
+    resolveWalletConfig,
+    ConfigError
+} from '../src/config/configLoader.js';
+import { overridesFromFlags, UsageError } from '../src/cli/cli.js';
+import { MiningCoordinator } from '../src/services/MiningCoordinator.js';
+import { createTempDir, createFakeHttp, createMemoryLogger } from './helpers.js';
+
+const KEY_1 = '0x0123456789012345678901234567890123456789012345678901234567890123';
+
+describe('loadConfig', () => {
+    let temp;
+    let configPath;
+
+    beforeEach(async () => {
+        temp = await createTempDir();
+        configPath = path.join(temp.dir, 'kaleido.config.json');
+    });
+
+    afterEach(async () => {
+        await temp.cleanup();
+    });
+
+    async function writeConfig(config) {
+        await fs.writeFile(configPath, JSON.stringify(config));
+    }
+
+    it('applies the file, then the environment, then the command line', async () => {
+        await writeConfig({ mining: { updateInterval: 20000, retryAttempts: 4, retryDelay: 3000 } });
+
+        const config = await loadConfig({
+            configPath,
+            env: { KALEIDO_RETRY_ATTEMPTS: '6', KALEIDO_RETRY_DELAY: '4000' },
+            overrides: { mining: { retryDelay: 5000 } }
+        });
+
+        assert.equal(config.mining.updateInterval, 20000);
+        assert.equal(config.mining.retryAttempts, 6);
+        assert.equal(config.mining.retryDelay, 5000);
+        assert.equal(config.configFile, configPath);
+    });
+
+    it('reads the config file from KALEIDO_CONFIG', async () => {
+        await writeConfig({ mining: { updateInterval: 45000 } });
+
+        const config = await loadConfig({ env: { KALEIDO_CONFIG: configPath } });
+
+        assert.equal(config.mining.updateInterval, 45000);
+    });
+
+    it('coerces environment variables to the schema types', async () => {
+        await writeConfig({});
+
+        const config = await loadConfig({
+            configPath,
+            env: { KALEIDO_UPDATE_INTERVAL: '60000', KALEIDO_CONTROL_ENABLED: 'yes', KALEIDO_METRICS_ENABLED: 'off' }
+        });
+
+        assert.equal(config.mining.updateInterval, 60000);
+        assert.equal(config.control.enabled, true);
+        assert.equal(config.metrics.enabled, false);
+    });
+
+    it('names the source of each invalid setting', async () => {
+        await writeConfig({ mining: { updateInterval: 'often' } });
+
+        await assert.rejects(
+            loadConfig({ configPath, env: { KALEIDO_RETRY_ATTEMPTS: 'many' }, overrides: { api: { timeout: 0 } } }),
+            error => {
+                assert.ok(error instanceof ConfigError);
+                assert.deepEqual(error.errors, [
+                    `config.mining.updateInterval: expected integer, got string (from ${configPath})`,
+                    'config.mining.retryAttempts: expected integer, got string (from environment)',
+                    'config.api.timeout: must be >= 1 (from command line)'
+                ]);
+                return true;
+            }
+        );
+    });
+
+    it('rejects unknown profiles and duplicate labels', async () => {
+        await writeConfig({ profile: 'staging', wallets: [{ index: 1, label: 'rig-1' }, { index: 2, label: 'RIG-1' }] });
+
+        await assert.rejects(loadConfig({ configPath, env: {} }), error => {
+            assert.match(error.errors[0], /^profile "staging" is not defined; known profiles: /);
+            assert.equal(error.errors[1], 'label "rig-1" is used by more than one wallet');
+            return true;
+        });
+    });
+
+    it('resolves relative paths against the config file directory', async () => {
+        await writeConfig({ files: { privateKeys: 'keys/pk.txt' }, storage: { dir: 'data' } });
+
+        const config = await loadConfig({ configPath, env: {} });
+
+        assert.equal(config.files.privateKeys, path.join(temp.dir, 'keys', 'pk.txt'));
+        assert.equal(config.storage.root, path.join(temp.dir, 'data'));
+    });
+
+    it('accepts null to disable the PID lock and health file', async () => {
+        await writeConfig({ lifecycle: { lockFile: null, healthFile: null } });
+        await fs.writeFile(path.join(temp.dir, 'pk.txt'), `${KEY_1}\n`);
+        mock.method(console, 'log', () => {});
+
+        const config = await loadConfig({ configPath, env: {} });
+        assert.equal(config.lifecycle.lockFile, null);
+        assert.equal(config.lifecycle.healthFile, null);
+
+        const coordinator = new MiningCoordinator({
+            config,
+            createHttpClient: () => createFakeHttp({
+                'GET /check-registration': () => ({ isRegistered: true, userData: { balance: 1, referralBonus: 0 } }),
+                'POST /update-balance': () => ({ success: true, balance: 2 })
+            }),
+            logger: createMemoryLogger().logger
+        });
+        try {
+            await coordinator.start();
+            assert.equal(coordinator.lock, null);
+            await assert.rejects(fs.access(path.join(config.storage.root, 'kaleido.pid')), { code: 'ENOENT' });
+        } finally {
+            await coordinator.stop();
+            mock.restoreAll();
+        }
+    });
+
+    it('accepts null to skip proxy health checks', async () => {
+        await writeConfig({ proxy: { checkUrl: null } });
+
+        const config = await loadConfig({ configPath, env: {} });
+
+        assert.equal(config.proxy.checkUrl, null);
+        await writeConfig({ proxy: { checkUrl: 'not a url' } });
+        await assert.rejects(loadConfig({ configPath, env: {} }), /config\.proxy\.checkUrl: must be a valid URL/);
+    });
+
+    it('accepts null for a generated control token and no allowed origin', async () => {
+        await writeConfig({ control: { token: null, allowOrigin: null } });
+
+        const config = await loadConfig({ configPath, env: {} });
+
+        assert.equal(config.control.token, null);
+        assert.equal(config.control.allowOrigin, null);
+        await writeConfig({ control: { token: 'short' } });
+        await assert.rejects(loadConfig({ configPath, env: {} }), /config\.control\.token: must be at least 16 characters/);
+    });
+
+    it('reports a missing config file', async () => {
+        await assert.rejects(loadConfig({ configPath, env: {} }), /Cannot read config file/);
+    });
+});
+
+describe('config helpers', () => {
+    it('coerces values by the schema type of their path', () => {
+        assert.equal(coerceValue('mining.updateInterval', '6e4'), 60000);
+        assert.equal(coerceValue('control.enabled', 'on'), true);
+        assert.equal(coerceValue('control.enabled', '0'), false);
+        assert.equal(coerceValue('control.enabled', 'maybe'), 'maybe');
+        assert.equal(coerceValue('mining.updateInterval', 'soon'), 'soon');
+        assert.equal(coerceValue('api.baseUrl', '1'), '1');
+    });
+
+    it('maps environment variables to config paths', () => {
+        assert.deepEqual(configFromEnv({ KALEIDO_API_TIMEOUT: '5000', KALEIDO_LOG_LEVEL: 'debug', OTHER: 'x' }), {
+            api: { timeout: 5000 },
+            logging: { level: 'debug' }
+        });
+    });
+
+    it('sets nested paths and merges objects, replacing arrays', () => {
+        const target = {};
+        setPath(target, 'mining.updateInterval', 1000);
+        assert.deepEqual(target, { mining: { updateInterval: 1000 } });
+
+        const merged = mergeConfig({ a: { b: 1, c: 2 }, list: [1, 2] }, { a: { c: 3 }, list: [4] });
+        assert.deepEqual(merged, { a: { b: 1, c: 3 }, list: [4] });
+    });
+
+    it('parses --set, --profile and --verbose into overrides', () => {
+        const overrides = overridesFromFlags({
+            set: ['mining.updateInterval=60000', 'api.baseUrl=http://host/?a=b'],
+            profile: 'testnet',
+            verbose: true
+        });
+
+        assert.deepEqual(overrides, {
+            mining: { updateInterval: 60000 },
+            api: { baseUrl: 'http://host/?a=b' },
+            profile: 'testnet',
+            logging: { level: 'debug' }
+        });
+        assert.throws(() => overridesFromFlags({ set: ['mining.updateInterval'] }), UsageError);
+    });
+
+    it('validates settings passed to createConfig', () => {
+        assert.throws(() => createConfig({ mining: { updateInterval: -5 } }), ConfigError);
+    });
+
+    it('applies the profile of a wallet group', () => {
+        const config = createConfig({
+            groups: { qa: { profile: 'testnet' } },
+            wallets: [{ index: 2, label: 'rig-2', group: 'qa', updateInterval: 90000 }]
+        });
+
+        const wallet = resolveWalletConfig(config, '0xabc', 2);
+
+        assert.equal(wallet.label, 'rig-2');
+        assert.equal(wallet.group, 'qa');
+        assert.equal(wallet.disabled, false);
+        assert.equal(wallet.api.baseUrl, config.profiles.testnet.api.baseUrl);
+        assert.equal(wallet.mining.updateInterval, 90000);
+        assert.equal(resolveWalletConfig(config, '0xdef', 1).label, null);
+    });
+});
@@ -0,0 +1,68 @@
+// test/cron.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronMatch, nextCronMiss, nextMinute, CronError } from '../src/utils/cron.js';
+
+// Local time, as cron windows are; 2024-01-01 is a Monday
+const at = (day, hour, minute = 0, second = 0) => new Date(2024, 0, day, hour, minute, second).getTime();
+
+describe('parseCron', () => {
+    it('matches minutes by minute, hour, day, month and weekday', () => {
+        const workHours = parseCron('* 9-16 * * 1-5');
+        assert.equal(workHours.matches(new Date(at(1, 9))), true);
+        assert.equal(workHours.matches(new Date(at(1, 16, 59))), true);
+        assert.equal(workHours.matches(new Date(at(1, 17))), false);
+        assert.equal(workHours.matches(new Date(at(6, 10))), false);
+
+        const quarters = parseCron('*/15 0,12 1-7/3 1 7');
+        assert.equal(quarters.matches(new Date(at(7, 12, 45))), true);
+        assert.equal(quarters.matches(new Date(at(7, 12, 40))), false);
+        // Either day field matches when both are restricted: the 1st (a Monday) and the 7th (a Sunday)
+        assert.equal(quarters.matches(new Date(at(1, 0))), true);
+        assert.equal(quarters.matches(new Date(at(2, 0))), false);
+    });
+
+    it('treats day of week 0 and 7 as Sunday', () => {
+        assert.equal(parseCron('* * * * 0').matches(new Date(at(7, 8))), true);
+        assert.equal(parseCron('* * * * 7').matches(new Date(at(7, 8))), true);
+        assert.equal(parseCron('* * * * 7').matches(new Date(at(6, 8))), false);
+    });
+
+    it('runs a step without a range to the end of the field', () => {
+        const cron = parseCron('5/20 * * * *');
+        assert.deepEqual([0, 5, 25, 45, 50].map(minute => cron.matches(new Date(at(1, 3, minute)))), [false, true, true, true, false]);
+    });
+
+    it('rejects malformed expressions', () => {
+        assert.throws(() => parseCron('* * * *'), CronError);
+        assert.throws(() => parseCron('* 24 * * *'), /hour "24" is out of range 0-23/);
+        assert.throws(() => parseCron('* 9-17 * * mon'), /bad day of week "mon"/);
+        assert.throws(() => parseCron('* 17-9 * * *'), /hour "17-9" is out of range/);
+        assert.throws(() => parseCron('*/0 * * * *'), /minute "\*\/0" is out of range/);
+    });
+});
+
+describe('nextCronMatch and nextCronMiss', () => {
+    it('finds the start and end of the next window', () => {
+        const crons = [parseCron('* 9-16 * * 1-5')];
+        assert.equal(nextCronMatch(crons, at(5, 17)), at(8, 9));
+        assert.equal(nextCronMatch(crons, at(1, 10, 30, 15)), at(1, 10, 30, 15));
+        assert.equal(nextCronMiss(crons, at(1, 10, 30, 15)), at(1, 17));
+        assert.equal(nextCronMatch([parseCron('0 0 31 2 *')], at(1, 0)), null);
+    });
+
+    it('joins the windows of several expressions', () => {
+        const crons = [parseCron('* 9-11 * * *'), parseCron('* 12-13 * * *')];
+        assert.equal(nextCronMiss(crons, at(1, 9)), at(1, 14));
+        assert.equal(nextCronMatch(crons, at(1, 14)), at(2, 9));
+    });
+
+    it('returns null when every minute matches', () => {
+        assert.equal(nextCronMiss([parseCron('* * * * *')], at(1, 0)), null);
+    });
+
+    it('rounds up to the next minute', () => {
+        assert.equal(nextMinute(at(1, 9, 0, 30)), at(1, 9, 1));
+        assert.equal(nextMinute(at(1, 9)), at(1, 9, 1));
+    });
+});
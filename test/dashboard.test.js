@@ -0,0 +1,112 @@
+// test/dashboard.test.js
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { PassThrough } from 'stream';
+import { Dashboard, renderDashboard, formatUptime, formatDelta } from '../src/ui/dashboard.js';
+import { visibleLength } from '../src/ui/table.js';
+import { flushPromises } from './helpers.js';
+
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[a-zA-Z]/g;
+
+const snapshot = (overrides = {}) => ({
+    botIndex: 1,
+    wallet: '0x14791697260e4c9a71f18484c9f997b308e59325',
+    state: 'mining',
+    uptime: 3_725_000,
+    balance: 12.5,
+    balanceDelta: 0.5,
+    referralBonus: 0.1,
+    lastSuccessAt: null,
+    consecutiveErrors: 0,
+    lastError: null,
+    proxyHost: '',
+    ...overrides
+});
+
+/**
+ * Minimal bot with pause/resume that flips its state
+ */
+function createFakeBot(botIndex, state = 'mining') {
+    const bot = {
+        state,
+        getSnapshot: () => snapshot({ botIndex, state: bot.state }),
+        pause: () => bot.state === 'mining' && Boolean(bot.state = 'paused'),
+        resume: () => bot.state === 'paused' && Boolean(bot.state = 'mining')
+    };
+    return bot;
+}
+
+describe('dashboard', () => {
+    let dashboard;
+
+    afterEach(() => {
+        dashboard?.stop();
+    });
+
+    it('formats uptimes', () => {
+        assert.equal(formatUptime(3_725_000), '1:02:05');
+        assert.equal(formatUptime(0), '0:00:00');
+    });
+
+    it('formats balance changes with their sign', () => {
+        assert.equal(formatDelta(0.5), '+0.50000000');
+        assert.equal(formatDelta(0), '+0.00000000');
+        assert.equal(formatDelta(-0.00000012), '-0.00000012');
+    });
+
+    it('renders totals and one row per wallet', () => {
+        const screen = renderDashboard([
+            snapshot(),
+            snapshot({ botIndex: 2, state: 'failed', balance: 1, balanceDelta: 0, consecutiveErrors: 3, proxyHost: 'proxy.example:8080' })
+        ]).replace(ANSI_PATTERN, '');
+
+        assert.match(screen, /Wallets: 2 \| mining 1 \| failed 1/);
+        assert.match(screen, /Total balance: 13\.50000000 KLDO \| Earned this run: \+0\.50000000 KLDO/);
+        assert.match(screen, /1  0x147916…9325  mining\s+1:02:05\s+12\.50000000\s+\+0\.50000000\s+\+10\.0%\s+-\s+0\s+direct/);
+        assert.match(screen, /2  0x147916…9325  failed .* 3\s+proxy\.example:8080/);
+    });
+
+    it('fits the terminal', () => {
+        const snapshots = Array.from({ length: 50 }, (_, i) => snapshot({ botIndex: i + 1 }));
+        const lines = renderDashboard(snapshots, { selected: 49, width: 40, height: 20 }).split('\n');
+
+        assert.equal(lines.length, 20);
+        assert.ok(lines.every(line => visibleLength(line) <= 40));
+        // The selected row is scrolled into view
+        assert.match(lines[lines.length - 3].replace(ANSI_PATTERN, ''), /^50 /);
+    });
+
+    it('redraws on coordinator events and pauses the selected wallet', async () => {
+        const coordinator = Object.assign(new EventEmitter(), {
+            bots: [createFakeBot(1), createFakeBot(2)],
+            pauseWallet: async bot => bot.pause(),
+            startWallet: async bot => bot.resume()
+        });
+        const output = new PassThrough();
+        let screen = '';
+        output.on('data', chunk => { screen = chunk.toString(); });
+        const input = new PassThrough();
+        let quit = false;
+        dashboard = new Dashboard(coordinator, { input, output, refreshInterval: 60_000, onQuit: () => { quit = true; } });
+
+        dashboard.start();
+        dashboard.handleKeypress('', { name: 'down' });
+        dashboard.handleKeypress('p', { name: 'p' });
+        await flushPromises();
+        assert.equal(coordinator.bots[1].state, 'paused');
+        assert.equal(coordinator.bots[0].state, 'mining');
+
+        coordinator.bots[0].state = 'failed';
+        coordinator.emit('stateChanged', { botIndex: 1, state: 'failed' });
+        await flushPromises();
+        assert.match(screen.replace(ANSI_PATTERN, ''), /paused 1 \| failed 1/);
+
+        dashboard.handleKeypress('p', { name: 'p' });
+        await flushPromises();
+        assert.equal(coordinator.bots[1].state, 'mining');
+
+        dashboard.handleKeypress('q', { name: 'q' });
+        assert.equal(quit, true);
+    });
+});
@@ -0,0 +1,87 @@
+// test/helpers.js
+import * as fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getDefaultConfig } from '../src/config/configLoader.js';
+import { Logger } from '../src/utils/logger.js';
+
+/**
+ * Creates a temporary directory that is removed by the returned cleanup function
+ */
+export async function createTempDir() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'kaleido-test-'));
+    return {
+        dir,
+        cleanup: () => fs.rm(dir, { recursive: true, force: true })
+    };
+}
+
+/**
+ * Builds a config for tests, with file paths pointing into a directory
+ * @param {string} dir - Directory holding pk.txt, proxies.txt and keystores/
+ * @param {Object} overrides - Partial mining overrides
+ */
+export function createTestConfig(dir, overrides = {}) {
+    const config = getDefaultConfig();
+    return {
+        ...config,
+        mining: { ...config.mining, ...overrides },
+        files: {
+            privateKeys: path.join(dir, 'pk.txt'),
+            proxies: path.join(dir, 'proxies.txt'),
+            keystoreDir: path.join(dir, 'keystores')
+        },
+        storage: { ...config.storage, dir: path.join(dir, 'session') }
+    };
+}
+
+/**
+ * In-memory stand-in for the axios instance used by KaleidoMiningBot.
+ * Handlers receive the request and return response data, or throw to simulate failures.
+ * @param {Object} handlers - { 'GET /check-registration': fn, 'POST /update-balance': fn }
+ */
+export function createFakeHttp(handlers = {}) {
+    const calls = [];
+
+    const request = async (method, url, body, params) => {
+        const route = `${method} ${url.split('?')[0]}`;
+        calls.push({ method, url, body, params });
+        const handler = handlers[route];
+        if (!handler) {
+            throw httpError(404, { error: 'Not found' });
+        }
+        return { status: 200, data: await handler({ url, body, params }) };
+    };
+
+    return {
+        calls,
+        get: (url, options = {}) => request('GET', url, undefined, options.params),
+        post: (url, body) => request('POST', url, body)
+    };
+}
+
+/**
+ * Builds an error shaped like an axios HTTP error
+ */
+export function httpError(status, data = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, data, headers: {} };
+    return error;
+}
+
+/**
+ * Lets pending promise callbacks run (setImmediate is not faked by mock.timers)
+ */
+export function flushPromises() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Creates a logger that keeps parsed JSON records in memory
+ * @param {string} level - Minimum level to record
+ */
+export function createMemoryLogger(level = 'trace') {
+    const records = [];
+    const stream = { write: line => records.push(JSON.parse(line)) };
+    return { logger: new Logger({ level, format: 'json', stream }), records };
+}
@@ -0,0 +1,63 @@
+// test/index.test.js
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs/promises';
+import path from 'path';
+import { once } from 'events';
+import { createCoordinator, ConfigError, Logger, MockKaleidoServer } from '../src/index.js';
+import { createTempDir } from './helpers.js';
+
+const KEY_1 = '0x0123456789012345678901234567890123456789012345678901234567890123';
+const WALLET_1 = '0x14791697260e4c9a71f18484c9f997b308e59325';
+
+describe('createCoordinator', () => {
+    let temp;
+    let server;
+
+    beforeEach(async () => {
+        temp = await createTempDir();
+        server = new MockKaleidoServer({ initialBalance: 10 });
+    });
+
+    afterEach(async () => {
+        await server.stop();
+        await temp.cleanup();
+    });
+
+    it('validates the partial config', () => {
+        assert.throws(() => createCoordinator({ config: { mining: { updateInterval: 5 } } }), ConfigError);
+    });
+
+    it('resolves file paths against baseDir and creates independent coordinators', () => {
+        const first = createCoordinator({ config: { files: { privateKeys: 'keys.txt' } }, baseDir: temp.dir });
+        const second = createCoordinator();
+
+        assert.notEqual(first, second);
+        assert.equal(first.config.files.privateKeys, path.join(temp.dir, 'keys.txt'));
+    });
+
+    it('runs against the mock API and reports through events without touching the process', async () => {
+        await fs.writeFile(path.join(temp.dir, 'pk.txt'), `${KEY_1}\n`);
+        const url = await server.start();
+        const coordinator = createCoordinator({
+            config: { api: { baseUrl: url }, files: { privateKeys: 'pk.txt' }, mining: { updateInterval: 1000 } },
+            baseDir: temp.dir,
+            logger: new Logger({ level: 'silent' })
+        });
+        const initialized = once(coordinator, 'initialized');
+        const updated = once(coordinator, 'balanceUpdated');
+
+        await coordinator.start();
+        const [init] = await initialized;
+        const [update] = await updated;
+        const summary = await coordinator.stop();
+
+        assert.equal(process.listenerCount('SIGINT'), 0);
+        assert.deepEqual(init, { wallet: WALLET_1, botIndex: 1, balance: 10, referralBonus: 0, resumed: false });
+        assert.equal(update.oldBalance, 10);
+        assert.equal(update.newBalance, 10 + update.sessionEarnings);
+        assert.equal(summary.totalWallets, 1);
+        assert.equal(summary.wallets[0].state, 'stopped');
+        assert.equal(summary.totalPaid, server.getWallet(WALLET_1).balance);
+    });
+});
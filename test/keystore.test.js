@@ -0,0 +1,76 @@
+// test/keystore.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs/promises';
+import path from 'path';
+import { importKeys, exportKeys } from '../src/cli/keystoreCommands.js';
+import { listKeystoreFiles, loadWalletsFromKeystores } from '../src/utils/keystore.js';
+import { EXIT_CODES, KEYSTORE_CONFIG } from '../src/config/constants.js';
+import { parseListFile } from '../src/utils/utils.js';
+import { logger } from '../src/utils/logger.js';
+import { createTempDir, createTestConfig } from './helpers.js';
+
+const KEY_1 = '0x0123456789012345678901234567890123456789012345678901234567890123';
+const KEY_2 = '0x1123456789012345678901234567890123456789012345678901234567890123';
+
+describe('keystore commands', () => {
+    let temp;
+    let config;
+
+    beforeEach(async () => {
+        temp = await createTempDir();
+        config = createTestConfig(temp.dir);
+        process.env[KEYSTORE_CONFIG.PASSPHRASE_ENV] = 'correct horse battery staple';
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        logger.configure({ level: 'silent' });
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        logger.configure({ level: 'info' });
+        delete process.env[KEYSTORE_CONFIG.PASSPHRASE_ENV];
+        await temp.cleanup();
+    });
+
+    it('round-trips keys, skips wallets imported before and keeps the export private', async () => {
+        await fs.writeFile(config.files.privateKeys, `${KEY_1}\nnot a key\n`);
+        assert.equal(await importKeys({}, config), EXIT_CODES.PARTIAL);
+
+        await fs.writeFile(config.files.privateKeys, `${KEY_1}\n${KEY_2.slice(2)}\n`);
+        assert.equal(await importKeys({}, config), EXIT_CODES.SUCCESS);
+        assert.equal((await listKeystoreFiles(config.files.keystoreDir)).length, 2);
+
+        const output = path.join(temp.dir, 'exported.txt');
+        await fs.writeFile(output, 'old\n', { mode: 0o644 });
+        assert.equal(await exportKeys({ output }, config), EXIT_CODES.SUCCESS);
+
+        assert.deepEqual(parseListFile(await fs.readFile(output, 'utf8')), [KEY_1, KEY_2]);
+        assert.equal((await fs.stat(output)).mode & 0o777, 0o600);
+    });
+
+    it('decrypts only new or changed keystores when given a cache', async () => {
+        await fs.writeFile(config.files.privateKeys, `${KEY_1}\n`);
+        await importKeys({}, config);
+        const [file] = await listKeystoreFiles(config.files.keystoreDir);
+        const cache = new Map();
+
+        const first = await loadWalletsFromKeystores(config.files.keystoreDir, 'correct horse battery staple', { cache });
+        // A wrong passphrase shows whether the file was decrypted again
+        const cached = await loadWalletsFromKeystores(config.files.keystoreDir, 'wrong', { cache });
+        await fs.utimes(file, new Date(), new Date(Date.now() + 60_000));
+        const changed = await loadWalletsFromKeystores(config.files.keystoreDir, 'wrong', { cache });
+
+        assert.equal(first[0].wallet, '0x14791697260E4c9A71f18484C9f997B308e59325');
+        assert.deepEqual(cached, first);
+        assert.equal(changed[0].wallet, null);
+        assert.equal(cache.size, 0);
+    });
+
+    it('fails without anything to import or export', async () => {
+        await fs.writeFile(config.files.privateKeys, '# no keys\n');
+
+        assert.equal(await importKeys({}, config), EXIT_CODES.FAILURE);
+        assert.equal(await exportKeys({}, config), EXIT_CODES.FAILURE);
+    });
+});
@@ -0,0 +1,104 @@
+// test/metrics.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import { once } from 'events';
+import assert from 'node:assert/strict';
+import * as fs from 'fs/promises';
+import path from 'path';
+import { MetricsRegistry, Counter, Gauge, Histogram } from '../src/utils/metrics.js';
+import { FleetMetrics } from '../src/services/FleetMetrics.js';
+import { MiningCoordinator } from '../src/services/MiningCoordinator.js';
+import { createTempDir, createTestConfig, createFakeHttp, createMemoryLogger, httpError } from './helpers.js';
+
+const KEY_1 = '0x0123456789012345678901234567890123456789012345678901234567890123';
+const WALLET_1 = '0x14791697260e4c9a71f18484c9f997b308e59325';
+
+describe('MetricsRegistry', () => {
+    it('renders counters, gauges and histograms in the text format', () => {
+        const registry = new MetricsRegistry();
+        const counter = registry.register(new Counter('jobs_total', 'Jobs run', ['result']));
+        const gauge = registry.register(new Gauge('temperature', 'Current temperature'));
+        const histogram = registry.register(new Histogram('duration_seconds', 'Job duration', ['job'], [1, 0.5]));
+
+        counter.inc({ result: 'ok' });
+        counter.inc({ result: 'ok' }, 2);
+        counter.inc({ result: 'say "hi"\n' });
+        gauge.set({}, 21.5);
+        histogram.observe({ job: 'a' }, 0.2);
+        histogram.observe({ job: 'a' }, 0.7);
+        histogram.observe({ job: 'a' }, 3);
+
+        assert.equal(registry.render(), [
+            '# HELP jobs_total Jobs run',
+            '# TYPE jobs_total counter',
+            'jobs_total{result="ok"} 3',
+            'jobs_total{result="say \\"hi\\"\\n"} 1',
+            '# HELP temperature Current temperature',
+            '# TYPE temperature gauge',
+            'temperature 21.5',
+            '# HELP duration_seconds Job duration',
+            '# TYPE duration_seconds histogram',
+            'duration_seconds_bucket{job="a",le="0.5"} 1',
+            'duration_seconds_bucket{job="a",le="1"} 2',
+            'duration_seconds_bucket{job="a",le="+Inf"} 3',
+            'duration_seconds_sum{job="a"} 3.9',
+            'duration_seconds_count{job="a"} 3',
+            ''
+        ].join('\n'));
+    });
+});
+
+describe('FleetMetrics', () => {
+    let temp;
+    let coordinator;
+
+    beforeEach(async () => {
+        temp = await createTempDir();
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(async () => {
+        await coordinator.stop();
+        mock.restoreAll();
+        await temp.cleanup();
+    });
+
+    it('counts updates, retries and request latency and reports wallet gauges', async () => {
+        await fs.writeFile(path.join(temp.dir, 'pk.txt'), `${KEY_1}\n`);
+        // One server error that is retried, one client error that is not, then a success
+        const answers = [() => { throw httpError(503); }, () => { throw httpError(400); }, () => ({ success: true, balance: 9 })];
+        coordinator = new MiningCoordinator({
+            config: createTestConfig(temp.dir, { retryAttempts: 2, retryDelay: 1, retryJitter: 0 }),
+            createHttpClient: () => createFakeHttp({
+                'GET /check-registration': () => ({ isRegistered: true, userData: { balance: 5, referralBonus: 0.1 } }),
+                'POST /update-balance': () => answers.shift()()
+            }),
+            logger: createMemoryLogger().logger
+        });
+        const metrics = new FleetMetrics(coordinator);
+
+        // The first tick of the mining loop gets the 503 and the 400
+        const failed = once(coordinator, 'updateFailed');
+        await coordinator.start();
+        await failed;
+        await coordinator.bots[0].updateBalance();
+
+        const lines = metrics.render().split('\n');
+        for (const line of [
+            `kaleido_wallet_balance{wallet="${WALLET_1}",bot="1"} 9`,
+            `kaleido_wallet_referral_bonus{wallet="${WALLET_1}",bot="1"} 0.1`,
+            'kaleido_bots{state="mining"} 1',
+            'kaleido_bots{state="failed"} 0',
+            'kaleido_balance_updates_total{result="failure",status="400"} 1',
+            'kaleido_balance_updates_total{result="success",status="200"} 1',
+            'kaleido_request_retries_total{operation="balance_update",reason="server"} 1',
+            'kaleido_request_duration_seconds_count{operation="balance_update"} 3',
+            'kaleido_request_duration_seconds_count{operation="registration_check"} 1'
+        ]) {
+            assert.ok(lines.includes(line), `missing ${line}`);
+        }
+        assert.ok(lines.some(line => line.startsWith(`kaleido_wallet_uptime_seconds{wallet="${WALLET_1}",bot="1"} `)));
+
+        metrics.stop();
+        assert.equal(coordinator.listenerCount('balanceUpdated'), 0);
+    });
+});
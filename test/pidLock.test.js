@@ -0,0 +1,81 @@
+// test/pidLock.test.js
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs/promises';
+import path from 'path';
+import { acquirePidLock, LockedError } from '../src/utils/pidLock.js';
+import { createTempDir, createMemoryLogger } from './helpers.js';
+
+describe('acquirePidLock', () => {
+    let temp;
+    let file;
+    let log;
+
+    beforeEach(async () => {
+        temp = await createTempDir();
+        file = path.join(temp.dir, 'session', 'kaleido.pid');
+        log = createMemoryLogger();
+    });
+
+    afterEach(async () => {
+        await temp.cleanup();
+    });
+
+    it('writes our PID and removes the file on release', async () => {
+        const lock = await acquirePidLock(file, { logger: log.logger });
+
+        assert.equal(await fs.readFile(file, 'utf8'), `${process.pid}\n`);
+        await lock.release();
+        await assert.rejects(fs.access(file), { code: 'ENOENT' });
+    });
+
+    it('refuses a lock that this process already holds', async () => {
+        const lock = await acquirePidLock(file, { logger: log.logger });
+
+        await assert.rejects(acquirePidLock(file, { logger: log.logger }), error => {
+            assert.ok(error instanceof LockedError);
+            assert.equal(error.pid, process.pid);
+            return true;
+        });
+        await lock.release();
+    });
+
+    it('refuses a lock held by another running process', async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        // The parent of the test runner is alive for the whole test
+        await fs.writeFile(file, `${process.ppid}\n`);
+
+        await assert.rejects(acquirePidLock(file, { logger: log.logger }), { name: 'LockedError', pid: process.ppid });
+        assert.equal(await fs.readFile(file, 'utf8'), `${process.ppid}\n`);
+    });
+
+    it('takes over a lock left by a process that no longer runs', async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, '999999999\n');
+
+        const lock = await acquirePidLock(file, { logger: log.logger });
+
+        assert.equal(await fs.readFile(file, 'utf8'), `${process.pid}\n`);
+        assert.ok(log.records.some(record => record.level === 'warn' && /left by process 999999999/.test(record.msg)));
+        await lock.release();
+    });
+
+    it('takes over a lock with our PID that we do not hold', async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, `${process.pid}\n`);
+
+        const lock = await acquirePidLock(file, { logger: log.logger });
+
+        await lock.release();
+        await assert.rejects(fs.access(file), { code: 'ENOENT' });
+    });
+
+    it('leaves the file alone on release if another process took it over', async () => {
+        const lock = await acquirePidLock(file, { logger: log.logger });
+        await fs.writeFile(file, '12345\n');
+
+        await lock.release();
+
+        assert.equal(await fs.readFile(file, 'utf8'), '12345\n');
+    });
+});
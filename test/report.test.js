@@ -0,0 +1,122 @@
+// test/report.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs/promises';
+import path from 'path';
+import { buildEarningsReport, reportCommand } from '../src/cli/reportCommand.js';
+import { parseReportDate, UsageError } from '../src/cli/cli.js';
+import { FileSessionStore } from '../src/storage/FileSessionStore.js';
+import { formatCsv } from '../src/ui/table.js';
+import { EXIT_CODES } from '../src/config/constants.js';
+import { createTempDir, createTestConfig } from './helpers.js';
+
+const WALLET_1 = '0x14791697260e4c9a71f18484c9f997b308e59325';
+const WALLET_2 = '0xed2ff3513c0f08c3ff181b1732745e256c97ce13';
+const HOUR = 3600000;
+
+const update = (wallet, time, earned, overrides = {}) => ({
+    wallet, time, balance: earned, earned, elapsed: HOUR, referralBonus: 0, final: false, ...overrides
+});
+
+describe('buildEarningsReport', () => {
+    it('totals earnings per wallet, per UTC day and for the fleet', () => {
+        const report = buildEarningsReport([
+            update(WALLET_1, '2024-01-01T22:00:00.000Z', 1, { balance: 1 }),
+            update(WALLET_1, '2024-01-02T01:00:00.000Z', 2, { balance: 3 }),
+            update(WALLET_2, '2024-01-02T02:00:00.000Z', 4, { balance: 10, elapsed: 2 * HOUR })
+        ], { from: '2024-01-01T00:00:00.000Z', to: null });
+
+        assert.equal(report.from, '2024-01-01T00:00:00.000Z');
+        assert.deepEqual(report.daily.map(day => [day.date, day.wallets, day.updates, day.earned, day.uptimeHours]), [
+            ['2024-01-01', 1, 1, 1, 1],
+            ['2024-01-02', 2, 2, 6, 3]
+        ]);
+        assert.deepEqual(report.wallets.map(wallet => [wallet.wallet, wallet.earned, wallet.balance, wallet.perHour, wallet.daily.length]), [
+            [WALLET_1, 3, 3, 1.5, 2],
+            [WALLET_2, 4, 10, 2, 1]
+        ]);
+        assert.equal(report.fleet.wallets, 2);
+        assert.equal(report.fleet.earned, 7);
+        assert.equal(report.fleet.perHour, 7 / 4);
+        assert.equal(report.fleet.firstUpdate, '2024-01-01T22:00:00.000Z');
+    });
+
+    it('separates the referral bonus from the base earnings', () => {
+        const report = buildEarningsReport([
+            update(WALLET_1, '2024-01-01T00:00:00.000Z', 1.25, { referralBonus: 0.25 }),
+            update(WALLET_1, '2024-01-01T01:00:00.000Z', 1)
+        ]);
+
+        const [wallet] = report.wallets;
+        assert.equal(wallet.bonusEarned, 0.25);
+        assert.equal(wallet.baseEarned, 2);
+        assert.equal(wallet.referralBonus, 0);
+    });
+
+    it('leaves updates without mining time out of the hourly rate', () => {
+        const report = buildEarningsReport([
+            update(WALLET_1, '2024-01-01T00:00:00.000Z', 5, { elapsed: null }),
+            update(WALLET_1, '2024-01-01T01:00:00.000Z', 2)
+        ]);
+
+        assert.equal(report.fleet.earned, 7);
+        assert.equal(report.fleet.perHour, 2);
+        assert.equal(buildEarningsReport([update(WALLET_1, '2024-01-01T00:00:00.000Z', 5, { elapsed: null })]).fleet.perHour, null);
+    });
+});
+
+describe('reportCommand', () => {
+    let temp;
+    let config;
+
+    beforeEach(async () => {
+        temp = await createTempDir();
+        config = createTestConfig(temp.dir);
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await temp.cleanup();
+    });
+
+    it('writes one CSV row per wallet and day in the range, with fleet rows per day and in total', async () => {
+        const store = new FileSessionStore(config.storage.dir);
+        await store.recordUpdate(WALLET_2, { time: '2024-01-01T10:00:00.000Z', balance: 1, earned: 1, elapsed: HOUR, referralBonus: 0 });
+        await store.recordUpdate(WALLET_1, { time: '2024-01-01T11:00:00.000Z', balance: 2, earned: 2, elapsed: HOUR, referralBonus: 0 });
+        await store.recordUpdate(WALLET_1, { time: '2024-01-03T11:00:00.000Z', balance: 3, earned: 1, elapsed: HOUR, referralBonus: 0 });
+        const output = path.join(temp.dir, 'report.csv');
+
+        const code = await reportCommand({ to: '2024-01-02T00:00:00.000Z', format: 'csv', output }, config);
+
+        assert.equal(code, EXIT_CODES.SUCCESS);
+        assert.deepEqual((await fs.readFile(output, 'utf8')).trim().split('\n'), [
+            'date,wallet,updates,earned,baseEarned,bonusEarned,uptimeHours,perHour,balance',
+            `2024-01-01,${WALLET_1},1,2,2,0,1,2,2`,
+            `2024-01-01,${WALLET_2},1,1,1,0,1,1,1`,
+            '2024-01-01,*,2,3,3,0,2,1.5,',
+            '*,*,2,3,3,0,2,1.5,3'
+        ]);
+    });
+
+    it('fails when no updates were recorded', async () => {
+        assert.equal(await reportCommand({}, config), EXIT_CODES.FAILURE);
+    });
+});
+
+describe('parseReportDate', () => {
+    it('includes the whole day of a --to date', () => {
+        assert.equal(parseReportDate('2024-05-01', 'from'), '2024-05-01T00:00:00.000Z');
+        assert.equal(parseReportDate('2024-05-01', 'to', true), '2024-05-02T00:00:00.000Z');
+        assert.equal(parseReportDate('2024-05-01T12:30:00+02:00', 'to', true), '2024-05-01T10:30:00.000Z');
+        assert.equal(parseReportDate(undefined, 'from'), null);
+        assert.throws(() => parseReportDate('last week', 'from'), UsageError);
+    });
+});
+
+describe('formatCsv', () => {
+    it('quotes cells with separators and leaves missing values empty', () => {
+        assert.equal(formatCsv(['a', 'b'], [{ a: 'x,"y"', b: null }]), 'a,b\n"x,""y""",');
+    });
+});
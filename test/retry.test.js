@@ -0,0 +1,159 @@
+// test/retry.test.js
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyError, parseRetryAfter, backoffDelay, retry, CircuitBreaker } from '../src/utils/retry.js';
+import { httpError, flushPromises } from './helpers.js';
+
+const POLICY = { attempts: 4, baseDelay: 1000, maxDelay: 5000, jitter: 0 };
+
+describe('retry', () => {
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    describe('classifyError', () => {
+        it('retries network errors, timeouts, 5xx and 429', () => {
+            const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+            const timeout = Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED', request: {} });
+
+            assert.deepEqual(
+                [reset, timeout, httpError(502), httpError(429), httpError(408)].map(error => [classifyError(error).retryable, classifyError(error).reason]),
+                [[true, 'network'], [true, 'timeout'], [true, 'server'], [true, 'rate-limited'], [true, 'timeout']]
+            );
+        });
+
+        it('treats other 4xx answers and non-HTTP errors as fatal', () => {
+            assert.deepEqual(classifyError(httpError(400)), { retryable: false, reason: 'client', status: 400, retryAfter: null });
+            assert.equal(classifyError(httpError(404)).retryable, false);
+            assert.equal(classifyError(new TypeError('x is undefined')).retryable, false);
+        });
+
+        it('reads Retry-After from rate-limited answers', () => {
+            const error = httpError(429);
+            error.response.headers['retry-after'] = '7';
+            assert.equal(classifyError(error).retryAfter, 7000);
+        });
+    });
+
+    describe('parseRetryAfter', () => {
+        it('accepts seconds and HTTP dates', () => {
+            const now = Date.parse('2024-01-01T00:00:00Z');
+            assert.equal(parseRetryAfter('120', now), 120_000);
+            assert.equal(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now), 30_000);
+            assert.equal(parseRetryAfter('Sun, 31 Dec 2023 23:00:00 GMT', now), 0);
+            assert.equal(parseRetryAfter(undefined, now), null);
+            assert.equal(parseRetryAfter('soon', now), null);
+        });
+    });
+
+    describe('backoffDelay', () => {
+        it('doubles up to the maximum', () => {
+            assert.deepEqual([1, 2, 3, 4, 5].map(attempt => backoffDelay(POLICY, attempt)), [1000, 2000, 4000, 5000, 5000]);
+        });
+
+        it('spreads delays by the jitter fraction', () => {
+            const policy = { ...POLICY, jitter: 0.2 };
+            assert.equal(backoffDelay(policy, 2, () => 0), 1600);
+            assert.equal(backoffDelay(policy, 2, () => 0.5), 2000);
+            assert.equal(backoffDelay(policy, 2, () => 0.999999), 2400);
+        });
+    });
+
+    describe('retry', () => {
+        it('stops at a fatal error and annotates it', async () => {
+            const fn = mock.fn(async () => {
+                throw httpError(401);
+            });
+
+            const error = await retry(fn, { policy: POLICY }).catch(err => err);
+
+            assert.equal(fn.mock.callCount(), 1);
+            assert.equal(error.attempts, 1);
+            assert.equal(error.classification.reason, 'client');
+        });
+
+        it('gives up after the configured attempts', async () => {
+            mock.timers.enable({ apis: ['setTimeout'] });
+            const fn = mock.fn(async () => {
+                throw httpError(500);
+            });
+            const delays = [];
+
+            const result = retry(fn, { policy: POLICY, onRetry: ({ delay }) => delays.push(delay) });
+            for (const delay of [1000, 2000, 4000]) {
+                await flushPromises();
+                mock.timers.tick(delay);
+            }
+
+            await assert.rejects(result, error => error.attempts === 4);
+            assert.deepEqual(delays, [1000, 2000, 4000]);
+            assert.equal(fn.mock.callCount(), 4);
+        });
+
+        it('waits for a Retry-After up to maxDelay and fails at once beyond it', async () => {
+            mock.timers.enable({ apis: ['setTimeout'] });
+            let retryAfter = '3';
+            const fn = mock.fn(async () => {
+                const error = httpError(429);
+                error.response.headers['retry-after'] = retryAfter;
+                retryAfter = '86400';
+                throw error;
+            });
+            const delays = [];
+
+            const result = retry(fn, { policy: POLICY, onRetry: ({ delay }) => delays.push(delay) });
+            await flushPromises();
+            mock.timers.tick(3000);
+
+            const error = await result.catch(caught => caught);
+            assert.deepEqual(delays, [3000]);
+            assert.equal(fn.mock.callCount(), 2);
+            assert.equal(error.attempts, 2);
+            assert.equal(error.classification.retryAfter, 86_400_000);
+        });
+    });
+
+    describe('CircuitBreaker', () => {
+        it('opens after the threshold, half-opens after the cooldown and closes on success', () => {
+            let now = 0;
+            const breaker = new CircuitBreaker({ threshold: 3, cooldown: 1000, now: () => now });
+
+            assert.equal(breaker.recordFailure(), false);
+            assert.equal(breaker.recordFailure(), false);
+            assert.equal(breaker.recordFailure(), true);
+            assert.equal(breaker.state, 'open');
+            assert.equal(breaker.allowRequest(), false);
+            assert.equal(breaker.nextProbeAt, 1000);
+
+            now = 1000;
+            assert.equal(breaker.allowRequest(), true);
+            assert.equal(breaker.state, 'half-open');
+            assert.equal(breaker.recordSuccess(), true);
+            assert.equal(breaker.state, 'closed');
+            assert.equal(breaker.recordSuccess(), false);
+        });
+
+        it('reopens when the probe fails', () => {
+            let now = 0;
+            const breaker = new CircuitBreaker({ threshold: 1, cooldown: 1000, now: () => now });
+
+            breaker.recordFailure();
+            now = 1500;
+            breaker.allowRequest();
+
+            assert.equal(breaker.recordFailure(), true);
+            assert.equal(breaker.nextProbeAt, 2500);
+            assert.equal(breaker.allowRequest(), false);
+        });
+
+        it('resets the failure count on success', () => {
+            const breaker = new CircuitBreaker({ threshold: 2, cooldown: 1000 });
+
+            breaker.recordFailure();
+            breaker.recordSuccess();
+            breaker.recordFailure();
+
+            assert.equal(breaker.state, 'closed');
+        });
+    });
+});
@@ -0,0 +1,58 @@
+// test/startCommand.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs/promises';
+import net from 'net';
+import path from 'path';
+import { once } from 'events';
+import { startCommand } from '../src/cli/startCommand.js';
+import { MockKaleidoServer } from '../src/mock/MockKaleidoServer.js';
+import { logger } from '../src/utils/logger.js';
+import { createTempDir, createTestConfig } from './helpers.js';
+
+const KEY_1 = '0x0123456789012345678901234567890123456789012345678901234567890123';
+
+describe('startCommand', () => {
+    let temp;
+    let server;
+    let blocker;
+
+    beforeEach(async () => {
+        temp = await createTempDir();
+        server = new MockKaleidoServer({ initialBalance: 10 });
+        blocker = net.createServer();
+        blocker.listen(0, '127.0.0.1');
+        await once(blocker, 'listening');
+        logger.configure({ level: 'silent' });
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        logger.configure({ level: 'info' });
+        await new Promise(resolve => blocker.close(resolve));
+        await server.stop();
+        await temp.cleanup();
+    });
+
+    it('stops the miners and releases the lock when the control port is taken', async () => {
+        await fs.writeFile(path.join(temp.dir, 'pk.txt'), `${KEY_1}\n`);
+        const defaults = createTestConfig(temp.dir, { updateInterval: 100 });
+        const config = {
+            ...defaults,
+            api: { ...defaults.api, baseUrl: await server.start() },
+            control: { ...defaults.control, enabled: true, port: blocker.address().port, token: 'a-test-token-of-enough-length' },
+            reload: { ...defaults.reload, watch: false }
+        };
+        const sigintListeners = process.listenerCount('SIGINT');
+
+        await assert.rejects(startCommand({}, config), { code: 'EADDRINUSE' });
+
+        await assert.rejects(fs.access(path.join(config.storage.dir, 'kaleido.pid')), { code: 'ENOENT' });
+        assert.equal(process.listenerCount('SIGINT'), sigintListeners);
+        // No miner is left running
+        const requests = server.requests.length;
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.equal(server.requests.length, requests);
+    });
+});